@@ -0,0 +1,182 @@
+/**
+ * Reference token broker for Spotify client-credentials tokens
+ *
+ * Keeps the client secret on the server and hands the browser short-lived
+ * access tokens. Run with:
+ *   SPOTIFY_CLIENT_ID=... SPOTIFY_CLIENT_SECRET=... npm run token-broker
+ * and point the app at it with REACT_APP_TOKEN_BROKER_URL=http://localhost:4000/api/spotify/token
+ */
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TOKEN_URL = 'https://accounts.spotify.com/api/token';
+const DEFAULT_ROUTE = '/api/spotify/token';
+const TOKEN_REFRESH_MARGIN = 60000; // Refresh 1 minute early
+
+/**
+ * POST a form body and resolve with { status, body } (parsed JSON when possible)
+ */
+const postForm = (url, form, headers = {}) => {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+  const body = new URLSearchParams(form).toString();
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(
+      target,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body),
+          ...headers
+        }
+      },
+      (response) => {
+        let raw = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          raw += chunk;
+        });
+        response.on('end', () => {
+          let parsed = {};
+          try {
+            parsed = raw ? JSON.parse(raw) : {};
+          } catch (error) {
+            parsed = { error: 'invalid_response', error_description: raw };
+          }
+          resolve({ status: response.statusCode, body: parsed });
+        });
+      }
+    );
+
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+/**
+ * Create the broker HTTP server (not yet listening)
+ * @param {Object} config - Broker configuration
+ * @param {string} config.clientId - Spotify client ID
+ * @param {string} config.clientSecret - Spotify client secret
+ * @param {string} config.tokenUrl - Accounts token endpoint (overridable for tests)
+ * @param {string} config.route - Path the token is served from
+ * @param {string} config.allowedOrigin - Value for Access-Control-Allow-Origin
+ * @returns {http.Server} Server instance
+ */
+const createTokenBroker = ({
+  clientId,
+  clientSecret,
+  tokenUrl = DEFAULT_TOKEN_URL,
+  route = DEFAULT_ROUTE,
+  allowedOrigin = '*'
+} = {}) => {
+  if (!clientId || !clientSecret) {
+    throw new Error('Token broker requires a Spotify client ID and client secret');
+  }
+
+  let cachedToken = null;
+  let cachedExpiry = 0;
+  let pendingToken = null;
+
+  const fetchToken = async () => {
+    if (cachedToken && Date.now() < cachedExpiry) {
+      return cachedToken;
+    }
+
+    // Collapse concurrent requests into one upstream call
+    if (!pendingToken) {
+      const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+      pendingToken = postForm(
+        tokenUrl,
+        { grant_type: 'client_credentials' },
+        { Authorization: `Basic ${credentials}` }
+      )
+        .then(({ status, body }) => {
+          if (status < 200 || status >= 300 || !body.access_token) {
+            const error = new Error(body.error_description || `Upstream returned ${status}`);
+            error.status = status;
+            throw error;
+          }
+
+          cachedToken = {
+            access_token: body.access_token,
+            token_type: body.token_type || 'Bearer',
+            expiresAt: Date.now() + body.expires_in * 1000
+          };
+          cachedExpiry = cachedToken.expiresAt - TOKEN_REFRESH_MARGIN;
+          return cachedToken;
+        })
+        .finally(() => {
+          pendingToken = null;
+        });
+    }
+
+    return pendingToken;
+  };
+
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': allowedOrigin,
+    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+  };
+
+  const sendJson = (response, status, payload) => {
+    response.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      ...corsHeaders
+    });
+    response.end(JSON.stringify(payload));
+  };
+
+  return http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (pathname !== route) {
+      sendJson(response, 404, { error: 'not_found' });
+      return;
+    }
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, corsHeaders);
+      response.end();
+      return;
+    }
+
+    if (request.method !== 'GET') {
+      sendJson(response, 405, { error: 'method_not_allowed' });
+      return;
+    }
+
+    try {
+      const token = await fetchToken();
+      sendJson(response, 200, {
+        access_token: token.access_token,
+        token_type: token.token_type,
+        expires_in: Math.max(0, Math.floor((token.expiresAt - Date.now()) / 1000))
+      });
+    } catch (error) {
+      console.error('Token broker failed to get a token:', error.message);
+      sendJson(response, 502, {
+        error: 'token_unavailable',
+        error_description: 'Failed to get a Spotify access token'
+      });
+    }
+  });
+};
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 4000;
+  const server = createTokenBroker({
+    clientId: process.env.SPOTIFY_CLIENT_ID || process.env.REACT_APP_CLIENT_ID,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    allowedOrigin: process.env.ALLOWED_ORIGIN || 'http://localhost:3000'
+  });
+
+  server.listen(port, () => {
+    console.log(`Spotify token broker listening on http://localhost:${port}${DEFAULT_ROUTE}`);
+  });
+}
+
+module.exports = { createTokenBroker, DEFAULT_ROUTE };
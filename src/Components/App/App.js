@@ -1,7 +1,10 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { DndProvider } from 'react-dnd';
+import { HTML5Backend } from 'react-dnd-html5-backend';
 import './App.css';
 
+import { SettingsProvider } from '../../contexts/SettingsContext';
 import { PlayerProvider } from '../../contexts/PlayerContext';
 import { SearchProvider } from '../../contexts/SearchContext';
 import { PlaylistProvider } from '../../contexts/PlaylistContext';
@@ -14,6 +17,8 @@ import {
   LazySearch, 
   LazyLibrary, 
   LazyPlaylistView, 
+  LazyArtist,
+  LazyAlbum,
   LazyPlayer,
   preloadCriticalComponents 
 } from '../LazyRoutes';
@@ -33,13 +38,23 @@ class App extends React.Component{
     this.state={
       SearchResults: [],
       playlistName: "New Playlist",
-      playlistTracks: []
+      playlistDescription: "",
+      playlistIsPublic: false,
+      playlistTracks: [],
+      // Spotify playlist a partly failed save went to, so saving again fills it in
+      savedPlaylistId: null,
+      saveProgress: null, // { written, total } while tracks upload
+      saveMessage: null,
+      saveError: null,
+      // Bumped after each save so the uncontrolled name and description inputs reset
+      savedCount: 0
     };
 
     this.search=this.search.bind(this);
     this.addTrack=this.addTrack.bind(this);
     this.removeTrack=this.removeTrack.bind(this);
     this.updatePlaylistName=this.updatePlaylistName.bind(this);
+    this.updatePlaylistDescription=this.updatePlaylistDescription.bind(this);
     this.savePlaylist=this.savePlaylist.bind(this);
     this.removeTrackSearch=this.removeTrackSearch.bind(this);
     this.doThese=this.doThese.bind(this);
@@ -48,6 +63,14 @@ class App extends React.Component{
   componentDidMount() {
     // Preload critical components after initial render
     setTimeout(preloadCriticalComponents, 1000);
+
+    // Finish a Spotify login if we were just redirected back with a code
+    // and pick up the market from the user's profile
+    Spotify.handleAuthCallback()
+      .catch(error => {
+        console.error('Spotify login failed:', error);
+      })
+      .then(() => Spotify.detectMarket());
   }
 
   search(term){
@@ -85,15 +108,48 @@ class App extends React.Component{
   }
 
   updatePlaylistName(name){
-    this.setState({updatePlaylistName: name});
+    this.setState({playlistName: name});
+  }
+
+  updatePlaylistDescription(description){
+    this.setState({playlistDescription: description});
   }
 
   savePlaylist(){
-    const trackUris = this.state.playlistTracks.map(track => track.uri);
-    Spotify.savePlaylist(this.state.playlistName, trackUris).then( () => {
+    const { playlistName, playlistDescription, playlistIsPublic, playlistTracks, savedPlaylistId } = this.state;
+    const trackUris = playlistTracks.map(track => track.uri);
+
+    this.setState({ saveMessage: null, saveError: null, saveProgress: { written: 0, total: trackUris.length } });
+    Spotify.savePlaylist(playlistName, trackUris, {
+      // Left out when empty, so a retry keeps the description the first save set
+      description: playlistDescription || undefined,
+      isPublic: playlistIsPublic,
+      playlistId: savedPlaylistId,
+      onProgress: ({ written, total }) => this.setState({ saveProgress: { written, total } })
+    }).then(result => {
+      if (result.error) {
+        // Keep everything: saving again replaces the tracks of the same playlist
+        this.setState({
+          savedPlaylistId: result.id,
+          saveProgress: null,
+          saveError: `${result.error} Save again to retry.`
+        });
+        return;
+      }
+      this.setState(prevState => ({
+        savedCount: prevState.savedCount + 1,
+        playlistName: "New Playlist",
+        playlistDescription: "",
+        playlistIsPublic: false,
+        playlistTracks: [],
+        savedPlaylistId: null,
+        saveProgress: null,
+        saveMessage: `Saved "${playlistName}" to Spotify.`
+      }));
+    }).catch(error => {
       this.setState({
-        updatePlaylistName: "New Playlist",
-        playlistTracks: []
+        saveProgress: null,
+        saveError: error.message || "Could not save the playlist to Spotify."
       });
     });
   }
@@ -111,11 +167,39 @@ class App extends React.Component{
           <SearchResults searchResults={this.state.SearchResults} 
             onAdd={this.doThese}
           />
-          <Playlist playlistTracks={this.state.playlistTracks} 
-            onNameChange={this.updatePlaylistName} 
-            onRemove={this.removeTrack}
-            onSave={this.savePlaylist}
-          />
+          <div className="legacy-app__playlist">
+            <Playlist playlistTracks={this.state.playlistTracks} 
+              key={this.state.savedCount}
+              playlistName={this.state.playlistName}
+              playlistDescription={this.state.playlistDescription}
+              onNameChange={this.updatePlaylistName} 
+              onDescriptionChange={this.updatePlaylistDescription}
+              onRemove={this.removeTrack}
+              onSave={this.state.saveProgress ? null : this.savePlaylist}
+            />
+            <label className="legacy-app__public">
+              <input
+                type="checkbox"
+                checked={this.state.playlistIsPublic}
+                onChange={(e) => this.setState({ playlistIsPublic: e.target.checked })}
+              />
+              Public on Spotify
+            </label>
+            {this.state.saveProgress && (
+              <div className="legacy-app__save-progress" role="status">
+                <progress value={this.state.saveProgress.written} max={this.state.saveProgress.total || 1} />
+                <span>Saving {this.state.saveProgress.written} of {this.state.saveProgress.total} tracks</span>
+              </div>
+            )}
+            {this.state.saveMessage && (
+              <p className="legacy-app__save-message" role="status">{this.state.saveMessage}</p>
+            )}
+            {this.state.saveError && (
+              <p className="legacy-app__save-message legacy-app__save-message--error" role="alert">
+                {this.state.saveError}
+              </p>
+            )}
+          </div>
         </div>
       </div>
     );
@@ -132,39 +216,46 @@ class App extends React.Component{
             title="Context Error"
             message="There was an issue with the application state. Some features may not work correctly."
           >
-            <PlayerProvider>
-              <SearchProvider>
-                <PlaylistProvider>
-                  <Router>
-                    <ErrorBoundary 
-                      title="Navigation Error"
-                      message="There was an issue with page navigation. Please try refreshing the page."
-                    >
-                      <Layout>
-                        <ErrorBoundary 
-                          title="Page Error"
-                          message="This page encountered an error. Please try navigating to a different page."
-                        >
-                          <Routes>
-                            <Route path="/" element={<LazyRoute component={LazyHome} />} />
-                            <Route path="/search" element={<LazyRoute component={LazySearch} />} />
-                            <Route path="/library" element={<LazyRoute component={LazyLibrary} />} />
-                            <Route path="/playlist/:id" element={<LazyRoute component={LazyPlaylistView} />} />
-                            <Route path="/legacy" element={this.renderLegacyApp()} />
-                          </Routes>
-                        </ErrorBoundary>
+            <SettingsProvider>
+              <PlayerProvider>
+                <SearchProvider>
+                  <PlaylistProvider>
+                    {/* One drag-and-drop backend for the whole app (playlists and the queue) */}
+                    <DndProvider backend={HTML5Backend}>
+                      <Router>
                         <ErrorBoundary 
-                          title="Player Error"
-                          message="The music player encountered an error. Some playback features may not work."
+                          title="Navigation Error"
+                          message="There was an issue with page navigation. Please try refreshing the page."
                         >
-                          <LazyRoute component={LazyPlayer} />
+                          <Layout>
+                            <ErrorBoundary 
+                              title="Page Error"
+                              message="This page encountered an error. Please try navigating to a different page."
+                            >
+                              <Routes>
+                                <Route path="/" element={<LazyRoute component={LazyHome} />} />
+                                <Route path="/search" element={<LazyRoute component={LazySearch} />} />
+                                <Route path="/library" element={<LazyRoute component={LazyLibrary} />} />
+                                <Route path="/playlist/:id" element={<LazyRoute component={LazyPlaylistView} />} />
+                                <Route path="/artist/:id" element={<LazyRoute component={LazyArtist} />} />
+                                <Route path="/album/:id" element={<LazyRoute component={LazyAlbum} />} />
+                                <Route path="/legacy" element={this.renderLegacyApp()} />
+                              </Routes>
+                            </ErrorBoundary>
+                            <ErrorBoundary 
+                              title="Player Error"
+                              message="The music player encountered an error. Some playback features may not work."
+                            >
+                              <LazyRoute component={LazyPlayer} />
+                            </ErrorBoundary>
+                          </Layout>
                         </ErrorBoundary>
-                      </Layout>
-                    </ErrorBoundary>
-                  </Router>
-                </PlaylistProvider>
-              </SearchProvider>
-            </PlayerProvider>
+                      </Router>
+                    </DndProvider>
+                  </PlaylistProvider>
+                </SearchProvider>
+              </PlayerProvider>
+            </SettingsProvider>
           </ErrorBoundary>
         </AccessibilityProvider>
       </ErrorBoundary>
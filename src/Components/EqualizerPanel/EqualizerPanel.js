@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import { useSettings } from '../../contexts/SettingsContext';
+import {
+  EQ_BANDS,
+  EQ_GAIN_MIN,
+  EQ_GAIN_MAX,
+  EQ_PREAMP_MIN,
+  EQ_PREAMP_MAX,
+  MANUAL_PRESET,
+  BUILT_IN_PRESETS,
+  clampGain,
+  clampPreamp,
+  findPreset,
+  createCustomPreset
+} from '../../util/equalizer';
+import './EqualizerPanel.css';
+
+const formatFrequency = (frequency) => (
+  frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`
+);
+
+const formatGain = (gain) => `${gain > 0 ? '+' : ''}${gain} dB`;
+
+const EqualizerPanel = ({ isOpen, onClose }) => {
+  const { settings, updateSetting, updateSettings } = useSettings();
+  const { equalizer, eqPresets } = settings;
+  const [isNaming, setIsNaming] = useState(false);
+  const [presetName, setPresetName] = useState('');
+
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setIsNaming(false);
+      setPresetName('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const setEqualizer = (updates) => {
+    updateSetting('equalizer', { ...equalizer, ...updates });
+  };
+
+  const handlePresetChange = (id) => {
+    const preset = findPreset(id, eqPresets);
+    if (preset) {
+      setEqualizer({ preset: preset.id, preamp: preset.preamp, gains: [...preset.gains] });
+    }
+  };
+
+  const handleGainChange = (index, value) => {
+    const gains = [...equalizer.gains];
+    gains[index] = clampGain(value);
+    setEqualizer({ gains, preset: MANUAL_PRESET });
+  };
+
+  const handlePreampChange = (value) => {
+    setEqualizer({ preamp: clampPreamp(value), preset: MANUAL_PRESET });
+  };
+
+  const handleSavePreset = (e) => {
+    e.preventDefault();
+    if (!presetName.trim()) return;
+
+    const preset = createCustomPreset(presetName, equalizer);
+    updateSettings({
+      eqPresets: [...eqPresets, preset],
+      equalizer: { ...equalizer, preset: preset.id }
+    });
+    setIsNaming(false);
+    setPresetName('');
+  };
+
+  const handleDeletePreset = () => {
+    updateSettings({
+      eqPresets: eqPresets.filter(preset => preset.id !== equalizer.preset),
+      equalizer: { ...equalizer, preset: MANUAL_PRESET }
+    });
+  };
+
+  const isCustomPreset = eqPresets.some(preset => preset.id === equalizer.preset);
+
+  return (
+    <div
+      className="equalizer-panel"
+      role="dialog"
+      aria-label="Equalizer"
+    >
+      <div className="equalizer-panel__header">
+        <h2 className="equalizer-panel__title">Equalizer</h2>
+        <label className="equalizer-panel__toggle">
+          <input
+            type="checkbox"
+            checked={equalizer.enabled}
+            onChange={(e) => setEqualizer({ enabled: e.target.checked })}
+          />
+          <span>{equalizer.enabled ? 'On' : 'Off'}</span>
+        </label>
+        <button
+          className="equalizer-panel__close"
+          onClick={onClose}
+          aria-label="Close equalizer"
+        >
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+          </svg>
+        </button>
+      </div>
+
+      <div className="equalizer-panel__presets">
+        <select
+          className="equalizer-panel__select"
+          value={equalizer.preset}
+          onChange={(e) => handlePresetChange(e.target.value)}
+          aria-label="Preset"
+        >
+          {equalizer.preset === MANUAL_PRESET && (
+            <option value={MANUAL_PRESET}>Manual</option>
+          )}
+          <optgroup label="Presets">
+            {BUILT_IN_PRESETS.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
+          </optgroup>
+          {eqPresets.length > 0 && (
+            <optgroup label="My presets">
+              {eqPresets.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+
+        {isCustomPreset ? (
+          <button
+            className="equalizer-panel__button"
+            onClick={handleDeletePreset}
+          >
+            Delete
+          </button>
+        ) : (
+          <button
+            className="equalizer-panel__button"
+            onClick={() => setIsNaming(true)}
+            disabled={isNaming}
+          >
+            Save
+          </button>
+        )}
+      </div>
+
+      {isNaming && (
+        <form className="equalizer-panel__save" onSubmit={handleSavePreset}>
+          <input
+            type="text"
+            className="equalizer-panel__name"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Preset name"
+            maxLength={40}
+            aria-label="Preset name"
+            autoFocus
+          />
+          <button
+            type="submit"
+            className="equalizer-panel__button equalizer-panel__button--primary"
+            disabled={!presetName.trim()}
+          >
+            Save
+          </button>
+          <button
+            type="button"
+            className="equalizer-panel__button"
+            onClick={() => setIsNaming(false)}
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      <div
+        className={`equalizer-panel__bands ${equalizer.enabled ? '' : 'equalizer-panel__bands--disabled'}`}
+      >
+        <div className="equalizer-panel__band equalizer-panel__band--preamp">
+          <span className="equalizer-panel__value">{formatGain(equalizer.preamp)}</span>
+          <input
+            type="range"
+            className="equalizer-panel__slider"
+            min={EQ_PREAMP_MIN}
+            max={EQ_PREAMP_MAX}
+            step="0.5"
+            value={equalizer.preamp}
+            onChange={(e) => handlePreampChange(parseFloat(e.target.value))}
+            aria-label="Preamp"
+            aria-valuetext={formatGain(equalizer.preamp)}
+          />
+          <span className="equalizer-panel__label">Pre</span>
+        </div>
+
+        {EQ_BANDS.map((frequency, index) => (
+          <div key={frequency} className="equalizer-panel__band">
+            <span className="equalizer-panel__value">{formatGain(equalizer.gains[index])}</span>
+            <input
+              type="range"
+              className="equalizer-panel__slider"
+              min={EQ_GAIN_MIN}
+              max={EQ_GAIN_MAX}
+              step="0.5"
+              value={equalizer.gains[index]}
+              onChange={(e) => handleGainChange(index, parseFloat(e.target.value))}
+              aria-label={`${formatFrequency(frequency)}Hz`}
+              aria-valuetext={formatGain(equalizer.gains[index])}
+            />
+            <span className="equalizer-panel__label">{formatFrequency(frequency)}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="equalizer-panel__footer">
+        <button
+          className="equalizer-panel__button"
+          onClick={() => handlePresetChange('flat')}
+        >
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EqualizerPanel;
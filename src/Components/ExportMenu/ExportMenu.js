@@ -0,0 +1,45 @@
+import React from 'react';
+import { EXPORT_FORMATS, downloadExport } from '../../util/playlistExport';
+import './ExportMenu.css';
+
+/**
+ * List of export formats; picking one downloads the file
+ * @param {Object|Object[]} props.playlists - One playlist, or the whole library
+ * @param {Object[]} props.formats - Formats to offer (from EXPORT_FORMATS)
+ * @param {Function} props.onExport - Called with the format after a download
+ */
+const ExportMenu = ({
+  playlists,
+  formats = Object.values(EXPORT_FORMATS),
+  onExport,
+  title = 'Export as'
+}) => {
+  const handleExport = (format, e) => {
+    e.stopPropagation();
+    try {
+      downloadExport(playlists, format.id);
+      onExport?.(format);
+    } catch (error) {
+      console.error('Playlist export failed:', error);
+    }
+  };
+
+  return (
+    <div className="export-menu" role="menu" aria-label={title}>
+      <span className="export-menu__title">{title}</span>
+      {formats.map(format => (
+        <button
+          key={format.id}
+          className="export-menu__item"
+          role="menuitem"
+          onClick={(e) => handleExport(format, e)}
+        >
+          {format.label}
+          <span className="export-menu__extension">.{format.extension}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -5,6 +5,7 @@ import Header from '../Header/Header';
 import Sidebar from '../Sidebar/Sidebar';
 import SkipLinks from '../SkipLinks/SkipLinks';
 import useKeyboardNavigation from '../../hooks/useKeyboardNavigation';
+import useTheme from '../../hooks/useTheme';
 
 const Layout = ({ children }) => {
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
@@ -18,6 +19,9 @@ const Layout = ({ children }) => {
   // Get current search query from URL if on search page
   const currentQuery = location.pathname === '/search' ? (searchParams.get('q') || '') : '';
 
+  // Apply the light/dark/auto theme to the document
+  useTheme();
+
   // Handle search from header
   const handleSearch = (searchTerm) => {
     // Navigate to search page with the search term
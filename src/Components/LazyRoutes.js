@@ -20,6 +20,14 @@ export const LazyPlaylistView = lazy(() =>
   import('../pages/PlaylistView/PlaylistView').then(module => ({ default: module.default }))
 );
 
+export const LazyArtist = lazy(() => 
+  import('../pages/Artist/Artist').then(module => ({ default: module.default }))
+);
+
+export const LazyAlbum = lazy(() => 
+  import('../pages/Album/Album').then(module => ({ default: module.default }))
+);
+
 // Lazy load heavy components
 export const LazyPlayer = lazy(() => 
   import('./Player/Player').then(module => ({ default: module.default }))
@@ -52,6 +60,12 @@ export const preloadOnHover = (componentName) => {
     case 'playlist':
       import('../pages/PlaylistView/PlaylistView');
       break;
+    case 'artist':
+      import('../pages/Artist/Artist');
+      break;
+    case 'album':
+      import('../pages/Album/Album');
+      break;
     default:
       break;
   }
@@ -62,6 +76,8 @@ const lazyRoutesDefault = {
   LazySearch,
   LazyLibrary,
   LazyPlaylistView,
+  LazyArtist,
+  LazyAlbum,
   LazyPlayer,
   LazySearchResults,
   LazyPlaylistModal,
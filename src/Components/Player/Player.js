@@ -1,10 +1,27 @@
-import React, { useState, useEffect } from 'react';
-import { usePlayer } from '../../contexts/PlayerContext';
-import audioManager from '../../util/AudioManager';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { usePlayer, SLEEP_TIMER_MODES, CONTEXT_TYPES, getContextPath } from '../../contexts/PlayerContext';
+import playbackEngine from '../../util/playbackEngine';
 import useKeyboardNavigation from '../../hooks/useKeyboardNavigation';
+import useMediaSession from '../../hooks/useMediaSession';
 import LiveRegion from '../LiveRegion/LiveRegion';
+import EqualizerPanel from '../EqualizerPanel/EqualizerPanel';
+import SleepTimerMenu from '../SleepTimerMenu/SleepTimerMenu';
+import QueuePanel from '../QueuePanel/QueuePanel';
 import './Player.css';
 
+// Minutes left on a sleep timer at which to announce the time remaining
+const SLEEP_ANNOUNCE_MINUTES = [30, 15, 10, 5, 1];
+
+const formatMinutes = (minutes) => `${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+const CONTEXT_LABELS = {
+  [CONTEXT_TYPES.ALBUM]: 'Playing from album',
+  [CONTEXT_TYPES.PLAYLIST]: 'Playing from playlist',
+  [CONTEXT_TYPES.ARTIST]: 'Playing from artist',
+  [CONTEXT_TYPES.SEARCH]: 'Playing from search'
+};
+
 const Player = () => {
   const {
     currentTrack,
@@ -14,12 +31,23 @@ const Player = () => {
     repeatMode,
     isShuffled,
     isLoading,
+    play,
+    pause,
     togglePlayPause,
     next,
     previous,
+    handleTrackEnd,
     setVolume,
     setRepeatMode,
-    setShuffle
+    setShuffle,
+    sleepTimer,
+    startSleepTimer,
+    cancelSleepTimer,
+    context,
+    playingFromUserQueue,
+    canPlayFullTracks,
+    needsPlaybackConsent,
+    reconnectSpotify
   } = usePlayer();
 
   const [currentTime, setCurrentTime] = useState(0);
@@ -28,6 +56,15 @@ const Player = () => {
   const [previousVolume, setPreviousVolume] = useState(volume);
   const [isBuffering, setIsBuffering] = useState(false);
   const [statusMessage, setStatusMessage] = useState('');
+  const [isEqualizerOpen, setIsEqualizerOpen] = useState(false);
+  const [isSleepMenuOpen, setIsSleepMenuOpen] = useState(false);
+  const [isQueueOpen, setIsQueueOpen] = useState(false);
+  const [sleepRemaining, setSleepRemaining] = useState(null);
+  // Tells a cancelled timer apart from one that ran out
+  const sleepCancelledRef = useRef(false);
+  // Read by the track-change effect without re-running it on play/pause
+  const isPlayingRef = useRef(isPlaying);
+  isPlayingRef.current = isPlaying;
 
   // Keyboard shortcuts for player controls
   const playerShortcuts = {
@@ -42,12 +79,12 @@ const Player = () => {
     'ctrl+up': () => {
       const newVolume = Math.min(1, volume + 0.1);
       setVolume(newVolume);
-      audioManager.setVolume(newVolume);
+      playbackEngine.setVolume(newVolume);
     },
     'ctrl+down': () => {
       const newVolume = Math.max(0, volume - 0.1);
       setVolume(newVolume);
-      audioManager.setVolume(newVolume);
+      playbackEngine.setVolume(newVolume);
     },
     'ctrl+m': () => handleMuteToggle(),
     'ctrl+r': () => handleRepeatToggle(),
@@ -60,6 +97,28 @@ const Player = () => {
     shortcuts: playerShortcuts
   });
 
+  // Seek to an absolute position and keep the display and OS controls in step
+  const seekTo = (time) => {
+    playbackEngine.setCurrentTime(time);
+    const position = playbackEngine.getCurrentTime();
+    setCurrentTime(position);
+    updatePositionState({ currentTime: position, duration: playbackEngine.getDuration() });
+  };
+
+  // Media keys, headset buttons and lock-screen controls
+  const { updatePositionState } = useMediaSession({
+    track: currentTrack,
+    isPlaying,
+    handlers: {
+      play,
+      pause,
+      next,
+      previous,
+      seekTo,
+      getCurrentTime: () => playbackEngine.getCurrentTime()
+    }
+  });
+
   // Format time in MM:SS format
   const formatTime = (time) => {
     if (isNaN(time)) return '0:00';
@@ -76,15 +135,14 @@ const Player = () => {
     const clickX = e.clientX - rect.left;
     const newTime = (clickX / rect.width) * duration;
     
-    audioManager.setCurrentTime(newTime);
-    setCurrentTime(newTime);
+    seekTo(newTime);
   };
 
   // Handle volume change
   const handleVolumeChange = (e) => {
     const newVolume = parseFloat(e.target.value);
     setVolume(newVolume);
-    audioManager.setVolume(newVolume);
+    playbackEngine.setVolume(newVolume);
     
     // Unmute if volume is changed from 0
     if (newVolume > 0 && isMuted) {
@@ -97,19 +155,56 @@ const Player = () => {
     if (isMuted) {
       // Unmute
       setVolume(previousVolume);
-      audioManager.setVolume(previousVolume);
+      playbackEngine.setVolume(previousVolume);
       setIsMuted(false);
       setStatusMessage('Volume unmuted');
     } else {
       // Mute
       setPreviousVolume(volume);
       setVolume(0);
-      audioManager.setVolume(0);
+      playbackEngine.setVolume(0);
       setIsMuted(true);
       setStatusMessage('Volume muted');
     }
   };
 
+  const closeEqualizer = useCallback(() => {
+    setIsEqualizerOpen(false);
+  }, []);
+
+  const closeSleepMenu = useCallback(() => {
+    setIsSleepMenuOpen(false);
+  }, []);
+
+  const closeQueue = useCallback(() => {
+    setIsQueueOpen(false);
+  }, []);
+
+  // Only one of the player's pop-ups is open at a time
+  const togglePopup = (setOpen) => {
+    setIsEqualizerOpen(prev => setOpen === setIsEqualizerOpen && !prev);
+    setIsSleepMenuOpen(prev => setOpen === setIsSleepMenuOpen && !prev);
+    setIsQueueOpen(prev => setOpen === setIsQueueOpen && !prev);
+  };
+
+  // Handle sleep timer selection
+  const handleSleepTimerStart = (mode, minutes) => {
+    startSleepTimer(mode, minutes);
+    setIsSleepMenuOpen(false);
+    if (mode === SLEEP_TIMER_MODES.DURATION) {
+      setStatusMessage(`Sleep timer set for ${formatMinutes(minutes)}`);
+    } else {
+      setStatusMessage(`Playback will stop at the end of the ${mode === SLEEP_TIMER_MODES.END_OF_TRACK ? 'track' : 'queue'}`);
+    }
+  };
+
+  const handleSleepTimerCancel = () => {
+    sleepCancelledRef.current = true;
+    cancelSleepTimer();
+    setIsSleepMenuOpen(false);
+    setStatusMessage('Sleep timer off');
+  };
+
   // Handle repeat mode toggle
   const handleRepeatToggle = () => {
     const modes = ['off', 'all', 'one'];
@@ -127,11 +222,12 @@ const Player = () => {
 
   // Initialize audio manager and set up event listeners
   useEffect(() => {
-    audioManager.init();
+    playbackEngine.init();
 
     const handleTimeUpdate = (data) => {
       setCurrentTime(data.currentTime);
       setDuration(data.duration);
+      updatePositionState(data);
     };
 
     const handleLoadedData = (data) => {
@@ -156,13 +252,14 @@ const Player = () => {
     };
 
     const handleEnded = () => {
-      next();
+      handleTrackEnd();
     };
 
     const handleError = (data) => {
       console.error('Audio playback error:', data.message);
       setIsBuffering(false);
-      setStatusMessage(`Playback error: ${data.message}`);
+      // Full-track errors carry a code and explain themselves
+      setStatusMessage(data.code ? data.message : `Playback error: ${data.message}`);
     };
 
     const handleNoPreview = (data) => {
@@ -173,50 +270,89 @@ const Player = () => {
     };
 
     // Add event listeners
-    audioManager.on('timeupdate', handleTimeUpdate);
-    audioManager.on('loadeddata', handleLoadedData);
-    audioManager.on('loadstart', handleLoadStart);
-    audioManager.on('canplay', handleCanPlay);
-    audioManager.on('waiting', handleWaiting);
-    audioManager.on('canplaythrough', handleCanPlayThrough);
-    audioManager.on('ended', handleEnded);
-    audioManager.on('error', handleError);
-    audioManager.on('nopreview', handleNoPreview);
+    playbackEngine.on('timeupdate', handleTimeUpdate);
+    playbackEngine.on('loadeddata', handleLoadedData);
+    playbackEngine.on('loadstart', handleLoadStart);
+    playbackEngine.on('canplay', handleCanPlay);
+    playbackEngine.on('waiting', handleWaiting);
+    playbackEngine.on('canplaythrough', handleCanPlayThrough);
+    playbackEngine.on('ended', handleEnded);
+    playbackEngine.on('error', handleError);
+    playbackEngine.on('nopreview', handleNoPreview);
 
     return () => {
       // Remove event listeners
-      audioManager.off('timeupdate', handleTimeUpdate);
-      audioManager.off('loadeddata', handleLoadedData);
-      audioManager.off('loadstart', handleLoadStart);
-      audioManager.off('canplay', handleCanPlay);
-      audioManager.off('waiting', handleWaiting);
-      audioManager.off('canplaythrough', handleCanPlayThrough);
-      audioManager.off('ended', handleEnded);
-      audioManager.off('error', handleError);
-      audioManager.off('nopreview', handleNoPreview);
+      playbackEngine.off('timeupdate', handleTimeUpdate);
+      playbackEngine.off('loadeddata', handleLoadedData);
+      playbackEngine.off('loadstart', handleLoadStart);
+      playbackEngine.off('canplay', handleCanPlay);
+      playbackEngine.off('waiting', handleWaiting);
+      playbackEngine.off('canplaythrough', handleCanPlayThrough);
+      playbackEngine.off('ended', handleEnded);
+      playbackEngine.off('error', handleError);
+      playbackEngine.off('nopreview', handleNoPreview);
     };
-  }, [next]);
+  }, [handleTrackEnd, updatePositionState]);
 
   // Handle track changes
   useEffect(() => {
     if (currentTrack) {
-      audioManager.loadTrack(currentTrack);
+      // Keep playing across track changes (e.g. auto-advance at the end of a track)
+      playbackEngine.loadTrack(currentTrack).then(loaded => {
+        if (loaded && isPlayingRef.current) {
+          playbackEngine.play();
+        }
+      });
       setStatusMessage(`Now playing: ${currentTrack.name} by ${currentTrack.artists?.[0]?.name || currentTrack.artist}`);
     }
   }, [currentTrack]);
 
+  // Count down a running sleep timer, announcing a few milestones
+  useEffect(() => {
+    if (sleepTimer?.mode !== SLEEP_TIMER_MODES.DURATION) {
+      setSleepRemaining(null);
+      return;
+    }
+
+    let lastMinutes = null;
+    const tick = () => {
+      const remaining = Math.max(0, sleepTimer.endsAt - Date.now());
+      const minutes = Math.ceil(remaining / 60000);
+      setSleepRemaining(remaining);
+
+      if (lastMinutes !== null && minutes !== lastMinutes && SLEEP_ANNOUNCE_MINUTES.includes(minutes)) {
+        setStatusMessage(`Sleep timer: ${formatMinutes(minutes)} remaining`);
+      }
+      lastMinutes = minutes;
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [sleepTimer]);
+
+  // Announce a timer that ran out rather than one the user turned off
+  const previousSleepTimerRef = useRef(sleepTimer);
+  useEffect(() => {
+    if (previousSleepTimerRef.current && !sleepTimer && !sleepCancelledRef.current) {
+      setStatusMessage('Sleep timer ended, playback paused');
+    }
+    sleepCancelledRef.current = false;
+    previousSleepTimerRef.current = sleepTimer;
+  }, [sleepTimer]);
+
   // Handle play/pause state changes
   useEffect(() => {
     if (isPlaying) {
-      audioManager.play();
+      playbackEngine.play();
     } else {
-      audioManager.pause();
+      playbackEngine.pause();
     }
   }, [isPlaying]);
 
   // Set volume on audio manager
   useEffect(() => {
-    audioManager.setVolume(volume);
+    playbackEngine.setVolume(volume);
   }, [volume]);
 
   if (!currentTrack) {
@@ -238,6 +374,37 @@ const Player = () => {
   const progressPercentage = duration ? (currentTime / duration) * 100 : 0;
   const volumePercentage = isMuted ? 0 : volume * 100;
 
+  let sleepTimerLabel = 'Sleep timer';
+  if (sleepRemaining !== null) {
+    sleepTimerLabel = `Sleep timer: ${formatMinutes(Math.ceil(sleepRemaining / 60000))} remaining`;
+  } else if (sleepTimer?.mode === SLEEP_TIMER_MODES.END_OF_TRACK) {
+    sleepTimerLabel = 'Sleep timer: end of track';
+  } else if (sleepTimer?.mode === SLEEP_TIMER_MODES.END_OF_QUEUE) {
+    sleepTimerLabel = 'Sleep timer: end of queue';
+  }
+
+  // Where the current track came from, linking back when the context has a page
+  const renderContext = () => {
+    if (playingFromUserQueue) {
+      return <div className="player__context">Playing from your queue</div>;
+    }
+    if (!context) return null;
+
+    const label = CONTEXT_LABELS[context.type] || 'Playing from';
+    const path = getContextPath(context);
+
+    return (
+      <div className="player__context" title={`${label}: ${context.name}`}>
+        {label}:{' '}
+        {path ? (
+          <Link to={path} className="player__context-link">{context.name}</Link>
+        ) : (
+          <span className="player__context-name">{context.name}</span>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div 
       id="player-controls"
@@ -276,12 +443,18 @@ const Player = () => {
           <div className="player__track-artist" title={currentTrack.artists?.[0]?.name || currentTrack.artist}>
             {currentTrack.artists?.[0]?.name || currentTrack.artist}
           </div>
-          {!currentTrack.preview_url && (
+          {renderContext()}
+          {!currentTrack.preview_url && !canPlayFullTracks && (
             <div className="player__no-preview-notice">
               <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
                 <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/>
               </svg>
               No preview available
+              {needsPlaybackConsent && (
+                <button className="player__reconnect" onClick={reconnectSpotify}>
+                  Reconnect Spotify for full tracks
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -397,6 +570,45 @@ const Player = () => {
 
       {/* Volume Controls */}
       <div className="player__volume">
+        <button
+          className={`player__volume-btn player__queue-btn ${isQueueOpen ? 'player__queue-btn--active' : ''}`}
+          onClick={() => togglePopup(setIsQueueOpen)}
+          aria-label="Queue"
+          aria-expanded={isQueueOpen}
+          title="Queue"
+        >
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M15 6H3v2h12V6zm0 4H3v2h12v-2zM3 16h8v-2H3v2zM17 6v8.18c-.31-.11-.65-.18-1-.18-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3V8h3V6h-5z"/>
+          </svg>
+        </button>
+
+        <button
+          className={`player__volume-btn player__sleep-btn ${sleepTimer ? 'player__sleep-btn--active' : ''}`}
+          onClick={() => togglePopup(setIsSleepMenuOpen)}
+          aria-label={sleepTimerLabel}
+          aria-expanded={isSleepMenuOpen}
+          title={sleepTimerLabel}
+        >
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M12.34 2.02C6.59 1.82 2 6.42 2 12c0 5.52 4.48 10 10 10 3.71 0 6.93-2.02 8.66-5.02-7.51-.25-12.09-8.43-8.32-14.96z"/>
+          </svg>
+          {sleepRemaining !== null && (
+            <span className="player__sleep-remaining">{formatTime(Math.ceil(sleepRemaining / 1000))}</span>
+          )}
+        </button>
+
+        <button
+          className={`player__volume-btn player__eq-btn ${isEqualizerOpen ? 'player__eq-btn--active' : ''}`}
+          onClick={() => togglePopup(setIsEqualizerOpen)}
+          aria-label="Equalizer"
+          aria-expanded={isEqualizerOpen}
+          title="Equalizer"
+        >
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M10 20h4V4h-4v16zm-6 0h4v-8H4v8zM16 9v11h4V9h-4z"/>
+          </svg>
+        </button>
+
         <button 
           className="player__volume-btn"
           onClick={handleMuteToggle}
@@ -430,6 +642,16 @@ const Player = () => {
         />
       </div>
       
+      <EqualizerPanel isOpen={isEqualizerOpen} onClose={closeEqualizer} />
+      <QueuePanel isOpen={isQueueOpen} onClose={closeQueue} />
+      <SleepTimerMenu
+        isOpen={isSleepMenuOpen}
+        onClose={closeSleepMenu}
+        sleepTimer={sleepTimer}
+        onStart={handleSleepTimerStart}
+        onCancel={handleSleepTimerCancel}
+      />
+
       {/* Live region for status announcements */}
       <LiveRegion message={statusMessage} politeness="polite" />
     </div>
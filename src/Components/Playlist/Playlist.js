@@ -1,10 +1,9 @@
 import React, { useState, useEffect } from "react";
-import { DndProvider, useDrag, useDrop } from 'react-dnd';
-import { HTML5Backend } from 'react-dnd-html5-backend';
+import { useDrag, useDrop } from 'react-dnd';
 import "./Playlist.css";
 import Track from "../Track/Track";
 
-const DraggableTrack = ({ track, index, onRemove, onReorder, isSelected, onSelect, showPlayButton, trackList }) => {
+const DraggableTrack = ({ track, index, onRemove, onReorder, isSelected, onSelect, showPlayButton, trackList, playContext }) => {
   const [{ isDragging }, drag] = useDrag({
     type: 'track',
     item: { index },
@@ -52,6 +51,7 @@ const DraggableTrack = ({ track, index, onRemove, onReorder, isSelected, onSelec
           onRemove={() => onRemove(track, index)}
           showPlayButton={showPlayButton}
           trackList={trackList}
+          playContext={playContext}
         />
       </div>
     </div>
@@ -69,7 +69,8 @@ const PlayList = ({
   onReorder,
   showMetadata = true,
   showBulkActions = true,
-  showPlayButton = true
+  showPlayButton = true,
+  playContext = null
 }) => {
   const [selectedTracks, setSelectedTracks] = useState(new Set());
   const [tracks, setTracks] = useState(playlistTracks);
@@ -174,100 +175,99 @@ const PlayList = ({
   };
 
   return (
-    <DndProvider backend={HTML5Backend}>
-      <div className="Playlist">
-        <div className="playlist__header">
-          <div className="playlist__title-section">
-            <input 
-              className="playlist__name-input"
-              onChange={handleNameChange}
-              defaultValue={playlistName}
-              placeholder="Playlist name"
+    <div className="Playlist">
+      <div className="playlist__header">
+        <div className="playlist__title-section">
+          <input 
+            className="playlist__name-input"
+            onChange={handleNameChange}
+            defaultValue={playlistName}
+            placeholder="Playlist name"
+          />
+          {onDescriptionChange && (
+            <textarea
+              className="playlist__description-input"
+              onChange={handleDescriptionChange}
+              defaultValue={playlistDescription}
+              placeholder="Add a description"
+              rows="2"
             />
-            {onDescriptionChange && (
-              <textarea
-                className="playlist__description-input"
-                onChange={handleDescriptionChange}
-                defaultValue={playlistDescription}
-                placeholder="Add a description"
-                rows="2"
-              />
+          )}
+        </div>
+
+        {showMetadata && (
+          <div className="playlist__metadata">
+            <span className="playlist__track-count">
+              {tracks.length} {tracks.length === 1 ? 'song' : 'songs'}
+            </span>
+            {tracks.length > 0 && (
+              <>
+                <span className="playlist__separator">•</span>
+                <span className="playlist__duration">{calculateDuration()}</span>
+              </>
             )}
           </div>
+        )}
 
-          {showMetadata && (
-            <div className="playlist__metadata">
-              <span className="playlist__track-count">
-                {tracks.length} {tracks.length === 1 ? 'song' : 'songs'}
-              </span>
-              {tracks.length > 0 && (
-                <>
-                  <span className="playlist__separator">•</span>
-                  <span className="playlist__duration">{calculateDuration()}</span>
-                </>
-              )}
-            </div>
-          )}
-
-          {showBulkActions && tracks.length > 0 && (
-            <div className="playlist__bulk-actions">
+        {showBulkActions && tracks.length > 0 && (
+          <div className="playlist__bulk-actions">
+            <button 
+              className="playlist__bulk-select"
+              onClick={handleSelectAll}
+            >
+              {selectedTracks.size === tracks.length ? 'Deselect All' : 'Select All'}
+            </button>
+            {selectedTracks.size > 0 && (
               <button 
-                className="playlist__bulk-select"
-                onClick={handleSelectAll}
+                className="playlist__bulk-remove"
+                onClick={handleBulkRemove}
               >
-                {selectedTracks.size === tracks.length ? 'Deselect All' : 'Select All'}
+                Remove Selected ({selectedTracks.size})
               </button>
-              {selectedTracks.size > 0 && (
-                <button 
-                  className="playlist__bulk-remove"
-                  onClick={handleBulkRemove}
-                >
-                  Remove Selected ({selectedTracks.size})
-                </button>
-              )}
-            </div>
-          )}
-        </div>
+            )}
+          </div>
+        )}
+      </div>
 
-        <div className="playlist__content">
-          {tracks.length === 0 ? (
-            <div className="playlist__empty">
-              <div className="playlist__empty-icon">
-                <svg width="64" height="64" viewBox="0 0 24 24" fill="currentColor">
-                  <path d="M15 6H3v2h12V6zm0 4H3v2h12v-2zM3 16h8v-2H3v2zM17 6v8.18c-.31-.11-.65-.18-1-.18-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3V8h3V6h-5z"/>
-                </svg>
-              </div>
-              <h3>No songs in this playlist</h3>
-              <p>Search for songs and add them to this playlist</p>
-            </div>
-          ) : (
-            <div className="playlist__track-list">
-              {tracks.map((track, index) => (
-                <DraggableTrack
-                  key={`${track.id}-${index}`}
-                  track={track}
-                  index={index}
-                  onRemove={onRemove}
-                  onReorder={handleReorder}
-                  isSelected={selectedTracks.has(index)}
-                  onSelect={handleTrackSelect}
-                  showPlayButton={showPlayButton}
-                  trackList={tracks}
-                />
-              ))}
+      <div className="playlist__content">
+        {tracks.length === 0 ? (
+          <div className="playlist__empty">
+            <div className="playlist__empty-icon">
+              <svg width="64" height="64" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M15 6H3v2h12V6zm0 4H3v2h12v-2zM3 16h8v-2H3v2zM17 6v8.18c-.31-.11-.65-.18-1-.18-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3V8h3V6h-5z"/>
+              </svg>
             </div>
-          )}
-        </div>
-
-        {onSave && (
-          <div className="playlist__actions">
-            <button className="Playlist-save" onClick={onSave}> 
-              Save to Spotify
-            </button>
+            <h3>No songs in this playlist</h3>
+            <p>Search for songs and add them to this playlist</p>
+          </div>
+        ) : (
+          <div className="playlist__track-list">
+            {tracks.map((track, index) => (
+              <DraggableTrack
+                key={`${track.id}-${index}`}
+                track={track}
+                index={index}
+                onRemove={onRemove}
+                onReorder={handleReorder}
+                isSelected={selectedTracks.has(index)}
+                onSelect={handleTrackSelect}
+                showPlayButton={showPlayButton}
+                trackList={tracks}
+                playContext={playContext}
+              />
+            ))}
           </div>
         )}
       </div>
-    </DndProvider>
+
+      {onSave && (
+        <div className="playlist__actions">
+          <button className="Playlist-save" onClick={onSave}> 
+            Save to Spotify
+          </button>
+        </div>
+      )}
+    </div>
   );
 };
 
@@ -1,17 +1,23 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { usePlaylist } from '../../contexts/PlaylistContext';
+import ExportMenu from '../ExportMenu/ExportMenu';
 import './PlaylistCard.css';
 
 const PlaylistCard = ({ 
   playlist, 
   onClick, 
   showActions = true,
-  size = 'medium' // 'small', 'medium', 'large'
+  size = 'medium', // 'small', 'medium', 'large'
+  source = 'local', // 'local', or 'spotify' for a playlist not in the library yet
+  onImport, // Spotify playlists: copy into the library
+  importLabel = 'Import to library'
 }) => {
+  const isSpotify = source === 'spotify';
   const navigate = useNavigate();
   const { deletePlaylist, duplicatePlaylist } = usePlaylist();
   const [showMenu, setShowMenu] = useState(false);
+  const [showExport, setShowExport] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
 
   const handleCardClick = (e) => {
@@ -26,10 +32,17 @@ const PlaylistCard = ({
   const handleMenuToggle = (e) => {
     e.stopPropagation();
     setShowMenu(!showMenu);
+    setShowExport(false);
   };
 
   const handleMenuAction = (action, e) => {
     e.stopPropagation();
+
+    // Export swaps the menu for the list of formats
+    if (action === 'export') {
+      setShowExport(true);
+      return;
+    }
     setShowMenu(false);
     
     switch (action) {
@@ -49,6 +62,9 @@ const PlaylistCard = ({
           setIsLoading(false);
         }
         break;
+      case 'import':
+        onImport?.(playlist);
+        break;
       case 'share':
         // TODO: Implement sharing functionality
         console.log('Share playlist:', playlist.id);
@@ -59,6 +75,12 @@ const PlaylistCard = ({
   };
 
   const generatePlaylistArtwork = () => {
+    if (playlist.image) {
+      return (
+        <img className="playlist-card__artwork-image" src={playlist.image} alt="" loading="lazy" />
+      );
+    }
+
     // Generate a mosaic from track covers or use default
     const trackCovers = playlist.tracks
       ?.slice(0, 4)
@@ -153,7 +175,30 @@ const PlaylistCard = ({
                 </svg>
               </button>
               
-              {showMenu && (
+              {showMenu && isSpotify && (
+                <div className="playlist-card__menu-dropdown">
+                  <button onClick={(e) => handleMenuAction('import', e)}>
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                      <path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/>
+                    </svg>
+                    {importLabel}
+                  </button>
+                </div>
+              )}
+
+              {showMenu && !isSpotify && showExport && (
+                <div className="playlist-card__menu-dropdown">
+                  <ExportMenu
+                    playlists={playlist}
+                    onExport={() => {
+                      setShowMenu(false);
+                      setShowExport(false);
+                    }}
+                  />
+                </div>
+              )}
+
+              {showMenu && !isSpotify && !showExport && (
                 <div className="playlist-card__menu-dropdown">
                   <button onClick={(e) => handleMenuAction('edit', e)}>
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
@@ -167,6 +212,12 @@ const PlaylistCard = ({
                     </svg>
                     Duplicate
                   </button>
+                  <button onClick={(e) => handleMenuAction('export', e)}>
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                      <path d="M19 12v7H5v-7H3v7c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2v-7h-2zm-6 .67l2.59-2.58L17 11.5l-5 5-5-5 1.41-1.41L11 12.67V3h2v9.67z"/>
+                    </svg>
+                    Export
+                  </button>
                   <button onClick={(e) => handleMenuAction('share', e)}>
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
                       <path d="M18 16.08c-.76 0-1.44.3-1.96.77L8.91 12.7c.05-.23.09-.46.09-.7s-.04-.47-.09-.7l7.05-4.11c.54.5 1.25.81 2.04.81 1.66 0 3-1.34 3-3s-1.34-3-3-3-3 1.34-3 3c0 .24.04.47.09.7L8.04 9.81C7.5 9.31 6.79 9 6 9c-1.66 0-3 1.34-3 3s1.34 3 3 3c.79 0 1.5-.31 2.04-.81l7.12 4.16c-.05.21-.08.43-.08.65 0 1.61 1.31 2.92 2.92 2.92s2.92-1.31 2.92-2.92-1.31-2.92-2.92-2.92z"/>
@@ -242,6 +293,7 @@ const PlaylistCard = ({
           onClick={(e) => {
             e.stopPropagation();
             setShowMenu(false);
+            setShowExport(false);
           }}
         />
       )}
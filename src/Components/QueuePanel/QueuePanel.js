@@ -0,0 +1,247 @@
+import React, { useEffect } from 'react';
+import { useDrag, useDrop } from 'react-dnd';
+import { usePlayer } from '../../contexts/PlayerContext';
+import './QueuePanel.css';
+
+// Drag types; tracks only move within their own section
+const USER_QUEUE_ITEM = 'user-queue-item';
+const CONTEXT_ITEM = 'context-item';
+
+const getArtist = (track) => track.artists?.[0]?.name || track.artist;
+
+const getArtwork = (track) => (
+  track.artwork?.small || track.album?.images?.[2]?.url || track.album?.images?.[0]?.url || ''
+);
+
+const QueueItem = ({ track, index, type, isCurrent, canMoveUp, canMoveDown, onPlay, onMoveToTop, onRemove, onMove }) => {
+  const [{ isDragging }, drag] = useDrag({
+    type: type || CONTEXT_ITEM,
+    item: { index },
+    canDrag: !isCurrent,
+    collect: (monitor) => ({
+      isDragging: monitor.isDragging(),
+    }),
+  });
+
+  const [{ isOver }, drop] = useDrop({
+    accept: type || CONTEXT_ITEM,
+    canDrop: () => !isCurrent,
+    drop: (draggedItem) => onMove(draggedItem.index, index),
+    collect: (monitor) => ({
+      isOver: monitor.isOver() && monitor.canDrop(),
+    }),
+  });
+
+  // Alt+Arrow moves the focused track without a mouse
+  const handleKeyDown = (event) => {
+    if (!event.altKey || isCurrent) return;
+    if (event.key === 'ArrowUp' && canMoveUp) {
+      event.preventDefault();
+      onMove(index, index - 1);
+    } else if (event.key === 'ArrowDown' && canMoveDown) {
+      event.preventDefault();
+      onMove(index, index + 1);
+    }
+  };
+
+  const artwork = getArtwork(track);
+
+  return (
+    <li
+      ref={(node) => drag(drop(node))}
+      className={`queue-panel__item ${isCurrent ? 'queue-panel__item--current' : ''} ${isDragging ? 'queue-panel__item--dragging' : ''} ${isOver ? 'queue-panel__item--over' : ''}`}
+      onKeyDown={handleKeyDown}
+    >
+      {artwork ? (
+        <img className="queue-panel__artwork" src={artwork} alt="" />
+      ) : (
+        <div className="queue-panel__artwork queue-panel__artwork--placeholder" aria-hidden="true" />
+      )}
+
+      <div className="queue-panel__info">
+        <span className="queue-panel__name">{track.name}</span>
+        <span className="queue-panel__artist">{getArtist(track)}</span>
+      </div>
+
+      {!isCurrent && (
+        <div className="queue-panel__actions">
+          <button
+            className="queue-panel__action"
+            onClick={() => onPlay(index)}
+            aria-label={`Play ${track.name}`}
+            title="Play"
+          >
+            <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+              <path d="M8 5v14l11-7z"/>
+            </svg>
+          </button>
+          {canMoveUp && (
+            <button
+              className="queue-panel__action"
+              onClick={() => onMoveToTop(index)}
+              aria-label={`Move ${track.name} to the top`}
+              title="Move to top"
+            >
+              <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                <path d="M7.41 15.41L12 10.83l4.59 4.58L18 14l-6-6-6 6z"/>
+              </svg>
+            </button>
+          )}
+          <button
+            className="queue-panel__action queue-panel__action--remove"
+            onClick={() => onRemove(index)}
+            aria-label={`Remove ${track.name} from queue`}
+            title="Remove from queue"
+          >
+            <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+            </svg>
+          </button>
+        </div>
+      )}
+    </li>
+  );
+};
+
+const QueuePanel = ({ isOpen, onClose }) => {
+  const {
+    queue,
+    currentIndex,
+    currentTrack,
+    userQueue,
+    context,
+    setCurrentIndex,
+    play,
+    playFromUserQueue,
+    moveInUserQueue,
+    removeFromUserQueue,
+    clearUserQueue,
+    removeFromQueue,
+    moveInQueue
+  } = usePlayer();
+
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const contextUpcoming = queue
+    .map((track, index) => ({ track, index }))
+    .slice(currentIndex + 1);
+
+  const handlePlayFromContext = (index) => {
+    setCurrentIndex(index);
+    play();
+  };
+
+  // The context's current track stays put; the rest move among the upcoming tracks
+  const handleMoveInContext = (from, to) => {
+    moveInQueue(from, Math.max(currentIndex + 1, to));
+  };
+
+  return (
+    <aside
+      className="queue-panel"
+      role="dialog"
+      aria-label="Queue"
+    >
+      <div className="queue-panel__header">
+        <h2 className="queue-panel__title">Queue</h2>
+        <button
+          className="queue-panel__close"
+          onClick={onClose}
+          aria-label="Close queue"
+        >
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+          </svg>
+        </button>
+      </div>
+
+      <div className="queue-panel__content">
+        {currentTrack && (
+          <section className="queue-panel__section">
+            <h3 className="queue-panel__section-title">Now playing</h3>
+            <ol className="queue-panel__list">
+              <QueueItem
+                track={currentTrack}
+                index={-1}
+                isCurrent
+              />
+            </ol>
+          </section>
+        )}
+
+        {userQueue.length > 0 && (
+          <section className="queue-panel__section">
+            <div className="queue-panel__section-header">
+              <h3 className="queue-panel__section-title">Next in queue</h3>
+              <button className="queue-panel__clear" onClick={clearUserQueue}>
+                Clear queue
+              </button>
+            </div>
+            <ol className="queue-panel__list">
+              {userQueue.map((track, index) => (
+                <QueueItem
+                  key={`${track.id}-${index}`}
+                  track={track}
+                  index={index}
+                  type={USER_QUEUE_ITEM}
+                  canMoveUp={index > 0}
+                  canMoveDown={index < userQueue.length - 1}
+                  onPlay={playFromUserQueue}
+                  onMoveToTop={(from) => moveInUserQueue(from, 0)}
+                  onRemove={removeFromUserQueue}
+                  onMove={moveInUserQueue}
+                />
+              ))}
+            </ol>
+          </section>
+        )}
+
+        {contextUpcoming.length > 0 && (
+          <section className="queue-panel__section">
+            <h3 className="queue-panel__section-title">
+              {context ? `Next from: ${context.name}` : 'Next up'}
+            </h3>
+            <ol className="queue-panel__list">
+              {contextUpcoming.map(({ track, index }) => (
+                <QueueItem
+                  key={`${track.id}-${index}`}
+                  track={track}
+                  index={index}
+                  type={CONTEXT_ITEM}
+                  canMoveUp={index > currentIndex + 1}
+                  canMoveDown={index < queue.length - 1}
+                  onPlay={handlePlayFromContext}
+                  onMoveToTop={(from) => moveInQueue(from, currentIndex + 1)}
+                  onRemove={removeFromQueue}
+                  onMove={handleMoveInContext}
+                />
+              ))}
+            </ol>
+          </section>
+        )}
+
+        {userQueue.length === 0 && contextUpcoming.length === 0 && (
+          <p className="queue-panel__empty">
+            Nothing queued. Use "Play next" or "Add to queue" on any track.
+          </p>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default QueuePanel;
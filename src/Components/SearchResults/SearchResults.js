@@ -1,25 +1,48 @@
 import React, { useState, useMemo } from "react";
+import { Link } from "react-router-dom";
 import "./SearchResults.css";
 import TrackList from "../TrackList/TrackList";
 import { useSearch, SEARCH_FILTERS, SORT_OPTIONS } from "../../contexts/SearchContext";
+import { CONTEXT_TYPES } from "../../contexts/PlayerContext";
 
-const SearchResults = ({ searchResults, onAdd, onPlay }) => {
-  const { filter, sort, setFilter, setSort } = useSearch();
+// Compact follower counts, e.g. 1.2M
+const followerFormatter = new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 });
+const formatFollowers = (count) => followerFormatter.format(count);
+
+const SearchResults = ({ 
+  searchResults, 
+  onAdd, 
+  onPlay,
+  totalTracks,
+  hasMore = false,
+  isLoadingMore = false,
+  loadMoreError = null,
+  onLoadMore
+}) => {
+  const { query, filter, sort, setFilter, setSort } = useSearch();
+
+  // Tracks played from here keep the search they came from
+  const playContext = query
+    ? { type: CONTEXT_TYPES.SEARCH, id: query, name: `"${query}"` }
+    : null;
   const [showFilters, setShowFilters] = useState(false);
 
   // Process and categorize results
   const categorizedResults = useMemo(() => {
-    if (!searchResults || !Array.isArray(searchResults)) {
+    if (!searchResults) {
       return { tracks: [], artists: [], albums: [] };
     }
 
-    // For now, treat all results as tracks since the current API returns tracks
-    // In a real implementation, you'd have separate endpoints for different types
-    const tracks = searchResults;
-    const artists = []; // Would be populated from a separate API call
-    const albums = []; // Would be populated from a separate API call
+    // A plain array is a track list (legacy playlist manager)
+    if (Array.isArray(searchResults)) {
+      return { tracks: searchResults, artists: [], albums: [] };
+    }
 
-    return { tracks, artists, albums };
+    return {
+      tracks: searchResults.tracks || [],
+      artists: searchResults.artists || [],
+      albums: searchResults.albums || []
+    };
   }, [searchResults]);
 
   // Filter and sort results based on current settings
@@ -47,7 +70,8 @@ const SearchResults = ({ searchResults, onAdd, onPlay }) => {
         results = [...results].sort((a, b) => a.name.localeCompare(b.name));
         break;
       case SORT_OPTIONS.ARTIST:
-        results = [...results].sort((a, b) => a.artist.localeCompare(b.artist));
+        // Artist results have no `artist` field; they sort by their own name
+        results = [...results].sort((a, b) => (a.artist || a.name).localeCompare(b.artist || b.name));
         break;
       case SORT_OPTIONS.POPULARITY:
         results = [...results].sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
@@ -95,6 +119,71 @@ const SearchResults = ({ searchResults, onAdd, onPlay }) => {
 
   const totalResults = resultCounts.all;
 
+  const renderArtistCard = (artist, iconSize) => (
+    <Link key={artist.id} to={`/artist/${artist.id}`} className="search-results__artist-card">
+      <div className="search-results__artist-image">
+        {artist.image ? (
+          <img src={artist.image} alt={artist.name} loading="lazy" />
+        ) : (
+          <div className="search-results__artist-placeholder">
+            <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="currentColor">
+              <path d="M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z"/>
+            </svg>
+          </div>
+        )}
+      </div>
+      <h4 className="search-results__artist-name">{artist.name}</h4>
+      <p className="search-results__artist-type">
+        {artist.followers !== null && artist.followers !== undefined
+          ? `${formatFollowers(artist.followers)} followers`
+          : 'Artist'}
+      </p>
+    </Link>
+  );
+
+  const renderAlbumCard = (album, iconSize) => (
+    <Link key={album.id} to={`/album/${album.id}`} className="search-results__album-card">
+      <div className="search-results__album-image">
+        {album.image ? (
+          <img src={album.image} alt={album.name} loading="lazy" />
+        ) : (
+          <div className="search-results__album-placeholder">
+            <svg width={iconSize} height={iconSize} viewBox="0 0 24 24" fill="currentColor">
+              <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 14.5v-9l6 4.5-6 4.5z"/>
+            </svg>
+          </div>
+        )}
+      </div>
+      <h4 className="search-results__album-name">{album.name}</h4>
+      <p className="search-results__album-artist">
+        {album.release_year ? `${album.release_year} • ${album.artist}` : album.artist}
+      </p>
+    </Link>
+  );
+
+  const canLoadMore = hasMore && !!onLoadMore;
+
+  // Status row shown after the last loaded track
+  const renderLoadMoreFooter = () => {
+    if (isLoadingMore) {
+      return (
+        <div className="search-results__load-more search-results__load-more--loading" role="status">
+          Loading more songs...
+        </div>
+      );
+    }
+
+    if (canLoadMore) {
+      return (
+        <button className="search-results__load-more" onClick={onLoadMore}>
+          {loadMoreError ? `${loadMoreError} Try again` : 'Load more'}
+        </button>
+      );
+    }
+
+    return null;
+  };
+
   if (totalResults === 0) {
     return (
       <section className="search-results" aria-label="Search results">
@@ -206,16 +295,17 @@ const SearchResults = ({ searchResults, onAdd, onPlay }) => {
                 <h3 className="search-results__section-title">Songs</h3>
                 <TrackList 
                   tracks={categorizedResults.tracks.slice(0, 5)} 
+                  playContext={playContext}
                   onAdd={onAdd}
                   onPlay={onPlay}
                   showIndex={true}
                 />
-                {categorizedResults.tracks.length > 5 && (
+                {(categorizedResults.tracks.length > 5 || canLoadMore) && (
                   <button 
                     className="search-results__show-more"
                     onClick={() => setFilter(SEARCH_FILTERS.TRACKS)}
                   >
-                    Show all {categorizedResults.tracks.length} songs
+                    Show all {Math.max(totalTracks || 0, categorizedResults.tracks.length)} songs
                   </button>
                 )}
               </div>
@@ -225,23 +315,7 @@ const SearchResults = ({ searchResults, onAdd, onPlay }) => {
               <div className="search-results__section">
                 <h3 className="search-results__section-title">Artists</h3>
                 <div className="search-results__artists">
-                  {categorizedResults.artists.slice(0, 6).map(artist => (
-                    <div key={artist.id} className="search-results__artist-card">
-                      <div className="search-results__artist-image">
-                        {artist.image ? (
-                          <img src={artist.image} alt={artist.name} />
-                        ) : (
-                          <div className="search-results__artist-placeholder">
-                            <svg width="32" height="32" viewBox="0 0 24 24" fill="currentColor">
-                              <path d="M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z"/>
-                            </svg>
-                          </div>
-                        )}
-                      </div>
-                      <h4 className="search-results__artist-name">{artist.name}</h4>
-                      <p className="search-results__artist-type">Artist</p>
-                    </div>
-                  ))}
+                  {categorizedResults.artists.slice(0, 6).map(artist => renderArtistCard(artist, 32))}
                 </div>
                 {categorizedResults.artists.length > 6 && (
                   <button 
@@ -258,23 +332,7 @@ const SearchResults = ({ searchResults, onAdd, onPlay }) => {
               <div className="search-results__section">
                 <h3 className="search-results__section-title">Albums</h3>
                 <div className="search-results__albums">
-                  {categorizedResults.albums.slice(0, 6).map(album => (
-                    <div key={album.id} className="search-results__album-card">
-                      <div className="search-results__album-image">
-                        {album.image ? (
-                          <img src={album.image} alt={album.name} />
-                        ) : (
-                          <div className="search-results__album-placeholder">
-                            <svg width="32" height="32" viewBox="0 0 24 24" fill="currentColor">
-                              <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 14.5v-9l6 4.5-6 4.5z"/>
-                            </svg>
-                          </div>
-                        )}
-                      </div>
-                      <h4 className="search-results__album-name">{album.name}</h4>
-                      <p className="search-results__album-artist">{album.artist}</p>
-                    </div>
-                  ))}
+                  {categorizedResults.albums.slice(0, 6).map(album => renderAlbumCard(album, 32))}
                 </div>
                 {categorizedResults.albums.length > 6 && (
                   <button 
@@ -291,55 +349,29 @@ const SearchResults = ({ searchResults, onAdd, onPlay }) => {
           // Show filtered results
           <div className="search-results__filtered">
             {filter === SEARCH_FILTERS.TRACKS && (
+              // Virtualized so long paged result sets stay smooth
               <TrackList 
                 tracks={filteredResults} 
+                playContext={playContext}
                 onAdd={onAdd}
                 onPlay={onPlay}
                 showIndex={true}
+                virtualized={true}
+                containerHeight={600}
+                onEndReached={canLoadMore && !loadMoreError ? onLoadMore : undefined}
+                footer={renderLoadMoreFooter()}
               />
             )}
 
             {filter === SEARCH_FILTERS.ARTISTS && (
               <div className="search-results__artists search-results__artists--full">
-                {filteredResults.map(artist => (
-                  <div key={artist.id} className="search-results__artist-card">
-                    <div className="search-results__artist-image">
-                      {artist.image ? (
-                        <img src={artist.image} alt={artist.name} />
-                      ) : (
-                        <div className="search-results__artist-placeholder">
-                          <svg width="48" height="48" viewBox="0 0 24 24" fill="currentColor">
-                            <path d="M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z"/>
-                          </svg>
-                        </div>
-                      )}
-                    </div>
-                    <h4 className="search-results__artist-name">{artist.name}</h4>
-                    <p className="search-results__artist-type">Artist</p>
-                  </div>
-                ))}
+                {filteredResults.map(artist => renderArtistCard(artist, 48))}
               </div>
             )}
 
             {filter === SEARCH_FILTERS.ALBUMS && (
               <div className="search-results__albums search-results__albums--full">
-                {filteredResults.map(album => (
-                  <div key={album.id} className="search-results__album-card">
-                    <div className="search-results__album-image">
-                      {album.image ? (
-                        <img src={album.image} alt={album.name} />
-                      ) : (
-                        <div className="search-results__album-placeholder">
-                          <svg width="48" height="48" viewBox="0 0 24 24" fill="currentColor">
-                            <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 14.5v-9l6 4.5-6 4.5z"/>
-                          </svg>
-                        </div>
-                      )}
-                    </div>
-                    <h4 className="search-results__album-name">{album.name}</h4>
-                    <p className="search-results__album-artist">{album.artist}</p>
-                  </div>
-                ))}
+                {filteredResults.map(album => renderAlbumCard(album, 48))}
               </div>
             )}
 
@@ -1,16 +1,31 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import Spotify from '../../util/spotify';
+import { AUTO_MARKET, MARKETS } from '../../util/marketUtils';
+import { NORMALIZATION_MODES } from '../../util/loudness';
+import {
+  useSettings,
+  CROSSFADE_DURATION_MIN,
+  CROSSFADE_DURATION_MAX
+} from '../../contexts/SettingsContext';
 import './SettingsModal.css';
 
 const SettingsModal = ({ isOpen, onClose }) => {
-  const [settings, setSettings] = useState({
-    theme: 'dark',
-    autoplay: true,
-    notifications: true,
-    highQuality: false,
-    crossfade: false,
-    volume: 70,
-    language: 'en'
-  });
+  const { settings: savedSettings, updateSettings } = useSettings();
+  // Edits stay local until saved
+  const [settings, setSettings] = useState(savedSettings);
+  // Saved settings as they were when the modal opened
+  const openedWithRef = useRef(savedSettings);
+  const wasOpenRef = useRef(false);
+
+  // Start each visit from the saved settings. Only on opening: settings
+  // saved elsewhere meanwhile (volume, say) mustn't wipe unsaved edits.
+  useEffect(() => {
+    if (isOpen && !wasOpenRef.current) {
+      openedWithRef.current = savedSettings;
+      setSettings(savedSettings);
+    }
+    wasOpenRef.current = isOpen;
+  }, [isOpen, savedSettings]);
 
   if (!isOpen) return null;
 
@@ -27,9 +42,12 @@ const SettingsModal = ({ isOpen, onClose }) => {
     }));
   };
 
+  // Save only what was edited here, so changes made elsewhere while open are kept
   const handleSave = () => {
-    // Save settings to localStorage or API
-    localStorage.setItem('musicPlatformSettings', JSON.stringify(settings));
+    const edited = Object.fromEntries(
+      Object.entries(settings).filter(([key, value]) => value !== openedWithRef.current[key])
+    );
+    updateSettings(edited);
     onClose();
   };
 
@@ -63,7 +81,7 @@ const SettingsModal = ({ isOpen, onClose }) => {
                 >
                   <option value="dark">Dark</option>
                   <option value="light">Light</option>
-                  <option value="auto">Auto</option>
+                  <option value="auto">Auto (match system)</option>
                 </select>
               </label>
             </div>
@@ -108,6 +126,38 @@ const SettingsModal = ({ isOpen, onClose }) => {
               </label>
             </div>
 
+            {settings.crossfade && (
+              <div className="settings-modal__setting">
+                <label className="settings-modal__label">
+                  <span className="settings-modal__label-text">Crossfade Duration</span>
+                  <input 
+                    type="range"
+                    className="settings-modal__range"
+                    min={CROSSFADE_DURATION_MIN}
+                    max={CROSSFADE_DURATION_MAX}
+                    value={settings.crossfadeDuration}
+                    onChange={(e) => handleSettingChange('crossfadeDuration', parseInt(e.target.value))}
+                  />
+                  <span className="settings-modal__range-value">{settings.crossfadeDuration}s</span>
+                </label>
+              </div>
+            )}
+
+            <div className="settings-modal__setting">
+              <label className="settings-modal__label">
+                <span className="settings-modal__label-text">Volume Normalization</span>
+                <select 
+                  className="settings-modal__select"
+                  value={settings.normalization}
+                  onChange={(e) => handleSettingChange('normalization', e.target.value)}
+                >
+                  <option value={NORMALIZATION_MODES.TRACK}>Per track</option>
+                  <option value={NORMALIZATION_MODES.ALBUM}>Per album</option>
+                  <option value={NORMALIZATION_MODES.OFF}>Off</option>
+                </select>
+              </label>
+            </div>
+
             <div className="settings-modal__setting">
               <label className="settings-modal__label">
                 <span className="settings-modal__label-text">Volume</span>
@@ -140,6 +190,26 @@ const SettingsModal = ({ isOpen, onClose }) => {
             </div>
           </div>
 
+          <div className="settings-modal__section">
+            <h3 className="settings-modal__section-title">Region</h3>
+            
+            <div className="settings-modal__setting">
+              <label className="settings-modal__label">
+                <span className="settings-modal__label-text">Market</span>
+                <select 
+                  className="settings-modal__select"
+                  value={settings.market}
+                  onChange={(e) => handleSettingChange('market', e.target.value)}
+                >
+                  <option value={AUTO_MARKET}>Automatic ({Spotify.getMarket()})</option>
+                  {MARKETS.map(market => (
+                    <option key={market.code} value={market.code}>{market.name}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
+
           <div className="settings-modal__section">
             <h3 className="settings-modal__section-title">Language</h3>
             
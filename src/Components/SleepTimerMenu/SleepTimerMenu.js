@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { SLEEP_TIMER_MODES } from '../../contexts/PlayerContext';
+import './SleepTimerMenu.css';
+
+// Preset lengths in minutes
+const SLEEP_TIMER_PRESETS = [5, 15, 30, 45, 60, 90];
+
+const CUSTOM_MINUTES_MAX = 720;
+
+const formatPreset = (minutes) => (
+  minutes < 60 ? `${minutes} min` : `${minutes / 60} hr`
+);
+
+const SleepTimerMenu = ({ isOpen, onClose, sleepTimer, onStart, onCancel }) => {
+  const [customMinutes, setCustomMinutes] = useState('');
+
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setCustomMinutes('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const minutes = Number(customMinutes);
+  const isCustomValid = Number.isInteger(minutes) && minutes >= 1 && minutes <= CUSTOM_MINUTES_MAX;
+
+  const handleCustomSubmit = (e) => {
+    e.preventDefault();
+    if (isCustomValid) {
+      onStart(SLEEP_TIMER_MODES.DURATION, minutes);
+    }
+  };
+
+  const renderModeButton = (mode, label) => {
+    const isActive = sleepTimer?.mode === mode;
+    return (
+      <button
+        className={`sleep-timer-menu__option sleep-timer-menu__option--wide ${isActive ? 'sleep-timer-menu__option--active' : ''}`}
+        onClick={() => onStart(mode)}
+        aria-pressed={isActive}
+      >
+        {label}
+      </button>
+    );
+  };
+
+  return (
+    <div
+      className="sleep-timer-menu"
+      role="dialog"
+      aria-label="Sleep timer"
+    >
+      <div className="sleep-timer-menu__header">
+        <h2 className="sleep-timer-menu__title">Sleep timer</h2>
+        <button
+          className="sleep-timer-menu__close"
+          onClick={onClose}
+          aria-label="Close sleep timer"
+        >
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+          </svg>
+        </button>
+      </div>
+
+      <div className="sleep-timer-menu__presets">
+        {SLEEP_TIMER_PRESETS.map(preset => (
+          <button
+            key={preset}
+            className="sleep-timer-menu__option"
+            onClick={() => onStart(SLEEP_TIMER_MODES.DURATION, preset)}
+          >
+            {formatPreset(preset)}
+          </button>
+        ))}
+      </div>
+
+      <form className="sleep-timer-menu__custom" onSubmit={handleCustomSubmit}>
+        <input
+          type="number"
+          className="sleep-timer-menu__input"
+          min="1"
+          max={CUSTOM_MINUTES_MAX}
+          step="1"
+          value={customMinutes}
+          onChange={(e) => setCustomMinutes(e.target.value)}
+          placeholder="Custom minutes"
+          aria-label="Custom length in minutes"
+        />
+        <button
+          type="submit"
+          className="sleep-timer-menu__option"
+          disabled={!isCustomValid}
+        >
+          Start
+        </button>
+      </form>
+
+      {renderModeButton(SLEEP_TIMER_MODES.END_OF_TRACK, 'End of track')}
+      {renderModeButton(SLEEP_TIMER_MODES.END_OF_QUEUE, 'End of queue')}
+
+      {sleepTimer && (
+        <button
+          className="sleep-timer-menu__option sleep-timer-menu__option--wide sleep-timer-menu__option--cancel"
+          onClick={onCancel}
+        >
+          Turn off timer
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SleepTimerMenu;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect } from 'react';
+import Spotify from '../../util/spotify';
+import { CONFLICT_RESOLUTIONS, describeDiff } from '../../util/playlistSync';
+import { SYNC_STATUS } from '../../hooks/usePlaylistSync';
+import './SpotifySyncModal.css';
+
+const formatSyncedAt = (syncedAt) => {
+  if (!syncedAt) return 'Never';
+  return new Date(syncedAt).toLocaleString();
+};
+
+/**
+ * Link a local playlist to Spotify, sync it, and settle conflicts
+ * @param {Object} props.sync - From usePlaylistSync
+ */
+const SpotifySyncModal = ({ isOpen, onClose, playlist, sync }) => {
+  const [remotePlaylists, setRemotePlaylists] = useState([]);
+  const [isLoadingRemote, setIsLoadingRemote] = useState(false);
+  const [selectedId, setSelectedId] = useState('');
+
+  const { link, status, error, conflict, progress, isSyncing } = sync;
+
+  // Offer the user's own playlists to link to; followed ones can't be written to
+  useEffect(() => {
+    if (!isOpen || link) return;
+
+    let cancelled = false;
+    setIsLoadingRemote(true);
+    Promise.all([Spotify.getUserPlaylists(), Spotify.getUserProfile()])
+      .then(([items, profile]) => {
+        if (cancelled) return;
+        setRemotePlaylists(items.filter(item => (
+          item && (item.owner?.id === profile?.id || item.collaborative)
+        )));
+      })
+      .catch(loadError => {
+        console.error('Failed to load Spotify playlists:', loadError);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingRemote(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, link]);
+
+  if (!isOpen || !playlist) return null;
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget && !isSyncing) {
+      onClose();
+    }
+  };
+
+  const renderChanges = (title, diff) => (
+    <div className="spotify-sync-modal__side">
+      <h3 className="spotify-sync-modal__side-title">{title}</h3>
+      <ul className="spotify-sync-modal__changes">
+        {describeDiff(diff).map(line => (
+          <li key={line}>{line}</li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  const renderConflict = () => (
+    <>
+      <p className="spotify-sync-modal__text">
+        This playlist changed here and on Spotify since it was last synced. Choose which version to keep.
+      </p>
+      <div className="spotify-sync-modal__sides">
+        {renderChanges('In your library', conflict.localDiff)}
+        {renderChanges('On Spotify', conflict.remoteDiff)}
+      </div>
+      <div className="spotify-sync-modal__actions">
+        <button
+          className="spotify-sync-modal__button spotify-sync-modal__button--secondary"
+          onClick={() => sync.resolveConflict(CONFLICT_RESOLUTIONS.KEEP_REMOTE)}
+          disabled={isSyncing}
+        >
+          Keep Spotify's
+        </button>
+        <button
+          className="spotify-sync-modal__button spotify-sync-modal__button--secondary"
+          onClick={() => sync.resolveConflict(CONFLICT_RESOLUTIONS.KEEP_LOCAL)}
+          disabled={isSyncing}
+        >
+          Keep mine
+        </button>
+        <button
+          className="spotify-sync-modal__button spotify-sync-modal__button--primary"
+          onClick={() => sync.resolveConflict(CONFLICT_RESOLUTIONS.MERGE)}
+          disabled={isSyncing}
+          title="Keep changes from both sides"
+        >
+          Merge
+        </button>
+      </div>
+    </>
+  );
+
+  const renderLinked = () => (
+    <>
+      <p className="spotify-sync-modal__text">
+        Linked to a Spotify playlist. Last synced: {formatSyncedAt(link.syncedAt)}
+      </p>
+      <div className="spotify-sync-modal__actions">
+        <button
+          className="spotify-sync-modal__button spotify-sync-modal__button--secondary"
+          onClick={sync.unlink}
+          disabled={isSyncing}
+        >
+          Unlink
+        </button>
+        <a
+          className="spotify-sync-modal__button spotify-sync-modal__button--secondary"
+          href={`https://open.spotify.com/playlist/${link.id}`}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          Open in Spotify
+        </a>
+        <button
+          className="spotify-sync-modal__button spotify-sync-modal__button--primary"
+          onClick={() => sync.sync()}
+          disabled={isSyncing}
+        >
+          {isSyncing ? 'Syncing...' : 'Sync now'}
+        </button>
+      </div>
+    </>
+  );
+
+  const renderUnlinked = () => (
+    <>
+      <p className="spotify-sync-modal__text">
+        Keep this playlist in step with one on Spotify. Changes made on either side are carried over when you sync.
+      </p>
+      <label htmlFor="spotify-sync-target" className="spotify-sync-modal__label">
+        Link to
+      </label>
+      <select
+        id="spotify-sync-target"
+        className="spotify-sync-modal__select"
+        value={selectedId}
+        onChange={(e) => setSelectedId(e.target.value)}
+        disabled={isSyncing || isLoadingRemote}
+      >
+        <option value="">A new Spotify playlist</option>
+        {remotePlaylists.map(remote => (
+          <option key={remote.id} value={remote.id}>{remote.name}</option>
+        ))}
+      </select>
+      <div className="spotify-sync-modal__actions">
+        <button
+          className="spotify-sync-modal__button spotify-sync-modal__button--secondary"
+          onClick={onClose}
+          disabled={isSyncing}
+        >
+          Cancel
+        </button>
+        <button
+          className="spotify-sync-modal__button spotify-sync-modal__button--primary"
+          onClick={() => (selectedId ? sync.linkToPlaylist(selectedId) : sync.linkToNewPlaylist())}
+          disabled={isSyncing}
+        >
+          {isSyncing ? 'Linking...' : 'Link and sync'}
+        </button>
+      </div>
+    </>
+  );
+
+  const renderBody = () => {
+    if (status === SYNC_STATUS.CONFLICT && conflict) return renderConflict();
+    return link ? renderLinked() : renderUnlinked();
+  };
+
+  return (
+    <div className="spotify-sync-modal__backdrop" onClick={handleBackdropClick}>
+      <div className="spotify-sync-modal" role="dialog" aria-modal="true" aria-labelledby="spotify-sync-title">
+        <div className="spotify-sync-modal__header">
+          <h2 id="spotify-sync-title" className="spotify-sync-modal__title">
+            {conflict ? 'Resolve sync conflict' : 'Sync with Spotify'}
+          </h2>
+          <button
+            className="spotify-sync-modal__close"
+            onClick={onClose}
+            disabled={isSyncing}
+            aria-label="Close modal"
+          >
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+            </svg>
+          </button>
+        </div>
+
+        <div className="spotify-sync-modal__body">
+          {renderBody()}
+          {progress && (
+            <div className="spotify-sync-modal__progress" role="status">
+              <progress value={progress.written} max={progress.total || 1} />
+              <span>Saving {progress.written} of {progress.total} tracks</span>
+            </div>
+          )}
+          {error && (
+            <p className="spotify-sync-modal__error" role="alert">{error}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpotifySyncModal;
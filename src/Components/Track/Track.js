@@ -1,4 +1,5 @@
 import React from "react";
+import { Link } from "react-router-dom";
 import { useTrackPlayer } from "../../hooks/useTrackPlayer";
 import "./Track.css";
 
@@ -9,10 +10,21 @@ const Track = ({
   onRemove, 
   showPlayButton = true, 
   trackList = null,
+  playContext = null,
   trackIndex = null,
   totalTracks = null
 }) => {
-  const { handlePlayTrack, handlePlayFromList, isTrackPlaying, isCurrentTrack } = useTrackPlayer();
+  const {
+    handlePlayTrack,
+    handlePlayFromList,
+    handlePlayNext,
+    handleAddToQueue,
+    isTrackPlaying,
+    isCurrentTrack,
+    isPlayable
+  } = useTrackPlayer();
+
+  const canPlay = isPlayable(track);
 
   const handleAdd = () => {
     if (onAdd) {
@@ -27,10 +39,10 @@ const Track = ({
   };
 
   const handlePlay = () => {
-    if (track.preview_url) {
-      // Has preview - play normally
+    if (canPlay) {
+      // Has preview (or full tracks are available) - play normally
       if (trackList) {
-        handlePlayFromList(track, trackList);
+        handlePlayFromList(track, trackList, 0, playContext);
       } else {
         handlePlayTrack(track);
       }
@@ -45,7 +57,7 @@ const Track = ({
 
     const isPlaying = isTrackPlaying(track);
     const isCurrent = isCurrentTrack(track);
-    const hasPreview = !!track.preview_url;
+    const hasPreview = canPlay;
 
     return (
       <button 
@@ -67,6 +79,42 @@ const Track = ({
     );
   };
 
+  const renderQueueActions = () => {
+    // Only playable tracks can be queued
+    if (!showPlayButton || !canPlay) return null;
+
+    return (
+      <>
+        <button
+          className="Track-action Track-action--queue"
+          onClick={(event) => {
+            event.stopPropagation();
+            handlePlayNext(track);
+          }}
+          aria-label={`Play ${track.name} next`}
+          title="Play next"
+        >
+          <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16" aria-hidden="true">
+            <path d="M3 10h11v2H3zm0-4h11v2H3zm0 8h7v2H3zm13-1v8l6-4z"/>
+          </svg>
+        </button>
+        <button
+          className="Track-action Track-action--queue"
+          onClick={(event) => {
+            event.stopPropagation();
+            handleAddToQueue(track);
+          }}
+          aria-label={`Add ${track.name} to queue`}
+          title="Add to queue"
+        >
+          <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16" aria-hidden="true">
+            <path d="M14 10H3v2h11v-2zm0-4H3v2h11V6zm4 8v-4h-2v4h-4v2h4v4h2v-4h4v-2h-4zM3 16h7v-2H3v2z"/>
+          </svg>
+        </button>
+      </>
+    );
+  };
+
   const renderAction = () => {
     if (isRemoval) {
       return (
@@ -96,6 +144,45 @@ const Track = ({
     );
   };
 
+  const renderArtist = () => {
+    const artistName = track.artists?.[0]?.name || track.artist;
+    const artistId = track.artists?.[0]?.id;
+
+    if (!artistId) {
+      return <span className="Track-artist">{artistName}</span>;
+    }
+
+    return (
+      <Link
+        to={`/artist/${artistId}`}
+        className="Track-artist Track-artist--link"
+        // Don't let the row's click handler start playback
+        onClick={(event) => event.stopPropagation()}
+      >
+        {artistName}
+      </Link>
+    );
+  };
+
+  const renderAlbum = () => {
+    const albumName = track.album?.name || track.album;
+    const albumId = track.album_info?.id || track.album?.id;
+
+    if (!albumId) {
+      return <span className="Track-album">{albumName}</span>;
+    }
+
+    return (
+      <Link
+        to={`/album/${albumId}`}
+        className="Track-album Track-album--link"
+        onClick={(event) => event.stopPropagation()}
+      >
+        {albumName}
+      </Link>
+    );
+  };
+
   const trackDescription = `${track.name} by ${track.artists?.[0]?.name || track.artist}`;
   const positionInfo = trackIndex && totalTracks ? ` (${trackIndex} of ${totalTracks})` : '';
 
@@ -106,16 +193,16 @@ const Track = ({
       aria-label={`${trackDescription}${positionInfo}`}
       onClick={handlePlay}
       style={{ cursor: 'pointer' }}
-      title={track.preview_url ? `Click to play ${track.name}` : `Click for track info: ${track.name} (no preview available)`}
+      title={canPlay ? `Click to play ${track.name}` : `Click for track info: ${track.name} (no preview available)`}
     >
       <div className="Track-information">
         <h3 className="Track-name">{track.name}</h3>
         <p className="Track-details">
-          <span className="Track-artist">{track.artists?.[0]?.name || track.artist}</span>
+          {renderArtist()}
           <span className="Track-separator" aria-hidden="true"> | </span>
-          <span className="Track-album">{track.album?.name || track.album}</span>
+          {renderAlbum()}
         </p>
-        {!track.preview_url && (
+        {!canPlay && (
           <p className="Track-no-preview" role="status">
             Click to view track info • Preview not available due to Spotify API limitations
           </p>
@@ -123,6 +210,7 @@ const Track = ({
       </div>
       <div className="Track-actions" role="group" aria-label="Track actions">
         {renderPlayButton()}
+        {renderQueueActions()}
         {renderAction()}
       </div>
     </article>
@@ -11,7 +11,12 @@ class TrackList extends React.Component{
             showPlayButton = true, 
             virtualized = false,
             containerHeight = 400,
-            itemHeight = 64
+            itemHeight = 64,
+            onEndReached,
+            footer,
+            playContext,
+            // Tracks to play from when only part of them is shown; defaults to `tracks`
+            queue
         } = this.props;
         
         // Defensive check for tracks prop before calling map method
@@ -48,7 +53,8 @@ class TrackList extends React.Component{
                 isRemoval={this.props.isRemoval}
                 onRemove={this.props.onRemove}
                 showPlayButton={showPlayButton}
-                trackList={tracks}
+                trackList={queue || tracks}
+                playContext={playContext}
                 trackIndex={index + 1}
                 totalTracks={tracks.length}
             />
@@ -68,6 +74,8 @@ class TrackList extends React.Component{
                         containerHeight={containerHeight}
                         renderItem={renderTrack}
                         className="TrackList__virtualized-container"
+                        onEndReached={onEndReached}
+                        footer={footer}
                     />
                 </div>
             );
@@ -0,0 +1,338 @@
+import React, { useState, useRef } from 'react';
+import useTracklistImport, { ROW_STATUS } from '../../hooks/useTracklistImport';
+import { CONFIDENCE } from '../../util/trackMatcher';
+import './TracklistImportModal.css';
+
+const CONFIDENCE_LABELS = {
+  [CONFIDENCE.HIGH]: 'High',
+  [CONFIDENCE.MEDIUM]: 'Medium',
+  [CONFIDENCE.LOW]: 'Low',
+  [CONFIDENCE.NONE]: 'No match'
+};
+
+const PLACEHOLDER = [
+  'Paste one track per line, e.g.',
+  'Daft Punk - One More Time',
+  'Fleetwood Mac – Dreams (4:14)',
+  '',
+  'or a CSV with a header row, or an M3U playlist.'
+].join('\n');
+
+const formatDuration = (ms) => {
+  if (!ms) return '';
+  const totalSeconds = Math.round(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+const describeTrack = (track) => (
+  `${track.name} · ${track.artists?.map(artist => artist.name).join(', ') || track.artist}` +
+  (track.duration_ms ? ` (${formatDuration(track.duration_ms)})` : '')
+);
+
+// What the source line asked for, for rows that only had a link
+const describeRow = (row) => {
+  if (row.title) {
+    return [row.artist, row.title].filter(Boolean).join(' - ');
+  }
+  return row.uri || row.raw;
+};
+
+// Starting text for "Search again"; a bare link is no use as a search query
+const getDefaultQuery = (row) => (row.title ? describeRow(row) : '');
+
+const getDefaultName = (fileName) => (
+  fileName ? fileName.replace(/\.[^.]+$/, '') : 'Imported tracklist'
+);
+
+/**
+ * Paste or upload a tracklist, review how each line was matched on
+ * Spotify, and save the result as a local playlist
+ * @param {Function} props.onImported - Called with the new playlist's ID
+ */
+const TracklistImportModal = ({ isOpen, onClose, onImported }) => {
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [name, setName] = useState('');
+  const [queries, setQueries] = useState({});
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const importer = useTracklistImport();
+  const { rows, summary, isMatching } = importer;
+  const isReviewing = rows.length > 0;
+
+  if (!isOpen) return null;
+
+  const handleClose = () => {
+    importer.reset();
+    setText('');
+    setFileName('');
+    setName('');
+    setQueries({});
+    setError(null);
+    onClose();
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) {
+      handleClose();
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setText(await file.text());
+    setFileName(file.name);
+    setName(current => current || getDefaultName(file.name));
+  };
+
+  const handleMatch = () => {
+    setError(null);
+    setName(current => current || getDefaultName(fileName));
+    importer.loadTracklist(text, { fileName })
+      .then(count => {
+        if (count === 0) {
+          setError('No tracks found. Put one track per line, as "Artist - Title".');
+        }
+      })
+      .catch(loadError => {
+        console.error('Tracklist import failed:', loadError);
+        setError(loadError.message || 'Could not read this tracklist.');
+      });
+  };
+
+  const handleSearch = (row, e) => {
+    e.preventDefault();
+    importer.searchRow(row.index, queries[row.index] ?? getDefaultQuery(row));
+  };
+
+  const handleCommit = () => {
+    const playlistId = importer.commit({
+      name: name.trim() || getDefaultName(fileName),
+      description: `Imported from ${fileName || 'a tracklist'}`
+    });
+    handleClose();
+    onImported?.(playlistId);
+  };
+
+  const renderInput = () => (
+    <>
+      <p className="tracklist-import-modal__text">
+        Each line is looked up on Spotify. You can check the matches before the playlist is saved.
+      </p>
+      <textarea
+        className="tracklist-import-modal__textarea"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setError(null);
+        }}
+        placeholder={PLACEHOLDER}
+        rows={10}
+        aria-label="Tracklist"
+      />
+      <div className="tracklist-import-modal__file">
+        <button
+          className="tracklist-import-modal__button tracklist-import-modal__button--secondary"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          Upload file
+        </button>
+        <span className="tracklist-import-modal__file-name">
+          {fileName || '.txt, .csv, .m3u or .m3u8'}
+        </span>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".txt,.csv,.m3u,.m3u8,text/plain,text/csv,audio/x-mpegurl"
+          onChange={handleFile}
+          hidden
+        />
+      </div>
+      <div className="tracklist-import-modal__actions">
+        <button
+          className="tracklist-import-modal__button tracklist-import-modal__button--secondary"
+          onClick={handleClose}
+        >
+          Cancel
+        </button>
+        <button
+          className="tracklist-import-modal__button tracklist-import-modal__button--primary"
+          onClick={handleMatch}
+          disabled={!text.trim()}
+        >
+          Find tracks
+        </button>
+      </div>
+    </>
+  );
+
+  const renderMatch = (row) => {
+    if (row.status === ROW_STATUS.PENDING) {
+      return <span className="tracklist-import-modal__pending">Searching...</span>;
+    }
+
+    const selected = importer.getSelected(row);
+    const confidence = selected ? selected.confidence : CONFIDENCE.NONE;
+
+    return (
+      <>
+        <span
+          className={`tracklist-import-modal__confidence tracklist-import-modal__confidence--${confidence}`}
+          title={selected ? `Match score ${Math.round(selected.score * 100)}%` : undefined}
+        >
+          {CONFIDENCE_LABELS[confidence]}
+        </span>
+        {row.candidates.length > 0 ? (
+          <select
+            className="tracklist-import-modal__select"
+            value={row.selectedId || ''}
+            onChange={(e) => importer.selectCandidate(row.index, e.target.value)}
+            disabled={row.excluded}
+            aria-label={`Match for ${describeRow(row)}`}
+          >
+            <option value="">Leave out</option>
+            {row.candidates.map(candidate => (
+              <option key={candidate.track.id} value={candidate.track.id}>
+                {describeTrack(candidate.track)} · {Math.round(candidate.score * 100)}%
+              </option>
+            ))}
+          </select>
+        ) : (
+          <span className="tracklist-import-modal__pending">
+            {row.error || 'Nothing found'}
+          </span>
+        )}
+      </>
+    );
+  };
+
+  const renderRow = (row) => {
+    const needsFix = row.status !== ROW_STATUS.PENDING && !row.selectedId && !row.excluded;
+    return (
+      <li
+        key={row.index}
+        className={[
+          'tracklist-import-modal__row',
+          row.excluded && 'tracklist-import-modal__row--excluded',
+          needsFix && 'tracklist-import-modal__row--unmatched'
+        ].filter(Boolean).join(' ')}
+      >
+        <div className="tracklist-import-modal__source">
+          <span className="tracklist-import-modal__source-text" title={row.raw}>
+            {describeRow(row)}
+          </span>
+          {row.durationMs && (
+            <span className="tracklist-import-modal__source-duration">{formatDuration(row.durationMs)}</span>
+          )}
+          <button
+            className="tracklist-import-modal__link-button"
+            onClick={() => importer.toggleExcluded(row.index)}
+          >
+            {row.excluded ? 'Include' : 'Skip'}
+          </button>
+        </div>
+        <div className="tracklist-import-modal__match">{renderMatch(row)}</div>
+        {needsFix && (
+          <form className="tracklist-import-modal__search" onSubmit={(e) => handleSearch(row, e)}>
+            <input
+              className="tracklist-import-modal__input"
+              type="search"
+              value={queries[row.index] ?? getDefaultQuery(row)}
+              placeholder="Artist - Title"
+              onChange={(e) => setQueries(prev => ({ ...prev, [row.index]: e.target.value }))}
+              aria-label={`Search again for ${describeRow(row)}`}
+            />
+            <button
+              type="submit"
+              className="tracklist-import-modal__button tracklist-import-modal__button--secondary"
+            >
+              Search
+            </button>
+          </form>
+        )}
+      </li>
+    );
+  };
+
+  const renderReview = () => (
+    <>
+      <label htmlFor="tracklist-import-name" className="tracklist-import-modal__label">
+        Playlist name
+      </label>
+      <input
+        id="tracklist-import-name"
+        className="tracklist-import-modal__input"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        maxLength={100}
+      />
+      <div className="tracklist-import-modal__summary" role="status">
+        {isMatching && <progress value={summary.resolved} max={summary.total} />}
+        <span>
+          {isMatching
+            ? `Matching ${summary.resolved} of ${summary.total} tracks...`
+            : `${summary.matched} matched, ${summary.unmatched} need a look` +
+              (summary.excluded ? `, ${summary.excluded} skipped` : '')}
+        </span>
+      </div>
+      <ul className="tracklist-import-modal__rows">
+        {rows.map(renderRow)}
+      </ul>
+      <div className="tracklist-import-modal__actions">
+        <button
+          className="tracklist-import-modal__button tracklist-import-modal__button--secondary"
+          onClick={importer.reset}
+        >
+          Back
+        </button>
+        <button
+          className="tracklist-import-modal__button tracklist-import-modal__button--primary"
+          onClick={handleCommit}
+          disabled={isMatching || summary.matched === 0}
+          title={summary.unmatched ? 'Tracks without a match are left out' : undefined}
+        >
+          Create playlist with {summary.matched} {summary.matched === 1 ? 'track' : 'tracks'}
+        </button>
+      </div>
+    </>
+  );
+
+  return (
+    <div className="tracklist-import-modal__backdrop" onClick={handleBackdropClick}>
+      <div
+        className="tracklist-import-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="tracklist-import-title"
+      >
+        <div className="tracklist-import-modal__header">
+          <h2 id="tracklist-import-title" className="tracklist-import-modal__title">
+            {isReviewing ? 'Review matches' : 'Import tracklist'}
+          </h2>
+          <button
+            className="tracklist-import-modal__close"
+            onClick={handleClose}
+            aria-label="Close modal"
+          >
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+            </svg>
+          </button>
+        </div>
+
+        <div className="tracklist-import-modal__body">
+          {isReviewing ? renderReview() : renderInput()}
+          {error && (
+            <p className="tracklist-import-modal__error" role="alert">{error}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TracklistImportModal;
@@ -9,10 +9,14 @@ const VirtualizedList = ({
   overscan = 5,
   className = '',
   onScroll,
+  onEndReached,
+  endReachedThreshold = 200, // px from the bottom that counts as "the end"
+  footer = null,
   ...props
 }) => {
   const [scrollTop, setScrollTop] = useState(0);
   const containerRef = useRef();
+  const endReachedForLength = useRef(null);
 
   const visibleRange = useMemo(() => {
     const containerHeightValue = typeof containerHeight === 'number' 
@@ -28,7 +32,8 @@ const VirtualizedList = ({
     return { startIndex, endIndex };
   }, [scrollTop, itemHeight, containerHeight, items.length, overscan]);
 
-  const totalHeight = items.length * itemHeight;
+  const footerHeight = footer ? itemHeight : 0;
+  const totalHeight = items.length * itemHeight + footerHeight;
   const offsetY = visibleRange.startIndex * itemHeight;
 
   const visibleItems = useMemo(() => {
@@ -42,6 +47,15 @@ const VirtualizedList = ({
     if (onScroll) {
       onScroll(e);
     }
+
+    // Fire once per list length so appending a page re-arms it
+    if (onEndReached && endReachedForLength.current !== items.length) {
+      const { clientHeight, scrollHeight } = e.target;
+      if (newScrollTop + clientHeight >= scrollHeight - endReachedThreshold) {
+        endReachedForLength.current = items.length;
+        onEndReached();
+      }
+    }
   };
 
   useEffect(() => {
@@ -89,6 +103,14 @@ const VirtualizedList = ({
             );
           })}
         </div>
+        {footer && (
+          <div 
+            className="virtualized-list__footer"
+            style={{ top: items.length * itemHeight, height: footerHeight }}
+          >
+            {footer}
+          </div>
+        )}
       </div>
     </div>
   );
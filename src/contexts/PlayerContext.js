@@ -1,18 +1,33 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback, useRef, useState } from 'react';
+import { useSettings } from './SettingsContext';
+import playbackEngine from '../util/playbackEngine';
+import Spotify from '../util/spotify';
+import { loadSession, saveSession, savePosition } from '../util/playbackSession';
+import { balancedShuffle, restoreOrder } from '../util/shuffle';
 
 // Player action types
 const PLAYER_ACTIONS = {
   SET_CURRENT_TRACK: 'SET_CURRENT_TRACK',
   SET_PLAYING: 'SET_PLAYING',
   SET_QUEUE: 'SET_QUEUE',
+  PLAY_CONTEXT: 'PLAY_CONTEXT',
   SET_CURRENT_INDEX: 'SET_CURRENT_INDEX',
+  ADVANCE: 'ADVANCE',
   SET_VOLUME: 'SET_VOLUME',
   ADD_TO_QUEUE: 'ADD_TO_QUEUE',
+  PLAY_NEXT: 'PLAY_NEXT',
+  INSERT_INTO_QUEUE: 'INSERT_INTO_QUEUE',
+  MOVE_IN_USER_QUEUE: 'MOVE_IN_USER_QUEUE',
+  REMOVE_FROM_USER_QUEUE: 'REMOVE_FROM_USER_QUEUE',
+  CLEAR_USER_QUEUE: 'CLEAR_USER_QUEUE',
+  MOVE_IN_QUEUE: 'MOVE_IN_QUEUE',
   REMOVE_FROM_QUEUE: 'REMOVE_FROM_QUEUE',
   CLEAR_QUEUE: 'CLEAR_QUEUE',
   SET_REPEAT_MODE: 'SET_REPEAT_MODE',
   SET_SHUFFLE: 'SET_SHUFFLE',
   ADD_TO_HISTORY: 'ADD_TO_HISTORY',
+  HANDOFF: 'HANDOFF',
+  SET_SLEEP_TIMER: 'SET_SLEEP_TIMER',
   SET_LOADING: 'SET_LOADING',
   SET_ERROR: 'SET_ERROR'
 };
@@ -24,18 +39,201 @@ export const REPEAT_MODES = {
   ONE: 'one'
 };
 
+// Kinds of list playback can be started from
+export const CONTEXT_TYPES = {
+  ALBUM: 'album',
+  PLAYLIST: 'playlist',
+  ARTIST: 'artist',
+  SEARCH: 'search'
+};
+
+// Sleep timer modes
+export const SLEEP_TIMER_MODES = {
+  DURATION: 'duration',
+  END_OF_TRACK: 'endOfTrack',
+  END_OF_QUEUE: 'endOfQueue'
+};
+
+const SLEEP_TIMER_KEY = 'player-sleep-timer';
+const SLEEP_FADE_DURATION = 30 * 1000; // Fade out over the last 30 seconds
+const POSITION_SAVE_INTERVAL = 5000; // Throttle for saving the playback position
+
+/**
+ * Read a sleep timer saved before a reload
+ * @returns {Object|null} { mode, endsAt? }, or null when none is still running
+ */
+const loadSleepTimer = () => {
+  try {
+    const timer = JSON.parse(localStorage.getItem(SLEEP_TIMER_KEY) || 'null');
+    if (!timer || !Object.values(SLEEP_TIMER_MODES).includes(timer.mode)) return null;
+    if (timer.mode === SLEEP_TIMER_MODES.DURATION && !(timer.endsAt > Date.now())) return null;
+    return timer;
+  } catch (error) {
+    console.warn('Failed to load sleep timer:', error);
+    return null;
+  }
+};
+
+/**
+ * Index of the track that plays after the current one on its own
+ * @param {Array} queue - Play queue
+ * @param {number} currentIndex - Index of the current track
+ * @param {string} repeatMode - One of REPEAT_MODES
+ * @returns {number} Next index, or -1 when playback stops or repeats the track
+ */
+export const getNextIndex = (queue, currentIndex, repeatMode) => {
+  if (queue.length === 0 || repeatMode === REPEAT_MODES.ONE) return -1;
+
+  const nextIndex = currentIndex + 1;
+  if (nextIndex < queue.length) return nextIndex;
+  return repeatMode === REPEAT_MODES.ALL ? 0 : -1;
+};
+
+/**
+ * What plays after the current track on its own
+ * The user's queue drains first; shuffle and repeat only apply to the context.
+ * @param {Object} state - Player state
+ * @returns {Object|null} { fromUserQueue, index, track }, or null when playback
+ *   stops or repeats the track
+ */
+export const getUpcoming = (state) => {
+  const { queue, currentIndex, repeatMode, userQueue, playingFromUserQueue } = state;
+  if (repeatMode === REPEAT_MODES.ONE && !playingFromUserQueue) return null;
+
+  if (userQueue.length > 0) {
+    return { fromUserQueue: true, index: 0, track: userQueue[0] };
+  }
+
+  // Back from the user's queue, a repeated track picks up where it left off
+  const index = repeatMode === REPEAT_MODES.ONE
+    ? (queue[currentIndex] ? currentIndex : -1)
+    : getNextIndex(queue, currentIndex, repeatMode);
+  return index === -1 ? null : { fromUserQueue: false, index, track: queue[index] };
+};
+
+/**
+ * Where a manual skip goes: the user's queue even on repeat-one, then the context
+ * @param {Object} state - Player state
+ * @returns {Object|null} Target for advanceTo, or null when there's nothing next
+ */
+const getSkipTarget = (state) => (
+  state.userQueue.length > 0
+    ? { fromUserQueue: true, index: 0 }
+    : getUpcoming(state)
+);
+
+/**
+ * Where "previous" goes; from the user's queue that's back to the context's track
+ * @param {Object} state - Player state
+ * @returns {Object|null} Target for advanceTo, or null with no context
+ */
+const getPreviousTarget = (state) => {
+  const { queue, currentIndex, playingFromUserQueue } = state;
+  if (queue.length === 0) return null;
+
+  if (playingFromUserQueue) {
+    return { fromUserQueue: false, index: currentIndex };
+  }
+  return { fromUserQueue: false, index: currentIndex > 0 ? currentIndex - 1 : queue.length - 1 };
+};
+
+/**
+ * Route back to the list a context was started from
+ * @param {Object|null} context - { type, id, name }
+ * @returns {string|null} Path, or null when there's nowhere to link to
+ */
+export const getContextPath = (context) => {
+  if (!context?.id) return null;
+
+  switch (context.type) {
+    case CONTEXT_TYPES.ALBUM:
+      return `/album/${context.id}`;
+    case CONTEXT_TYPES.PLAYLIST:
+      return `/playlist/${context.id}`;
+    case CONTEXT_TYPES.ARTIST:
+      return `/artist/${context.id}`;
+    case CONTEXT_TYPES.SEARCH:
+      return `/search?q=${encodeURIComponent(context.id)}`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Move to a track from the user's queue or the context
+ * @param {Object} state - Player state
+ * @param {Object} target - { fromUserQueue, index }
+ * @returns {Object} Updated state
+ */
+const advanceTo = (state, { fromUserQueue, index }) => {
+  if (fromUserQueue) {
+    const track = state.userQueue[index];
+    if (!track) return state;
+
+    return {
+      ...state,
+      currentTrack: track,
+      userQueue: state.userQueue.filter((_, i) => i !== index),
+      playingFromUserQueue: true
+    };
+  }
+
+  const newIndex = Math.max(0, Math.min(index, state.queue.length - 1));
+  return {
+    ...state,
+    currentIndex: newIndex,
+    currentTrack: state.queue[newIndex] || null,
+    playingFromUserQueue: false
+  };
+};
+
+/**
+ * Replace the user's queue; with nothing loaded, its first track becomes current
+ * @param {Object} state - Player state
+ * @param {Array} userQueue - New user queue
+ * @returns {Object} Updated state
+ */
+const withUserQueue = (state, userQueue) => {
+  if (!state.currentTrack && userQueue.length > 0) {
+    return advanceTo({ ...state, userQueue }, { fromUserQueue: true, index: 0 });
+  }
+  return { ...state, userQueue };
+};
+
+/**
+ * Move one item within a list
+ * @param {Array} list - Source list
+ * @param {number} from - Index to take from
+ * @param {number} to - Index it should end up at
+ * @returns {Array|null} New list, or null when the move is a no-op or out of range
+ */
+const moveItem = (list, from, to) => {
+  if (from === to || !list[from] || to < 0 || to >= list.length) return null;
+
+  const moved = [...list];
+  const [item] = moved.splice(from, 1);
+  moved.splice(to, 0, item);
+  return moved;
+};
+
+const toTrackList = (tracks) => (Array.isArray(tracks) ? tracks : [tracks]);
+
 // Initial state
 const initialState = {
   currentTrack: null,
   isPlaying: false,
-  queue: [],
-  currentIndex: 0,
+  queue: [], // The context's tracks (album, playlist, ...), in play order
+  currentIndex: 0, // Position in the context, kept while the user's queue plays
+  userQueue: [], // Tracks queued by hand; they play before the context continues
+  playingFromUserQueue: false,
+  context: null, // { type, id, name } - see CONTEXT_TYPES
   volume: 0.7,
   repeatMode: REPEAT_MODES.OFF,
   isShuffled: false,
   history: [],
   isLoading: false,
   error: null,
+  sleepTimer: null, // { mode, endsAt? } - see SLEEP_TIMER_MODES
   originalQueue: [] // Store original queue for shuffle/unshuffle
 };
 
@@ -46,6 +244,7 @@ const playerReducer = (state, action) => {
       return {
         ...state,
         currentTrack: action.payload,
+        playingFromUserQueue: false,
         error: null
       };
 
@@ -59,18 +258,39 @@ const playerReducer = (state, action) => {
       return {
         ...state,
         queue: action.payload,
-        originalQueue: state.isShuffled ? state.originalQueue : action.payload,
+        // A queue set as a whole is its own original order
+        originalQueue: action.payload,
         currentIndex: 0,
-        currentTrack: action.payload[0] || null
+        currentTrack: action.payload[0] || null,
+        playingFromUserQueue: false,
+        context: null
       };
 
-    case PLAYER_ACTIONS.SET_CURRENT_INDEX:
-      const newIndex = Math.max(0, Math.min(action.payload, state.queue.length - 1));
+    case PLAYER_ACTIONS.PLAY_CONTEXT: {
+      // A new context replaces the old one; the user's queue carries on
+      const { tracks, startIndex = 0, context = null } = action.payload;
+      const index = Math.max(0, Math.min(startIndex, tracks.length - 1));
+      const startTrack = tracks[index] || null;
+
       return {
         ...state,
-        currentIndex: newIndex,
-        currentTrack: state.queue[newIndex] || null
+        queue: state.isShuffled
+          ? balancedShuffle(tracks, { first: startTrack, history: state.history })
+          : tracks,
+        originalQueue: tracks,
+        currentIndex: state.isShuffled ? 0 : index,
+        currentTrack: startTrack,
+        playingFromUserQueue: false,
+        context,
+        error: null
       };
+    }
+
+    case PLAYER_ACTIONS.SET_CURRENT_INDEX:
+      return advanceTo(state, { fromUserQueue: false, index: action.payload });
+
+    case PLAYER_ACTIONS.ADVANCE:
+      return advanceTo(state, action.payload);
 
     case PLAYER_ACTIONS.SET_VOLUME:
       return {
@@ -79,13 +299,62 @@ const playerReducer = (state, action) => {
       };
 
     case PLAYER_ACTIONS.ADD_TO_QUEUE:
-      const updatedQueue = [...state.queue, action.payload];
+      return withUserQueue(state, [...state.userQueue, ...toTrackList(action.payload)]);
+
+    case PLAYER_ACTIONS.PLAY_NEXT:
+      return withUserQueue(state, [...toTrackList(action.payload), ...state.userQueue]);
+
+    case PLAYER_ACTIONS.INSERT_INTO_QUEUE: {
+      const { tracks, index } = action.payload;
+      const at = Math.max(0, Math.min(index, state.userQueue.length));
+      return withUserQueue(state, [
+        ...state.userQueue.slice(0, at),
+        ...toTrackList(tracks),
+        ...state.userQueue.slice(at)
+      ]);
+    }
+
+    case PLAYER_ACTIONS.MOVE_IN_USER_QUEUE: {
+      const userQueue = moveItem(state.userQueue, action.payload.from, action.payload.to);
+      return userQueue ? { ...state, userQueue } : state;
+    }
+
+    case PLAYER_ACTIONS.REMOVE_FROM_USER_QUEUE:
+      return {
+        ...state,
+        userQueue: state.userQueue.filter((_, index) => index !== action.payload)
+      };
+
+    case PLAYER_ACTIONS.CLEAR_USER_QUEUE:
       return {
         ...state,
-        queue: updatedQueue,
-        originalQueue: state.isShuffled ? state.originalQueue : updatedQueue
+        userQueue: []
       };
 
+    case PLAYER_ACTIONS.MOVE_IN_QUEUE: {
+      const { from, to } = action.payload;
+      const queue = moveItem(state.queue, from, to);
+      if (!queue) return state;
+
+      // Follow the current track to wherever it ends up
+      let currentIndex = state.currentIndex;
+      if (from === currentIndex) {
+        currentIndex = to;
+      } else if (from < currentIndex && to >= currentIndex) {
+        currentIndex -= 1;
+      } else if (from > currentIndex && to <= currentIndex) {
+        currentIndex += 1;
+      }
+
+      return {
+        ...state,
+        queue,
+        currentIndex,
+        // Reordering a shuffled queue leaves the original order alone
+        originalQueue: state.isShuffled ? state.originalQueue : queue
+      };
+    }
+
     case PLAYER_ACTIONS.REMOVE_FROM_QUEUE:
       const filteredQueue = state.queue.filter((_, index) => index !== action.payload);
       const newCurrentIndex = action.payload < state.currentIndex 
@@ -96,7 +365,11 @@ const playerReducer = (state, action) => {
         ...state,
         queue: filteredQueue,
         currentIndex: Math.max(0, Math.min(newCurrentIndex, filteredQueue.length - 1)),
-        currentTrack: filteredQueue[newCurrentIndex] || null,
+        // A track from the user's queue keeps playing
+        currentTrack: state.playingFromUserQueue
+          ? state.currentTrack
+          : filteredQueue[newCurrentIndex] || null,
+        // While shuffled the original order is reconciled on unshuffle
         originalQueue: state.isShuffled ? state.originalQueue : filteredQueue
       };
 
@@ -105,8 +378,11 @@ const playerReducer = (state, action) => {
         ...state,
         queue: [],
         originalQueue: [],
+        userQueue: [],
         currentIndex: 0,
         currentTrack: null,
+        playingFromUserQueue: false,
+        context: null,
         isPlaying: false
       };
 
@@ -118,42 +394,27 @@ const playerReducer = (state, action) => {
 
     case PLAYER_ACTIONS.SET_SHUFFLE:
       if (action.payload && !state.isShuffled) {
-        // Enable shuffle
-        const currentTrack = state.currentTrack;
-        const shuffledQueue = [...state.queue];
-        
-        // Remove current track from array for shuffling
-        const currentTrackIndex = shuffledQueue.findIndex(track => track.id === currentTrack?.id);
-        if (currentTrackIndex > -1) {
-          shuffledQueue.splice(currentTrackIndex, 1);
-        }
-        
-        // Shuffle remaining tracks
-        for (let i = shuffledQueue.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [shuffledQueue[i], shuffledQueue[j]] = [shuffledQueue[j], shuffledQueue[i]];
-        }
-        
-        // Put current track at the beginning
-        if (currentTrack) {
-          shuffledQueue.unshift(currentTrack);
-        }
-        
+        // Enable shuffle; only the context is shuffled, around its current track
         return {
           ...state,
-          queue: shuffledQueue,
+          queue: balancedShuffle(state.queue, {
+            first: state.queue[state.currentIndex] || null,
+            history: state.history
+          }),
           originalQueue: state.queue,
           isShuffled: true,
           currentIndex: 0
         };
       } else if (!action.payload && state.isShuffled) {
-        // Disable shuffle - restore original queue
-        const currentTrack = state.currentTrack;
-        const originalIndex = state.originalQueue.findIndex(track => track.id === currentTrack?.id);
+        // Disable shuffle - restore the original order, with any edits made since
+        const contextTrack = state.queue[state.currentIndex];
+        const restoredQueue = restoreOrder(state.originalQueue, state.queue);
+        const originalIndex = restoredQueue.findIndex(track => track.id === contextTrack?.id);
         
         return {
           ...state,
-          queue: state.originalQueue,
+          queue: restoredQueue,
+          originalQueue: restoredQueue,
           isShuffled: false,
           currentIndex: Math.max(0, originalIndex)
         };
@@ -171,6 +432,25 @@ const playerReducer = (state, action) => {
         history: newHistory.slice(0, 50) // Keep last 50 tracks
       };
 
+    case PLAYER_ACTIONS.HANDOFF: {
+      // The audio engine already moved on to the preloaded track; catch up
+      const upcoming = getUpcoming(state);
+      if (upcoming?.track.id === action.payload.id) {
+        return advanceTo(state, upcoming);
+      }
+
+      const handoffIndex = state.queue.findIndex(track => track.id === action.payload.id);
+      if (handoffIndex === -1) return state;
+
+      return advanceTo(state, { fromUserQueue: false, index: handoffIndex });
+    }
+
+    case PLAYER_ACTIONS.SET_SLEEP_TIMER:
+      return {
+        ...state,
+        sleepTimer: action.payload
+      };
+
     case PLAYER_ACTIONS.SET_LOADING:
       return {
         ...state,
@@ -203,7 +483,47 @@ export const usePlayer = () => {
 
 // Player provider component
 export const PlayerProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(playerReducer, initialState);
+  const { settings, updateSetting } = useSettings();
+  // Last session's queue and position; playback resumes paused where it was
+  const [restoredSession] = useState(() => loadSession({ repeatModes: Object.values(REPEAT_MODES) }));
+  const [state, dispatch] = useReducer(playerReducer, initialState, (initial) => {
+    const { position, repeatMode, ...session } = restoredSession || {};
+    return {
+      ...initial,
+      ...session,
+      repeatMode: repeatMode || initial.repeatMode,
+      volume: settings.volume / 100,
+      sleepTimer: loadSleepTimer()
+    };
+  });
+
+  // Whether full tracks stream through the Web Playback SDK (Premium only)
+  const [canPlayFullTracks, setCanPlayFullTracks] = useState(false);
+  // Premium, but logged in before the playback scopes were asked for
+  const [needsPlaybackConsent, setNeedsPlaybackConsent] = useState(false);
+
+  // Saved position, applied once the restored track has loaded
+  const pendingSeekRef = useRef(
+    restoredSession?.position > 0
+      ? { trackId: restoredSession.currentTrack.id, position: restoredSession.position }
+      : null
+  );
+
+  // The sleep timer stops after this track (end of track, or the last of both queues)
+  const sleepAfterTrack = Boolean(state.sleepTimer) && (
+    state.sleepTimer.mode === SLEEP_TIMER_MODES.END_OF_TRACK ||
+    (state.sleepTimer.mode === SLEEP_TIMER_MODES.END_OF_QUEUE &&
+      state.userQueue.length === 0 &&
+      state.currentIndex >= state.queue.length - 1)
+  );
+
+  // Sleep timer ran out: stop, then undo the fade so the next play is audible
+  const sleepNow = useCallback(() => {
+    playbackEngine.pause();
+    playbackEngine.restoreOutput();
+    dispatch({ type: PLAYER_ACTIONS.SET_PLAYING, payload: false });
+    dispatch({ type: PLAYER_ACTIONS.SET_SLEEP_TIMER, payload: null });
+  }, []);
 
   // Action creators
   const actions = {
@@ -228,12 +548,44 @@ export const PlayerProvider = ({ children }) => {
 
     setVolume: (volume) => {
       dispatch({ type: PLAYER_ACTIONS.SET_VOLUME, payload: volume });
-      // Persist volume to localStorage
-      localStorage.setItem('player-volume', volume.toString());
+      // Volume is persisted with the other settings (as a percentage)
+      updateSetting('volume', Math.round(Math.max(0, Math.min(1, volume)) * 100));
+    },
+
+    // The user's queue: one or more tracks that play before the context continues
+    addToQueue: (tracks) => {
+      dispatch({ type: PLAYER_ACTIONS.ADD_TO_QUEUE, payload: tracks });
+    },
+
+    playNext: (tracks) => {
+      dispatch({ type: PLAYER_ACTIONS.PLAY_NEXT, payload: tracks });
+    },
+
+    insertIntoQueue: (tracks, index) => {
+      dispatch({ type: PLAYER_ACTIONS.INSERT_INTO_QUEUE, payload: { tracks, index } });
+    },
+
+    moveInUserQueue: (from, to) => {
+      dispatch({ type: PLAYER_ACTIONS.MOVE_IN_USER_QUEUE, payload: { from, to } });
     },
 
-    addToQueue: (track) => {
-      dispatch({ type: PLAYER_ACTIONS.ADD_TO_QUEUE, payload: track });
+    removeFromUserQueue: (index) => {
+      dispatch({ type: PLAYER_ACTIONS.REMOVE_FROM_USER_QUEUE, payload: index });
+    },
+
+    clearUserQueue: () => {
+      dispatch({ type: PLAYER_ACTIONS.CLEAR_USER_QUEUE });
+    },
+
+    // Jump straight to a track in the user's queue
+    playFromUserQueue: (index) => {
+      dispatch({ type: PLAYER_ACTIONS.ADVANCE, payload: { fromUserQueue: true, index } });
+      actions.setPlaying(true);
+    },
+
+    // The context's tracks
+    moveInQueue: (from, to) => {
+      dispatch({ type: PLAYER_ACTIONS.MOVE_IN_QUEUE, payload: { from, to } });
     },
 
     removeFromQueue: (index) => {
@@ -246,12 +598,10 @@ export const PlayerProvider = ({ children }) => {
 
     setRepeatMode: (mode) => {
       dispatch({ type: PLAYER_ACTIONS.SET_REPEAT_MODE, payload: mode });
-      localStorage.setItem('player-repeat-mode', mode);
     },
 
     setShuffle: (isShuffled) => {
       dispatch({ type: PLAYER_ACTIONS.SET_SHUFFLE, payload: isShuffled });
-      localStorage.setItem('player-shuffle', isShuffled.toString());
     },
 
     addToHistory: (track) => {
@@ -280,80 +630,256 @@ export const PlayerProvider = ({ children }) => {
     },
 
     next: () => {
-      const { queue, currentIndex, repeatMode } = state;
-      
-      if (queue.length === 0) return;
-      
-      if (repeatMode === REPEAT_MODES.ONE) {
-        // Repeat current track
-        return;
-      }
-      
-      let nextIndex = currentIndex + 1;
-      
-      if (nextIndex >= queue.length) {
-        if (repeatMode === REPEAT_MODES.ALL) {
-          nextIndex = 0;
-        } else {
-          // End of queue, stop playing
+      const target = getSkipTarget(state);
+
+      if (!target) {
+        // Repeat current track, or stop at the end of the queue
+        if (state.repeatMode !== REPEAT_MODES.ONE) {
           actions.setPlaying(false);
-          return;
         }
+        return;
+      }
+
+      dispatch({ type: PLAYER_ACTIONS.ADVANCE, payload: target });
+    },
+
+    // Called when the current track finishes on its own
+    handleTrackEnd: () => {
+      if (sleepAfterTrack) {
+        sleepNow();
+        return;
+      }
+
+      // Without autoplay, stop after each track (repeat-one still loops)
+      if (!settings.autoplay && state.repeatMode !== REPEAT_MODES.ONE) {
+        actions.setPlaying(false);
+        return;
+      }
+
+      // Unlike a skip, repeat-one holds the user's queue back
+      const target = getUpcoming(state);
+      if (target) {
+        dispatch({ type: PLAYER_ACTIONS.ADVANCE, payload: target });
+      } else if (state.repeatMode === REPEAT_MODES.ONE && state.currentTrack) {
+        playbackEngine.setCurrentTime(0);
+        playbackEngine.play();
+      } else {
+        actions.setPlaying(false);
       }
-      
-      actions.setCurrentIndex(nextIndex);
     },
 
     previous: () => {
-      const { queue, currentIndex } = state;
-      
-      if (queue.length === 0) return;
-      
-      let prevIndex = currentIndex - 1;
-      
-      if (prevIndex < 0) {
-        prevIndex = queue.length - 1;
+      const target = getPreviousTarget(state);
+      if (target) {
+        dispatch({ type: PLAYER_ACTIONS.ADVANCE, payload: target });
       }
-      
-      actions.setCurrentIndex(prevIndex);
     },
 
+    // A track on its own plays as a one-track context
     playTrack: (track, queue = null, index = 0) => {
       if (queue) {
-        actions.setQueue(queue);
-        actions.setCurrentIndex(index);
-      } else {
-        actions.setCurrentTrack(track);
+        actions.playQueue(queue, index);
+        return;
       }
+      dispatch({ type: PLAYER_ACTIONS.PLAY_CONTEXT, payload: { tracks: [track] } });
+      actions.addToHistory(track);
       actions.setPlaying(true);
     },
 
-    playQueue: (queue, startIndex = 0) => {
+    /**
+     * Stop playback later
+     * @param {string} mode - One of SLEEP_TIMER_MODES
+     * @param {number} minutes - Length for SLEEP_TIMER_MODES.DURATION
+     */
+    startSleepTimer: (mode, minutes = 0) => {
+      const timer = mode === SLEEP_TIMER_MODES.DURATION
+        ? { mode, endsAt: Date.now() + minutes * 60 * 1000 }
+        : { mode };
+      dispatch({ type: PLAYER_ACTIONS.SET_SLEEP_TIMER, payload: timer });
+    },
+
+    cancelSleepTimer: () => {
+      dispatch({ type: PLAYER_ACTIONS.SET_SLEEP_TIMER, payload: null });
+    },
+
+    /**
+     * Play a list as the new context
+     * @param {Array} queue - The list's tracks
+     * @param {number} startIndex - Track to start from
+     * @param {Object|null} context - { type, id, name } of the list, see CONTEXT_TYPES
+     */
+    playQueue: (queue, startIndex = 0, context = null) => {
       if (queue.length > 0) {
-        actions.setQueue(queue);
-        actions.setCurrentIndex(startIndex);
+        dispatch({ type: PLAYER_ACTIONS.PLAY_CONTEXT, payload: { tracks: queue, startIndex, context } });
         actions.setPlaying(true);
       }
     }
   };
 
-  // Load persisted settings on mount
+  // Persist the session (queue, order, history, modes) whenever it changes
+  const {
+    queue, originalQueue, currentIndex, currentTrack, userQueue,
+    playingFromUserQueue, context, history, isShuffled, repeatMode
+  } = state;
   useEffect(() => {
-    const savedVolume = localStorage.getItem('player-volume');
-    const savedRepeatMode = localStorage.getItem('player-repeat-mode');
-    const savedShuffle = localStorage.getItem('player-shuffle');
+    saveSession({
+      queue, originalQueue, currentIndex, currentTrack, userQueue,
+      playingFromUserQueue, context, history, isShuffled, repeatMode
+    });
+  }, [
+    queue, originalQueue, currentIndex, currentTrack, userQueue,
+    playingFromUserQueue, context, history, isShuffled, repeatMode
+  ]);
+
+  // Persist the playback position: throttled while playing, exact on pause
+  // and when the page goes away
+  useEffect(() => {
+    let lastSaved = Date.now();
 
-    if (savedVolume) {
-      dispatch({ type: PLAYER_ACTIONS.SET_VOLUME, payload: parseFloat(savedVolume) });
-    }
+    const persistPosition = () => {
+      const track = playbackEngine.currentTrack;
+      const pending = pendingSeekRef.current;
+      // Don't overwrite the saved spot before it has been restored
+      if (pending && track?.id === pending.trackId) return;
 
-    if (savedRepeatMode && Object.values(REPEAT_MODES).includes(savedRepeatMode)) {
-      dispatch({ type: PLAYER_ACTIONS.SET_REPEAT_MODE, payload: savedRepeatMode });
-    }
+      lastSaved = Date.now();
+      savePosition(track, playbackEngine.getCurrentTime());
+    };
 
-    if (savedShuffle) {
-      dispatch({ type: PLAYER_ACTIONS.SET_SHUFFLE, payload: savedShuffle === 'true' });
+    const handleTimeUpdate = () => {
+      if (Date.now() - lastSaved >= POSITION_SAVE_INTERVAL) {
+        persistPosition();
+      }
+    };
+
+    // Seek the restored track to where it was; a different track drops the seek
+    const handleLoaded = ({ track }) => {
+      const pending = pendingSeekRef.current;
+      if (!pending) return;
+
+      pendingSeekRef.current = null;
+      if (track?.id === pending.trackId) {
+        playbackEngine.setCurrentTime(pending.position);
+      }
+    };
+
+    playbackEngine.on('timeupdate', handleTimeUpdate);
+    playbackEngine.on('pause', persistPosition);
+    playbackEngine.on('loadeddata', handleLoaded);
+    playbackEngine.on('canplay', handleLoaded);
+    window.addEventListener('pagehide', persistPosition);
+    return () => {
+      playbackEngine.off('timeupdate', handleTimeUpdate);
+      playbackEngine.off('pause', persistPosition);
+      playbackEngine.off('loadeddata', handleLoaded);
+      playbackEngine.off('canplay', handleLoaded);
+      window.removeEventListener('pagehide', persistPosition);
+    };
+  }, []);
+
+  // Follow volume changes made outside the player (e.g. the settings modal)
+  useEffect(() => {
+    dispatch({ type: PLAYER_ACTIONS.SET_VOLUME, payload: settings.volume / 100 });
+  }, [settings.volume]);
+
+  // Hand playback settings to the audio engine
+  useEffect(() => {
+    playbackEngine.configure({
+      crossfade: settings.crossfade,
+      crossfadeDuration: settings.crossfadeDuration,
+      highQuality: settings.highQuality,
+      normalization: settings.normalization
+    });
+  }, [settings.crossfade, settings.crossfadeDuration, settings.highQuality, settings.normalization]);
+
+  useEffect(() => {
+    playbackEngine.setEqualizer(settings.equalizer);
+  }, [settings.equalizer]);
+
+  // Buffer the upcoming track so the engine can hand off without a gap.
+  // Without autoplay (or with the sleep timer stopping after this track)
+  // playback stops at the end, so there's nothing to load.
+  const upcoming = getUpcoming(state);
+  const upcomingTrack = settings.autoplay && !sleepAfterTrack && upcoming
+    ? upcoming.track
+    : null;
+
+  useEffect(() => {
+    playbackEngine.preload(upcomingTrack);
+  }, [upcomingTrack]);
+
+  // Keep the sleep timer across reloads
+  useEffect(() => {
+    if (state.sleepTimer) {
+      localStorage.setItem(SLEEP_TIMER_KEY, JSON.stringify(state.sleepTimer));
+    } else {
+      localStorage.removeItem(SLEEP_TIMER_KEY);
     }
+  }, [state.sleepTimer]);
+
+  // Timed sleep: fade over the last 30 seconds, then stop
+  useEffect(() => {
+    if (state.sleepTimer?.mode !== SLEEP_TIMER_MODES.DURATION) return;
+
+    const { endsAt } = state.sleepTimer;
+    let fading = false;
+
+    const tick = () => {
+      const remaining = endsAt - Date.now();
+      if (remaining <= 0) {
+        sleepNow();
+      } else if (!fading && remaining <= SLEEP_FADE_DURATION) {
+        fading = true;
+        playbackEngine.fadeOutput(remaining);
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => {
+      clearInterval(interval);
+      // Cancelled mid-fade: back to full level
+      if (fading) playbackEngine.restoreOutput();
+    };
+  }, [state.sleepTimer, sleepNow]);
+
+  // Sleep after this track: fade its tail; handleTrackEnd does the stopping
+  useEffect(() => {
+    if (!sleepAfterTrack) return;
+
+    let fading = false;
+    const handleTimeUpdate = ({ currentTime, duration }) => {
+      // Short previews fade over their second half at most
+      const fadeLength = Math.min(SLEEP_FADE_DURATION, (duration * 1000) / 2);
+      const remaining = (duration - currentTime) * 1000;
+      if (!isFinite(remaining)) return;
+
+      if (!fading && remaining <= fadeLength) {
+        fading = true;
+        playbackEngine.fadeOutput(remaining);
+      } else if (fading && remaining > fadeLength) {
+        // Seeked back out of the fade
+        fading = false;
+        playbackEngine.restoreOutput();
+      }
+    };
+
+    playbackEngine.on('timeupdate', handleTimeUpdate);
+    return () => {
+      playbackEngine.off('timeupdate', handleTimeUpdate);
+      if (fading) playbackEngine.restoreOutput();
+    };
+  }, [sleepAfterTrack, state.currentTrack]);
+
+  // The engine moved to the preloaded track by itself (end of track or crossfade)
+  useEffect(() => {
+    const handleHandoff = ({ track }) => {
+      dispatch({ type: PLAYER_ACTIONS.HANDOFF, payload: track });
+      dispatch({ type: PLAYER_ACTIONS.ADD_TO_HISTORY, payload: track });
+    };
+
+    playbackEngine.on('handoff', handleHandoff);
+    return () => playbackEngine.off('handoff', handleHandoff);
   }, []);
 
   // Keyboard shortcuts
@@ -389,35 +915,22 @@ export const PlayerProvider = ({ children }) => {
           if (event.ctrlKey || event.metaKey) {
             event.preventDefault();
             // Handle next track logic
-            const { queue, currentIndex, repeatMode } = state;
-            if (queue.length === 0) return;
-            
-            if (repeatMode === REPEAT_MODES.ONE) return;
-            
-            let nextIndex = currentIndex + 1;
-            if (nextIndex >= queue.length) {
-              if (repeatMode === REPEAT_MODES.ALL) {
-                nextIndex = 0;
-              } else {
-                dispatch({ type: PLAYER_ACTIONS.SET_PLAYING, payload: false });
-                return;
-              }
+            const target = getSkipTarget(state);
+            if (target) {
+              dispatch({ type: PLAYER_ACTIONS.ADVANCE, payload: target });
+            } else if (state.repeatMode !== REPEAT_MODES.ONE) {
+              dispatch({ type: PLAYER_ACTIONS.SET_PLAYING, payload: false });
             }
-            dispatch({ type: PLAYER_ACTIONS.SET_CURRENT_INDEX, payload: nextIndex });
           }
           break;
         case 'ArrowLeft':
           if (event.ctrlKey || event.metaKey) {
             event.preventDefault();
             // Handle previous track logic
-            const { queue, currentIndex } = state;
-            if (queue.length === 0) return;
-            
-            let prevIndex = currentIndex - 1;
-            if (prevIndex < 0) {
-              prevIndex = queue.length - 1;
+            const target = getPreviousTarget(state);
+            if (target) {
+              dispatch({ type: PLAYER_ACTIONS.ADVANCE, payload: target });
             }
-            dispatch({ type: PLAYER_ACTIONS.SET_CURRENT_INDEX, payload: prevIndex });
           }
           break;
         case 'ArrowUp':
@@ -425,7 +938,7 @@ export const PlayerProvider = ({ children }) => {
             event.preventDefault();
             const newVolume = Math.min(1, state.volume + 0.1);
             dispatch({ type: PLAYER_ACTIONS.SET_VOLUME, payload: newVolume });
-            localStorage.setItem('player-volume', newVolume.toString());
+            updateSetting('volume', Math.round(newVolume * 100));
           }
           break;
         case 'ArrowDown':
@@ -433,7 +946,7 @@ export const PlayerProvider = ({ children }) => {
             event.preventDefault();
             const newVolume = Math.max(0, state.volume - 0.1);
             dispatch({ type: PLAYER_ACTIONS.SET_VOLUME, payload: newVolume });
-            localStorage.setItem('player-volume', newVolume.toString());
+            updateSetting('volume', Math.round(newVolume * 100));
           }
           break;
         default:
@@ -443,11 +956,42 @@ export const PlayerProvider = ({ children }) => {
 
     document.addEventListener('keydown', handleKeyPress);
     return () => document.removeEventListener('keydown', handleKeyPress);
-  }, [state]);
+  }, [state, updateSetting]);
+
+  // Premium accounts stream full tracks; everyone else hears previews
+  useEffect(() => {
+    const handleEngineChange = ({ fullTracks }) => setCanPlayFullTracks(fullTracks);
+    playbackEngine.on('enginechange', handleEngineChange);
+
+    let cancelled = false;
+    // Runs on every load, so it must never send the user off to log in
+    Spotify.getSessionProfile()
+      .then(profile => {
+        if (cancelled || profile?.product !== 'premium') return;
+        if (!Spotify.hasPlaybackScopes()) {
+          setNeedsPlaybackConsent(true);
+          return;
+        }
+        return playbackEngine.enableFullTracks({
+          getAccessToken: () => Spotify.getUserAccessToken({ interactive: false }),
+          startPlayback: Spotify.startPlayback
+        });
+      })
+      .catch(error => console.warn('Could not check for Spotify Premium:', error));
+
+    return () => {
+      cancelled = true;
+      playbackEngine.off('enginechange', handleEngineChange);
+    };
+  }, []);
 
   const value = {
     ...state,
-    ...actions
+    ...actions,
+    canPlayFullTracks,
+    needsPlaybackConsent,
+    // Ask Spotify again so the session gains the playback scopes
+    reconnectSpotify: () => Spotify.authorize()
   };
 
   return (
@@ -7,12 +7,15 @@ const PLAYLIST_ACTIONS = {
   UPDATE_PLAYLIST: 'UPDATE_PLAYLIST',
   DELETE_PLAYLIST: 'DELETE_PLAYLIST',
   ADD_TRACK_TO_PLAYLIST: 'ADD_TRACK_TO_PLAYLIST',
+  ADD_TRACKS_TO_PLAYLIST: 'ADD_TRACKS_TO_PLAYLIST',
   REMOVE_TRACK_FROM_PLAYLIST: 'REMOVE_TRACK_FROM_PLAYLIST',
   REORDER_PLAYLIST_TRACKS: 'REORDER_PLAYLIST_TRACKS',
   SET_CURRENT_PLAYLIST: 'SET_CURRENT_PLAYLIST',
   SET_LOADING: 'SET_LOADING',
   SET_ERROR: 'SET_ERROR',
-  DUPLICATE_PLAYLIST: 'DUPLICATE_PLAYLIST'
+  DUPLICATE_PLAYLIST: 'DUPLICATE_PLAYLIST',
+  IMPORT_PLAYLIST: 'IMPORT_PLAYLIST',
+  RESTORE_PLAYLISTS: 'RESTORE_PLAYLISTS'
 };
 
 // Initial state
@@ -48,16 +51,17 @@ const playlistReducer = (state, action) => {
       };
 
     case PLAYLIST_ACTIONS.ADD_PLAYLIST:
+      const newTracks = action.payload.tracks || [];
       const newPlaylist = {
-        id: generateId(),
+        id: action.payload.id || generateId(),
         name: action.payload.name || 'New Playlist',
         description: action.payload.description || '',
-        tracks: [],
+        tracks: newTracks,
         isPublic: action.payload.isPublic || false,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
-        trackCount: 0,
-        duration: '0m'
+        trackCount: newTracks.length,
+        duration: calculatePlaylistDuration(newTracks)
       };
       
       return {
@@ -135,6 +139,38 @@ const playlistReducer = (state, action) => {
         error: null
       };
 
+    case PLAYLIST_ACTIONS.ADD_TRACKS_TO_PLAYLIST:
+      const { playlistId: addPlaylistId, tracks: tracksToAdd } = action.payload;
+
+      // Skip tracks the playlist already has (and repeats within the batch)
+      const withAddedTracks = (playlist) => {
+        const seen = new Set(playlist.tracks.map(t => t.id));
+        const additions = tracksToAdd.filter(t => {
+          if (seen.has(t.id)) return false;
+          seen.add(t.id);
+          return true;
+        });
+        const tracks = [...playlist.tracks, ...additions];
+        return {
+          ...playlist,
+          tracks,
+          trackCount: tracks.length,
+          duration: calculatePlaylistDuration(tracks),
+          updatedAt: new Date().toISOString()
+        };
+      };
+
+      return {
+        ...state,
+        playlists: state.playlists.map(playlist =>
+          playlist.id === addPlaylistId ? withAddedTracks(playlist) : playlist
+        ),
+        currentPlaylist: state.currentPlaylist?.id === addPlaylistId
+          ? withAddedTracks(state.currentPlaylist)
+          : state.currentPlaylist,
+        error: null
+      };
+
     case PLAYLIST_ACTIONS.REMOVE_TRACK_FROM_PLAYLIST:
       const { playlistId: removePlaylistId, trackIndex } = action.payload;
       return {
@@ -207,6 +243,9 @@ const playlistReducer = (state, action) => {
       const duplicatedPlaylist = {
         ...originalPlaylist,
         id: generateId(),
+        // A copy is a new playlist; it isn't linked to the original's Spotify playlist
+        spotify: null,
+        importedFrom: null,
         name: `${originalPlaylist.name} (Copy)`,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
@@ -218,6 +257,39 @@ const playlistReducer = (state, action) => {
         error: null
       };
 
+    case PLAYLIST_ACTIONS.IMPORT_PLAYLIST:
+      const importedTracks = action.payload.tracks || [];
+      const importedPlaylist = {
+        id: action.payload.id,
+        name: action.payload.name || 'Imported Playlist',
+        description: action.payload.description || '',
+        tracks: importedTracks,
+        isPublic: action.payload.isPublic || false,
+        importedFrom: action.payload.importedFrom || null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        trackCount: importedTracks.length,
+        duration: calculatePlaylistDuration(importedTracks)
+      };
+
+      return {
+        ...state,
+        playlists: [...state.playlists, importedPlaylist],
+        error: null
+      };
+
+    case PLAYLIST_ACTIONS.RESTORE_PLAYLISTS:
+      // Playlists from a JSON export, kept exactly; ones with the same ID are replaced
+      const restoredById = new Map(action.payload.map(playlist => [playlist.id, playlist]));
+      const keptPlaylists = state.playlists.map(playlist => restoredById.get(playlist.id) || playlist);
+      const keptIds = new Set(state.playlists.map(playlist => playlist.id));
+
+      return {
+        ...state,
+        playlists: [...keptPlaylists, ...action.payload.filter(playlist => !keptIds.has(playlist.id))],
+        error: null
+      };
+
     case PLAYLIST_ACTIONS.SET_LOADING:
       return {
         ...state,
@@ -305,8 +377,11 @@ export const PlaylistProvider = ({ children }) => {
 
   // Action creators
   const actions = {
+    // Returns the new playlist's ID; `tracks` may be given to start it filled
     createPlaylist: (playlistData) => {
-      dispatch({ type: PLAYLIST_ACTIONS.ADD_PLAYLIST, payload: playlistData });
+      const id = generateId();
+      dispatch({ type: PLAYLIST_ACTIONS.ADD_PLAYLIST, payload: { ...playlistData, id } });
+      return id;
     },
 
     updatePlaylist: (id, updates) => {
@@ -325,6 +400,10 @@ export const PlaylistProvider = ({ children }) => {
       }
     },
 
+    addTracksToPlaylist: (playlistId, tracks) => {
+      dispatch({ type: PLAYLIST_ACTIONS.ADD_TRACKS_TO_PLAYLIST, payload: { playlistId, tracks } });
+    },
+
     removeTrackFromPlaylist: (playlistId, trackIndex) => {
       dispatch({ type: PLAYLIST_ACTIONS.REMOVE_TRACK_FROM_PLAYLIST, payload: { playlistId, trackIndex } });
     },
@@ -337,10 +416,50 @@ export const PlaylistProvider = ({ children }) => {
       dispatch({ type: PLAYLIST_ACTIONS.SET_CURRENT_PLAYLIST, payload: playlist });
     },
 
+    // Link to a Spotify playlist: { id, snapshotId, syncedAt, base } (see util/playlistSync)
+    linkSpotifyPlaylist: (id, link) => {
+      dispatch({ type: PLAYLIST_ACTIONS.UPDATE_PLAYLIST, payload: { id, updates: { spotify: link } } });
+    },
+
+    unlinkSpotifyPlaylist: (id) => {
+      dispatch({ type: PLAYLIST_ACTIONS.UPDATE_PLAYLIST, payload: { id, updates: { spotify: null } } });
+    },
+
     duplicatePlaylist: (id) => {
       dispatch({ type: PLAYLIST_ACTIONS.DUPLICATE_PLAYLIST, payload: id });
     },
 
+    // Add a playlist that arrives with its tracks; `importedFrom` is the source's
+    // Spotify ID, and importing the same playlist again refreshes the earlier copy
+    importPlaylist: (playlistData) => {
+      const existing = playlistData.importedFrom
+        ? state.playlists.find(p => p.importedFrom === playlistData.importedFrom)
+        : null;
+
+      if (existing) {
+        dispatch({
+          type: PLAYLIST_ACTIONS.UPDATE_PLAYLIST,
+          payload: {
+            id: existing.id,
+            updates: {
+              name: playlistData.name || existing.name,
+              description: playlistData.description ?? existing.description,
+              tracks: playlistData.tracks || []
+            }
+          }
+        });
+        return existing.id;
+      }
+
+      const id = generateId();
+      dispatch({ type: PLAYLIST_ACTIONS.IMPORT_PLAYLIST, payload: { ...playlistData, id } });
+      return id;
+    },
+
+    restorePlaylists: (playlists) => {
+      dispatch({ type: PLAYLIST_ACTIONS.RESTORE_PLAYLISTS, payload: playlists });
+    },
+
     getPlaylistById: (id) => {
       return state.playlists.find(playlist => playlist.id === id);
     },
@@ -4,6 +4,8 @@ import React, { createContext, useContext, useReducer, useEffect, useCallback }
 const SEARCH_ACTIONS = {
   SET_QUERY: 'SET_QUERY',
   SET_RESULTS: 'SET_RESULTS',
+  APPEND_RESULTS: 'APPEND_RESULTS',
+  SET_LOADING_MORE: 'SET_LOADING_MORE',
   SET_SUGGESTIONS: 'SET_SUGGESTIONS',
   SET_LOADING: 'SET_LOADING',
   SET_ERROR: 'SET_ERROR',
@@ -31,6 +33,15 @@ export const SORT_OPTIONS = {
   POPULARITY: 'popularity'
 };
 
+// Paging cursor for the current query
+const initialPagination = {
+  offset: 0,
+  limit: 20,
+  total: 0,
+  nextOffset: null,
+  hasMore: false
+};
+
 // Initial state
 const initialState = {
   query: '',
@@ -39,8 +50,10 @@ const initialState = {
     artists: [],
     albums: []
   },
+  pagination: initialPagination,
   suggestions: [],
   isLoading: false,
+  isLoadingMore: false,
   error: null,
   history: [],
   filter: SEARCH_FILTERS.ALL,
@@ -66,9 +79,38 @@ const searchReducer = (state, action) => {
       return {
         ...state,
         results: action.payload,
+        pagination: action.pagination || initialPagination,
         hasResults: hasResults,
         error: null,
-        isLoading: false
+        isLoading: false,
+        isLoadingMore: false
+      };
+
+    case SEARCH_ACTIONS.APPEND_RESULTS: {
+      // Pages can overlap when the catalog shifts between requests
+      const mergeUnique = (existing = [], incoming = []) => {
+        const seenIds = new Set(existing.map(item => item.id));
+        return [...existing, ...incoming.filter(item => !seenIds.has(item.id))];
+      };
+      const results = {
+        tracks: mergeUnique(state.results.tracks, action.payload.tracks),
+        artists: mergeUnique(state.results.artists, action.payload.artists),
+        albums: mergeUnique(state.results.albums, action.payload.albums)
+      };
+
+      return {
+        ...state,
+        results,
+        pagination: action.pagination,
+        hasResults: state.hasResults || results.tracks.length > 0,
+        isLoadingMore: false
+      };
+    }
+
+    case SEARCH_ACTIONS.SET_LOADING_MORE:
+      return {
+        ...state,
+        isLoadingMore: action.payload
       };
 
     case SEARCH_ACTIONS.SET_SUGGESTIONS:
@@ -87,7 +129,8 @@ const searchReducer = (state, action) => {
       return {
         ...state,
         error: action.payload,
-        isLoading: false
+        isLoading: false,
+        isLoadingMore: false
       };
 
     case SEARCH_ACTIONS.ADD_TO_HISTORY:
@@ -127,8 +170,10 @@ const searchReducer = (state, action) => {
           artists: [],
           albums: []
         },
+        pagination: initialPagination,
         suggestions: [],
         hasResults: false,
+        isLoadingMore: false,
         error: null
       };
 
@@ -184,8 +229,16 @@ export const SearchProvider = ({ children }) => {
     dispatch({ type: SEARCH_ACTIONS.SET_QUERY, payload: query });
   }, []);
 
-  const setResults = useCallback((results) => {
-    dispatch({ type: SEARCH_ACTIONS.SET_RESULTS, payload: results });
+  const setResults = useCallback((results, pagination) => {
+    dispatch({ type: SEARCH_ACTIONS.SET_RESULTS, payload: results, pagination });
+  }, []);
+
+  const appendResults = useCallback((results, pagination) => {
+    dispatch({ type: SEARCH_ACTIONS.APPEND_RESULTS, payload: results, pagination });
+  }, []);
+
+  const setLoadingMore = useCallback((isLoadingMore) => {
+    dispatch({ type: SEARCH_ACTIONS.SET_LOADING_MORE, payload: isLoadingMore });
   }, []);
 
   const setSuggestions = useCallback((suggestions) => {
@@ -231,6 +284,8 @@ export const SearchProvider = ({ children }) => {
     ...state,
     setQuery,
     setResults,
+    appendResults,
+    setLoadingMore,
     setSuggestions,
     setLoading,
     setError,
@@ -0,0 +1,204 @@
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import Spotify from '../util/spotify';
+import { AUTO_MARKET, SETTINGS_STORAGE_KEY, isValidMarket } from '../util/marketUtils';
+import {
+  DEFAULT_EQUALIZER,
+  isValidEqualizer,
+  isValidCustomPresets,
+  clampEqualizer,
+  clampCustomPresets
+} from '../util/equalizer';
+import { NORMALIZATION_MODES } from '../util/loudness';
+
+// Settings action types
+const SETTINGS_ACTIONS = {
+  UPDATE_SETTINGS: 'UPDATE_SETTINGS',
+  RESET_SETTINGS: 'RESET_SETTINGS'
+};
+
+// Bump when the stored shape changes and add a step to migrateSettings
+export const SETTINGS_VERSION = 2;
+
+export const THEMES = ['dark', 'light', 'auto'];
+export const LANGUAGES = ['en', 'es', 'fr', 'de'];
+
+// Crossfade length range, in seconds
+export const CROSSFADE_DURATION_MIN = 1;
+export const CROSSFADE_DURATION_MAX = 12;
+
+// Volume saved by PlayerContext before settings owned it (0-1)
+const LEGACY_VOLUME_KEY = 'player-volume';
+
+export const DEFAULT_SETTINGS = {
+  version: SETTINGS_VERSION,
+  theme: 'dark',
+  autoplay: true,
+  notifications: true,
+  highQuality: false,
+  crossfade: false,
+  crossfadeDuration: 5, // Seconds
+  normalization: NORMALIZATION_MODES.TRACK,
+  volume: 70, // Percent
+  language: 'en',
+  market: AUTO_MARKET,
+  equalizer: DEFAULT_EQUALIZER,
+  eqPresets: [] // User-saved equalizer presets
+};
+
+// Per-field checks; invalid values fall back to the default
+const validators = {
+  theme: (value) => THEMES.includes(value),
+  autoplay: (value) => typeof value === 'boolean',
+  notifications: (value) => typeof value === 'boolean',
+  highQuality: (value) => typeof value === 'boolean',
+  crossfade: (value) => typeof value === 'boolean',
+  crossfadeDuration: (value) => Number.isInteger(value) &&
+    value >= CROSSFADE_DURATION_MIN && value <= CROSSFADE_DURATION_MAX,
+  normalization: (value) => Object.values(NORMALIZATION_MODES).includes(value),
+  volume: (value) => Number.isInteger(value) && value >= 0 && value <= 100,
+  language: (value) => LANGUAGES.includes(value),
+  market: (value) => value === AUTO_MARKET || isValidMarket(value),
+  equalizer: isValidEqualizer,
+  eqPresets: isValidCustomPresets
+};
+
+// Adjustments for valid values that may still be out of range
+const normalizers = {
+  equalizer: clampEqualizer,
+  eqPresets: clampCustomPresets
+};
+
+/**
+ * Keep known, valid fields and fill the rest from the defaults
+ * @param {Object} settings - Candidate settings
+ * @returns {Object} Complete, valid settings
+ */
+export const validateSettings = (settings = {}) => {
+  return Object.keys(DEFAULT_SETTINGS).reduce((valid, key) => {
+    if (key === 'version') {
+      valid.version = SETTINGS_VERSION;
+    } else {
+      const validate = validators[key];
+      const normalize = normalizers[key] || (value => value);
+      valid[key] = validate(settings[key]) ? normalize(settings[key]) : DEFAULT_SETTINGS[key];
+    }
+    return valid;
+  }, {});
+};
+
+/**
+ * Upgrade settings saved by older versions
+ * @param {Object} stored - Parsed settings from localStorage
+ * @param {Object} legacy - Values from pre-settings storage keys
+ * @returns {Object} Settings in the current shape (not yet validated)
+ */
+export const migrateSettings = (stored = {}, legacy = {}) => {
+  let settings = { ...stored };
+
+  // v1 (unversioned): the modal saved cosmetic defaults, and the player kept
+  // the real volume under its own key as 0-1
+  if (!settings.version || settings.version < 2) {
+    if (typeof legacy.volume === 'number' && !Number.isNaN(legacy.volume)) {
+      settings.volume = Math.round(Math.max(0, Math.min(1, legacy.volume)) * 100);
+    } else if (typeof settings.volume === 'number') {
+      settings.volume = Math.round(settings.volume);
+    }
+    settings.version = 2;
+  }
+
+  return settings;
+};
+
+/**
+ * Read, migrate and validate the stored settings
+ * @returns {Object} Settings
+ */
+export const loadSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+    const legacyVolume = localStorage.getItem(LEGACY_VOLUME_KEY);
+    const legacy = legacyVolume !== null ? { volume: parseFloat(legacyVolume) } : {};
+
+    return validateSettings(migrateSettings(stored, legacy));
+  } catch (error) {
+    console.warn('Failed to load settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+// Settings reducer
+const settingsReducer = (state, action) => {
+  switch (action.type) {
+    case SETTINGS_ACTIONS.UPDATE_SETTINGS:
+      return validateSettings({ ...state, ...action.payload });
+
+    case SETTINGS_ACTIONS.RESET_SETTINGS:
+      return { ...DEFAULT_SETTINGS };
+
+    default:
+      return state;
+  }
+};
+
+// Create context
+const SettingsContext = createContext();
+
+// Custom hook to use settings context
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error('useSettings must be used within a SettingsProvider');
+  }
+  return context;
+};
+
+// Settings provider component
+export const SettingsProvider = ({ children }) => {
+  const [settings, dispatch] = useReducer(settingsReducer, undefined, loadSettings);
+
+  // Persist every change; the legacy volume key is folded in on first load
+  useEffect(() => {
+    try {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+      localStorage.removeItem(LEGACY_VOLUME_KEY);
+    } catch (error) {
+      console.warn('Failed to save settings:', error);
+    }
+  }, [settings]);
+
+  // Catalog requests follow the market setting
+  useEffect(() => {
+    Spotify.setMarketSetting(settings.market);
+  }, [settings.market]);
+
+  useEffect(() => {
+    document.documentElement.lang = settings.language;
+  }, [settings.language]);
+
+  const updateSettings = useCallback((updates) => {
+    dispatch({ type: SETTINGS_ACTIONS.UPDATE_SETTINGS, payload: updates });
+  }, []);
+
+  const updateSetting = useCallback((key, value) => {
+    dispatch({ type: SETTINGS_ACTIONS.UPDATE_SETTINGS, payload: { [key]: value } });
+  }, []);
+
+  const resetSettings = useCallback(() => {
+    dispatch({ type: SETTINGS_ACTIONS.RESET_SETTINGS });
+  }, []);
+
+  const value = {
+    settings,
+    updateSettings,
+    updateSetting,
+    resetSettings
+  };
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
+
+export default SettingsContext;
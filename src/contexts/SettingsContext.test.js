@@ -0,0 +1,76 @@
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_VERSION,
+  validateSettings,
+  migrateSettings,
+  loadSettings
+} from './SettingsContext';
+
+describe('settings', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('replaces invalid values with defaults and drops unknown keys', () => {
+    const settings = validateSettings({
+      theme: 'neon',
+      autoplay: 'yes',
+      volume: 150,
+      crossfade: true,
+      market: 'GB',
+      extra: 1
+    });
+
+    expect(settings).toEqual({
+      ...DEFAULT_SETTINGS,
+      crossfade: true,
+      market: 'GB'
+    });
+  });
+
+  test('keeps valid equalizer settings and custom presets', () => {
+    const equalizer = { enabled: true, preset: 'manual', preamp: -3, gains: [4, 3, 2, 1, 0, 0, 1, 2, 3, 4] };
+    const eqPresets = [{ id: 'custom-1', name: 'Night', preamp: -2, gains: equalizer.gains }];
+
+    expect(validateSettings({ equalizer, eqPresets })).toMatchObject({ equalizer, eqPresets });
+    expect(validateSettings({ equalizer: { ...equalizer, gains: [1, 2] } }).equalizer)
+      .toEqual(DEFAULT_SETTINGS.equalizer);
+  });
+
+  test('clamps out-of-range equalizer gains and preamps', () => {
+    const settings = validateSettings({
+      equalizer: { enabled: true, preset: 'manual', preamp: -40, gains: [99, -99, 0, 0, 0, 0, 0, 0, 0, 3] },
+      eqPresets: [{ id: 'custom-1', name: 'Loud', preamp: 20, gains: [50, 0, 0, 0, 0, 0, 0, 0, 0, 0] }]
+    });
+
+    expect(settings.equalizer).toMatchObject({ preamp: -12, gains: [12, -12, 0, 0, 0, 0, 0, 0, 0, 3] });
+    expect(settings.eqPresets[0]).toMatchObject({ preamp: 6, gains: [12, 0, 0, 0, 0, 0, 0, 0, 0, 0] });
+  });
+
+  test('migrates unversioned settings and prefers the legacy player volume', () => {
+    const migrated = migrateSettings({ theme: 'light', volume: 70 }, { volume: 0.35 });
+
+    expect(migrated.version).toBe(SETTINGS_VERSION);
+    expect(migrated.theme).toBe('light');
+    expect(migrated.volume).toBe(35);
+  });
+
+  test('loads defaults when storage holds garbage', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem('musicPlatformSettings', '{not json');
+
+    expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+    console.warn.mockRestore();
+  });
+
+  test('loads and validates stored settings', () => {
+    localStorage.setItem('musicPlatformSettings', JSON.stringify({
+      version: SETTINGS_VERSION,
+      autoplay: false,
+      language: 'fr',
+      volume: 40
+    }));
+
+    expect(loadSettings()).toMatchObject({ autoplay: false, language: 'fr', volume: 40 });
+  });
+});
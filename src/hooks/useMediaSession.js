@@ -0,0 +1,155 @@
+import { useEffect, useRef, useCallback } from 'react';
+
+const SEEK_OFFSET = 10; // Seconds, when the OS doesn't say
+
+// Spotify's three image sizes, largest first in the Web API
+const ARTWORK_SIZES = {
+  small: '64x64',
+  medium: '300x300',
+  large: '640x640'
+};
+
+const isSupported = () => (
+  typeof navigator !== 'undefined' && 'mediaSession' in navigator
+);
+
+/**
+ * Lock-screen artwork for a track, smallest first
+ * @param {Object} track - Current track
+ * @returns {Object[]} MediaImage entries
+ */
+export const getTrackArtwork = (track) => {
+  const artwork = Object.entries(ARTWORK_SIZES)
+    .filter(([size]) => track.artwork?.[size])
+    .map(([size, sizes]) => ({ src: track.artwork[size], sizes, type: 'image/jpeg' }));
+
+  if (artwork.length > 0) return artwork;
+
+  // Tracks that kept the Web API album shape
+  return (track.album?.images || [])
+    .filter(image => image.url)
+    .reverse()
+    .map(image => ({
+      src: image.url,
+      ...(image.width && image.height ? { sizes: `${image.width}x${image.height}` } : {}),
+      type: 'image/jpeg'
+    }));
+};
+
+/**
+ * Media Session metadata for a track
+ * @param {Object} track - Current track
+ * @returns {Object} { title, artist, album, artwork }
+ */
+export const getTrackMetadata = (track) => ({
+  title: track.name || '',
+  artist: track.artists?.length
+    ? track.artists.map(artist => artist.name).join(', ')
+    : track.artist || '',
+  album: typeof track.album === 'string' ? track.album : track.album?.name || '',
+  artwork: getTrackArtwork(track)
+});
+
+/**
+ * Custom hook that hands the player over to the OS media controls
+ * Populates navigator.mediaSession from the current track and routes media
+ * keys, headset buttons and lock-screen controls to the given handlers.
+ * @param {Object} options - Session options
+ * @param {Object|null} options.track - Current track
+ * @param {boolean} options.isPlaying - Whether playback is running
+ * @param {Object} options.handlers - { play, pause, next, previous, seekTo, getCurrentTime }
+ * @returns {Object} { updatePositionState } - call with { currentTime, duration } as time passes
+ */
+const useMediaSession = ({ track, isPlaying, handlers }) => {
+  // Registered once; the latest handlers are read at call time
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const updatePositionState = useCallback(({ currentTime, duration }) => {
+    if (!isSupported() || typeof navigator.mediaSession.setPositionState !== 'function') return;
+    // Streams and clips still loading have no usable duration
+    if (!Number.isFinite(duration) || duration <= 0) return;
+
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate: 1,
+        position: Math.max(0, Math.min(currentTime || 0, duration))
+      });
+    } catch (error) {
+      console.warn('Failed to update media session position:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isSupported()) return;
+
+    const seekBy = (offset) => {
+      const { getCurrentTime, seekTo } = handlersRef.current;
+      seekTo(Math.max(0, getCurrentTime() + offset));
+    };
+
+    const actions = {
+      play: () => handlersRef.current.play(),
+      pause: () => handlersRef.current.pause(),
+      nexttrack: () => handlersRef.current.next(),
+      previoustrack: () => handlersRef.current.previous(),
+      seekto: (details) => {
+        if (Number.isFinite(details.seekTime)) {
+          handlersRef.current.seekTo(details.seekTime);
+        }
+      },
+      seekbackward: (details) => seekBy(-(details.seekOffset || SEEK_OFFSET)),
+      seekforward: (details) => seekBy(details.seekOffset || SEEK_OFFSET)
+    };
+
+    // Browsers throw for actions they don't support; the rest still work
+    const setHandler = (action, handler) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch (error) {
+        console.warn(`Media session action "${action}" is not supported`);
+      }
+    };
+
+    Object.entries(actions).forEach(([action, handler]) => setHandler(action, handler));
+
+    return () => {
+      Object.keys(actions).forEach(action => setHandler(action, null));
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!isSupported()) return;
+
+    if (!track) {
+      navigator.mediaSession.metadata = null;
+      return;
+    }
+
+    if (typeof window.MediaMetadata === 'function') {
+      navigator.mediaSession.metadata = new window.MediaMetadata(getTrackMetadata(track));
+    }
+  }, [track]);
+
+  useEffect(() => {
+    if (!isSupported()) return;
+
+    if (!track) {
+      navigator.mediaSession.playbackState = 'none';
+    } else {
+      navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
+    }
+  }, [track, isPlaying]);
+
+  // Leave nothing on the lock screen once the player is gone
+  useEffect(() => () => {
+    if (!isSupported()) return;
+    navigator.mediaSession.metadata = null;
+    navigator.mediaSession.playbackState = 'none';
+  }, []);
+
+  return { updatePositionState };
+};
+
+export default useMediaSession;
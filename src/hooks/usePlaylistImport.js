@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { usePlaylist } from '../contexts/PlaylistContext';
+import Spotify from '../util/spotify';
+
+export const IMPORT_STATUS = {
+  LOADING: 'loading',
+  DONE: 'done',
+  ERROR: 'error'
+};
+
+/**
+ * Copy Spotify playlists into the local library
+ *
+ * Progress is kept per Spotify playlist ID, so a grid of cards can show
+ * each one's state: { status, loaded, total, skipped, playlistId, error }.
+ */
+export const usePlaylistImport = () => {
+  const { importPlaylist } = usePlaylist();
+  const [imports, setImports] = useState({});
+
+  const setImport = (spotifyId, update) => {
+    setImports(prev => ({ ...prev, [spotifyId]: { ...prev[spotifyId], ...update } }));
+  };
+
+  /**
+   * Import a Spotify playlist with all of its tracks
+   * @param {Object} remote - Spotify playlist ({ id, name, description }),
+   *   with the description already decoded from the Web API's HTML escaping
+   * @returns {Promise<string|null>} Local playlist ID, or null if it failed
+   */
+  const importSpotifyPlaylist = async (remote) => {
+    if (imports[remote.id]?.status === IMPORT_STATUS.LOADING) return null;
+
+    setImport(remote.id, { status: IMPORT_STATUS.LOADING, loaded: 0, total: 0, skipped: 0, error: null });
+    try {
+      const tracks = await Spotify.getPlaylistTracks(remote.id, {
+        onProgress: (progress) => setImport(remote.id, progress)
+      });
+      const playlistId = importPlaylist({
+        name: remote.name,
+        description: remote.description,
+        tracks,
+        importedFrom: remote.id
+      });
+      setImport(remote.id, { status: IMPORT_STATUS.DONE, playlistId });
+      return playlistId;
+    } catch (error) {
+      console.error('Playlist import failed:', error);
+      setImport(remote.id, {
+        status: IMPORT_STATUS.ERROR,
+        error: error.message || 'Could not import this playlist.'
+      });
+      return null;
+    }
+  };
+
+  /**
+   * Short label for a playlist's import state
+   * @param {string} spotifyId - Spotify playlist ID
+   * @returns {string} Button label
+   */
+  const getImportLabel = (spotifyId) => {
+    const state = imports[spotifyId];
+    switch (state?.status) {
+      case IMPORT_STATUS.LOADING:
+        return state.total ? `Importing ${state.loaded}/${state.total}...` : 'Importing...';
+      case IMPORT_STATUS.DONE:
+        return state.skipped ? `Imported (${state.skipped} unavailable skipped)` : 'Imported';
+      case IMPORT_STATUS.ERROR:
+        return 'Import failed, retry';
+      default:
+        return 'Import to library';
+    }
+  };
+
+  return {
+    imports,
+    importSpotifyPlaylist,
+    getImportLabel
+  };
+};
+
+export default usePlaylistImport;
@@ -0,0 +1,232 @@
+import { useState } from 'react';
+import { usePlaylist } from '../contexts/PlaylistContext';
+import Spotify from '../util/spotify';
+import { getTrackUri } from '../util/spotifyWebPlayback';
+import {
+  SYNC_ACTIONS,
+  CONFLICT_RESOLUTIONS,
+  getLocalSnapshot,
+  getRemoteSnapshot,
+  getInitialBase,
+  planSync,
+  mergeSnapshots,
+  resolveTracks,
+  withSkippedItems,
+  createLink
+} from '../util/playlistSync';
+
+export const SYNC_STATUS = {
+  IDLE: 'idle',
+  SYNCING: 'syncing',
+  CONFLICT: 'conflict',
+  ERROR: 'error'
+};
+
+// Sync needs every remote item; leaving unplayable tracks out would delete them on
+// push, and episodes and local files are kept aside to put back (see withSkippedItems)
+const fetchRemoteTracks = async (spotifyId) => {
+  const skipped = [];
+  const tracks = await Spotify.getPlaylistTracks(spotifyId, {
+    includeUnavailable: true,
+    onSkip: (item) => skipped.push(item)
+  });
+  return { tracks, skipped };
+};
+
+const sameUris = (a, b) => a.length === b.length && a.every((uri, index) => uri === b[index]);
+
+/**
+ * Keep a local playlist and its linked Spotify playlist in step
+ * @param {Object|null} playlist - Local playlist from PlaylistContext
+ */
+export const usePlaylistSync = (playlist) => {
+  const { updatePlaylist, unlinkSpotifyPlaylist } = usePlaylist();
+  const [status, setStatus] = useState(SYNC_STATUS.IDLE);
+  const [error, setError] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [lastAction, setLastAction] = useState(null);
+  const [progress, setProgress] = useState(null); // { written, total } while tracks upload
+
+  const link = playlist?.spotify || null;
+
+  /**
+   * Make both sides hold `target`, then record it as the new base
+   */
+  const applySnapshot = async (target, { remote, remoteSnapshot, remoteItems, local, linkId }) => {
+    let fetched = remoteItems;
+    const writes = [];
+    if (!sameUris(target.uris, remoteSnapshot.uris)) {
+      // Episodes and local files aren't in the snapshot's URIs, so look them up before replacing
+      fetched = fetched || await fetchRemoteTracks(linkId);
+      const uris = withSkippedItems(target.uris, fetched.skipped);
+      writes.push(Spotify.replacePlaylistTracks(linkId, uris, { onProgress: setProgress }));
+    }
+    if (target.name !== remoteSnapshot.name || target.description !== remoteSnapshot.description) {
+      writes.push(Spotify.updatePlaylistDetails(linkId, target));
+    }
+    try {
+      await Promise.all(writes);
+    } finally {
+      setProgress(null);
+    }
+
+    const updates = {};
+    if (target.name !== local.name) updates.name = target.name;
+    if (target.description !== local.description) updates.description = target.description;
+    if (!sameUris(target.uris, local.uris)) {
+      // Spotify's tracks weren't fetched if its snapshot hadn't moved
+      fetched = fetched || await fetchRemoteTracks(linkId);
+      const knownTracks = [...playlist.tracks, ...fetched.tracks];
+      // Tracks Spotify can't hold stay local, after the synced ones
+      const localOnly = playlist.tracks.filter(track => !getTrackUri(track));
+      updates.tracks = [...resolveTracks(target.uris, knownTracks), ...localOnly];
+    }
+
+    // Writes move the snapshot_id on
+    const latest = writes.length > 0 ? await Spotify.getPlaylist(linkId) : remote;
+    updatePlaylist(playlist.id, {
+      ...updates,
+      spotify: createLink(latest, target)
+    });
+  };
+
+  /**
+   * Compare both sides and push, pull or report a conflict
+   * @param {Object} [currentLink] - Link to sync with, if the context hasn't caught up yet
+   * @returns {Promise<string|null>} What was done (SYNC_ACTIONS), or null on error
+   */
+  const sync = async (currentLink = link) => {
+    if (!playlist || !currentLink) return null;
+
+    setStatus(SYNC_STATUS.SYNCING);
+    setError(null);
+    setConflict(null);
+
+    try {
+      const remote = await Spotify.getPlaylist(currentLink.id);
+      const local = getLocalSnapshot(playlist);
+
+      // Same snapshot: Spotify's tracks are the base's, no need to fetch them
+      const tracksUnchanged = currentLink.base && remote.snapshot_id === currentLink.snapshotId;
+      const remoteItems = tracksUnchanged ? null : await fetchRemoteTracks(currentLink.id);
+      const remoteSnapshot = tracksUnchanged
+        ? { ...getRemoteSnapshot(remote, []), uris: currentLink.base.uris }
+        : getRemoteSnapshot(remote, remoteItems.tracks, remoteItems.skipped);
+
+      const base = currentLink.base || getInitialBase(local, remoteSnapshot);
+      const { action, localDiff, remoteDiff } = planSync({ base, local, remote: remoteSnapshot });
+      const context = { remote, remoteSnapshot, remoteItems, local, linkId: currentLink.id };
+
+      if (action === SYNC_ACTIONS.CONFLICT) {
+        setConflict({ base, localDiff, remoteDiff, context });
+        setStatus(SYNC_STATUS.CONFLICT);
+        return action;
+      }
+
+      if (action === SYNC_ACTIONS.PUSH) {
+        await applySnapshot(local, context);
+      } else if (action === SYNC_ACTIONS.PULL) {
+        await applySnapshot(remoteSnapshot, context);
+      } else {
+        updatePlaylist(playlist.id, { spotify: createLink(remote, local) });
+      }
+
+      setLastAction(action);
+      setStatus(SYNC_STATUS.IDLE);
+      return action;
+    } catch (syncError) {
+      console.error('Playlist sync failed:', syncError);
+      setError(syncError.message || 'Sync failed. Please try again.');
+      setStatus(SYNC_STATUS.ERROR);
+      return null;
+    }
+  };
+
+  /**
+   * Settle a conflict
+   * @param {string} resolution - From CONFLICT_RESOLUTIONS
+   */
+  const resolveConflict = async (resolution) => {
+    if (!conflict) return;
+
+    const { base, context } = conflict;
+    const targets = {
+      [CONFLICT_RESOLUTIONS.KEEP_LOCAL]: () => context.local,
+      [CONFLICT_RESOLUTIONS.KEEP_REMOTE]: () => context.remoteSnapshot,
+      [CONFLICT_RESOLUTIONS.MERGE]: () => mergeSnapshots(base, context.local, context.remoteSnapshot)
+    };
+
+    setStatus(SYNC_STATUS.SYNCING);
+    try {
+      await applySnapshot(targets[resolution](), context);
+      setConflict(null);
+      setLastAction(resolution);
+      setStatus(SYNC_STATUS.IDLE);
+    } catch (syncError) {
+      console.error('Playlist sync failed:', syncError);
+      setError(syncError.message || 'Sync failed. Please try again.');
+      setStatus(SYNC_STATUS.ERROR);
+    }
+  };
+
+  /**
+   * Link to one of the user's Spotify playlists and sync straight away
+   * @param {string} spotifyId - Spotify playlist ID
+   */
+  const linkToPlaylist = (spotifyId) => (
+    sync({ id: spotifyId, snapshotId: null, syncedAt: null, base: null })
+  );
+
+  /**
+   * Create a Spotify playlist for this one and push it there
+   */
+  const linkToNewPlaylist = async () => {
+    if (!playlist) return null;
+
+    setStatus(SYNC_STATUS.SYNCING);
+    setError(null);
+    try {
+      const remote = await Spotify.createPlaylist(playlist.name, {
+        description: playlist.description,
+        isPublic: playlist.isPublic
+      });
+      return sync({ id: remote.id, snapshotId: null, syncedAt: null, base: null });
+    } catch (syncError) {
+      console.error('Creating Spotify playlist failed:', syncError);
+      setError(syncError.message || 'Could not create the playlist on Spotify.');
+      setStatus(SYNC_STATUS.ERROR);
+      return null;
+    }
+  };
+
+  const unlink = () => {
+    if (!playlist) return;
+    unlinkSpotifyPlaylist(playlist.id);
+    setConflict(null);
+    setError(null);
+    setStatus(SYNC_STATUS.IDLE);
+  };
+
+  const cancelConflict = () => {
+    setConflict(null);
+    setStatus(SYNC_STATUS.IDLE);
+  };
+
+  return {
+    link,
+    status,
+    error,
+    conflict,
+    lastAction,
+    progress,
+    isSyncing: status === SYNC_STATUS.SYNCING,
+    sync,
+    resolveConflict,
+    cancelConflict,
+    linkToPlaylist,
+    linkToNewPlaylist,
+    unlink
+  };
+};
+
+export default usePlaylistSync;
@@ -0,0 +1,52 @@
+import { useEffect } from 'react';
+import { useSettings } from '../contexts/SettingsContext';
+import useAccessibilityPreferences from './useAccessibilityPreferences';
+
+/**
+ * Work out which palette to show
+ * @param {string} theme - Theme setting: 'dark', 'light' or 'auto'
+ * @param {boolean} prefersDarkMode - Whether the system prefers a dark scheme
+ * @returns {string} 'dark' or 'light'
+ */
+export const resolveTheme = (theme, prefersDarkMode) => {
+  if (theme === 'auto') {
+    return prefersDarkMode ? 'dark' : 'light';
+  }
+  return theme === 'light' ? 'light' : 'dark';
+};
+
+/**
+ * Custom hook that applies the theme setting to the document
+ * Sets data-theme and data-contrast on <html> (see styles/themes.css);
+ * "auto" and high contrast follow the system preferences live
+ */
+const useTheme = () => {
+  const { settings } = useSettings();
+  const { prefersDarkMode, prefersHighContrast } = useAccessibilityPreferences();
+
+  const theme = resolveTheme(settings.theme, prefersDarkMode);
+
+  useEffect(() => {
+    const root = document.documentElement;
+    root.setAttribute('data-theme', theme);
+
+    if (prefersHighContrast) {
+      root.setAttribute('data-contrast', 'high');
+    } else {
+      root.removeAttribute('data-contrast');
+    }
+
+    // Keep the browser chrome in step with the page background
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    if (themeColor) {
+      themeColor.setAttribute(
+        'content',
+        getComputedStyle(root).getPropertyValue('--bg-primary').trim() || '#000000'
+      );
+    }
+  }, [theme, prefersHighContrast]);
+
+  return { theme, highContrast: prefersHighContrast };
+};
+
+export default useTheme;
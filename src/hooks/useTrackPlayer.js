@@ -1,4 +1,5 @@
 import { usePlayer } from '../contexts/PlayerContext';
+import { getTrackUri } from '../util/spotifyWebPlayback';
 
 /**
  * Custom hook for integrating tracks with the player
@@ -11,7 +12,9 @@ export const useTrackPlayer = () => {
     playTrack, 
     playQueue, 
     addToQueue,
-    togglePlayPause 
+    playNext,
+    togglePlayPause,
+    canPlayFullTracks
   } = usePlayer();
 
   /**
@@ -29,12 +32,13 @@ export const useTrackPlayer = () => {
 
   /**
    * Play a track from a list (e.g., search results, playlist)
+   * @param {Object|null} context - Where the list came from, shown in the player
    */
-  const handlePlayFromList = (track, trackList, startIndex = 0) => {
+  const handlePlayFromList = (track, trackList, startIndex = 0, context = null) => {
     const trackIndex = trackList.findIndex(t => t.id === track.id);
     const indexToUse = trackIndex >= 0 ? trackIndex : startIndex;
     
-    playQueue(trackList, indexToUse);
+    playQueue(trackList, indexToUse, context);
   };
 
   /**
@@ -44,6 +48,20 @@ export const useTrackPlayer = () => {
     addToQueue(track);
   };
 
+  /**
+   * Play track right after the current one
+   */
+  const handlePlayNext = (track) => {
+    playNext(track);
+  };
+
+  /**
+   * Check if a track can be played: a preview, or a full track for Premium users
+   */
+  const isPlayable = (track) => {
+    return Boolean(track.preview_url) || (canPlayFullTracks && Boolean(getTrackUri(track)));
+  };
+
   /**
    * Check if a track is currently playing
    */
@@ -65,8 +83,10 @@ export const useTrackPlayer = () => {
     handlePlayTrack,
     handlePlayFromList,
     handleAddToQueue,
+    handlePlayNext,
     isTrackPlaying,
     isCurrentTrack,
+    isPlayable,
     togglePlayPause
   };
 };
@@ -0,0 +1,211 @@
+import { useState, useRef, useEffect } from 'react';
+import { usePlaylist } from '../contexts/PlaylistContext';
+import Spotify from '../util/spotify';
+import { parseTracklist } from '../util/tracklistParser';
+import { rankCandidates, buildSearchQueries, CONFIDENCE } from '../util/trackMatcher';
+
+export const ROW_STATUS = {
+  PENDING: 'pending',
+  DONE: 'done',
+  ERROR: 'error'
+};
+
+// Alternates kept per row for the review screen
+const MAX_CANDIDATES = 5;
+
+// Picked without asking; anything lower waits for the user
+const AUTO_SELECT = [CONFIDENCE.HIGH, CONFIDENCE.MEDIUM];
+
+const mergeCandidates = (row, candidates, tracks) => (
+  rankCandidates(row, [...candidates.map(candidate => candidate.track), ...tracks]).slice(0, MAX_CANDIDATES)
+);
+
+/**
+ * Look a row up on Spotify: by its URI if it has one, otherwise through
+ * search, most specific query first, stopping at a confident match
+ * @param {Object} row - Parsed row
+ * @returns {Promise<Object[]>} Ranked candidates
+ */
+const findCandidates = async (row) => {
+  let candidates = [];
+
+  if (row.uri) {
+    const track = await Spotify.getTrack(row.uri.split(':').pop()).catch(() => null);
+    if (track) {
+      candidates = mergeCandidates(row, candidates, [track]);
+    }
+  }
+
+  for (const query of buildSearchQueries(row)) {
+    if (candidates[0]?.confidence === CONFIDENCE.HIGH) break;
+    const tracks = await Spotify.search(query);
+    candidates = mergeCandidates(row, candidates, tracks);
+  }
+
+  return candidates;
+};
+
+/**
+ * Turn a pasted or uploaded tracklist into a local playlist
+ *
+ * Rows are parsed (see util/tracklistParser), then looked up one at a time
+ * so the review list fills in as it goes. Each row keeps its ranked
+ * candidates and the ID of the one picked: { ...row, index, status,
+ * candidates, selectedId, excluded, error }.
+ */
+export const useTracklistImport = () => {
+  const { createPlaylist } = usePlaylist();
+  const [rows, setRows] = useState([]);
+  const [format, setFormat] = useState(null);
+  const [isMatching, setIsMatching] = useState(false);
+  // Bumped to abandon a run when a new tracklist is loaded or the hook unmounts
+  const runRef = useRef(0);
+
+  useEffect(() => () => {
+    runRef.current += 1;
+  }, []);
+
+  const updateRow = (index, update) => {
+    setRows(prev => prev.map(row => (
+      row.index === index ? { ...row, ...(typeof update === 'function' ? update(row) : update) } : row
+    )));
+  };
+
+  const resolveRow = async (row) => {
+    try {
+      const candidates = await findCandidates(row);
+      const best = candidates[0];
+      return {
+        status: ROW_STATUS.DONE,
+        candidates,
+        selectedId: best && AUTO_SELECT.includes(best.confidence) ? best.track.id : null,
+        error: null
+      };
+    } catch (error) {
+      console.error('Tracklist lookup failed:', error);
+      return {
+        status: ROW_STATUS.ERROR,
+        candidates: [],
+        selectedId: null,
+        error: error.message || 'Could not search for this track.'
+      };
+    }
+  };
+
+  /**
+   * Parse a tracklist and start matching its rows
+   * @param {string} text - Tracklist text
+   * @param {Object} [options] - { fileName } of an uploaded file
+   * @returns {number} Rows found
+   */
+  const loadTracklist = async (text, options = {}) => {
+    const run = ++runRef.current;
+    const parsed = parseTracklist(text, options);
+    const initialRows = parsed.rows.map((row, index) => ({
+      ...row,
+      index,
+      status: ROW_STATUS.PENDING,
+      candidates: [],
+      selectedId: null,
+      excluded: false,
+      error: null
+    }));
+
+    setFormat(parsed.format);
+    setRows(initialRows);
+    setIsMatching(initialRows.length > 0);
+
+    for (const row of initialRows) {
+      const result = await resolveRow(row);
+      if (runRef.current !== run) return initialRows.length;
+      updateRow(row.index, result);
+    }
+
+    setIsMatching(false);
+    return initialRows.length;
+  };
+
+  /**
+   * Search again for a row, e.g. with a corrected title
+   * @param {number} index - Row index
+   * @param {string} query - Search text
+   */
+  const searchRow = async (index, query) => {
+    if (!query.trim()) return;
+    updateRow(index, { status: ROW_STATUS.PENDING, error: null });
+    try {
+      const tracks = await Spotify.search(query);
+      updateRow(index, row => {
+        const candidates = mergeCandidates(row, [], tracks);
+        return {
+          status: ROW_STATUS.DONE,
+          candidates,
+          // The user asked for this search, so take its best result
+          selectedId: candidates[0]?.track.id || row.selectedId
+        };
+      });
+    } catch (error) {
+      updateRow(index, {
+        status: ROW_STATUS.ERROR,
+        error: error.message || 'Could not search for this track.'
+      });
+    }
+  };
+
+  const selectCandidate = (index, trackId) => {
+    updateRow(index, { selectedId: trackId || null });
+  };
+
+  const toggleExcluded = (index) => {
+    updateRow(index, row => ({ excluded: !row.excluded }));
+  };
+
+  const getSelected = (row) => (
+    row.candidates.find(candidate => candidate.track.id === row.selectedId) || null
+  );
+
+  /**
+   * Save the matched rows as a new local playlist
+   * @param {Object} details - { name, description }
+   * @returns {string} New playlist ID
+   */
+  const commit = ({ name, description }) => {
+    const tracks = rows
+      .filter(row => !row.excluded)
+      .map(row => getSelected(row)?.track)
+      .filter(Boolean);
+    return createPlaylist({ name, description, tracks });
+  };
+
+  const reset = () => {
+    runRef.current += 1;
+    setRows([]);
+    setFormat(null);
+    setIsMatching(false);
+  };
+
+  const included = rows.filter(row => !row.excluded);
+  const summary = {
+    total: rows.length,
+    resolved: rows.filter(row => row.status !== ROW_STATUS.PENDING).length,
+    matched: included.filter(row => row.selectedId).length,
+    unmatched: included.filter(row => row.status !== ROW_STATUS.PENDING && !row.selectedId).length,
+    excluded: rows.length - included.length
+  };
+
+  return {
+    rows,
+    format,
+    summary,
+    isMatching,
+    loadTracklist,
+    searchRow,
+    selectCandidate,
+    toggleExcluded,
+    getSelected,
+    commit,
+    reset
+  };
+};
+
+export default useTracklistImport;
@@ -0,0 +1,299 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { usePlayer, CONTEXT_TYPES } from '../../contexts/PlayerContext';
+import { usePlaylist } from '../../contexts/PlaylistContext';
+import Spotify from '../../util/spotify';
+import './Album.css';
+
+const ALBUM_TYPE_LABELS = {
+  album: 'Album',
+  single: 'Single',
+  compilation: 'Compilation'
+};
+
+const formatTrackDuration = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+const formatTotalDuration = (ms) => {
+  const totalMinutes = Math.round(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours > 0) {
+    return `${hours} hr ${minutes} min`;
+  }
+  return `${minutes} min`;
+};
+
+const Album = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { playQueue, currentTrack, isPlaying } = usePlayer();
+  const { playlists, addTracksToPlaylist } = usePlaylist();
+
+  const [album, setAlbum] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showPlaylistMenu, setShowPlaylistMenu] = useState(false);
+  const [addMessage, setAddMessage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadAlbum = async () => {
+      setIsLoading(true);
+      setError(null);
+      setAddMessage(null);
+
+      try {
+        const albumData = await Spotify.getAlbum(id);
+        if (!cancelled) setAlbum(albumData);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Failed to load album:', err);
+        setError(err.message || 'Failed to load album. Please try again.');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    if (id) {
+      loadAlbum();
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  // Group tracks by disc; single-disc albums end up with one group
+  const discs = useMemo(() => {
+    if (!album) return [];
+
+    const byDisc = new Map();
+    album.tracks.forEach((track, index) => {
+      if (!byDisc.has(track.disc_number)) {
+        byDisc.set(track.disc_number, []);
+      }
+      byDisc.get(track.disc_number).push({ track, index });
+    });
+
+    return Array.from(byDisc.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([discNumber, entries]) => ({ discNumber, entries }));
+  }, [album]);
+
+  const handlePlayAlbum = (startIndex = 0) => {
+    if (album && album.tracks.length > 0) {
+      playQueue(album.tracks, startIndex, { type: CONTEXT_TYPES.ALBUM, id: album.id, name: album.name });
+    }
+  };
+
+  const handleAddToPlaylist = (playlist) => {
+    // The playlist skips tracks it already has; say how many were really added
+    const existing = new Set(playlist.tracks.map(track => track.id));
+    const added = album.tracks.filter(track => !existing.has(track.id)).length;
+    addTracksToPlaylist(playlist.id, album.tracks);
+    setAddMessage(added === 0
+      ? `Already in ${playlist.name}`
+      : `Added ${added} ${added === 1 ? 'song' : 'songs'} to ${playlist.name}`);
+    setShowPlaylistMenu(false);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="album-page">
+        <div className="album-page__loading">
+          <div className="album-page__loading-spinner">
+            <svg width="32" height="32" viewBox="0 0 24 24">
+              <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="2" fill="none" strokeDasharray="32" strokeDashoffset="32">
+                <animate attributeName="stroke-dashoffset" dur="1s" values="32;0;32" repeatCount="indefinite"/>
+              </circle>
+            </svg>
+          </div>
+          <p>Loading album...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !album) {
+    return (
+      <div className="album-page">
+        <div className="album-page__error">
+          <div className="album-page__error-icon">
+            <svg width="48" height="48" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/>
+            </svg>
+          </div>
+          <h2>Album not available</h2>
+          <p>{error || "The album you're looking for couldn't be found."}</p>
+          <button
+            className="album-page__back-button"
+            onClick={() => navigate(-1)}
+          >
+            Go Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const primaryArtist = album.artists[0];
+
+  return (
+    <div className="album-page">
+      <div className="album-page__header">
+        <div className="album-page__image">
+          {album.artwork.large ? (
+            <img src={album.artwork.large} alt={album.name} />
+          ) : (
+            <div className="album-page__image-placeholder">
+              <svg width="64" height="64" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 14.5v-9l6 4.5-6 4.5z"/>
+              </svg>
+            </div>
+          )}
+        </div>
+        <div className="album-page__info">
+          <span className="album-page__type">
+            {ALBUM_TYPE_LABELS[album.album_type] || 'Album'}
+          </span>
+          <h1 className="album-page__title">{album.name}</h1>
+          <div className="album-page__meta">
+            {primaryArtist?.id ? (
+              <Link to={`/artist/${primaryArtist.id}`} className="album-page__artist">
+                {primaryArtist.name}
+              </Link>
+            ) : (
+              <span className="album-page__artist">{album.artist}</span>
+            )}
+            {album.release_year && (
+              <>
+                <span>•</span>
+                <span>{album.release_year}</span>
+              </>
+            )}
+            <span>•</span>
+            <span>
+              {album.tracks.length} {album.tracks.length === 1 ? 'song' : 'songs'}, {formatTotalDuration(album.duration_ms)}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      <div className="album-page__actions">
+        <button
+          className="album-page__play-button"
+          onClick={() => handlePlayAlbum(0)}
+          disabled={album.tracks.length === 0}
+        >
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M8 5v14l11-7z"/>
+          </svg>
+          Play
+        </button>
+
+        <div className="album-page__playlist-picker">
+          <button
+            className="album-page__action-button"
+            onClick={() => setShowPlaylistMenu(prev => !prev)}
+            aria-haspopup="true"
+            aria-expanded={showPlaylistMenu}
+            title="Add album to playlist"
+            disabled={album.tracks.length === 0}
+          >
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M14 10H2v2h12v-2zm0-4H2v2h12V6zm4 8v-4h-2v4h-4v2h4v4h2v-4h4v-2h-4zM2 16h8v-2H2v2z"/>
+            </svg>
+          </button>
+          {showPlaylistMenu && (
+            <div className="album-page__playlist-menu" role="menu" aria-label="Add to playlist">
+              {playlists.length === 0 ? (
+                <p className="album-page__playlist-empty">No playlists yet</p>
+              ) : (
+                playlists.map(playlist => (
+                  <button
+                    key={playlist.id}
+                    className="album-page__playlist-option"
+                    onClick={() => handleAddToPlaylist(playlist)}
+                    role="menuitem"
+                  >
+                    {playlist.name}
+                  </button>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+
+        {addMessage && (
+          <span className="album-page__added" role="status">
+            {addMessage}
+          </span>
+        )}
+      </div>
+
+      <div className="album-page__tracks" role="list" aria-label={`${album.name} tracks`}>
+        {discs.map(({ discNumber, entries }) => (
+          <div key={discNumber} className="album-page__disc">
+            {discs.length > 1 && (
+              <h2 className="album-page__disc-title">Disc {discNumber}</h2>
+            )}
+            {entries.map(({ track, index }) => {
+              const isCurrent = currentTrack?.id === track.id;
+              return (
+                <div key={track.id} role="listitem">
+                  <button
+                    type="button"
+                    className={`album-page__track ${isCurrent ? 'album-page__track--current' : ''}`}
+                    onClick={() => handlePlayAlbum(index)}
+                    title={`Play ${track.name}`}
+                    aria-current={isCurrent ? 'true' : undefined}
+                  >
+                    <span className="album-page__track-number">
+                      {isCurrent && isPlaying ? (
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" aria-label="Playing">
+                          <path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02z"/>
+                        </svg>
+                      ) : (
+                        track.track_number
+                      )}
+                    </span>
+                    <span className="album-page__track-info">
+                      <span className="album-page__track-name">
+                        {track.name}
+                        {track.explicit && <span className="album-page__explicit" title="Explicit">E</span>}
+                      </span>
+                      <span className="album-page__track-artists">
+                        {track.artists.map(artist => artist.name).join(', ')}
+                      </span>
+                    </span>
+                    <span className="album-page__track-duration">
+                      {formatTrackDuration(track.duration_ms)}
+                    </span>
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+
+      {(album.release_date || album.label || album.copyrights.length > 0) && (
+        <div className="album-page__footer">
+          {album.release_date && <p>{album.release_date}</p>}
+          {album.label && <p>{album.label}</p>}
+          {album.copyrights.map((copyright, index) => (
+            <p key={index}>{copyright.text}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Album;
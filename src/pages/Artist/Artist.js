@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useTrackPlayer } from '../../hooks/useTrackPlayer';
+import { CONTEXT_TYPES } from '../../contexts/PlayerContext';
+import TrackList from '../../Components/TrackList/TrackList';
+import Spotify from '../../util/spotify';
+import './Artist.css';
+
+// Discography sections, in display order
+const ALBUM_GROUPS = [
+  { type: 'album', label: 'Albums' },
+  { type: 'single', label: 'Singles & EPs' },
+  { type: 'compilation', label: 'Compilations' }
+];
+
+const TOP_TRACKS_COLLAPSED = 5;
+
+const followerFormatter = new Intl.NumberFormat('en');
+
+const Artist = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { handlePlayFromList } = useTrackPlayer();
+
+  const [artist, setArtist] = useState(null);
+  const [topTracks, setTopTracks] = useState([]);
+  const [albums, setAlbums] = useState([]);
+  const [relatedArtists, setRelatedArtists] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showAllTracks, setShowAllTracks] = useState(false);
+
+  // Load the artist and everything shown below the header
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadArtist = async () => {
+      setIsLoading(true);
+      setError(null);
+      setShowAllTracks(false);
+
+      try {
+        const [artistData, trackData, albumData, relatedData] = await Promise.all([
+          Spotify.getArtist(id),
+          Spotify.getArtistTopTracks(id),
+          Spotify.getArtistAlbums(id),
+          // Related artists are a nice-to-have; don't fail the page over them
+          Spotify.getRelatedArtists(id).catch(err => {
+            console.warn('Related artists unavailable:', err);
+            return [];
+          })
+        ]);
+
+        if (cancelled) return;
+        setArtist(artistData);
+        setTopTracks(trackData);
+        setAlbums(albumData);
+        setRelatedArtists(relatedData);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Failed to load artist:', err);
+        setError(err.message || 'Failed to load artist. Please try again.');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    if (id) {
+      loadArtist();
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const albumGroups = useMemo(() => {
+    return ALBUM_GROUPS
+      .map(group => ({
+        ...group,
+        items: albums.filter(album => album.album_type === group.type)
+      }))
+      .filter(group => group.items.length > 0);
+  }, [albums]);
+
+  const playContext = artist
+    ? { type: CONTEXT_TYPES.ARTIST, id: artist.id, name: artist.name }
+    : null;
+
+  const handlePlayTopTracks = () => {
+    if (topTracks.length > 0) {
+      handlePlayFromList(topTracks[0], topTracks, 0, playContext);
+    }
+  };
+
+  const renderArtistImage = (image, name, size) => (
+    image ? (
+      <img src={image} alt={name} loading="lazy" />
+    ) : (
+      <div className="artist-page__image-placeholder">
+        <svg width={size} height={size} viewBox="0 0 24 24" fill="currentColor">
+          <path d="M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z"/>
+        </svg>
+      </div>
+    )
+  );
+
+  if (isLoading) {
+    return (
+      <div className="artist-page">
+        <div className="artist-page__loading">
+          <div className="artist-page__loading-spinner">
+            <svg width="32" height="32" viewBox="0 0 24 24">
+              <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="2" fill="none" strokeDasharray="32" strokeDashoffset="32">
+                <animate attributeName="stroke-dashoffset" dur="1s" values="32;0;32" repeatCount="indefinite"/>
+              </circle>
+            </svg>
+          </div>
+          <p>Loading artist...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !artist) {
+    return (
+      <div className="artist-page">
+        <div className="artist-page__error">
+          <div className="artist-page__error-icon">
+            <svg width="48" height="48" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/>
+            </svg>
+          </div>
+          <h2>Artist not available</h2>
+          <p>{error || "The artist you're looking for couldn't be found."}</p>
+          <button
+            className="artist-page__back-button"
+            onClick={() => navigate(-1)}
+          >
+            Go Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const visibleTracks = showAllTracks ? topTracks : topTracks.slice(0, TOP_TRACKS_COLLAPSED);
+
+  return (
+    <div className="artist-page">
+      <div className="artist-page__header">
+        <div className="artist-page__image">
+          {renderArtistImage(artist.artwork.large || artist.image, artist.name, 64)}
+        </div>
+        <div className="artist-page__info">
+          <span className="artist-page__type">Artist</span>
+          <h1 className="artist-page__title">{artist.name}</h1>
+          <div className="artist-page__meta">
+            {artist.followers !== null && (
+              <span>{followerFormatter.format(artist.followers)} followers</span>
+            )}
+            {artist.genres.length > 0 && (
+              <>
+                {artist.followers !== null && <span>•</span>}
+                <span className="artist-page__genres">
+                  {artist.genres.slice(0, 3).join(', ')}
+                </span>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="artist-page__actions">
+        <button
+          className="artist-page__play-button"
+          onClick={handlePlayTopTracks}
+          disabled={topTracks.length === 0}
+        >
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M8 5v14l11-7z"/>
+          </svg>
+          Play
+        </button>
+      </div>
+
+      {topTracks.length > 0 && (
+        <section className="artist-page__section" aria-labelledby="artist-top-tracks">
+          <h2 id="artist-top-tracks" className="artist-page__section-title">Popular</h2>
+          <TrackList
+            tracks={visibleTracks}
+            queue={topTracks}
+            showPlayButton={true}
+            playContext={playContext}
+          />
+          {topTracks.length > TOP_TRACKS_COLLAPSED && (
+            <button
+              className="artist-page__show-more"
+              onClick={() => setShowAllTracks(prev => !prev)}
+            >
+              {showAllTracks ? 'Show less' : 'See more'}
+            </button>
+          )}
+        </section>
+      )}
+
+      {albumGroups.map(group => (
+        <section
+          key={group.type}
+          className="artist-page__section"
+          aria-labelledby={`artist-${group.type}`}
+        >
+          <h2 id={`artist-${group.type}`} className="artist-page__section-title">
+            {group.label}
+          </h2>
+          <div className="artist-page__grid">
+            {group.items.map(album => (
+              <Link key={album.id} to={`/album/${album.id}`} className="artist-page__card">
+                <div className="artist-page__card-image">
+                  {album.image ? (
+                    <img src={album.image} alt={album.name} loading="lazy" />
+                  ) : (
+                    <div className="artist-page__image-placeholder">
+                      <svg width="32" height="32" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 14.5v-9l6 4.5-6 4.5z"/>
+                      </svg>
+                    </div>
+                  )}
+                </div>
+                <h3 className="artist-page__card-title">{album.name}</h3>
+                <p className="artist-page__card-subtitle">
+                  {album.release_year || ''}
+                </p>
+              </Link>
+            ))}
+          </div>
+        </section>
+      ))}
+
+      {relatedArtists.length > 0 && (
+        <section className="artist-page__section" aria-labelledby="artist-related">
+          <h2 id="artist-related" className="artist-page__section-title">Fans also like</h2>
+          <div className="artist-page__grid">
+            {relatedArtists.slice(0, 12).map(related => (
+              <Link
+                key={related.id}
+                to={`/artist/${related.id}`}
+                className="artist-page__card artist-page__card--artist"
+              >
+                <div className="artist-page__card-image artist-page__card-image--round">
+                  {renderArtistImage(related.image, related.name, 32)}
+                </div>
+                <h3 className="artist-page__card-title">{related.name}</h3>
+                <p className="artist-page__card-subtitle">Artist</p>
+              </Link>
+            ))}
+          </div>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default Artist;
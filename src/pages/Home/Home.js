@@ -1,7 +1,11 @@
 import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
 import "./Home.css";
-import { usePlayer } from "../../contexts/PlayerContext";
+import { usePlayer, CONTEXT_TYPES } from "../../contexts/PlayerContext";
+import { usePlaylist } from "../../contexts/PlaylistContext";
+import usePlaylistImport, { IMPORT_STATUS } from "../../hooks/usePlaylistImport";
 import Spotify from "../../util/spotify";
+import { decodeEntities } from "../../util/playlistSync";
 
 // Mock data for featured content (in a real app, this would come from an API)
 const mockFeaturedPlaylists = [
@@ -100,8 +104,13 @@ const mockTrendingTracks = [
 ];
 
 const Home = () => {
-  const { history, playTrack, currentTrack, isPlaying } = usePlayer();
+  const navigate = useNavigate();
+  const { history, playTrack, playQueue, currentTrack, isPlaying } = usePlayer();
+  const { playlists } = usePlaylist();
+  const { imports, importSpotifyPlaylist, getImportLabel } = usePlaylistImport();
+  const [loadingPlaylistId, setLoadingPlaylistId] = useState(null);
   const [featuredPlaylists, setFeaturedPlaylists] = useState([]);
+  const [newReleases, setNewReleases] = useState([]);
   const [trendingTracks, setTrendingTracks] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
 
@@ -121,43 +130,33 @@ const Home = () => {
         const transformedPlaylists = featuredPlaylistsData.map(playlist => ({
           id: playlist.id,
           name: playlist.name,
-          description: playlist.description,
+          description: decodeEntities(playlist.description || ""),
           image: playlist.images?.[0]?.url || null,
           trackCount: playlist.tracks?.total || 0,
           external_urls: playlist.external_urls
         }));
 
-        // Transform new releases as "trending tracks" (albums)
-        const transformedTrending = newReleasesData.slice(0, 4).map((album, index) => ({
+        // New releases are albums; they open the album page
+        const transformedReleases = newReleasesData.map(album => ({
           id: album.id,
           name: album.name,
           artist: album.artists?.[0]?.name || 'Various Artists',
-          album: album.name,
-          uri: album.uri,
-          duration_ms: 180000, // Default duration since albums don't have duration
-          popularity: 90 - (index * 5), // Mock popularity
-          artwork: {
-            small: album.images?.[2]?.url || '',
-            medium: album.images?.[1]?.url || '',
-            large: album.images?.[0]?.url || ''
-          }
+          image: album.images?.[1]?.url || album.images?.[0]?.url || null
         }));
 
-        // Always try to get real tracks for trending section
-        let finalTrendingTracks = transformedTrending;
-        
-        // If new releases didn't work or we got albums without preview URLs, try popular tracks
-        if (transformedTrending.length === 0) {
-          try {
-            const popularTracks = await Spotify.getPopularTracks(4);
-            finalTrendingTracks = popularTracks.length > 0 ? popularTracks : mockTrendingTracks;
-          } catch (fallbackError) {
-            console.warn('Popular tracks fallback also failed:', fallbackError);
-            finalTrendingTracks = mockTrendingTracks;
+        // Trending shows real tracks
+        let finalTrendingTracks = mockTrendingTracks;
+        try {
+          const popularTracks = await Spotify.getPopularTracks(4);
+          if (popularTracks.length > 0) {
+            finalTrendingTracks = popularTracks;
           }
+        } catch (fallbackError) {
+          console.warn('Popular tracks failed, using mock trending tracks:', fallbackError);
         }
 
         setFeaturedPlaylists(transformedPlaylists.length > 0 ? transformedPlaylists : mockFeaturedPlaylists);
+        setNewReleases(transformedReleases);
         setTrendingTracks(finalTrendingTracks);
       } catch (error) {
         console.error('Failed to load featured content:', error);
@@ -176,9 +175,37 @@ const Home = () => {
     playTrack(track, [track], 0);
   };
 
-  const handlePlayPlaylist = (playlist) => {
-    // In a real app, you would fetch the playlist tracks here
-    console.log('Playing playlist:', playlist.name);
+  // Mock cards stand in when Spotify is unreachable; they have no tracks to fetch
+  const isSpotifyPlaylist = (playlist) => Boolean(playlist.external_urls?.spotify);
+
+  const handlePlayPlaylist = async (playlist) => {
+    if (!isSpotifyPlaylist(playlist) || loadingPlaylistId) return;
+
+    setLoadingPlaylistId(playlist.id);
+    try {
+      const tracks = await Spotify.getPlaylistTracks(playlist.id);
+      if (tracks.length > 0) {
+        // Link the player to the library copy when there is one
+        const imported = playlists.find(p => p.importedFrom === playlist.id);
+        playQueue(tracks, 0, {
+          type: CONTEXT_TYPES.PLAYLIST,
+          id: imported?.id || null,
+          name: playlist.name
+        });
+      }
+    } catch (error) {
+      console.error('Failed to play playlist:', error);
+    } finally {
+      setLoadingPlaylistId(null);
+    }
+  };
+
+  const handleImportPlaylist = async (e, playlist) => {
+    e.stopPropagation();
+    const playlistId = await importSpotifyPlaylist(playlist);
+    if (playlistId) {
+      navigate(`/playlist/${playlistId}`);
+    }
   };
 
   const formatDuration = (ms) => {
@@ -314,12 +341,59 @@ const Home = () => {
               <div className="home__card-content">
                 <h3 className="home__card-title">{playlist.name}</h3>
                 <p className="home__card-subtitle">{playlist.description}</p>
+                {isSpotifyPlaylist(playlist) && (
+                  <button
+                    className="home__card-import"
+                    onClick={(e) => handleImportPlaylist(e, playlist)}
+                    disabled={imports[playlist.id]?.status === IMPORT_STATUS.LOADING}
+                  >
+                    {getImportLabel(playlist.id)}
+                  </button>
+                )}
               </div>
             </div>
           ))}
         </div>
       </section>
 
+      {/* New Releases */}
+      {newReleases.length > 0 && (
+        <section className="home__section">
+          <div className="home__section-header">
+            <h2 className="home__section-title">New releases</h2>
+          </div>
+          <div className="home__grid">
+            {newReleases.map(album => (
+              <div 
+                key={album.id} 
+                className="home__card"
+                onClick={() => navigate(`/album/${album.id}`)}
+              >
+                <div className="home__card-image">
+                  {album.image ? (
+                    <img 
+                      src={album.image} 
+                      alt={album.name} 
+                      loading="lazy"
+                    />
+                  ) : (
+                    <div className="home__card-placeholder">
+                      <svg width="48" height="48" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 14.5v-9l6 4.5-6 4.5z"/>
+                      </svg>
+                    </div>
+                  )}
+                </div>
+                <div className="home__card-content">
+                  <h3 className="home__card-title">{album.name}</h3>
+                  <p className="home__card-subtitle">{album.artist}</p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
       {/* Trending Tracks */}
       <section className="home__section">
         <div className="home__section-header">
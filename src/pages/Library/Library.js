@@ -1,15 +1,65 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { usePlaylist } from '../../contexts/PlaylistContext';
+import usePlaylistImport from '../../hooks/usePlaylistImport';
+import Spotify from '../../util/spotify';
 import PlaylistCard from '../../Components/PlaylistCard/PlaylistCard';
 import PlaylistModal from '../../Components/PlaylistModal/PlaylistModal';
+import ExportMenu from '../../Components/ExportMenu/ExportMenu';
+import TracklistImportModal from '../../Components/TracklistImportModal/TracklistImportModal';
+import { LIBRARY_EXPORT_FORMATS, parseJSON } from '../../util/playlistExport';
+import { decodeEntities } from '../../util/playlistSync';
 import './Library.css';
 
 const Library = () => {
-  const { playlists, isLoading, error } = usePlaylist();
+  const { playlists, isLoading, error, restorePlaylists } = usePlaylist();
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'list'
   const [sortBy, setSortBy] = useState('updated'); // 'updated', 'created', 'name', 'tracks'
   const [filterBy, setFilterBy] = useState('all'); // 'all', 'public', 'private'
+  const [spotifyPlaylists, setSpotifyPlaylists] = useState([]);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [restoreMessage, setRestoreMessage] = useState(null);
+  const [showTracklistImport, setShowTracklistImport] = useState(false);
+  const restoreInputRef = useRef(null);
+  const { importSpotifyPlaylist, getImportLabel } = usePlaylistImport();
+  const navigate = useNavigate();
+
+  // The user's own Spotify playlists, offered for import
+  useEffect(() => {
+    if (!Spotify.isUserLoggedIn()) return;
+
+    let cancelled = false;
+    Spotify.getUserPlaylists()
+      .then(items => {
+        if (cancelled) return;
+        setSpotifyPlaylists(items.filter(Boolean).map(item => ({
+          id: item.id,
+          name: item.name,
+          // The Web API returns descriptions HTML-escaped
+          description: decodeEntities(item.description || ''),
+          image: item.images?.[0]?.url || null,
+          trackCount: item.tracks?.total || 0,
+          isPublic: item.public
+        })));
+      })
+      .catch(error => {
+        console.error('Failed to load Spotify playlists:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Open the library copy, importing it first if there isn't one yet
+  const handleOpenSpotifyPlaylist = async (remote) => {
+    const imported = playlists.find(playlist => playlist.importedFrom === remote.id);
+    const playlistId = imported ? imported.id : await importSpotifyPlaylist(remote);
+    if (playlistId) {
+      navigate(`/playlist/${playlistId}`);
+    }
+  };
 
   const handleCreatePlaylist = () => {
     setShowCreateModal(true);
@@ -19,6 +69,33 @@ const Library = () => {
     setShowCreateModal(false);
   };
 
+  // Bring back playlists from a JSON export
+  const handleRestoreFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const restored = parseJSON(await file.text());
+      const existingIds = new Set(playlists.map(playlist => playlist.id));
+      const overwritten = restored.filter(playlist => existingIds.has(playlist.id));
+      if (overwritten.length > 0 && !window.confirm(
+        `${overwritten.length} ${overwritten.length === 1 ? 'playlist is' : 'playlists are'} already in your library ` +
+        `and will be replaced by the backup, including "${overwritten[0].name}". Restore anyway?`
+      )) {
+        setRestoreMessage('Restore cancelled. Your library was not changed.');
+        return;
+      }
+      restorePlaylists(restored);
+      setRestoreMessage(
+        `Restored ${restored.length} ${restored.length === 1 ? 'playlist' : 'playlists'}` +
+        (overwritten.length > 0 ? `, replacing ${overwritten.length}.` : '.')
+      );
+    } catch (restoreError) {
+      setRestoreMessage(restoreError.message);
+    }
+  };
+
   // Filter and sort playlists
   const filteredAndSortedPlaylists = React.useMemo(() => {
     let filtered = [...playlists];
@@ -98,6 +175,50 @@ const Library = () => {
         </div>
         
         <div className="library__actions">
+          <div className="library__export">
+            <button
+              className="library__secondary-button"
+              onClick={() => setShowExportMenu(!showExportMenu)}
+              disabled={playlists.length === 0}
+              aria-haspopup="menu"
+              aria-expanded={showExportMenu}
+            >
+              Export library
+            </button>
+            {showExportMenu && (
+              <>
+                <div className="library__menu-overlay" onClick={() => setShowExportMenu(false)} />
+                <div className="library__export-menu">
+                  <ExportMenu
+                    playlists={playlists}
+                    formats={LIBRARY_EXPORT_FORMATS}
+                    onExport={() => setShowExportMenu(false)}
+                  />
+                </div>
+              </>
+            )}
+          </div>
+          <button
+            className="library__secondary-button"
+            onClick={() => restoreInputRef.current?.click()}
+            title="Restore playlists from a JSON export"
+          >
+            Restore backup
+          </button>
+          <input
+            ref={restoreInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleRestoreFile}
+            hidden
+          />
+          <button
+            className="library__secondary-button"
+            onClick={() => setShowTracklistImport(true)}
+            title="Make a playlist from a pasted or uploaded tracklist"
+          >
+            Import tracklist
+          </button>
           <button 
             className="library__create-button hover-lift transition-all"
             onClick={handleCreatePlaylist}
@@ -110,6 +231,10 @@ const Library = () => {
         </div>
       </div>
 
+      {restoreMessage && (
+        <p className="library__notice" role="status">{restoreMessage}</p>
+      )}
+
       <div className="library__controls">
         <div className="library__filters">
           <select 
@@ -199,11 +324,36 @@ const Library = () => {
         )}
       </div>
 
+      {spotifyPlaylists.length > 0 && (
+        <section className="library__spotify">
+          <h2 className="library__section-title">On Spotify</h2>
+          <div className={`library__playlists library__playlists--${viewMode}`}>
+            {spotifyPlaylists.map(remote => (
+              <PlaylistCard
+                key={remote.id}
+                playlist={remote}
+                source="spotify"
+                size={viewMode === 'list' ? 'small' : 'medium'}
+                onClick={handleOpenSpotifyPlaylist}
+                onImport={importSpotifyPlaylist}
+                importLabel={getImportLabel(remote.id)}
+              />
+            ))}
+          </div>
+        </section>
+      )}
+
       <PlaylistModal
         isOpen={showCreateModal}
         onClose={handleCloseModal}
         mode="create"
       />
+
+      <TracklistImportModal
+        isOpen={showTracklistImport}
+        onClose={() => setShowTracklistImport(false)}
+        onImported={(playlistId) => navigate(`/playlist/${playlistId}`)}
+      />
     </div>
   );
 };
@@ -1,10 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useSearchParams, useNavigate } from 'react-router-dom';
 import { usePlaylist } from '../../contexts/PlaylistContext';
-import { usePlayer } from '../../contexts/PlayerContext';
+import { usePlayer, CONTEXT_TYPES } from '../../contexts/PlayerContext';
 import './PlaylistView.css';
 import Playlist from '../../Components/Playlist/Playlist';
 import PlaylistModal from '../../Components/PlaylistModal/PlaylistModal';
+import SpotifySyncModal from '../../Components/SpotifySyncModal/SpotifySyncModal';
+import ExportMenu from '../../Components/ExportMenu/ExportMenu';
+import usePlaylistSync from '../../hooks/usePlaylistSync';
+import { SYNC_ACTIONS } from '../../util/playlistSync';
 
 const PlaylistView = () => {
   const { id } = useParams();
@@ -15,7 +19,10 @@ const PlaylistView = () => {
   
   const [playlist, setPlaylist] = useState(null);
   const [showEditModal, setShowEditModal] = useState(false);
+  const [showSyncModal, setShowSyncModal] = useState(false);
+  const [showMoreMenu, setShowMoreMenu] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const playlistSync = usePlaylistSync(playlist);
 
   // Check if we should open edit modal from URL params
   useEffect(() => {
@@ -71,14 +78,30 @@ const PlaylistView = () => {
     }
   };
 
-  const handleSavePlaylist = () => {
-    // TODO: Implement Spotify save functionality
-    console.log('Save playlist to Spotify:', playlist);
+  // Linked playlists sync straight away; the dialog only opens to link or settle a conflict
+  const handleSyncPlaylist = async () => {
+    if (!playlistSync.link) {
+      setShowSyncModal(true);
+      return;
+    }
+    const action = await playlistSync.sync();
+    if (action === SYNC_ACTIONS.CONFLICT || action === null) {
+      setShowSyncModal(true);
+    }
   };
 
+  const handleCloseSyncModal = () => {
+    playlistSync.cancelConflict();
+    setShowSyncModal(false);
+  };
+
+  const playContext = playlist
+    ? { type: CONTEXT_TYPES.PLAYLIST, id: playlist.id, name: playlist.name }
+    : null;
+
   const handlePlayPlaylist = () => {
     if (playlist && playlist.tracks.length > 0) {
-      playQueue(playlist.tracks, 0);
+      playQueue(playlist.tracks, 0, playContext);
     }
   };
 
@@ -194,6 +217,17 @@ const PlaylistView = () => {
             <span className={`playlist-view__visibility ${playlist.isPublic ? 'public' : 'private'}`}>
               {playlist.isPublic ? 'Public' : 'Private'}
             </span>
+            {playlistSync.link && (
+              <>
+                <span>•</span>
+                <button
+                  className="playlist-view__sync-status"
+                  onClick={() => setShowSyncModal(true)}
+                >
+                  Synced with Spotify
+                </button>
+              </>
+            )}
           </div>
         </div>
       </div>
@@ -218,14 +252,37 @@ const PlaylistView = () => {
             <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
           </svg>
         </button>
-        <button 
-          className="playlist-view__action-button"
-          title="More options"
+        <button
+          className={`playlist-view__action-button ${playlistSync.isSyncing ? 'playlist-view__action-button--busy' : ''}`}
+          onClick={handleSyncPlaylist}
+          disabled={playlistSync.isSyncing}
+          title={playlistSync.link ? 'Sync with Spotify' : 'Link to Spotify'}
         >
           <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
-            <path d="M12 8c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm0 2c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0 6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2z"/>
+            <path d="M12 4V1L8 5l4 4V6c3.31 0 6 2.69 6 6 0 1.01-.25 1.97-.7 2.8l1.46 1.46C19.54 15.03 20 13.57 20 12c0-4.42-3.58-8-8-8zm0 14c-3.31 0-6-2.69-6-6 0-1.01.25-1.97.7-2.8L5.24 7.74C4.46 8.97 4 10.43 4 12c0 4.42 3.58 8 8 8v3l4-4-4-4v3z"/>
           </svg>
         </button>
+        <div className="playlist-view__more">
+          <button 
+            className="playlist-view__action-button"
+            onClick={() => setShowMoreMenu(!showMoreMenu)}
+            title="More options"
+            aria-haspopup="menu"
+            aria-expanded={showMoreMenu}
+          >
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M12 8c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm0 2c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0 6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2z"/>
+            </svg>
+          </button>
+          {showMoreMenu && (
+            <>
+              <div className="playlist-view__menu-overlay" onClick={() => setShowMoreMenu(false)} />
+              <div className="playlist-view__more-menu">
+                <ExportMenu playlists={playlist} onExport={() => setShowMoreMenu(false)} />
+              </div>
+            </>
+          )}
+        </div>
       </div>
 
       <div className="playlist-view__content">
@@ -237,9 +294,10 @@ const PlaylistView = () => {
           onDescriptionChange={handleDescriptionChange}
           onRemove={handleRemoveTrack}
           onReorder={handleReorderTracks}
-          onSave={handleSavePlaylist}
+          onSave={handleSyncPlaylist}
           showMetadata={false} // Header already shows metadata
           showBulkActions={true}
+          playContext={playContext}
           showPlayButton={true}
         />
       </div>
@@ -250,6 +308,13 @@ const PlaylistView = () => {
         playlist={playlist}
         mode="edit"
       />
+
+      <SpotifySyncModal
+        isOpen={showSyncModal}
+        onClose={handleCloseSyncModal}
+        playlist={playlist}
+        sync={playlistSync}
+      />
     </div>
   );
 };
@@ -1,4 +1,4 @@
-import React, { useEffect, useCallback } from 'react';
+import React, { useEffect, useCallback, useRef, useState } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import './Search.css';
 import SearchResults from '../../Components/SearchResults/SearchResults';
@@ -9,14 +9,27 @@ import { usePlayer } from '../../contexts/PlayerContext';
 import Spotify from '../../util/spotify';
 import { cacheManager } from '../../util/cacheUtils';
 
+// Cursor fields kept in SearchContext for a fetched page
+const toPagination = (page) => ({
+  offset: page.offset,
+  limit: page.limit,
+  total: page.total,
+  nextOffset: page.nextOffset,
+  hasMore: page.hasMore
+});
+
 const Search = () => {
   const { 
     query, 
     results, 
+    pagination,
     isLoading, 
+    isLoadingMore,
     error,
     setResults, 
+    appendResults,
     setLoading, 
+    setLoadingMore,
     setError,
     addToHistory,
     setQuery 
@@ -24,12 +37,14 @@ const Search = () => {
   
   const { playTrack } = usePlayer();
   const [searchParams] = useSearchParams();
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  // Query whose pages are on screen, so late pages of an old query are dropped
+  const activeQueryRef = useRef('');
 
-  // Function to clear search cache for a specific query
+  // Function to clear all cached pages for a specific query
   const clearSearchCache = useCallback((searchTerm) => {
-    const cacheKey = `search:${searchTerm.toLowerCase().trim()}`;
-    cacheManager.delete(cacheKey);
-    console.log('Cleared cache for:', cacheKey);
+    cacheManager.invalidateSearch(searchTerm);
+    console.log('Cleared cache for:', searchTerm);
   }, []);
 
   // Perform search operation
@@ -42,20 +57,22 @@ const Search = () => {
     }
 
     console.log('Performing search for:', trimmedQuery);
+    activeQueryRef.current = trimmedQuery;
     setLoading(true);
     setError(null);
+    setLoadMoreError(null);
     
     try {
-      const tracks = await Spotify.search(trimmedQuery);
-      console.log('Search completed, found', tracks?.length || 0, 'tracks');
+      const page = await Spotify.searchPage(trimmedQuery, 0);
+      console.log('Search completed, found', page.tracks.length, 'of', page.total, 'tracks');
       
       const searchResults = {
-        tracks: tracks || [],
-        artists: [],
-        albums: []
+        tracks: page.tracks,
+        artists: page.artists || [],
+        albums: page.albums || []
       };
       
-      setResults(searchResults);
+      setResults(searchResults, toPagination(page));
       addToHistory(trimmedQuery);
     } catch (error) {
       console.error('Search error:', error);
@@ -66,6 +83,34 @@ const Search = () => {
     }
   }, [setResults, setLoading, setError, addToHistory]);
 
+  // Fetch the next page and append it to the current results
+  const loadMore = useCallback(async () => {
+    const searchTerm = activeQueryRef.current;
+    if (!searchTerm || !pagination.hasMore || isLoadingMore) {
+      return;
+    }
+
+    setLoadingMore(true);
+    setLoadMoreError(null);
+
+    try {
+      const page = await Spotify.searchPage(searchTerm, pagination.nextOffset, pagination.limit);
+      if (activeQueryRef.current !== searchTerm) return;
+
+      appendResults({
+        tracks: page.tracks,
+        artists: page.artists || [],
+        albums: page.albums || []
+      }, toPagination(page));
+    } catch (error) {
+      console.error('Load more error:', error);
+      if (activeQueryRef.current === searchTerm) {
+        setLoadingMore(false);
+        setLoadMoreError('Failed to load more results.');
+      }
+    }
+  }, [pagination, isLoadingMore, setLoadingMore, appendResults]);
+
   // Handle URL query changes
   useEffect(() => {
     const urlQuery = searchParams.get('q');
@@ -85,12 +130,22 @@ const Search = () => {
       performSearch(trimmedQuery);
     } else {
       // No query, clear everything
+      activeQueryRef.current = '';
       setQuery('');
       setResults({ tracks: [], artists: [], albums: [] });
       setError(null);
     }
   }, [searchParams, setQuery, performSearch, setResults, setError]);
 
+  // Results depend on the market; search again when it changes
+  useEffect(() => {
+    return Spotify.onMarketChange(() => {
+      if (activeQueryRef.current) {
+        performSearch(activeQueryRef.current);
+      }
+    });
+  }, [performSearch]);
+
   const handleAddTrack = (track) => {
     // This will be connected to playlist context later
     console.log('Add track to playlist:', track);
@@ -154,9 +209,14 @@ const Search = () => {
 
         {!isLoading && !error && totalResults > 0 && (
           <SearchResults 
-            searchResults={results.tracks}
+            searchResults={results}
             onAdd={handleAddTrack}
             onPlay={handlePlayTrack}
+            totalTracks={pagination.total}
+            hasMore={pagination.hasMore}
+            isLoadingMore={isLoadingMore}
+            loadMoreError={loadMoreError}
+            onLoadMore={loadMore}
           />
         )}
       </div>
@@ -1,15 +1,57 @@
 /**
  * AudioManager - Handles audio playback, buffering, and state management
+ *
+ * Playback runs on two audio elements ("decks"). `this.audio` is always the
+ * active deck; the other one buffers the upcoming queue item (see preload) so
+ * the switch can be gapless, or overlapped with a crossfade. Media events from
+ * the standby deck are not forwarded. When the manager moves on to the
+ * preloaded track by itself it emits 'handoff' instead of 'ended'.
+ *
+ * Once playback starts, both decks are routed through a Web Audio graph:
+ * decks -> per-deck normalization gain -> preamp -> 10-band EQ -> limiter
+ * -> output gain -> speakers. Deck volume (and so the crossfade) stays on the
+ * elements; the output gain is for whole-app fades like the sleep timer.
  */
+
+import { EQ_BANDS, DEFAULT_EQUALIZER } from './equalizer';
+import { getNormalizationGain, NORMALIZATION_MODES } from './loudness';
+
+const FADE_DURATION = 1500; // ms to fade in on resume and to crossfade on a manual skip
+const FADE_STEP = 50; // ms between volume steps
+const DEFAULT_CROSSFADE_DURATION = 5; // seconds
+const EQ_Q = 1.41; // About one octave wide for the peaking bands
+const GAIN_RAMP = 0.05; // s; smooths EQ changes so they don't click
+const LEVEL_RAMP = 0.3; // s; eases in a normalization gain measured mid-track
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
 class AudioManager {
   constructor() {
-    this.audio = null;
+    this.audio = null; // Active deck
+    this.decks = [];
     this.currentTrack = null;
+    this.nextTrack = null; // Track buffered on the standby deck
+    this.pendingPreload = null; // Preload requested while the standby deck was fading out
+    this.transition = null; // { outgoing } while a crossfade is running
     this.isInitialized = false;
     this.listeners = new Map();
     this.loadingTimeout = null;
     this.retryCount = 0;
     this.maxRetries = 3;
+    this.volume = 1; // User volume; fades scale from it
+    this.fadeTimer = null;
+    this.fadeResolve = null;
+    this.audioContext = null;
+    this.graph = null; // { sources, deckGains, preamp, filters, limiter, output }
+    this.equalizer = DEFAULT_EQUALIZER;
+    this.deckLevels = new Map(); // deck -> { trackId, gain (dB), request }
+    this.levelRequest = 0;
+    this.options = {
+      crossfade: false,
+      crossfadeDuration: DEFAULT_CROSSFADE_DURATION,
+      highQuality: false,
+      normalization: NORMALIZATION_MODES.TRACK
+    };
     
     // Bind methods to preserve context
     this.handleLoadStart = this.handleLoadStart.bind(this);
@@ -29,22 +71,36 @@ class AudioManager {
   init() {
     if (this.isInitialized) return;
     
-    this.audio = new Audio();
-    this.audio.preload = 'metadata';
-    this.audio.crossOrigin = 'anonymous';
+    this.decks = [this.createDeck(), this.createDeck()];
+    this.audio = this.decks[0];
+    this.audio.preload = this.options.highQuality ? 'auto' : 'metadata';
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Create an audio element wired to the shared event handlers
+   * @returns {HTMLAudioElement} New deck
+   */
+  createDeck() {
+    const deck = new Audio();
+    // Standby decks buffer fully so the handoff has no gap
+    deck.preload = 'auto';
+    deck.volume = this.volume;
+    deck.crossOrigin = 'anonymous';
     
     // Add event listeners
-    this.audio.addEventListener('loadstart', this.handleLoadStart);
-    this.audio.addEventListener('canplay', this.handleCanPlay);
-    this.audio.addEventListener('loadeddata', this.handleLoadedData);
-    this.audio.addEventListener('timeupdate', this.handleTimeUpdate);
-    this.audio.addEventListener('ended', this.handleEnded);
-    this.audio.addEventListener('error', this.handleError);
-    this.audio.addEventListener('stalled', this.handleStalled);
-    this.audio.addEventListener('waiting', this.handleWaiting);
-    this.audio.addEventListener('canplaythrough', this.handleCanPlayThrough);
+    deck.addEventListener('loadstart', this.handleLoadStart);
+    deck.addEventListener('canplay', this.handleCanPlay);
+    deck.addEventListener('loadeddata', this.handleLoadedData);
+    deck.addEventListener('timeupdate', this.handleTimeUpdate);
+    deck.addEventListener('ended', this.handleEnded);
+    deck.addEventListener('error', this.handleError);
+    deck.addEventListener('stalled', this.handleStalled);
+    deck.addEventListener('waiting', this.handleWaiting);
+    deck.addEventListener('canplaythrough', this.handleCanPlayThrough);
     
-    this.isInitialized = true;
+    return deck;
   }
 
   /**
@@ -54,21 +110,38 @@ class AudioManager {
     if (!this.audio) return;
     
     this.pause();
+    this.cancelFade();
+    this.finishTransition();
     
-    // Remove event listeners
-    this.audio.removeEventListener('loadstart', this.handleLoadStart);
-    this.audio.removeEventListener('canplay', this.handleCanPlay);
-    this.audio.removeEventListener('loadeddata', this.handleLoadedData);
-    this.audio.removeEventListener('timeupdate', this.handleTimeUpdate);
-    this.audio.removeEventListener('ended', this.handleEnded);
-    this.audio.removeEventListener('error', this.handleError);
-    this.audio.removeEventListener('stalled', this.handleStalled);
-    this.audio.removeEventListener('waiting', this.handleWaiting);
-    this.audio.removeEventListener('canplaythrough', this.handleCanPlayThrough);
+    this.decks.forEach(deck => {
+      deck.pause();
     
-    this.audio.src = '';
+      // Remove event listeners
+      deck.removeEventListener('loadstart', this.handleLoadStart);
+      deck.removeEventListener('canplay', this.handleCanPlay);
+      deck.removeEventListener('loadeddata', this.handleLoadedData);
+      deck.removeEventListener('timeupdate', this.handleTimeUpdate);
+      deck.removeEventListener('ended', this.handleEnded);
+      deck.removeEventListener('error', this.handleError);
+      deck.removeEventListener('stalled', this.handleStalled);
+      deck.removeEventListener('waiting', this.handleWaiting);
+      deck.removeEventListener('canplaythrough', this.handleCanPlayThrough);
+
+      deck.src = '';
+    });
+
+    this.decks = [];
     this.audio = null;
     this.currentTrack = null;
+    this.nextTrack = null;
+    this.pendingPreload = null;
+    this.deckLevels.clear();
+
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+      this.graph = null;
+    }
     this.isInitialized = false;
     this.listeners.clear();
     
@@ -78,6 +151,420 @@ class AudioManager {
     }
   }
 
+  /**
+   * Apply playback settings
+   * @param {Object} options - { crossfade, crossfadeDuration (seconds), highQuality, normalization }
+   */
+  configure(options = {}) {
+    const normalizationChanged = options.normalization !== undefined &&
+      options.normalization !== this.options.normalization;
+    this.options = { ...this.options, ...options };
+
+    if (this.audio) {
+      // High quality buffers the whole preview up front
+      this.audio.preload = this.options.highQuality ? 'auto' : 'metadata';
+
+      if (normalizationChanged) {
+        if (this.currentTrack) this.normalizeDeck(this.audio, this.currentTrack);
+        if (this.nextTrack) this.normalizeDeck(this.getStandbyDeck(), this.nextTrack);
+      }
+    }
+  }
+
+  /**
+   * Ramp the active deck between silence and the user volume
+   * @param {'in'|'out'} direction - Fade in or out
+   * @param {number} duration - Fade length in ms
+   * @returns {Promise<void>} Resolves when the fade finishes or is cancelled
+   */
+  fade(direction, duration = FADE_DURATION) {
+    const [from, to] = direction === 'in' ? [0, 1] : [1, 0];
+    return this.ramp([{ element: this.audio, from, to }], duration);
+  }
+
+  /**
+   * Move deck volumes together, as fractions of the user volume
+   * @param {Array<{element: HTMLAudioElement, from: number, to: number}>} ramps - Decks to move
+   * @param {number} duration - Ramp length in ms
+   * @returns {Promise<void>} Resolves when the ramp finishes or is cancelled
+   */
+  ramp(ramps, duration) {
+    this.cancelFade();
+
+    return new Promise(resolve => {
+      const startedAt = Date.now();
+      const step = () => {
+        if (!this.audio) {
+          this.cancelFade();
+          return;
+        }
+
+        const progress = duration > 0 ? Math.min(1, (Date.now() - startedAt) / duration) : 1;
+        ramps.forEach(({ element, from, to }) => {
+          element.volume = this.volume * (from + (to - from) * progress);
+        });
+
+        if (progress >= 1) {
+          this.cancelFade();
+        }
+      };
+
+      this.fadeResolve = resolve;
+      this.fadeTimer = setInterval(step, FADE_STEP);
+      step();
+    });
+  }
+
+  /**
+   * Stop a running fade, leaving the volume where it is
+   */
+  cancelFade() {
+    if (this.fadeTimer) {
+      clearInterval(this.fadeTimer);
+      this.fadeTimer = null;
+    }
+    if (this.fadeResolve) {
+      const resolve = this.fadeResolve;
+      this.fadeResolve = null;
+      resolve();
+    }
+  }
+
+  /**
+   * Route both decks through the processing graph
+   * Needs a user gesture in most browsers, so it runs on first play.
+   * @returns {boolean} Whether the graph is available
+   */
+  setupAudioGraph() {
+    if (this.graph) return true;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass || this.decks.length === 0) return false;
+
+    try {
+      const context = new AudioContextClass();
+
+      const preamp = context.createGain();
+
+      const filters = EQ_BANDS.map((frequency, index) => {
+        const filter = context.createBiquadFilter();
+        if (index === 0) {
+          filter.type = 'lowshelf';
+        } else if (index === EQ_BANDS.length - 1) {
+          filter.type = 'highshelf';
+        } else {
+          filter.type = 'peaking';
+          filter.Q.value = EQ_Q;
+        }
+        filter.frequency.value = frequency;
+        filter.gain.value = 0;
+        return filter;
+      });
+
+      // Brick-wall-ish limiter so boosted curves don't clip
+      const limiter = context.createDynamicsCompressor();
+      limiter.threshold.value = -1;
+      limiter.knee.value = 0;
+      limiter.ratio.value = 20;
+      limiter.attack.value = 0.003;
+      limiter.release.value = 0.25;
+
+      const sources = this.decks.map(deck => context.createMediaElementSource(deck));
+      const deckGains = sources.map(source => {
+        const gain = context.createGain();
+        source.connect(gain);
+        gain.connect(preamp);
+        return gain;
+      });
+      const output = context.createGain();
+      [preamp, ...filters].reduce((node, next) => node.connect(next));
+      filters[filters.length - 1].connect(limiter);
+      limiter.connect(output);
+      output.connect(context.destination);
+
+      this.audioContext = context;
+      this.graph = { sources, deckGains, preamp, filters, limiter, output };
+      this.applyEqualizer();
+      this.decks.forEach(deck => this.applyDeckLevel(deck));
+      return true;
+    } catch (error) {
+      // Playback still works straight from the elements, just without EQ
+      console.warn('Web Audio unavailable, playing without equalizer:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Apply equalizer settings
+   * @param {Object} equalizer - { enabled, preamp (dB), gains (dB per band) }
+   */
+  setEqualizer(equalizer = {}) {
+    this.equalizer = { ...this.equalizer, ...equalizer };
+    this.applyEqualizer();
+  }
+
+  /**
+   * Push the equalizer settings into the graph (a disabled EQ is flat)
+   */
+  applyEqualizer() {
+    if (!this.graph) return;
+
+    const { enabled, preamp, gains } = this.equalizer;
+    const now = this.audioContext.currentTime;
+
+    this.graph.preamp.gain.setTargetAtTime(enabled ? dbToGain(preamp) : 1, now, GAIN_RAMP);
+    this.graph.filters.forEach((filter, index) => {
+      filter.gain.setTargetAtTime(enabled ? gains[index] || 0 : 0, now, GAIN_RAMP);
+    });
+  }
+
+  /**
+   * Measure a deck's track and set its normalization gain
+   * Runs in the background; the gain eases in once the measurement is ready.
+   * @param {HTMLAudioElement} deck - Deck the track is loaded on
+   * @param {Object} track - Track on that deck
+   */
+  async normalizeDeck(deck, track) {
+    const request = ++this.levelRequest;
+    const previous = this.deckLevels.get(deck);
+    // A new track starts flat; a re-measure keeps the old gain meanwhile
+    const gain = previous && previous.trackId === track.id ? previous.gain : 0;
+    this.deckLevels.set(deck, { trackId: track.id, gain, request });
+    this.applyDeckLevel(deck);
+
+    let measured = 0;
+    try {
+      measured = await getNormalizationGain(track, this.options.normalization);
+    } catch (error) {
+      console.warn('Loudness analysis failed:', error);
+    }
+
+    // The deck moved on (or was re-measured) while this was running
+    if (this.deckLevels.get(deck)?.request !== request) return;
+
+    this.deckLevels.set(deck, { trackId: track.id, gain: measured, request });
+    this.applyDeckLevel(deck);
+  }
+
+  /**
+   * Push a deck's normalization gain into the graph
+   * @param {HTMLAudioElement} deck - Deck to update
+   */
+  applyDeckLevel(deck) {
+    const index = this.decks.indexOf(deck);
+    if (!this.graph || index === -1) return;
+
+    const level = this.deckLevels.get(deck);
+    this.graph.deckGains[index].gain.setTargetAtTime(
+      dbToGain(level ? level.gain : 0),
+      this.audioContext.currentTime,
+      LEVEL_RAMP
+    );
+  }
+
+  /**
+   * Fade everything to silence, e.g. before the sleep timer pauses
+   * @param {number} duration - Fade length in ms
+   */
+  fadeOutput(duration) {
+    if (this.graph) {
+      const { gain } = this.graph.output;
+      const now = this.audioContext.currentTime;
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(gain.value, now);
+      gain.linearRampToValueAtTime(0, now + duration / 1000);
+    } else if (this.audio) {
+      // No Web Audio: fall back to the element volume
+      this.fade('out', duration);
+    }
+  }
+
+  /**
+   * Undo fadeOutput (after pausing, or when the fade is called off)
+   */
+  restoreOutput() {
+    if (this.graph) {
+      const { gain } = this.graph.output;
+      const now = this.audioContext.currentTime;
+      gain.cancelScheduledValues(now);
+      gain.setTargetAtTime(1, now, GAIN_RAMP);
+    } else if (this.audio) {
+      this.cancelFade();
+      this.audio.volume = this.volume;
+    }
+  }
+
+  /**
+   * Make sure the graph exists and isn't suspended before audio starts
+   */
+  resumeAudioGraph() {
+    if (this.setupAudioGraph() && this.audioContext.state === 'suspended') {
+      this.audioContext.resume().catch(error => {
+        console.warn('Failed to resume audio context:', error);
+      });
+    }
+  }
+
+  /**
+   * The deck that isn't playing the current track
+   * @returns {HTMLAudioElement|undefined} Standby deck
+   */
+  getStandbyDeck() {
+    return this.decks.find(deck => deck !== this.audio);
+  }
+
+  /**
+   * Only the active deck's media events reach listeners
+   * @param {Event} [event] - Media event (omitted for synthetic calls)
+   * @returns {boolean} Whether the event came from the active deck
+   */
+  isActiveDeck(event) {
+    return !event || event.currentTarget === this.audio;
+  }
+
+  /**
+   * Make the standby deck the active one
+   * @returns {HTMLAudioElement} The previously active deck
+   */
+  swapDecks() {
+    const outgoing = this.audio;
+    this.audio = this.getStandbyDeck();
+    return outgoing;
+  }
+
+  /**
+   * Start the active deck while the outgoing one fades out
+   * @param {HTMLAudioElement} outgoing - Deck being replaced
+   * @param {number} duration - Crossfade length in ms
+   * @returns {Promise<void>} The active deck's play() promise
+   */
+  crossfadeFrom(outgoing, duration) {
+    const transition = { outgoing };
+    this.transition = transition;
+
+    this.audio.volume = 0;
+    const playing = this.audio.play();
+    this.ramp([
+      { element: outgoing, from: this.volume ? outgoing.volume / this.volume : 1, to: 0 },
+      { element: this.audio, from: 0, to: 1 }
+    ], duration).then(() => {
+      if (this.transition === transition) {
+        this.finishTransition();
+      }
+    });
+
+    return playing;
+  }
+
+  /**
+   * Stop the outgoing deck of a crossfade (finished or interrupted)
+   */
+  finishTransition() {
+    if (!this.transition) return;
+
+    const { outgoing } = this.transition;
+    this.transition = null;
+    outgoing.pause();
+    outgoing.volume = this.volume;
+    if (this.audio) {
+      this.audio.volume = this.volume;
+    }
+
+    // The standby deck is free again
+    if (this.pendingPreload) {
+      const { track } = this.pendingPreload;
+      this.pendingPreload = null;
+      this.preload(track);
+    }
+  }
+
+  /**
+   * Buffer the track that should follow the current one
+   * @param {Object|null} track - Upcoming track, or null to clear
+   * @returns {boolean} Whether the track is (being) buffered
+   */
+  preload(track) {
+    if (!this.isInitialized) {
+      this.init();
+    }
+
+    // The standby deck is still fading out; load once it's free
+    if (this.transition) {
+      this.pendingPreload = { track };
+      return false;
+    }
+
+    if (!track || !track.preview_url || (this.currentTrack && this.currentTrack.id === track.id)) {
+      this.nextTrack = null;
+      return false;
+    }
+
+    if (this.nextTrack && this.nextTrack.id === track.id) {
+      return true;
+    }
+
+    const deck = this.getStandbyDeck();
+    this.nextTrack = track;
+    deck.src = track.preview_url;
+    deck.load();
+    this.normalizeDeck(deck, track);
+    return true;
+  }
+
+  /**
+   * Move on to the preloaded track without a reload gap
+   * @param {'gapless'|'crossfade'} mode - Cut at the end or overlap the tracks
+   * @param {number} fadeDuration - Crossfade length in ms
+   */
+  handoff(mode, fadeDuration = 0) {
+    const track = this.nextTrack;
+    const previousTrack = this.currentTrack;
+
+    this.cancelFade();
+    this.finishTransition();
+    this.nextTrack = null;
+    this.currentTrack = track;
+    this.retryCount = 0;
+
+    const outgoing = this.swapDecks();
+    this.resumeAudioGraph();
+    let playing;
+    if (mode === 'crossfade') {
+      playing = this.crossfadeFrom(outgoing, fadeDuration);
+    } else {
+      outgoing.pause();
+      this.audio.volume = this.volume;
+      playing = this.audio.play();
+    }
+
+    Promise.resolve(playing).catch(error => {
+      this.emit('error', {
+        message: `Playback failed: ${error.message}`,
+        track
+      });
+    });
+
+    this.emit('handoff', { track, previousTrack, mode });
+  }
+
+  /**
+   * Begin the crossfade into the preloaded track near the end of the current one
+   */
+  maybeStartCrossfade() {
+    if (!this.options.crossfade || this.transition || !this.nextTrack) return;
+
+    const crossfadeMs = this.options.crossfadeDuration * 1000;
+    const durationMs = this.audio.duration * 1000;
+    const remainingMs = durationMs - this.audio.currentTime * 1000;
+
+    // Clips too short to overlap hand off gaplessly when they end
+    if (!isFinite(durationMs) || durationMs < crossfadeMs * 2) return;
+
+    if (remainingMs <= crossfadeMs) {
+      this.handoff('crossfade', remainingMs);
+    }
+  }
+
   /**
    * Add event listener
    */
@@ -142,22 +629,56 @@ class AudioManager {
       return true;
     }
 
+    const wasPlaying = this.isPlaying();
+    this.cancelFade();
+    this.finishTransition();
+
+    // Skipping to the preloaded track reuses its buffer
+    const preloaded = Boolean(this.nextTrack && this.nextTrack.id === track.id);
+    this.nextTrack = null;
     this.currentTrack = track;
     this.retryCount = 0;
     
+    if (this.loadingTimeout) {
+      clearTimeout(this.loadingTimeout);
+      this.loadingTimeout = null;
+    }
+
     try {
+      if (!preloaded) {
+        const deck = this.getStandbyDeck();
+        deck.src = audioUrl;
+        deck.load();
+        this.normalizeDeck(deck, track);
+      }
+
+      const outgoing = this.swapDecks();
+      this.audio.preload = this.options.highQuality ? 'auto' : 'metadata';
+
+      if (this.options.crossfade && wasPlaying) {
+        // Short overlap so manual skips aren't a hard cut
+        const duration = Math.min(FADE_DURATION, this.options.crossfadeDuration * 1000);
+        this.crossfadeFrom(outgoing, duration).catch(() => {});
+      } else {
+        outgoing.pause();
+        this.audio.volume = this.volume;
+      }
+
       this.emit('loadstart', { track });
       
-      // Set loading timeout
-      this.loadingTimeout = setTimeout(() => {
-        this.emit('error', { 
-          message: 'Track loading timeout',
-          track 
-        });
-      }, 10000); // 10 second timeout
-      
-      this.audio.src = audioUrl;
-      this.audio.load();
+      if (this.audio.readyState >= 3) {
+        // Already buffered; its load events fired while it was on standby
+        this.handleLoadedData();
+        this.handleCanPlay();
+      } else {
+        // Set loading timeout
+        this.loadingTimeout = setTimeout(() => {
+          this.emit('error', {
+            message: 'Track loading timeout',
+            track
+          });
+        }, 10000); // 10 second timeout
+      }
       
       return true;
     } catch (error) {
@@ -177,8 +698,24 @@ class AudioManager {
       return false;
     }
 
+    // Already playing (or starting); don't restart the fade-in
+    if (!this.audio.paused) {
+      return true;
+    }
+
+    this.resumeAudioGraph();
+
     try {
-      await this.audio.play();
+      if (this.options.crossfade) {
+        this.audio.volume = 0;
+        const playing = this.audio.play();
+        this.fade('in');
+        await playing;
+      } else {
+        this.cancelFade();
+        this.audio.volume = this.volume;
+        await this.audio.play();
+      }
       this.emit('play', { track: this.currentTrack });
       return true;
     } catch (error) {
@@ -195,6 +732,9 @@ class AudioManager {
    */
   pause() {
     if (this.audio && !this.audio.paused) {
+      this.cancelFade();
+      this.finishTransition();
+      this.audio.volume = this.volume;
       this.audio.pause();
       this.emit('pause', { track: this.currentTrack });
     }
@@ -204,17 +744,19 @@ class AudioManager {
    * Set volume (0-1)
    */
   setVolume(volume) {
-    if (this.audio) {
-      this.audio.volume = Math.max(0, Math.min(1, volume));
-      this.emit('volumechange', { volume: this.audio.volume });
+    this.volume = Math.max(0, Math.min(1, volume));
+    // A running fade picks up the new level on its next step
+    if (this.audio && !this.fadeTimer) {
+      this.audio.volume = this.volume;
     }
+    this.emit('volumechange', { volume: this.volume });
   }
 
   /**
    * Get current volume
    */
   getVolume() {
-    return this.audio ? this.audio.volume : 0;
+    return this.volume;
   }
 
   /**
@@ -273,11 +815,13 @@ class AudioManager {
   }
 
   // Event handlers
-  handleLoadStart() {
+  handleLoadStart(event) {
+    if (!this.isActiveDeck(event)) return;
     this.emit('loadstart', { track: this.currentTrack });
   }
 
-  handleCanPlay() {
+  handleCanPlay(event) {
+    if (!this.isActiveDeck(event)) return;
     if (this.loadingTimeout) {
       clearTimeout(this.loadingTimeout);
       this.loadingTimeout = null;
@@ -285,27 +829,46 @@ class AudioManager {
     this.emit('canplay', { track: this.currentTrack });
   }
 
-  handleLoadedData() {
+  handleLoadedData(event) {
+    if (!this.isActiveDeck(event)) return;
     this.emit('loadeddata', { 
       track: this.currentTrack,
       duration: this.audio.duration 
     });
   }
 
-  handleTimeUpdate() {
+  handleTimeUpdate(event) {
+    if (!this.isActiveDeck(event)) return;
     this.emit('timeupdate', {
       track: this.currentTrack,
       currentTime: this.audio.currentTime,
       duration: this.audio.duration,
       buffered: this.getBuffered()
     });
+    this.maybeStartCrossfade();
   }
 
-  handleEnded() {
+  handleEnded(event) {
+    if (!this.isActiveDeck(event)) return;
+
+    // No crossfade (off, or the clip was too short): cut straight to the next track
+    if (this.nextTrack) {
+      this.handoff('gapless');
+      return;
+    }
+
     this.emit('ended', { track: this.currentTrack });
   }
 
   handleError(event) {
+    if (!this.isActiveDeck(event)) {
+      // A failed preload only costs the gapless handoff; loadTrack will retry
+      if (!this.transition) {
+        this.nextTrack = null;
+      }
+      return;
+    }
+
     if (this.loadingTimeout) {
       clearTimeout(this.loadingTimeout);
       this.loadingTimeout = null;
@@ -351,15 +914,18 @@ class AudioManager {
     });
   }
 
-  handleStalled() {
+  handleStalled(event) {
+    if (!this.isActiveDeck(event)) return;
     this.emit('stalled', { track: this.currentTrack });
   }
 
-  handleWaiting() {
+  handleWaiting(event) {
+    if (!this.isActiveDeck(event)) return;
     this.emit('waiting', { track: this.currentTrack });
   }
 
-  handleCanPlayThrough() {
+  handleCanPlayThrough(event) {
+    if (!this.isActiveDeck(event)) return;
     this.emit('canplaythrough', { track: this.currentTrack });
   }
 }
@@ -367,4 +933,4 @@ class AudioManager {
 // Create singleton instance
 const audioManager = new AudioManager();
 
-export default audioManager;
\ No newline at end of file
+export default audioManager;
@@ -0,0 +1,137 @@
+/**
+ * Authorization Code + PKCE helpers and user token persistence
+ */
+
+// Storage keys
+const AUTH_STORAGE_KEYS = {
+  USER_AUTH: 'spotify-user-auth', // localStorage: access/refresh token and expiry
+  CODE_VERIFIER: 'spotify-pkce-verifier', // sessionStorage: verifier for the pending login
+  AUTH_STATE: 'spotify-pkce-state', // sessionStorage: CSRF state for the pending login
+  RETURN_PATH: 'spotify-pkce-return-path' // sessionStorage: where to land after login
+};
+
+const PKCE_CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+
+/**
+ * Generate a cryptographically random string from the PKCE charset
+ * @param {number} length - Length of the string (43-128 for a verifier)
+ * @returns {string} Random string
+ */
+export const generateRandomString = (length = 64) => {
+  const values = window.crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(values, (value) => PKCE_CHARSET[value % PKCE_CHARSET.length]).join('');
+};
+
+/**
+ * Base64url-encode an ArrayBuffer (no padding)
+ * @param {ArrayBuffer} buffer - Bytes to encode
+ * @returns {string} Base64url string
+ */
+export const base64UrlEncode = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Derive the S256 code challenge for a verifier
+ * @param {string} verifier - PKCE code verifier
+ * @returns {Promise<string>} Code challenge
+ */
+export const generateCodeChallenge = async (verifier) => {
+  const data = new TextEncoder().encode(verifier);
+  const digest = await window.crypto.subtle.digest('SHA-256', data);
+  return base64UrlEncode(digest);
+};
+
+/**
+ * Create and remember the verifier/state pair for a new login
+ * @returns {Promise<Object>} { verifier, challenge, state }
+ */
+export const createPkceSession = async () => {
+  const verifier = generateRandomString(64);
+  const state = generateRandomString(16);
+  const challenge = await generateCodeChallenge(verifier);
+
+  sessionStorage.setItem(AUTH_STORAGE_KEYS.CODE_VERIFIER, verifier);
+  sessionStorage.setItem(AUTH_STORAGE_KEYS.AUTH_STATE, state);
+  sessionStorage.setItem(
+    AUTH_STORAGE_KEYS.RETURN_PATH,
+    window.location.pathname + window.location.search
+  );
+
+  return { verifier, challenge, state };
+};
+
+/**
+ * Read and clear the pending PKCE session
+ * @returns {Object} { verifier, state, returnPath }
+ */
+export const consumePkceSession = () => {
+  const session = {
+    verifier: sessionStorage.getItem(AUTH_STORAGE_KEYS.CODE_VERIFIER),
+    state: sessionStorage.getItem(AUTH_STORAGE_KEYS.AUTH_STATE),
+    returnPath: sessionStorage.getItem(AUTH_STORAGE_KEYS.RETURN_PATH) || '/'
+  };
+
+  sessionStorage.removeItem(AUTH_STORAGE_KEYS.CODE_VERIFIER);
+  sessionStorage.removeItem(AUTH_STORAGE_KEYS.AUTH_STATE);
+  sessionStorage.removeItem(AUTH_STORAGE_KEYS.RETURN_PATH);
+
+  return session;
+};
+
+/**
+ * Load persisted user tokens
+ * @returns {Object|null} { accessToken, refreshToken, expiresAt, scope }
+ */
+export const loadUserAuth = () => {
+  try {
+    const stored = localStorage.getItem(AUTH_STORAGE_KEYS.USER_AUTH);
+    if (!stored) return null;
+
+    const parsed = JSON.parse(stored);
+    return parsed && parsed.refreshToken ? parsed : null;
+  } catch (error) {
+    console.warn('Failed to read stored Spotify auth:', error);
+    return null;
+  }
+};
+
+/**
+ * Persist user tokens
+ * @param {Object} auth - { accessToken, refreshToken, expiresAt, scope }
+ */
+export const saveUserAuth = (auth) => {
+  try {
+    localStorage.setItem(AUTH_STORAGE_KEYS.USER_AUTH, JSON.stringify(auth));
+  } catch (error) {
+    console.warn('Failed to store Spotify auth:', error);
+  }
+};
+
+/**
+ * Remove persisted user tokens
+ */
+export const clearUserAuth = () => {
+  localStorage.removeItem(AUTH_STORAGE_KEYS.USER_AUTH);
+};
+
+export { AUTH_STORAGE_KEYS };
+
+const authUtilsDefault = {
+  generateRandomString,
+  base64UrlEncode,
+  generateCodeChallenge,
+  createPkceSession,
+  consumePkceSession,
+  loadUserAuth,
+  saveUserAuth,
+  clearUserAuth,
+  AUTH_STORAGE_KEYS
+};
+
+export default authUtilsDefault;
@@ -9,6 +9,7 @@ const CACHE_CONFIG = {
   USER_PLAYLISTS: 10 * 60 * 1000, // 10 minutes
   TRACK_DETAILS: 30 * 60 * 1000, // 30 minutes
   USER_PROFILE: 60 * 60 * 1000, // 1 hour
+  LOUDNESS: 30 * 24 * 60 * 60 * 1000, // 30 days; a clip's level doesn't change
   
   // Maximum cache size (number of entries)
   MAX_ENTRIES: 100,
@@ -66,6 +67,15 @@ class MemoryCache {
     this.cache.clear();
   }
 
+  // Delete every entry whose key matches the predicate
+  deleteWhere(predicate) {
+    for (const key of Array.from(this.cache.keys())) {
+      if (predicate(key)) {
+        this.cache.delete(key);
+      }
+    }
+  }
+
   size() {
     return this.cache.size;
   }
@@ -204,6 +214,14 @@ class PersistentCache {
     }
   }
 
+  // Delete every entry whose key matches the predicate
+  deleteWhere(predicate) {
+    const metadata = this._getMetadata();
+    Object.keys(metadata)
+      .filter(predicate)
+      .forEach((key) => this.delete(key));
+  }
+
   cleanup() {
     const now = Date.now();
     const metadata = this._getMetadata();
@@ -304,6 +322,11 @@ class HybridCache {
     return this.persistentCache.delete(key);
   }
 
+  deleteWhere(predicate) {
+    this.memoryCache.deleteWhere(predicate);
+    this.persistentCache.deleteWhere(predicate);
+  }
+
   clear() {
     this.memoryCache.clear();
     this.persistentCache.clear();
@@ -341,12 +364,27 @@ setInterval(() => {
 /**
  * Cache key generators
  */
+// Catalog responses differ per market, so their keys end in `@<market>`
+const marketScoped = (key, market) => (market ? `${key}@${market}` : key);
+
 export const cacheKeys = {
   search: (query) => `search:${query.toLowerCase().trim()}`,
+  searchPage: (query, offset = 0, limit = 20, market) =>
+    marketScoped(`search:${query.toLowerCase().trim()}:page:${offset}:${limit}`, market),
+  popularTracks: (market) => marketScoped('popular-tracks', market),
+  featuredPlaylists: (market) => marketScoped('featured-playlists', market),
+  newReleases: (market) => marketScoped('new-releases', market),
   userPlaylists: (userId) => `playlists:${userId}`,
-  trackDetails: (trackId) => `track:${trackId}`,
+  trackDetails: (trackId, market) => marketScoped(`track:${trackId}`, market),
+  artist: (artistId) => `artist:${artistId}`,
+  artistTopTracks: (artistId, market) => marketScoped(`artist:${artistId}:top-tracks`, market),
+  artistAlbums: (artistId, market) => marketScoped(`artist:${artistId}:albums`, market),
+  relatedArtists: (artistId) => `artist:${artistId}:related`,
+  album: (albumId, market) => marketScoped(`album:${albumId}`, market),
   userProfile: (userId) => `profile:${userId}`,
-  playlistTracks: (playlistId) => `playlist_tracks:${playlistId}`
+  playlistTracks: (playlistId) => `playlist_tracks:${playlistId}`,
+  trackLoudness: (trackId) => `loudness:track:${trackId}`,
+  albumLoudness: (albumId) => `loudness:album:${albumId}`
 };
 
 /**
@@ -385,13 +423,20 @@ export const cacheManager = {
   cleanup: () => globalCache.cleanup(),
   getStats: () => globalCache.getStats(),
   
+  // Delete every entry whose key starts with the prefix
+  deleteByPrefix: (prefix) => globalCache.deleteWhere(key => key.startsWith(prefix)),
+
   // Invalidate related caches
-  invalidateSearch: () => {
-    const stats = globalCache.getStats();
-    // This would need to be implemented to remove search-related keys
-    console.log('Invalidating search cache...', stats);
+  invalidateSearch: (query) => {
+    const prefix = query ? cacheKeys.search(query) : 'search:';
+    globalCache.deleteWhere(key => key === prefix || key.startsWith(query ? `${prefix}:` : prefix));
   },
   
+  // Drop catalog results fetched for a market
+  invalidateMarket: (market) => {
+    globalCache.deleteWhere(key => key.endsWith(`@${market}`));
+  },
+
   invalidateUser: (userId) => {
     globalCache.delete(cacheKeys.userProfile(userId));
     globalCache.delete(cacheKeys.userPlaylists(userId));
@@ -0,0 +1,159 @@
+/**
+ * Equalizer bands, presets and validation
+ *
+ * AudioManager builds one BiquadFilterNode per band; the settings store the
+ * gains (dB) alongside the preamp and the selected preset.
+ */
+
+// Centre frequencies (Hz) of the 10 bands, ISO octave spacing
+export const EQ_BANDS = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+export const EQ_GAIN_MIN = -12;
+export const EQ_GAIN_MAX = 12;
+export const EQ_PREAMP_MIN = -12;
+export const EQ_PREAMP_MAX = 6;
+
+// Selected when the gains don't match a saved preset
+export const MANUAL_PRESET = 'manual';
+
+export const BUILT_IN_PRESETS = [
+  { id: 'flat', name: 'Flat', preamp: 0, gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { id: 'bass-boost', name: 'Bass Boost', preamp: -4, gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  { id: 'vocal', name: 'Vocal', preamp: -2, gains: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+  { id: 'treble-boost', name: 'Treble Boost', preamp: -4, gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+  { id: 'loudness', name: 'Loudness', preamp: -4, gains: [5, 4, 2, 0, -1, 0, 0, 1, 3, 4] }
+];
+
+export const DEFAULT_EQUALIZER = {
+  enabled: false,
+  preset: 'flat',
+  preamp: 0,
+  gains: BUILT_IN_PRESETS[0].gains
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Is this a usable list of band gains?
+ * @param {*} gains - Candidate gains
+ * @returns {boolean} Whether it has one finite number per band
+ */
+export const isValidGains = (gains) => {
+  return Array.isArray(gains) && gains.length === EQ_BANDS.length && gains.every(isNumber);
+};
+
+/**
+ * Clamp a band gain to the supported range, rounded to 0.5 dB
+ * @param {number} gain - Gain in dB
+ * @returns {number} Clamped gain
+ */
+export const clampGain = (gain) => Math.round(clamp(gain, EQ_GAIN_MIN, EQ_GAIN_MAX) * 2) / 2;
+
+/**
+ * Clamp the preamp to the supported range, rounded to 0.5 dB
+ * @param {number} preamp - Preamp in dB
+ * @returns {number} Clamped preamp
+ */
+export const clampPreamp = (preamp) => Math.round(clamp(preamp, EQ_PREAMP_MIN, EQ_PREAMP_MAX) * 2) / 2;
+
+/**
+ * Check stored equalizer settings
+ * @param {*} equalizer - Candidate { enabled, preset, preamp, gains }
+ * @returns {boolean} Whether every field is usable
+ */
+export const isValidEqualizer = (equalizer) => {
+  return Boolean(equalizer) &&
+    typeof equalizer.enabled === 'boolean' &&
+    typeof equalizer.preset === 'string' &&
+    isNumber(equalizer.preamp) &&
+    isValidGains(equalizer.gains);
+};
+
+/**
+ * Check a list of user presets
+ * @param {*} presets - Candidate [{ id, name, preamp, gains }]
+ * @returns {boolean} Whether every preset is usable
+ */
+export const isValidCustomPresets = (presets) => {
+  return Array.isArray(presets) && presets.every(preset => (
+    preset &&
+    typeof preset.id === 'string' &&
+    typeof preset.name === 'string' &&
+    preset.name.trim() !== '' &&
+    isNumber(preset.preamp) &&
+    isValidGains(preset.gains)
+  ));
+};
+
+/**
+ * Clamp the preamp and gains of valid equalizer settings, so values saved
+ * by hand or by older versions stay within what the filters support
+ * @param {Object} equalizer - Settings that passed isValidEqualizer
+ * @returns {Object} Settings with clamped preamp and gains
+ */
+export const clampEqualizer = (equalizer) => {
+  const preamp = clampPreamp(equalizer.preamp);
+  const gains = equalizer.gains.map(clampGain);
+  // Keep the same object when nothing moved, so effects keyed on it don't rerun
+  if (preamp === equalizer.preamp && gains.every((gain, index) => gain === equalizer.gains[index])) {
+    return equalizer;
+  }
+  return { ...equalizer, preamp, gains };
+};
+
+/**
+ * Clamp the preamp and gains of each user preset
+ * @param {Array} presets - Presets that passed isValidCustomPresets
+ * @returns {Array} Presets with clamped preamp and gains
+ */
+export const clampCustomPresets = (presets) => {
+  const clamped = presets.map(clampEqualizer);
+  return clamped.every((preset, index) => preset === presets[index]) ? presets : clamped;
+};
+
+/**
+ * Look a preset up among the built-in and user presets
+ * @param {string} id - Preset id
+ * @param {Array} customPresets - User presets
+ * @returns {Object|null} Preset, or null when unknown
+ */
+export const findPreset = (id, customPresets = []) => {
+  return [...BUILT_IN_PRESETS, ...customPresets].find(preset => preset.id === id) || null;
+};
+
+/**
+ * Build a user preset from the current curve
+ * @param {string} name - Display name
+ * @param {Object} equalizer - Current { preamp, gains }
+ * @returns {Object} Preset with a unique id
+ */
+export const createCustomPreset = (name, { preamp, gains }) => ({
+  id: `custom-${Date.now().toString(36)}`,
+  name: name.trim(),
+  preamp,
+  gains: [...gains]
+});
+
+const equalizerDefault = {
+  EQ_BANDS,
+  EQ_GAIN_MIN,
+  EQ_GAIN_MAX,
+  EQ_PREAMP_MIN,
+  EQ_PREAMP_MAX,
+  MANUAL_PRESET,
+  BUILT_IN_PRESETS,
+  DEFAULT_EQUALIZER,
+  isValidGains,
+  clampGain,
+  clampPreamp,
+  isValidEqualizer,
+  isValidCustomPresets,
+  clampEqualizer,
+  clampCustomPresets,
+  findPreset,
+  createCustomPreset
+};
+
+export default equalizerDefault;
@@ -0,0 +1,216 @@
+/**
+ * Loudness measurement for volume normalization
+ *
+ * Approximates ITU-R BS.1770 integrated loudness: the clip is decoded,
+ * K-weighted through an OfflineAudioContext, split into 400ms blocks and
+ * gated. Results are cached per track; album mode combines the measured
+ * tracks of an album into one level so the album's own dynamics survive.
+ */
+
+import { cacheKeys, cacheManager, CACHE_CONFIG } from './cacheUtils';
+
+export const NORMALIZATION_MODES = {
+  TRACK: 'track',
+  ALBUM: 'album',
+  OFF: 'off'
+};
+
+export const TARGET_LOUDNESS = -14; // LUFS
+export const MAX_BOOST = 6; // dB; the limiter catches the peaks
+export const MAX_CUT = -12; // dB
+
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1; // 75% block overlap
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the ungated level
+
+// Measurements in flight, so a track loaded and preloaded is only analyzed once
+const pending = new Map();
+
+const energyToLoudness = (energy) => -0.691 + 10 * Math.log10(energy);
+const loudnessToEnergy = (loudness) => Math.pow(10, (loudness + 0.691) / 10);
+
+/**
+ * Gated integrated loudness of K-weighted samples
+ * @param {Float32Array[]} channels - One sample array per channel
+ * @param {number} sampleRate - Samples per second
+ * @returns {number|null} Loudness in LUFS, or null for silence
+ */
+export const computeIntegratedLoudness = (channels, sampleRate) => {
+  const length = channels[0]?.length || 0;
+  if (length === 0) return null;
+
+  const blockSize = Math.min(length, Math.round(BLOCK_SECONDS * sampleRate));
+  const step = Math.max(1, Math.round(STEP_SECONDS * sampleRate));
+
+  const blocks = [];
+  for (let start = 0; start + blockSize <= length; start += step) {
+    let energy = 0;
+    channels.forEach(samples => {
+      let sum = 0;
+      for (let i = start; i < start + blockSize; i++) {
+        sum += samples[i] * samples[i];
+      }
+      energy += sum / blockSize;
+    });
+    blocks.push(energy);
+  }
+
+  const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+  const audible = blocks.filter(energy => energy > 0 && energyToLoudness(energy) > ABSOLUTE_GATE);
+  if (audible.length === 0) return null;
+
+  const threshold = energyToLoudness(mean(audible)) + RELATIVE_GATE;
+  const gated = audible.filter(energy => energyToLoudness(energy) > threshold);
+
+  return energyToLoudness(mean(gated.length > 0 ? gated : audible));
+};
+
+/**
+ * Gain that brings a measured level to the target
+ * @param {number|null} loudness - Measured loudness in LUFS
+ * @returns {number} Gain in dB (0 when unknown)
+ */
+export const loudnessToGain = (loudness) => {
+  if (typeof loudness !== 'number' || !Number.isFinite(loudness)) return 0;
+  return Math.max(MAX_CUT, Math.min(MAX_BOOST, TARGET_LOUDNESS - loudness));
+};
+
+/**
+ * Combined loudness of several measured tracks, weighted by duration
+ * @param {Array<{loudness: number, duration: number}>} measurements - Track measurements
+ * @returns {number|null} Loudness in LUFS
+ */
+export const combineLoudness = (measurements) => {
+  const valid = measurements.filter(({ loudness, duration }) => (
+    typeof loudness === 'number' && Number.isFinite(loudness) && duration > 0
+  ));
+  if (valid.length === 0) return null;
+
+  const totalDuration = valid.reduce((total, { duration }) => total + duration, 0);
+  const energy = valid.reduce((total, { loudness, duration }) => (
+    total + loudnessToEnergy(loudness) * duration
+  ), 0) / totalDuration;
+
+  return energyToLoudness(energy);
+};
+
+/**
+ * Decode a clip and K-weight it
+ * @param {ArrayBuffer} data - Encoded audio
+ * @returns {Promise<AudioBuffer>} Weighted audio
+ */
+const decodeWeighted = async (data) => {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) {
+    throw new Error('OfflineAudioContext not supported');
+  }
+
+  const decoded = await new OfflineContext(1, 1, 44100).decodeAudioData(data);
+  const context = new OfflineContext(decoded.numberOfChannels, decoded.length, decoded.sampleRate);
+
+  // K-weighting: head-related high shelf, then the RLB high-pass
+  const shelf = context.createBiquadFilter();
+  shelf.type = 'highshelf';
+  shelf.frequency.value = 1681;
+  shelf.gain.value = 4;
+
+  const highpass = context.createBiquadFilter();
+  highpass.type = 'highpass';
+  highpass.frequency.value = 38;
+  highpass.Q.value = 0.5;
+
+  const source = context.createBufferSource();
+  source.buffer = decoded;
+  source.connect(shelf);
+  shelf.connect(highpass);
+  highpass.connect(context.destination);
+  source.start();
+
+  return context.startRendering();
+};
+
+/**
+ * Measure (or read the cached) loudness of a track's preview
+ * @param {Object} track - Track with id and preview_url
+ * @returns {Promise<{loudness: number|null, duration: number}>} Measurement
+ */
+export const measureTrackLoudness = async (track) => {
+  const key = cacheKeys.trackLoudness(track.id);
+  const cached = cacheManager.get(key);
+  if (cached !== null) return cached;
+
+  if (pending.has(track.id)) return pending.get(track.id);
+
+  const measure = async () => {
+    // Usually served from the HTTP cache, since the audio element fetched it too
+    const response = await fetch(track.preview_url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch audio (${response.status})`);
+    }
+
+    const weighted = await decodeWeighted(await response.arrayBuffer());
+    const channels = Array.from({ length: weighted.numberOfChannels }, (_, index) => (
+      weighted.getChannelData(index)
+    ));
+
+    const measurement = {
+      loudness: computeIntegratedLoudness(channels, weighted.sampleRate),
+      duration: weighted.duration
+    };
+    cacheManager.set(key, measurement, CACHE_CONFIG.LOUDNESS);
+    return measurement;
+  };
+
+  const promise = measure().finally(() => pending.delete(track.id));
+  pending.set(track.id, promise);
+  return promise;
+};
+
+/**
+ * Record a track measurement against its album
+ * @param {string} albumId - Album id
+ * @param {string} trackId - Track id
+ * @param {Object} measurement - { loudness, duration }
+ * @returns {number|null} Album loudness so far in LUFS
+ */
+const updateAlbumLoudness = (albumId, trackId, measurement) => {
+  const key = cacheKeys.albumLoudness(albumId);
+  const tracks = { ...(cacheManager.get(key) || {}), [trackId]: measurement };
+  cacheManager.set(key, tracks, CACHE_CONFIG.LOUDNESS);
+  return combineLoudness(Object.values(tracks));
+};
+
+/**
+ * Gain to apply to a track for the chosen normalization mode
+ * Album mode falls back to the track level when the album is unknown.
+ * @param {Object} track - Track with id, preview_url and album info
+ * @param {string} mode - One of NORMALIZATION_MODES
+ * @returns {Promise<number>} Gain in dB
+ */
+export const getNormalizationGain = async (track, mode) => {
+  if (mode === NORMALIZATION_MODES.OFF || !track?.preview_url) return 0;
+
+  const measurement = await measureTrackLoudness(track);
+  const albumId = track.album_info?.id || track.album?.id;
+
+  if (mode === NORMALIZATION_MODES.ALBUM && albumId) {
+    return loudnessToGain(updateAlbumLoudness(albumId, track.id, measurement));
+  }
+  return loudnessToGain(measurement.loudness);
+};
+
+const loudnessDefault = {
+  NORMALIZATION_MODES,
+  TARGET_LOUDNESS,
+  MAX_BOOST,
+  MAX_CUT,
+  computeIntegratedLoudness,
+  loudnessToGain,
+  combineLoudness,
+  measureTrackLoudness,
+  getNormalizationGain
+};
+
+export default loudnessDefault;
@@ -0,0 +1,48 @@
+import {
+  computeIntegratedLoudness,
+  loudnessToGain,
+  combineLoudness,
+  TARGET_LOUDNESS,
+  MAX_BOOST
+} from './loudness';
+
+const SAMPLE_RATE = 8000;
+
+const sine = (amplitude, seconds) => {
+  const samples = new Float32Array(SAMPLE_RATE * seconds);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = amplitude * Math.sin((2 * Math.PI * 440 * i) / SAMPLE_RATE);
+  }
+  return samples;
+};
+
+describe('loudness', () => {
+  test('measures a full-scale sine at about -3.7 LUFS per channel', () => {
+    const loudness = computeIntegratedLoudness([sine(1, 2)], SAMPLE_RATE);
+    expect(loudness).toBeCloseTo(-3.7, 1);
+  });
+
+  test('gates out silence', () => {
+    const quietThenLoud = new Float32Array(SAMPLE_RATE * 4);
+    quietThenLoud.set(sine(0.5, 2), SAMPLE_RATE * 2);
+
+    // Averaging in the silent half would read about 3 dB low
+    expect(computeIntegratedLoudness([quietThenLoud], SAMPLE_RATE))
+      .toBeCloseTo(computeIntegratedLoudness([sine(0.5, 2)], SAMPLE_RATE), 0);
+    expect(computeIntegratedLoudness([new Float32Array(SAMPLE_RATE)], SAMPLE_RATE)).toBeNull();
+  });
+
+  test('turns loudness into a clamped gain', () => {
+    expect(loudnessToGain(-20)).toBe(TARGET_LOUDNESS + 20);
+    expect(loudnessToGain(-40)).toBe(MAX_BOOST);
+    expect(loudnessToGain(null)).toBe(0);
+  });
+
+  test('combines tracks weighted by duration', () => {
+    expect(combineLoudness([
+      { loudness: -10, duration: 30 },
+      { loudness: -10, duration: 10 }
+    ])).toBeCloseTo(-10, 5);
+    expect(combineLoudness([{ loudness: null, duration: 30 }])).toBeNull();
+  });
+});
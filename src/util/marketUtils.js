@@ -0,0 +1,93 @@
+/**
+ * Market (country) selection for Spotify catalog requests
+ *
+ * The market setting is stored with the other preferences in
+ * `musicPlatformSettings`. 'auto' means: use the country on the Spotify
+ * profile when logged in, otherwise the browser locale's region.
+ */
+
+export const AUTO_MARKET = 'auto';
+export const DEFAULT_MARKET = 'US';
+export const SETTINGS_STORAGE_KEY = 'musicPlatformSettings';
+
+// Markets offered in the settings picker (any ISO 3166-1 alpha-2 code works)
+export const MARKETS = [
+  { code: 'AR', name: 'Argentina' },
+  { code: 'AU', name: 'Australia' },
+  { code: 'BR', name: 'Brazil' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'ES', name: 'Spain' },
+  { code: 'FR', name: 'France' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'ID', name: 'Indonesia' },
+  { code: 'IN', name: 'India' },
+  { code: 'IT', name: 'Italy' },
+  { code: 'JP', name: 'Japan' },
+  { code: 'KR', name: 'South Korea' },
+  { code: 'MX', name: 'Mexico' },
+  { code: 'NG', name: 'Nigeria' },
+  { code: 'NL', name: 'Netherlands' },
+  { code: 'PH', name: 'Philippines' },
+  { code: 'PL', name: 'Poland' },
+  { code: 'SE', name: 'Sweden' },
+  { code: 'US', name: 'United States' },
+  { code: 'ZA', name: 'South Africa' }
+];
+
+/**
+ * Is this a well-formed market code?
+ * @param {string} code - Candidate code
+ * @returns {boolean} Whether it is two uppercase letters
+ */
+export const isValidMarket = (code) => typeof code === 'string' && /^[A-Z]{2}$/.test(code);
+
+/**
+ * Derive a market from a BCP 47 locale, e.g. 'en-GB' -> 'GB'
+ * @param {string} locale - Locale (defaults to the browser's)
+ * @returns {string|null} Market code, or null when the locale has no region
+ */
+export const getMarketFromLocale = (locale = typeof navigator !== 'undefined' ? navigator.language : '') => {
+  const region = (locale || '').split(/[-_]/)[1];
+  const code = region ? region.toUpperCase() : null;
+  return isValidMarket(code) ? code : null;
+};
+
+/**
+ * Read the stored market setting
+ * @returns {string} AUTO_MARKET or a market code
+ */
+export const loadMarketSetting = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+    return isValidMarket(stored.market) ? stored.market : AUTO_MARKET;
+  } catch (error) {
+    console.warn('Failed to read market setting:', error);
+    return AUTO_MARKET;
+  }
+};
+
+/**
+ * Work out the market to send with catalog requests
+ * @param {string} setting - AUTO_MARKET or a market code
+ * @param {string|null} detected - Country from the user's Spotify profile
+ * @returns {string} Market code
+ */
+export const resolveMarket = (setting, detected = null) => {
+  if (isValidMarket(setting)) return setting;
+  if (isValidMarket(detected)) return detected;
+  return getMarketFromLocale() || DEFAULT_MARKET;
+};
+
+const marketUtilsDefault = {
+  AUTO_MARKET,
+  DEFAULT_MARKET,
+  SETTINGS_STORAGE_KEY,
+  MARKETS,
+  isValidMarket,
+  getMarketFromLocale,
+  loadMarketSetting,
+  resolveMarket
+};
+
+export default marketUtilsDefault;
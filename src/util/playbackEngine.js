@@ -0,0 +1,285 @@
+/**
+ * Playback engine
+ *
+ * The player drives one interface whichever way the audio is produced.
+ * Previews play through AudioManager, with its crossfade, EQ and loudness
+ * normalization; Spotify Premium users can also stream full tracks through
+ * the Web Playback SDK (spotifyWebPlayback.js). Each track goes to the engine
+ * that can play it, and listeners only hear events from the active engine.
+ */
+
+import audioManager from './AudioManager';
+import SpotifyWebPlayback, { getTrackUri, isFatalPlaybackError } from './spotifyWebPlayback';
+
+export const ENGINE_TYPES = {
+  PREVIEW: 'preview',
+  FULL: 'full'
+};
+
+// Events passed on from whichever engine is active
+const FORWARDED_EVENTS = [
+  'loadstart',
+  'loadeddata',
+  'canplay',
+  'canplaythrough',
+  'waiting',
+  'stalled',
+  'timeupdate',
+  'play',
+  'pause',
+  'ended',
+  'handoff',
+  'error',
+  'nopreview',
+  'volumechange'
+];
+
+export class PlaybackEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Object} options.previewEngine - Plays preview clips (AudioManager)
+   * @param {Function} options.createWebPlayback - (options) => SpotifyWebPlayback
+   */
+  constructor({ previewEngine, createWebPlayback }) {
+    this.previewEngine = previewEngine;
+    this.createWebPlayback = createWebPlayback;
+    this.webPlayback = null;
+    this.active = previewEngine;
+    this.listeners = new Map();
+    this.forwarders = new Map(); // engine -> { event: handler }
+
+    this.handleWebPlaybackError = this.handleWebPlaybackError.bind(this);
+    this.attach(previewEngine);
+  }
+
+  attach(engine) {
+    const handlers = {};
+    FORWARDED_EVENTS.forEach(event => {
+      handlers[event] = (data) => {
+        if (engine === this.active) {
+          this.emit(event, data);
+        }
+      };
+      engine.on(event, handlers[event]);
+    });
+    this.forwarders.set(engine, handlers);
+  }
+
+  detach(engine) {
+    const handlers = this.forwarders.get(engine);
+    if (!handlers) return;
+
+    Object.entries(handlers).forEach(([event, handler]) => engine.off(event, handler));
+    this.forwarders.delete(engine);
+  }
+
+  /**
+   * Which engine is playing
+   * @returns {string} ENGINE_TYPES.FULL or ENGINE_TYPES.PREVIEW
+   */
+  getType() {
+    return this.webPlayback && this.active === this.webPlayback
+      ? ENGINE_TYPES.FULL
+      : ENGINE_TYPES.PREVIEW;
+  }
+
+  /**
+   * Whether full tracks can be streamed right now
+   * @returns {boolean} True once the SDK device is ready
+   */
+  canPlayFullTracks() {
+    return Boolean(this.webPlayback?.isReady);
+  }
+
+  /**
+   * Whether a track can be played by any engine
+   * @param {Object} track - Track to check
+   * @returns {boolean} True if it has a preview, or full tracks are available for it
+   */
+  canPlay(track) {
+    return Boolean(track?.preview_url) || (this.canPlayFullTracks() && Boolean(getTrackUri(track)));
+  }
+
+  get currentTrack() {
+    return this.active.currentTrack;
+  }
+
+  /**
+   * Start streaming full tracks through the Web Playback SDK
+   * @param {Object} options - Passed to SpotifyWebPlayback (getAccessToken, startPlayback)
+   * @returns {Promise<boolean>} Whether full tracks are now available
+   */
+  async enableFullTracks(options) {
+    if (this.webPlayback) return true;
+
+    const webPlayback = this.createWebPlayback(options);
+    try {
+      await webPlayback.initialize();
+    } catch (error) {
+      console.warn('Full-track playback unavailable:', error.detail || error.message);
+      this.emit('error', { message: error.message, code: error.code, track: this.currentTrack });
+      return false;
+    }
+
+    webPlayback.setVolume(this.previewEngine.getVolume());
+    this.attach(webPlayback);
+    // After the forwarder, so an active engine's error is passed on before the fallback
+    webPlayback.on('error', this.handleWebPlaybackError);
+    this.webPlayback = webPlayback;
+    this.emit('enginechange', { type: this.getType(), fullTracks: true });
+    return true;
+  }
+
+  /**
+   * Go back to previews only
+   */
+  disableFullTracks() {
+    const webPlayback = this.webPlayback;
+    if (!webPlayback) return;
+
+    const wasActive = this.active === webPlayback;
+    const track = webPlayback.currentTrack;
+
+    webPlayback.off('error', this.handleWebPlaybackError);
+    this.detach(webPlayback);
+    webPlayback.disconnect();
+    this.webPlayback = null;
+
+    if (wasActive) {
+      this.active = this.previewEngine;
+      // Stay on the same track, paused; the player decides what happens next
+      if (track) this.previewEngine.loadTrack(track);
+      this.emit('pause', { track });
+    }
+    this.emit('enginechange', { type: this.getType(), fullTracks: false });
+  }
+
+  handleWebPlaybackError(data) {
+    if (!isFatalPlaybackError(data.code)) return;
+
+    const wasActive = this.active === this.webPlayback;
+    this.disableFullTracks();
+    // The forwarder only passes on the active engine's errors
+    if (!wasActive) this.emit('error', data);
+  }
+
+  /**
+   * Make the engine that can play a track the active one
+   * @param {Object} track - Track about to be loaded
+   */
+  select(track) {
+    const engine = this.canPlayFullTracks() && getTrackUri(track)
+      ? this.webPlayback
+      : this.previewEngine;
+
+    if (engine !== this.active) {
+      this.active.pause();
+      this.active = engine;
+      this.emit('enginechange', { type: this.getType(), fullTracks: this.canPlayFullTracks() });
+    }
+  }
+
+  init() {
+    this.previewEngine.init();
+  }
+
+  async loadTrack(track) {
+    if (track) this.select(track);
+    return this.active.loadTrack(track);
+  }
+
+  play() {
+    return this.active.play();
+  }
+
+  pause() {
+    this.active.pause();
+  }
+
+  setCurrentTime(time) {
+    this.active.setCurrentTime(time);
+  }
+
+  getCurrentTime() {
+    return this.active.getCurrentTime();
+  }
+
+  getDuration() {
+    return this.active.getDuration();
+  }
+
+  isPlaying() {
+    return this.active.isPlaying();
+  }
+
+  // Volume is the user's, so both engines follow it
+  setVolume(volume) {
+    this.previewEngine.setVolume(volume);
+    this.webPlayback?.setVolume(volume);
+  }
+
+  getVolume() {
+    return this.previewEngine.getVolume();
+  }
+
+  fadeOutput(duration) {
+    this.active.fadeOutput(duration);
+  }
+
+  restoreOutput() {
+    this.previewEngine.restoreOutput();
+    this.webPlayback?.restoreOutput();
+  }
+
+  /**
+   * Buffer the upcoming track; only previews can be buffered ahead
+   * @param {Object|null} track - Upcoming track
+   */
+  preload(track) {
+    const isPreview = this.active === this.previewEngine &&
+      !(this.canPlayFullTracks() && getTrackUri(track));
+    return this.previewEngine.preload(isPreview ? track : null);
+  }
+
+  // Crossfade, EQ and normalization settings belong to the preview engine
+  configure(options) {
+    this.previewEngine.configure(options);
+  }
+
+  setEqualizer(equalizer) {
+    this.previewEngine.setEqualizer(equalizer);
+  }
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).delete(callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const playbackEngine = new PlaybackEngine({
+  previewEngine: audioManager,
+  createWebPlayback: (options) => new SpotifyWebPlayback(options)
+});
+
+export default playbackEngine;
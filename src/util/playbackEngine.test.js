@@ -0,0 +1,108 @@
+import { PlaybackEngine, ENGINE_TYPES } from './playbackEngine';
+import { WEB_PLAYBACK_ERRORS } from './spotifyWebPlayback';
+
+// Minimal engine with the shared interface; `ready` marks an SDK engine as connected
+const createEngine = (extra = {}) => {
+  const listeners = new Map();
+  return {
+    currentTrack: null,
+    isReady: true,
+    volume: 1,
+    init: jest.fn(),
+    loadTrack: jest.fn(async function (track) {
+      this.currentTrack = track;
+      return true;
+    }),
+    play: jest.fn(async () => true),
+    pause: jest.fn(),
+    preload: jest.fn(),
+    setVolume: jest.fn(function (volume) {
+      this.volume = volume;
+    }),
+    getVolume() {
+      return this.volume;
+    },
+    restoreOutput: jest.fn(),
+    disconnect: jest.fn(),
+    on: (event, callback) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(callback);
+    },
+    off: (event, callback) => listeners.get(event)?.delete(callback),
+    emit: (event, data) => listeners.get(event)?.forEach(callback => callback(data)),
+    ...extra
+  };
+};
+
+const spotifyTrack = { id: '4iV5W9uYEdYUVa79Axb7Rh', name: 'Spotify', preview_url: 'https://p.scdn.co/1' };
+const localTrack = { id: 'local-1', name: 'Local', preview_url: 'https://example.com/1.mp3' };
+
+describe('PlaybackEngine', () => {
+  let preview;
+  let full;
+  let engine;
+
+  beforeEach(() => {
+    preview = createEngine();
+    full = createEngine({ initialize: jest.fn(async () => {}) });
+    engine = new PlaybackEngine({ previewEngine: preview, createWebPlayback: () => full });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('plays previews until full tracks are enabled', async () => {
+    await engine.loadTrack(spotifyTrack);
+    expect(preview.loadTrack).toHaveBeenCalledWith(spotifyTrack);
+    expect(engine.getType()).toBe(ENGINE_TYPES.PREVIEW);
+
+    expect(await engine.enableFullTracks({})).toBe(true);
+    await engine.loadTrack({ ...spotifyTrack, id: '0VjIjW4GlUZAMYd2vXMi3b' });
+    expect(engine.getType()).toBe(ENGINE_TYPES.FULL);
+    expect(preview.pause).toHaveBeenCalled();
+
+    // Tracks Spotify can't stream stay on previews
+    await engine.loadTrack(localTrack);
+    expect(engine.getType()).toBe(ENGINE_TYPES.PREVIEW);
+  });
+
+  test('only passes on events from the active engine', async () => {
+    await engine.enableFullTracks({});
+    await engine.loadTrack(spotifyTrack);
+    const onTimeUpdate = jest.fn();
+    engine.on('timeupdate', onTimeUpdate);
+
+    preview.emit('timeupdate', { currentTime: 1 });
+    full.emit('timeupdate', { currentTime: 2 });
+
+    expect(onTimeUpdate).toHaveBeenCalledTimes(1);
+    expect(onTimeUpdate).toHaveBeenCalledWith({ currentTime: 2 });
+  });
+
+  test('falls back to previews when the SDK fails for good', async () => {
+    await engine.enableFullTracks({});
+    await engine.loadTrack(spotifyTrack);
+    const onError = jest.fn();
+    engine.on('error', onError);
+
+    full.emit('error', { message: 'Premium required', code: WEB_PLAYBACK_ERRORS.ACCOUNT });
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(full.disconnect).toHaveBeenCalled();
+    expect(engine.getType()).toBe(ENGINE_TYPES.PREVIEW);
+    expect(preview.loadTrack).toHaveBeenLastCalledWith(spotifyTrack);
+    expect(engine.canPlay({ id: spotifyTrack.id })).toBe(false);
+  });
+
+  test('reports an SDK that never connects', async () => {
+    const error = Object.assign(new Error('Spotify Premium is required'), { code: WEB_PLAYBACK_ERRORS.ACCOUNT });
+    full.initialize.mockRejectedValueOnce(error);
+    const onError = jest.fn();
+    engine.on('error', onError);
+
+    expect(await engine.enableFullTracks({})).toBe(false);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: WEB_PLAYBACK_ERRORS.ACCOUNT }));
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Playback session persistence
+ *
+ * The context, the user's queue, shuffle order, history and modes are saved under one versioned
+ * key whenever they change. The playback position changes constantly, so it
+ * lives in a small record of its own that the player writes on a throttle.
+ */
+
+export const SESSION_KEY = 'player-session';
+export const POSITION_KEY = 'player-session-position';
+export const SESSION_VERSION = 2;
+export const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+export const HISTORY_LIMIT = 50;
+
+// Written by earlier versions, before the session existed
+const LEGACY_REPEAT_KEY = 'player-repeat-mode';
+const LEGACY_SHUFFLE_KEY = 'player-shuffle';
+
+const readJSON = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key) || 'null');
+  } catch (error) {
+    console.warn(`Failed to read ${key}:`, error);
+    return null;
+  }
+};
+
+const writeJSON = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    // Usually the storage quota; the previous session is left as it was
+    console.warn(`Failed to save ${key}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Whether a saved track still has what the player needs
+ * @param {*} track - Track read from storage
+ * @returns {boolean} True if it can be played or shown
+ */
+export const isRestorableTrack = (track) => (
+  Boolean(track) &&
+  typeof track === 'object' &&
+  typeof track.id === 'string' &&
+  track.id.length > 0 &&
+  typeof track.name === 'string'
+);
+
+const restoreTracks = (tracks) => (
+  Array.isArray(tracks) ? tracks.filter(isRestorableTrack) : []
+);
+
+/**
+ * Bring an older session up to the current schema
+ * @param {Object} session - Parsed session
+ * @returns {Object|null} Current-version session, or null if unknown
+ */
+const migrateSession = (session) => {
+  let migrated = session;
+
+  // v2 split the user's queue and the playing context out of the queue
+  if (migrated.version === 1) {
+    migrated = { ...migrated, version: 2, userQueue: [], playingFromUserQueue: false, context: null };
+  }
+
+  // Anything else is unknown, or from a newer build
+  return migrated.version === SESSION_VERSION ? migrated : null;
+};
+
+/**
+ * Whether a saved context can still be linked and shown
+ * @param {*} context - Context read from storage
+ * @returns {boolean} True if it has a type and a name
+ */
+const isRestorableContext = (context) => (
+  Boolean(context) &&
+  typeof context === 'object' &&
+  typeof context.type === 'string' &&
+  typeof context.name === 'string'
+);
+
+/**
+ * Session from the modes saved before sessions existed
+ * @param {string[]} repeatModes - Allowed repeat modes
+ * @returns {Object|null} Session with an empty queue, or null if nothing was saved
+ */
+const loadLegacySession = (repeatModes) => {
+  const repeatMode = localStorage.getItem(LEGACY_REPEAT_KEY);
+  const shuffle = localStorage.getItem(LEGACY_SHUFFLE_KEY);
+  if (repeatMode === null && shuffle === null) return null;
+
+  return {
+    queue: [],
+    originalQueue: [],
+    currentIndex: 0,
+    currentTrack: null,
+    userQueue: [],
+    playingFromUserQueue: false,
+    context: null,
+    history: [],
+    isShuffled: shuffle === 'true',
+    repeatMode: repeatModes.includes(repeatMode) ? repeatMode : undefined,
+    position: 0
+  };
+};
+
+/**
+ * Read the saved session, dropping whatever no longer makes sense
+ * @param {Object} options - Validation options
+ * @param {string[]} options.repeatModes - Allowed repeat modes
+ * @returns {Object|null} { queue, originalQueue, currentIndex, currentTrack,
+ *   userQueue, playingFromUserQueue, context, history, isShuffled, repeatMode,
+ *   position }, or null when there is none
+ */
+export const loadSession = ({ repeatModes }) => {
+  const saved = readJSON(SESSION_KEY);
+  if (!saved || typeof saved !== 'object') {
+    return loadLegacySession(repeatModes);
+  }
+
+  const session = migrateSession(saved);
+  if (!session || !(Date.now() - session.savedAt < SESSION_MAX_AGE)) {
+    clearSession();
+    return null;
+  }
+
+  const queue = restoreTracks(session.queue);
+  const savedCurrent = isRestorableTrack(session.currentTrack) ? session.currentTrack : null;
+  const clampIndex = () => Math.max(0, Math.min(Number(session.currentIndex) || 0, queue.length - 1));
+
+  // A track from the user's queue isn't in the context; keep the context's place
+  const playingFromUserQueue = Boolean(session.playingFromUserQueue) && Boolean(savedCurrent);
+
+  // Follow the current track by id, since invalid tracks before it may be gone
+  let currentIndex = savedCurrent && !playingFromUserQueue
+    ? queue.findIndex(track => track.id === savedCurrent.id)
+    : -1;
+  let currentTrack = currentIndex !== -1 ? queue[currentIndex] : null;
+  if (playingFromUserQueue) {
+    currentIndex = clampIndex();
+    currentTrack = savedCurrent;
+  } else if (!currentTrack && queue.length > 0) {
+    currentIndex = clampIndex();
+    currentTrack = queue[currentIndex];
+  } else if (!currentTrack) {
+    // A track played on its own, outside any queue
+    currentIndex = 0;
+    currentTrack = savedCurrent;
+  }
+
+  const isShuffled = Boolean(session.isShuffled);
+  const originalQueue = isShuffled ? restoreTracks(session.originalQueue) : [];
+
+  // The position only counts for the track it was saved against
+  const savedPosition = readJSON(POSITION_KEY);
+  const position = currentTrack && savedPosition?.trackId === currentTrack.id &&
+    Number.isFinite(savedPosition.position) && savedPosition.position > 0
+    ? savedPosition.position
+    : 0;
+
+  return {
+    queue,
+    originalQueue: originalQueue.length > 0 ? originalQueue : queue,
+    currentIndex,
+    currentTrack,
+    userQueue: restoreTracks(session.userQueue),
+    playingFromUserQueue,
+    context: isRestorableContext(session.context) ? session.context : null,
+    history: restoreTracks(session.history).slice(0, HISTORY_LIMIT),
+    isShuffled,
+    repeatMode: repeatModes.includes(session.repeatMode) ? session.repeatMode : undefined,
+    position
+  };
+};
+
+/**
+ * Save everything but the position
+ * @param {Object} state - Player state
+ * @returns {boolean} Whether it was written
+ */
+export const saveSession = (state) => {
+  const saved = writeJSON(SESSION_KEY, {
+    version: SESSION_VERSION,
+    savedAt: Date.now(),
+    queue: state.queue,
+    originalQueue: state.isShuffled ? state.originalQueue : [],
+    currentIndex: state.currentIndex,
+    currentTrack: state.currentTrack,
+    userQueue: state.userQueue,
+    playingFromUserQueue: state.playingFromUserQueue,
+    context: state.context,
+    history: state.history.slice(0, HISTORY_LIMIT),
+    isShuffled: state.isShuffled,
+    repeatMode: state.repeatMode
+  });
+
+  if (saved) {
+    localStorage.removeItem(LEGACY_REPEAT_KEY);
+    localStorage.removeItem(LEGACY_SHUFFLE_KEY);
+  }
+  return saved;
+};
+
+/**
+ * Save the playback position within the current track
+ * @param {Object|null} track - Current track
+ * @param {number} position - Seconds into the track
+ */
+export const savePosition = (track, position) => {
+  if (!track) {
+    localStorage.removeItem(POSITION_KEY);
+    return;
+  }
+  writeJSON(POSITION_KEY, {
+    trackId: track.id,
+    position: Number.isFinite(position) ? Math.max(0, position) : 0
+  });
+};
+
+/**
+ * Forget the saved session
+ */
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+  localStorage.removeItem(POSITION_KEY);
+};
+
+const playbackSession = {
+  SESSION_KEY,
+  POSITION_KEY,
+  SESSION_VERSION,
+  isRestorableTrack,
+  loadSession,
+  saveSession,
+  savePosition,
+  clearSession
+};
+
+export default playbackSession;
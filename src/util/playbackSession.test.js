@@ -0,0 +1,111 @@
+import {
+  loadSession,
+  saveSession,
+  savePosition,
+  SESSION_KEY,
+  SESSION_VERSION,
+  SESSION_MAX_AGE
+} from './playbackSession';
+
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+const track = (id) => ({ id, name: `Track ${id}`, preview_url: `https://p.scdn.co/${id}` });
+
+const state = (overrides = {}) => ({
+  queue: [track('a'), track('b'), track('c')],
+  originalQueue: [],
+  currentIndex: 1,
+  currentTrack: track('b'),
+  userQueue: [track('q')],
+  playingFromUserQueue: false,
+  context: { type: 'album', id: 'album-1', name: 'An Album' },
+  history: [track('a')],
+  isShuffled: false,
+  repeatMode: 'all',
+  ...overrides
+});
+
+describe('playbackSession', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('restores a saved session and the position within its track', () => {
+    saveSession(state());
+    savePosition(track('b'), 12.5);
+
+    expect(loadSession({ repeatModes: REPEAT_MODES })).toEqual({
+      queue: [track('a'), track('b'), track('c')],
+      originalQueue: [track('a'), track('b'), track('c')],
+      currentIndex: 1,
+      currentTrack: track('b'),
+      userQueue: [track('q')],
+      playingFromUserQueue: false,
+      context: { type: 'album', id: 'album-1', name: 'An Album' },
+      history: [track('a')],
+      isShuffled: false,
+      repeatMode: 'all',
+      position: 12.5
+    });
+  });
+
+  test('keeps the context position while a queued track plays', () => {
+    saveSession(state({ currentTrack: track('q'), userQueue: [], playingFromUserQueue: true }));
+
+    const session = loadSession({ repeatModes: REPEAT_MODES });
+    expect(session.currentTrack.id).toBe('q');
+    expect(session.currentIndex).toBe(1);
+    expect(session.playingFromUserQueue).toBe(true);
+  });
+
+  test('migrates a version 1 session', () => {
+    saveSession(state());
+    const { userQueue, playingFromUserQueue, context, ...saved } = JSON.parse(localStorage.getItem(SESSION_KEY));
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ ...saved, version: 1 }));
+
+    const session = loadSession({ repeatModes: REPEAT_MODES });
+    expect(session.queue).toHaveLength(3);
+    expect(session.userQueue).toEqual([]);
+    expect(session.context).toBeNull();
+  });
+
+  test('drops invalid tracks and follows the current track by id', () => {
+    saveSession(state({ queue: [{ name: 'No id' }, track('a'), track('b')], currentIndex: 2 }));
+    savePosition(track('a'), 30);
+
+    const session = loadSession({ repeatModes: REPEAT_MODES });
+    expect(session.queue.map(({ id }) => id)).toEqual(['a', 'b']);
+    expect(session.currentIndex).toBe(1);
+    // The position was saved against another track
+    expect(session.position).toBe(0);
+  });
+
+  test('ignores stale, unknown-version and corrupt sessions', () => {
+    saveSession(state());
+    const saved = JSON.parse(localStorage.getItem(SESSION_KEY));
+
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ ...saved, savedAt: Date.now() - SESSION_MAX_AGE - 1 }));
+    expect(loadSession({ repeatModes: REPEAT_MODES })).toBeNull();
+
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ ...saved, version: SESSION_VERSION + 1 }));
+    expect(loadSession({ repeatModes: REPEAT_MODES })).toBeNull();
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem(SESSION_KEY, '{not json');
+    expect(loadSession({ repeatModes: REPEAT_MODES })).toBeNull();
+    console.warn.mockRestore();
+  });
+
+  test('picks up the modes saved before sessions existed', () => {
+    localStorage.setItem('player-repeat-mode', 'one');
+    localStorage.setItem('player-shuffle', 'true');
+
+    const session = loadSession({ repeatModes: REPEAT_MODES });
+    expect(session.repeatMode).toBe('one');
+    expect(session.isShuffled).toBe(true);
+    expect(session.queue).toEqual([]);
+
+    saveSession(state());
+    expect(localStorage.getItem('player-repeat-mode')).toBeNull();
+  });
+});
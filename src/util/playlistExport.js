@@ -0,0 +1,250 @@
+/**
+ * Playlist export
+ *
+ * Writes local playlists as M3U8, XSPF, CSV or JSON so they can be moved to
+ * other tools. M3U8, XSPF and CSV carry what other players understand; the
+ * JSON format is the app's own and holds playlists exactly as stored, so
+ * exporting and importing it again gives back the same library.
+ */
+
+import { getTrackUri } from './spotifyWebPlayback';
+
+export const LIBRARY_FORMAT = 'music-platform-library';
+export const LIBRARY_FORMAT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  M3U8: { id: 'm3u8', label: 'M3U8', extension: 'm3u8', mimeType: 'audio/x-mpegurl' },
+  XSPF: { id: 'xspf', label: 'XSPF', extension: 'xspf', mimeType: 'application/xspf+xml' },
+  CSV: { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  JSON: { id: 'json', label: 'JSON (full backup)', extension: 'json', mimeType: 'application/json' }
+};
+
+// Tracks come from search, albums, imports and older saves; read them all the same way
+const getArtistNames = (track) => (
+  track.artists?.length
+    ? track.artists.map(artist => artist.name)
+    : [track.artist].filter(Boolean)
+);
+
+const getAlbumName = (track) => (
+  typeof track.album === 'string' ? track.album : track.album?.name || track.album_info?.name || ''
+);
+
+const getLocation = (track) => getTrackUri(track) || track.external_urls?.spotify || track.preview_url || '';
+
+/**
+ * M3U8 playlist: an EXTINF line (seconds, "Artist - Title") before each URI
+ * @param {Object} playlist - Local playlist
+ * @returns {string} File contents
+ */
+export const toM3U8 = (playlist) => {
+  const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`];
+
+  (playlist.tracks || []).forEach(track => {
+    const location = getLocation(track);
+    // Every entry needs a location line; a track with nothing to point at is left out
+    if (!location) return;
+
+    const seconds = track.duration_ms ? Math.round(track.duration_ms / 1000) : -1;
+    const artists = getArtistNames(track).join(', ');
+    const title = artists ? `${artists} - ${track.name}` : track.name;
+    // EXTINF ends at the line break, so titles can't carry one
+    lines.push(`#EXTINF:${seconds},${title.replace(/[\r\n]+/g, ' ')}`);
+    lines.push(location);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * XSPF playlist
+ * @param {Object} playlist - Local playlist
+ * @returns {string} File contents
+ */
+export const toXSPF = (playlist) => {
+  const element = (name, value, indent) => (
+    value || value === 0 ? [`${indent}<${name}>${escapeXml(value)}</${name}>`] : []
+  );
+
+  const tracks = (playlist.tracks || []).map(track => {
+    const uri = getTrackUri(track);
+    return [
+      '    <track>',
+      ...element('location', getLocation(track), '      '),
+      ...(uri ? [`      <identifier>${escapeXml(uri)}</identifier>`] : []),
+      ...element('title', track.name, '      '),
+      ...element('creator', getArtistNames(track).join(', '), '      '),
+      ...element('album', getAlbumName(track), '      '),
+      ...element('duration', track.duration_ms, '      '),
+      '    </track>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    ...element('title', playlist.name, '  '),
+    ...element('annotation', playlist.description, '  '),
+    ...element('date', playlist.updatedAt, '  '),
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+};
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatDuration = (ms) => {
+  if (!ms) return '';
+  const totalSeconds = Math.round(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+export const CSV_COLUMNS = ['Name', 'Artists', 'Album', 'Duration', 'Duration (ms)', 'ISRC', 'Spotify ID', 'URI'];
+
+const toCsvRow = (track) => {
+  const uri = getTrackUri(track);
+  return [
+    track.name,
+    getArtistNames(track).join('; '),
+    getAlbumName(track),
+    formatDuration(track.duration_ms),
+    track.duration_ms || '',
+    track.isrc || track.external_ids?.isrc || '',
+    uri ? uri.split(':').pop() : track.id,
+    uri || ''
+  ];
+};
+
+/**
+ * CSV, one row per track; a library export adds a leading Playlist column
+ * @param {Object|Object[]} playlists - One playlist, or several
+ * @returns {string} File contents
+ */
+export const toCSV = (playlists) => {
+  const isLibrary = Array.isArray(playlists);
+  const header = isLibrary ? ['Playlist', ...CSV_COLUMNS] : CSV_COLUMNS;
+
+  const rows = isLibrary
+    ? playlists.flatMap(playlist => (playlist.tracks || []).map(track => [playlist.name, ...toCsvRow(track)]))
+    : (playlists.tracks || []).map(toCsvRow);
+
+  return `${[header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * The app's own format, holding playlists exactly as stored
+ * @param {Object|Object[]} playlists - One playlist, or the whole library
+ * @returns {string} File contents
+ */
+export const toJSON = (playlists) => JSON.stringify({
+  format: LIBRARY_FORMAT,
+  version: LIBRARY_FORMAT_VERSION,
+  exportedAt: new Date().toISOString(),
+  playlists: Array.isArray(playlists) ? playlists : [playlists]
+}, null, 2);
+
+/**
+ * Read a JSON export back
+ * @param {string} text - File contents
+ * @returns {Object[]} Playlists, exactly as exported
+ */
+export const parseJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (data?.format !== LIBRARY_FORMAT || !Array.isArray(data.playlists)) {
+    throw new Error('This file is not a playlist export.');
+  }
+  if (data.version > LIBRARY_FORMAT_VERSION) {
+    throw new Error('This export was made by a newer version of the app.');
+  }
+  if (!data.playlists.every(playlist => playlist?.id && Array.isArray(playlist.tracks))) {
+    throw new Error('This export has damaged playlists in it.');
+  }
+
+  return data.playlists;
+};
+
+const WRITERS = {
+  [EXPORT_FORMATS.M3U8.id]: toM3U8,
+  [EXPORT_FORMATS.XSPF.id]: toXSPF,
+  [EXPORT_FORMATS.CSV.id]: toCSV,
+  [EXPORT_FORMATS.JSON.id]: toJSON
+};
+
+// Formats that can hold a whole library in one file
+export const LIBRARY_EXPORT_FORMATS = [EXPORT_FORMATS.JSON, EXPORT_FORMATS.CSV];
+
+const toFileName = (name) => (
+  (name || 'playlist').replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, ' ').trim() || 'playlist'
+);
+
+/**
+ * File contents and name for an export
+ * @param {Object|Object[]} playlists - One playlist, or the whole library
+ * @param {string} formatId - An EXPORT_FORMATS id
+ * @returns {Object} { content, fileName, mimeType }
+ */
+export const createExport = (playlists, formatId) => {
+  const format = Object.values(EXPORT_FORMATS).find(f => f.id === formatId);
+  if (!format) {
+    throw new Error(`Unknown export format: ${formatId}`);
+  }
+
+  const isLibrary = Array.isArray(playlists);
+  const baseName = isLibrary ? 'library' : toFileName(playlists.name);
+  return {
+    content: WRITERS[format.id](playlists),
+    fileName: `${baseName}.${format.extension}`,
+    mimeType: format.mimeType
+  };
+};
+
+/**
+ * Save an export through the browser's download
+ * @param {Object|Object[]} playlists - One playlist, or the whole library
+ * @param {string} formatId - An EXPORT_FORMATS id
+ */
+export const downloadExport = (playlists, formatId) => {
+  const { content, fileName, mimeType } = createExport(playlists, formatId);
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const playlistExport = {
+  EXPORT_FORMATS,
+  LIBRARY_EXPORT_FORMATS,
+  toM3U8,
+  toXSPF,
+  toCSV,
+  toJSON,
+  parseJSON,
+  createExport,
+  downloadExport
+};
+
+export default playlistExport;
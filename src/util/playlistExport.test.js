@@ -0,0 +1,81 @@
+import { toM3U8, toXSPF, toCSV, toJSON, parseJSON, createExport, EXPORT_FORMATS } from './playlistExport';
+
+const track = {
+  id: '4iV5W9uYEdYUVa79Axb7Rh',
+  name: 'Say "Hello", World',
+  artist: 'Ada & Co',
+  artists: [{ id: 'a1', name: 'Ada & Co' }, { id: 'a2', name: 'Bo' }],
+  album: 'First <Album>',
+  uri: 'spotify:track:4iV5W9uYEdYUVa79Axb7Rh',
+  duration_ms: 185400,
+  isrc: 'USRC17607839'
+};
+
+// An older save: no artists array or URI, and not a Spotify track
+const legacyTrack = { id: 'itunes-42', name: 'Old one', artist: 'Someone', duration_ms: 61000 };
+
+const playlist = {
+  id: 'local-1',
+  name: 'Road / Trip',
+  description: 'Songs for the car',
+  tracks: [track, legacyTrack],
+  isPublic: false,
+  createdAt: '2026-01-02T03:04:05.000Z',
+  updatedAt: '2026-01-03T03:04:05.000Z',
+  trackCount: 2,
+  duration: '4m',
+  spotify: { id: 'remote-1', snapshotId: 'snap', syncedAt: null, base: null }
+};
+
+describe('playlistExport', () => {
+  test('writes M3U8 with EXTINF lines and Spotify URIs, skipping tracks with no location', () => {
+    expect(toM3U8(playlist)).toBe([
+      '#EXTM3U',
+      '#PLAYLIST:Road / Trip',
+      '#EXTINF:185,Ada & Co, Bo - Say "Hello", World',
+      'spotify:track:4iV5W9uYEdYUVa79Axb7Rh',
+      ''
+    ].join('\n'));
+  });
+
+  test('writes XSPF with escaped text', () => {
+    const xml = toXSPF(playlist);
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+
+    expect(doc.querySelector('parsererror')).toBeNull();
+    expect(doc.querySelector('playlist > title').textContent).toBe('Road / Trip');
+    const first = doc.querySelectorAll('track')[0];
+    expect(first.querySelector('album').textContent).toBe('First <Album>');
+    expect(first.querySelector('identifier').textContent).toBe(track.uri);
+    expect(first.querySelector('duration').textContent).toBe('185400');
+  });
+
+  test('writes CSV with quoted fields, and a Playlist column for the library', () => {
+    const [header, first, second] = toCSV(playlist).trim().split('\r\n');
+
+    expect(header).toBe('Name,Artists,Album,Duration,Duration (ms),ISRC,Spotify ID,URI');
+    expect(first).toBe(
+      '"Say ""Hello"", World",Ada & Co; Bo,First <Album>,3:05,185400,USRC17607839,4iV5W9uYEdYUVa79Axb7Rh,spotify:track:4iV5W9uYEdYUVa79Axb7Rh'
+    );
+    expect(second).toBe('Old one,Someone,,1:01,61000,,itunes-42,');
+
+    expect(toCSV([playlist]).split('\r\n')[1].startsWith('Road / Trip,')).toBe(true);
+  });
+
+  test('round-trips JSON exactly, one playlist or the whole library', () => {
+    const other = { ...playlist, id: 'local-2', name: 'Other', tracks: [] };
+
+    expect(parseJSON(toJSON(playlist))).toEqual([playlist]);
+    expect(parseJSON(toJSON([playlist, other]))).toEqual([playlist, other]);
+  });
+
+  test('rejects files that are not exports', () => {
+    expect(() => parseJSON('not json')).toThrow('not valid JSON');
+    expect(() => parseJSON('{"playlists": []}')).toThrow('not a playlist export');
+  });
+
+  test('names files after the playlist', () => {
+    expect(createExport(playlist, EXPORT_FORMATS.M3U8.id).fileName).toBe('Road Trip.m3u8');
+    expect(createExport([playlist], EXPORT_FORMATS.JSON.id).fileName).toBe('library.json');
+  });
+});
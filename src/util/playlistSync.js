@@ -0,0 +1,294 @@
+/**
+ * Two-way sync between local playlists and Spotify playlists
+ *
+ * A linked playlist keeps `spotify: { id, snapshotId, syncedAt, base }`,
+ * where `base` is { name, description, uris } as both sides last agreed.
+ * Each side is diffed against the base: when only one side changed, its
+ * version wins; when both did, the user picks (or merges) in a dialog.
+ * Tracks are compared by Spotify URI, so a track can appear more than once.
+ */
+
+import { getTrackUri } from './spotifyWebPlayback';
+
+export const SYNC_ACTIONS = {
+  NONE: 'none',
+  PUSH: 'push',
+  PULL: 'pull',
+  CONFLICT: 'conflict'
+};
+
+export const CONFLICT_RESOLUTIONS = {
+  KEEP_LOCAL: 'keep-local',
+  KEEP_REMOTE: 'keep-remote',
+  MERGE: 'merge'
+};
+
+/**
+ * What sync compares for a local playlist
+ * @param {Object} playlist - Local playlist
+ * @returns {Object} { name, description, uris } - tracks Spotify can't hold are left out
+ */
+export const getLocalSnapshot = (playlist) => ({
+  name: playlist.name || '',
+  description: playlist.description || '',
+  uris: (playlist.tracks || []).map(getTrackUri).filter(Boolean)
+});
+
+/**
+ * What sync compares for a Spotify playlist
+ * @param {Object} remote - Playlist from the Web API
+ * @param {Object[]} tracks - Its tracks, in order
+ * @param {Object[]} [skipped] - Items the library can't hold, such as local
+ *   files and episodes: { uri, position, isLocal }
+ * @returns {Object} { name, description, uris, skipped }
+ */
+export const getRemoteSnapshot = (remote, tracks, skipped = []) => ({
+  name: remote.name || '',
+  // The Web API returns descriptions HTML-escaped
+  description: decodeEntities(remote.description || ''),
+  uris: tracks.map(getTrackUri).filter(Boolean),
+  skipped
+});
+
+/**
+ * Decode HTML entities, as found in Web API playlist descriptions
+ * @param {string} text - Escaped text
+ * @returns {string} Plain text
+ */
+export const decodeEntities = (text) => {
+  if (!text.includes('&')) return text;
+  const textarea = document.createElement('textarea');
+  textarea.innerHTML = text;
+  return textarea.value;
+};
+
+/**
+ * Count occurrences, so repeated tracks are diffed one by one
+ * @param {string[]} uris - Track URIs
+ * @returns {Map<string, number>} URI -> count
+ */
+const countUris = (uris) => {
+  const counts = new Map();
+  uris.forEach(uri => counts.set(uri, (counts.get(uri) || 0) + 1));
+  return counts;
+};
+
+/**
+ * URIs in `uris` beyond how often they appear in `other`
+ * @param {string[]} uris - Track URIs
+ * @param {string[]} other - URIs to subtract
+ * @returns {string[]} The extra URIs, in order
+ */
+const subtractUris = (uris, other) => {
+  const remaining = countUris(other);
+  return uris.filter(uri => {
+    const count = remaining.get(uri) || 0;
+    if (count > 0) {
+      remaining.set(uri, count - 1);
+      return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Changes from a base version of a playlist to a current one
+ * @param {Object} base - { name, description, uris } as last synced
+ * @param {Object} current - { name, description, uris } now
+ * @returns {Object} { name, description, added, removed, reordered } -
+ *   name and description are the new values, or null when unchanged
+ */
+export const diffSnapshots = (base, current) => {
+  const added = subtractUris(current.uris, base.uris);
+  const removed = subtractUris(base.uris, current.uris);
+
+  // Tracks on both sides, compared in order
+  const keptBase = subtractUris(base.uris, removed);
+  const keptCurrent = subtractUris(current.uris, added);
+  const reordered = keptBase.some((uri, index) => uri !== keptCurrent[index]);
+
+  return {
+    name: current.name !== base.name ? current.name : null,
+    description: current.description !== base.description ? current.description : null,
+    added,
+    removed,
+    reordered
+  };
+};
+
+/**
+ * Whether a diff has any change in it
+ * @param {Object} diff - From diffSnapshots
+ * @returns {boolean} True if something changed
+ */
+export const hasChanges = (diff) => (
+  diff.name !== null ||
+  diff.description !== null ||
+  diff.added.length > 0 ||
+  diff.removed.length > 0 ||
+  diff.reordered
+);
+
+const isSameSnapshot = (a, b) => (
+  a.name === b.name &&
+  a.description === b.description &&
+  a.uris.length === b.uris.length &&
+  a.uris.every((uri, index) => uri === b.uris[index])
+);
+
+/**
+ * Decide which way to sync
+ * @param {Object} options - Snapshots to compare
+ * @param {Object} options.base - As last synced
+ * @param {Object} options.local - Local playlist now
+ * @param {Object} options.remote - Spotify playlist now
+ * @returns {Object} { action, localDiff, remoteDiff } - action from SYNC_ACTIONS
+ */
+export const planSync = ({ base, local, remote }) => {
+  const localDiff = diffSnapshots(base, local);
+  const remoteDiff = diffSnapshots(base, remote);
+  const localChanged = hasChanges(localDiff);
+  const remoteChanged = hasChanges(remoteDiff);
+
+  let action = SYNC_ACTIONS.NONE;
+  if (localChanged && remoteChanged) {
+    // Both made the same edit: nothing to settle
+    action = isSameSnapshot(local, remote) ? SYNC_ACTIONS.NONE : SYNC_ACTIONS.CONFLICT;
+  } else if (localChanged) {
+    action = SYNC_ACTIONS.PUSH;
+  } else if (remoteChanged) {
+    action = SYNC_ACTIONS.PULL;
+  }
+
+  return { action, localDiff, remoteDiff };
+};
+
+/**
+ * Base for the first sync after linking, when the sides never agreed
+ *
+ * An empty side takes the other's contents; otherwise both count as
+ * changed, so anything that differs goes to the conflict dialog.
+ * @param {Object} local - Local playlist now
+ * @param {Object} remote - Spotify playlist now
+ * @returns {Object} Base snapshot
+ */
+export const getInitialBase = (local, remote) => {
+  if (local.uris.length === 0) return local;
+  if (remote.uris.length === 0) return remote;
+  return { name: '', description: '', uris: [] };
+};
+
+/**
+ * Combine both sides' changes
+ *
+ * Local order is kept; tracks removed on Spotify are dropped and tracks
+ * added there follow at the end. A rename on this side wins over one there.
+ * @param {Object} base - As last synced
+ * @param {Object} local - Local playlist now
+ * @param {Object} remote - Spotify playlist now
+ * @returns {Object} Merged { name, description, uris }
+ */
+export const mergeSnapshots = (base, local, remote) => {
+  const remoteDiff = diffSnapshots(base, remote);
+  const localDiff = diffSnapshots(base, local);
+
+  const withoutRemoteRemovals = subtractUris(local.uris, subtractUris(remoteDiff.removed, localDiff.removed));
+  // Skip what this side added too, so a track added on both lands once
+  const remoteAdditions = subtractUris(remoteDiff.added, localDiff.added);
+
+  return {
+    name: localDiff.name !== null ? local.name : remote.name,
+    description: localDiff.description !== null ? local.description : remote.description,
+    uris: [...withoutRemoteRemovals, ...remoteAdditions]
+  };
+};
+
+/**
+ * Short description of a diff for the conflict dialog
+ * @param {Object} diff - From diffSnapshots
+ * @returns {string[]} One line per kind of change
+ */
+export const describeDiff = (diff) => {
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  const lines = [];
+
+  if (diff.name !== null) lines.push(`Renamed to "${diff.name}"`);
+  if (diff.description !== null) lines.push('Description changed');
+  if (diff.added.length > 0) lines.push(`${plural(diff.added.length, 'track')} added`);
+  if (diff.removed.length > 0) lines.push(`${plural(diff.removed.length, 'track')} removed`);
+  if (diff.reordered) lines.push('Tracks reordered');
+
+  return lines;
+};
+
+/**
+ * Local track list for a snapshot, reusing the track objects already on hand
+ * @param {string[]} uris - Track URIs in order
+ * @param {Object[]} knownTracks - Local and remote tracks to pick from
+ * @returns {Object[]} Tracks in order; URIs without a track are skipped
+ */
+export const resolveTracks = (uris, knownTracks) => {
+  const byUri = new Map();
+  knownTracks.forEach(track => {
+    const uri = getTrackUri(track);
+    if (uri && !byUri.has(uri)) byUri.set(uri, track);
+  });
+  return uris.map(uri => byUri.get(uri)).filter(Boolean);
+};
+
+/**
+ * URIs to write to Spotify, with the items sync skipped put back where they were
+ *
+ * Replacing a playlist's tracks removes anything not in the new list, so
+ * episodes go back in at their old positions. Local files can't be added
+ * through the Web API at all, so a playlist holding them is never replaced.
+ * @param {string[]} uris - Track URIs to write
+ * @param {Object[]} skipped - From getRemoteSnapshot
+ * @returns {string[]} URIs to write
+ */
+export const withSkippedItems = (uris, skipped = []) => {
+  if (skipped.some(item => item.isLocal)) {
+    throw new Error(
+      'This Spotify playlist has local files in it, which apps can\'t add back. ' +
+      'Remove them in Spotify, or keep Spotify\'s version.'
+    );
+  }
+
+  const result = [...uris];
+  [...skipped]
+    .sort((a, b) => a.position - b.position)
+    .forEach(item => result.splice(Math.min(item.position, result.length), 0, item.uri));
+  return result;
+};
+
+/**
+ * Link record after a sync
+ * @param {Object} remote - Spotify playlist ({ id, snapshot_id })
+ * @param {Object} snapshot - What both sides now hold
+ * @returns {Object} Value for the local playlist's `spotify` field
+ */
+export const createLink = (remote, snapshot) => ({
+  id: remote.id,
+  snapshotId: remote.snapshot_id,
+  syncedAt: new Date().toISOString(),
+  base: { name: snapshot.name, description: snapshot.description, uris: snapshot.uris }
+});
+
+const playlistSync = {
+  SYNC_ACTIONS,
+  CONFLICT_RESOLUTIONS,
+  getLocalSnapshot,
+  getRemoteSnapshot,
+  decodeEntities,
+  diffSnapshots,
+  hasChanges,
+  planSync,
+  getInitialBase,
+  mergeSnapshots,
+  describeDiff,
+  resolveTracks,
+  withSkippedItems,
+  createLink
+};
+
+export default playlistSync;
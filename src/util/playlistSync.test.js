@@ -0,0 +1,94 @@
+import {
+  SYNC_ACTIONS,
+  getLocalSnapshot,
+  getRemoteSnapshot,
+  diffSnapshots,
+  planSync,
+  getInitialBase,
+  mergeSnapshots,
+  resolveTracks,
+  withSkippedItems
+} from './playlistSync';
+
+const uri = (letter) => `spotify:track:${letter.repeat(22)}`;
+const snapshot = (letters, name = 'Road trip', description = '') => ({
+  name,
+  description,
+  uris: letters.split('').map(uri)
+});
+
+describe('playlistSync', () => {
+  test('diffs additions, removals, reorders and renames', () => {
+    const diff = diffSnapshots(snapshot('abc'), snapshot('cbd', 'Road trip 2'));
+
+    expect(diff.name).toBe('Road trip 2');
+    expect(diff.description).toBeNull();
+    expect(diff.added).toEqual([uri('d')]);
+    expect(diff.removed).toEqual([uri('a')]);
+    expect(diff.reordered).toBe(true);
+
+    // Removing a track doesn't make the rest count as reordered
+    expect(diffSnapshots(snapshot('abc'), snapshot('ac')).reordered).toBe(false);
+  });
+
+  test('counts repeated tracks one by one', () => {
+    const diff = diffSnapshots(snapshot('aab'), snapshot('ab'));
+    expect(diff.removed).toEqual([uri('a')]);
+    expect(diff.added).toEqual([]);
+  });
+
+  test('pushes, pulls or reports a conflict depending on which side changed', () => {
+    const base = snapshot('abc');
+
+    expect(planSync({ base, local: snapshot('abcd'), remote: base }).action).toBe(SYNC_ACTIONS.PUSH);
+    expect(planSync({ base, local: base, remote: snapshot('ab') }).action).toBe(SYNC_ACTIONS.PULL);
+    expect(planSync({ base, local: snapshot('abcd'), remote: snapshot('ab') }).action).toBe(SYNC_ACTIONS.CONFLICT);
+    // The same edit on both sides is nothing to settle
+    expect(planSync({ base, local: snapshot('abd'), remote: snapshot('abd') }).action).toBe(SYNC_ACTIONS.NONE);
+  });
+
+  test('merges by keeping local order and applying Spotify changes', () => {
+    const base = snapshot('abc');
+    const local = snapshot('cabd', 'Renamed here');
+    const remote = snapshot('abe', 'Renamed there', 'New description');
+
+    expect(mergeSnapshots(base, local, remote)).toEqual({
+      name: 'Renamed here',
+      description: 'New description',
+      // c was removed on Spotify, e added there; d added here lands once
+      uris: [uri('a'), uri('b'), uri('d'), uri('e')]
+    });
+  });
+
+  test('takes the non-empty side on the first sync after linking', () => {
+    const full = snapshot('ab');
+    const empty = snapshot('');
+
+    expect(planSync({ base: getInitialBase(empty, full), local: empty, remote: full }).action).toBe(SYNC_ACTIONS.PULL);
+    expect(planSync({ base: getInitialBase(full, empty), local: full, remote: empty }).action).toBe(SYNC_ACTIONS.PUSH);
+    expect(planSync({ base: getInitialBase(full, snapshot('c')), local: full, remote: snapshot('c') }).action)
+      .toBe(SYNC_ACTIONS.CONFLICT);
+  });
+
+  test('leaves out tracks Spotify cannot hold and decodes remote descriptions', () => {
+    const tracks = [{ id: 'a'.repeat(22) }, { id: 'itunes-1' }, { uri: uri('b') }];
+
+    expect(getLocalSnapshot({ name: 'Mix', tracks }).uris).toEqual([uri('a'), uri('b')]);
+    expect(getRemoteSnapshot({ name: 'Mix', description: 'Rock &amp; roll' }, []).description).toBe('Rock & roll');
+    expect(resolveTracks([uri('b'), uri('a'), uri('c')], tracks)).toEqual([tracks[2], tracks[0]]);
+  });
+
+  test('puts episodes back when replacing, and never replaces over local files', () => {
+    const episode = { uri: 'spotify:episode:512ojhOuo1ktJprKbVcKyQ', position: 1, isLocal: false };
+    const localFile = { uri: 'spotify:local:Artist:Album:Song:180', position: 0, isLocal: true };
+
+    expect(withSkippedItems([uri('a'), uri('b')], [episode])).toEqual([uri('a'), episode.uri, uri('b')]);
+    expect(withSkippedItems([uri('a')], [{ ...episode, position: 5 }])).toEqual([uri('a'), episode.uri]);
+    expect(() => withSkippedItems([uri('a')], [localFile, episode])).toThrow('local files');
+
+    // Skipped items stay out of the diff, so they never count as removed
+    const remote = getRemoteSnapshot({ name: 'Mix' }, [{ uri: uri('a') }], [localFile]);
+    expect(remote.uris).toEqual([uri('a')]);
+    expect(remote.skipped).toEqual([localFile]);
+  });
+});
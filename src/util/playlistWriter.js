@@ -0,0 +1,111 @@
+/**
+ * Batched writes of playlist tracks
+ *
+ * The Web API takes at most 100 URIs per request, so long playlists are
+ * written in batches. A batch that still fails after the client's retries is
+ * recorded and the rest carry on, so one bad batch doesn't lose the others;
+ * the caller gets the failed URIs back to report or retry.
+ */
+
+export const PLAYLIST_BATCH_SIZE = 100;
+
+export class PlaylistWriteError extends Error {
+  constructor(message, result, originalError = null) {
+    super(message);
+    this.name = 'PlaylistWriteError';
+    this.result = result;
+    this.originalError = originalError;
+    this.status = originalError?.status ?? null;
+  }
+}
+
+/**
+ * Split URIs into request-sized batches
+ * @param {string[]} uris - Track URIs
+ * @param {number} size - Batch size
+ * @returns {string[][]} Batches, in order
+ */
+export const chunkUris = (uris, size = PLAYLIST_BATCH_SIZE) => {
+  const batches = [];
+  for (let start = 0; start < uris.length; start += size) {
+    batches.push(uris.slice(start, start + size));
+  }
+  return batches;
+};
+
+/**
+ * Write tracks to a playlist, a batch at a time
+ *
+ * With `replace`, the first batch replaces the playlist's contents (PUT) and
+ * the rest are appended; if that first batch fails nothing has changed, so
+ * the write stops there rather than appending to the old tracks.
+ * @param {Object} options - Write options
+ * @param {Function} options.request - (method, uris) => Promise<{ snapshot_id }>
+ * @param {string[]} options.uris - Track URIs, in order
+ * @param {boolean} options.replace - Replace the current tracks instead of appending
+ * @param {Function} options.onProgress - Called after each batch with
+ *   { written, total, batch, batches, failed }
+ * @returns {Promise<Object>} { written, total, snapshotId, failed } -
+ *   failed is [{ batch, start, uris, error }]
+ */
+export const writePlaylistTracks = async ({ request, uris, replace = false, onProgress }) => {
+  // Replacing with nothing still needs the PUT, to clear the playlist
+  const batches = replace && uris.length === 0 ? [[]] : chunkUris(uris);
+  const result = { written: 0, total: uris.length, snapshotId: null, failed: [] };
+
+  for (let index = 0; index < batches.length; index++) {
+    const batch = batches[index];
+    const method = replace && index === 0 ? 'PUT' : 'POST';
+
+    try {
+      const response = await request(method, batch);
+      result.written += batch.length;
+      result.snapshotId = response?.snapshot_id || result.snapshotId;
+    } catch (error) {
+      if (method === 'PUT') {
+        throw new PlaylistWriteError(error.message || 'Failed to replace playlist tracks', result, error);
+      }
+      result.failed.push({
+        batch: index,
+        start: index * PLAYLIST_BATCH_SIZE,
+        uris: batch,
+        error: error.message || 'Failed to add tracks'
+      });
+    }
+
+    onProgress?.({
+      written: result.written,
+      total: result.total,
+      batch: index + 1,
+      batches: batches.length,
+      failed: result.failed.length
+    });
+  }
+
+  return result;
+};
+
+/**
+ * One-line summary of batches that failed
+ * @param {Object} result - From writePlaylistTracks
+ * @returns {string|null} Message, or null if every batch was written
+ */
+export const describeFailedBatches = (result) => {
+  if (result.failed.length === 0) return null;
+
+  const missing = result.failed.reduce((sum, failure) => sum + failure.uris.length, 0);
+  const ranges = result.failed
+    .map(failure => `${failure.start + 1}-${failure.start + failure.uris.length}`)
+    .join(', ');
+  return `${missing} of ${result.total} tracks could not be saved (tracks ${ranges}).`;
+};
+
+const playlistWriter = {
+  PLAYLIST_BATCH_SIZE,
+  PlaylistWriteError,
+  chunkUris,
+  writePlaylistTracks,
+  describeFailedBatches
+};
+
+export default playlistWriter;
@@ -0,0 +1,55 @@
+import { writePlaylistTracks, describeFailedBatches, PlaylistWriteError, chunkUris } from './playlistWriter';
+
+const uris = (count) => Array.from({ length: count }, (_, index) => `spotify:track:${index}`);
+
+describe('playlistWriter', () => {
+  test('splits URIs into batches of 100', () => {
+    expect(chunkUris(uris(250)).map(batch => batch.length)).toEqual([100, 100, 50]);
+    expect(chunkUris([])).toEqual([]);
+  });
+
+  test('replaces with the first batch and appends the rest, reporting progress', async () => {
+    const request = jest.fn(async (method, batch) => ({ snapshot_id: `snap-${batch.length}` }));
+    const onProgress = jest.fn();
+
+    const result = await writePlaylistTracks({ request, uris: uris(250), replace: true, onProgress });
+
+    expect(request.mock.calls.map(([method, batch]) => [method, batch.length])).toEqual([
+      ['PUT', 100],
+      ['POST', 100],
+      ['POST', 50]
+    ]);
+    expect(result).toEqual({ written: 250, total: 250, snapshotId: 'snap-50', failed: [] });
+    expect(onProgress).toHaveBeenLastCalledWith({ written: 250, total: 250, batch: 3, batches: 3, failed: 0 });
+  });
+
+  test('clears a playlist when replacing with no tracks', async () => {
+    const request = jest.fn(async () => ({ snapshot_id: 'empty' }));
+
+    await writePlaylistTracks({ request, uris: [], replace: true });
+
+    expect(request).toHaveBeenCalledWith('PUT', []);
+  });
+
+  test('carries on past a failed batch and reports it', async () => {
+    const request = jest.fn(async () => ({ snapshot_id: 'snap' }))
+      .mockResolvedValueOnce({ snapshot_id: 'snap' })
+      .mockRejectedValueOnce(new Error('Service unavailable'));
+
+    const result = await writePlaylistTracks({ request, uris: uris(250) });
+
+    expect(result.written).toBe(150);
+    expect(result.failed).toEqual([
+      { batch: 1, start: 100, uris: uris(250).slice(100, 200), error: 'Service unavailable' }
+    ]);
+    expect(describeFailedBatches(result)).toBe('100 of 250 tracks could not be saved (tracks 101-200).');
+  });
+
+  test('stops when the replacing batch fails, leaving the old tracks alone', async () => {
+    const request = jest.fn().mockRejectedValueOnce(new Error('Forbidden'));
+
+    await expect(writePlaylistTracks({ request, uris: uris(150), replace: true }))
+      .rejects.toBeInstanceOf(PlaylistWriteError);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
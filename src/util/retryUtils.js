@@ -9,6 +9,8 @@ const DEFAULT_RETRY_CONFIG = {
   maxDelay: 10000, // 10 seconds
   backoffFactor: 2,
   retryCondition: (error) => {
+    // Errors explicitly marked as final (e.g. authentication required) are not retried
+    if (error.isRetryable === false) return false;
     // Retry on network errors, 5xx server errors, and rate limiting
     if (!error.response) return true; // Network error
     const status = error.response.status;
@@ -81,9 +83,9 @@ export const retryWithBackoff = async (operation, config = {}) => {
         break;
       }
 
-      // Calculate delay with jitter
+      // Calculate delay with jitter, waiting at least as long as the server asked (Retry-After)
       const delay = calculateDelay(attempt, baseDelay, backoffFactor, maxDelay);
-      const delayWithJitter = addJitter(delay);
+      const delayWithJitter = Math.max(addJitter(delay), error.retryAfter || 0);
 
       console.warn(`Operation failed (attempt ${attempt + 1}/${maxAttempts}), retrying in ${Math.round(delayWithJitter)}ms:`, error.message);
 
@@ -153,6 +155,7 @@ export class RetryableError extends Error {
     this.originalError = originalError;
     this.attempts = attempts;
     this.isRetryable = isRetryable;
+    this.status = originalError?.status ?? originalError?.response?.status ?? null;
     this.timestamp = new Date().toISOString();
   }
 }
@@ -165,6 +168,8 @@ export class CircuitBreaker {
     this.failureThreshold = config.failureThreshold || 5;
     this.resetTimeout = config.resetTimeout || 60000; // 1 minute
     this.monitoringPeriod = config.monitoringPeriod || 10000; // 10 seconds
+    // Which errors count towards opening the circuit (all of them by default)
+    this.failureCondition = config.failureCondition || (() => true);
     
     this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
     this.failureCount = 0;
@@ -178,7 +183,7 @@ export class CircuitBreaker {
         this.state = 'HALF_OPEN';
         this.successCount = 0;
       } else {
-        throw new Error('Circuit breaker is OPEN - operation not allowed');
+        throw new RetryableError('Circuit breaker is OPEN - operation not allowed', null, 0, false);
       }
     }
 
@@ -187,7 +192,9 @@ export class CircuitBreaker {
       this.onSuccess();
       return result;
     } catch (error) {
-      this.onFailure();
+      if (this.failureCondition(error)) {
+        this.onFailure();
+      }
       throw error;
     }
   }
@@ -0,0 +1,160 @@
+/**
+ * Shuffle ordering for the playing context
+ *
+ * A plain Fisher–Yates shuffle happily plays three songs by one artist in a
+ * row. Instead each artist's tracks are spread evenly over the whole order,
+ * with a random offset per artist, and an artist's albums are spread the same
+ * way within its share. Tracks played recently go to the back of the order.
+ */
+
+const getArtistKey = (track) => (
+  track.artists?.[0]?.id || track.artists?.[0]?.name || track.artist || ''
+);
+
+const getAlbumKey = (track) => (
+  track.album?.id || track.album?.name || (typeof track.album === 'string' ? track.album : '')
+);
+
+/**
+ * Fisher–Yates shuffle
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Source of numbers in [0, 1)
+ * @returns {Array} Shuffled copy
+ */
+const fisherYates = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Spread items so that those sharing a key are evenly apart
+ * @param {Array} items - Items to order
+ * @param {Function} getKey - Groups the items
+ * @param {Function} random - Source of numbers in [0, 1)
+ * @param {Function} [orderGroup] - Orders the items within a group; shuffles by default
+ * @returns {Array} Spread copy
+ */
+const spread = (items, getKey, random, orderGroup = (group) => fisherYates(group, random)) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = getKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+
+  // Each group gets evenly spaced slots in [0, 1), shifted by a random offset
+  // and nudged a little so groups of the same size don't lock into a pattern
+  const placed = [];
+  groups.forEach(group => {
+    const size = group.length;
+    const offset = random();
+    orderGroup(group).forEach((item, index) => {
+      const jitter = (random() - 0.5) * 0.2;
+      placed.push({ item, position: (index + offset + jitter) / size });
+    });
+  });
+
+  return placed
+    .sort((a, b) => a.position - b.position)
+    .map(({ item }) => item);
+};
+
+/**
+ * Break up runs of one artist where a later track allows it
+ * @param {Array} tracks - Ordered tracks
+ * @param {number} [start=1] - First index that may be changed
+ * @returns {Array} Copy with neighbours by different artists where possible
+ */
+const separateArtists = (tracks, start = 1) => {
+  const ordered = [...tracks];
+
+  for (let i = Math.max(1, start); i < ordered.length; i++) {
+    const previousArtist = getArtistKey(ordered[i - 1]);
+    if (getArtistKey(ordered[i]) !== previousArtist) continue;
+
+    const swapIndex = ordered.findIndex((track, index) => index > i && getArtistKey(track) !== previousArtist);
+    if (swapIndex === -1) break;
+
+    const [track] = ordered.splice(swapIndex, 1);
+    ordered.splice(i, 0, track);
+  }
+
+  return ordered;
+};
+
+/**
+ * Shuffle tracks with artists and albums spread out
+ * @param {Array} tracks - Tracks to shuffle
+ * @param {Object} [options] - Shuffle options
+ * @param {Object|null} [options.first] - Track that stays at the front, usually the playing one
+ * @param {Array} [options.history] - Recently played tracks, most recent first
+ * @param {Function} [options.random=Math.random] - Source of numbers in [0, 1)
+ * @returns {Array} Shuffled copy
+ */
+export const balancedShuffle = (tracks, { first = null, history = [], random = Math.random } = {}) => {
+  const rest = [...tracks];
+
+  const firstIndex = first ? rest.findIndex(track => track.id === first.id) : -1;
+  if (firstIndex > -1) {
+    rest.splice(firstIndex, 1);
+  }
+
+  // Only the latest plays count, or replaying a short album would push it all back
+  const recentIds = history
+    .slice(0, Math.floor(rest.length / 2))
+    .map(track => track.id);
+  const fresh = rest.filter(track => !recentIds.includes(track.id));
+  const recent = rest
+    .filter(track => recentIds.includes(track.id))
+    // Least recently played first
+    .sort((a, b) => recentIds.indexOf(b.id) - recentIds.indexOf(a.id));
+
+  const byArtist = (group) => spread(group, getAlbumKey, random);
+  const head = first ? [first] : [];
+  const shuffled = separateArtists([...head, ...spread(fresh, getArtistKey, random, byArtist)]);
+
+  return [...shuffled, ...recent];
+};
+
+/**
+ * Unshuffled order for a shuffled queue that may have been edited since
+ *
+ * Tracks keep their place in the original order; tracks removed while
+ * shuffled are dropped and tracks added while shuffled follow in the order
+ * they are in now.
+ * @param {Array} originalQueue - Order from before shuffling
+ * @param {Array} queue - Shuffled queue as it is now
+ * @returns {Array} Queue in its original order
+ */
+export const restoreOrder = (originalQueue, queue) => {
+  // Count by id, so a track in the queue twice keeps both places
+  const remaining = new Map();
+  queue.forEach(track => remaining.set(track.id, (remaining.get(track.id) || 0) + 1));
+
+  const restored = originalQueue.filter(track => {
+    const count = remaining.get(track.id) || 0;
+    if (count === 0) return false;
+    remaining.set(track.id, count - 1);
+    return true;
+  });
+
+  const added = queue.filter(track => {
+    const count = remaining.get(track.id) || 0;
+    if (count === 0) return false;
+    remaining.set(track.id, count - 1);
+    return true;
+  });
+
+  return [...restored, ...added];
+};
+
+const shuffle = {
+  balancedShuffle,
+  restoreOrder
+};
+
+export default shuffle;
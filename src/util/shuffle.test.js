@@ -0,0 +1,65 @@
+import { balancedShuffle, restoreOrder } from './shuffle';
+
+// Small seeded generator so every run shuffles the same way
+const seeded = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+const track = (id, artist = 'artist', album = 'album') => ({
+  id,
+  name: `Track ${id}`,
+  artists: [{ id: artist, name: artist }],
+  album: { id: album, name: album }
+});
+
+const ids = (tracks) => tracks.map(({ id }) => id);
+
+describe('shuffle', () => {
+  test('keeps every track and the first one in front', () => {
+    const tracks = Array.from({ length: 20 }, (_, i) => track(`t${i}`, `a${i % 4}`));
+    const shuffled = balancedShuffle(tracks, { first: tracks[7], random: seeded(1) });
+
+    expect(shuffled[0]).toBe(tracks[7]);
+    expect(ids(shuffled).sort()).toEqual(ids(tracks).sort());
+  });
+
+  test('never plays one artist twice in a row while others are left', () => {
+    const tracks = [
+      ...Array.from({ length: 6 }, (_, i) => track(`a${i}`, 'a', `a-album${i % 2}`)),
+      ...Array.from({ length: 4 }, (_, i) => track(`b${i}`, 'b')),
+      ...Array.from({ length: 2 }, (_, i) => track(`c${i}`, 'c'))
+    ];
+
+    for (let seed = 1; seed <= 20; seed++) {
+      const artists = balancedShuffle(tracks, { random: seeded(seed) })
+        .map(({ artists }) => artists[0].id);
+      const repeats = artists.filter((artist, i) => i > 0 && artist === artists[i - 1]);
+      expect(repeats).toEqual([]);
+    }
+  });
+
+  test('moves recently played tracks to the back', () => {
+    const tracks = Array.from({ length: 10 }, (_, i) => track(`t${i}`, `a${i}`));
+    const history = [tracks[2], tracks[5]];
+
+    const shuffled = balancedShuffle(tracks, { history, random: seeded(3) });
+    // Least recently played first
+    expect(ids(shuffled.slice(-2))).toEqual(['t5', 't2']);
+  });
+
+  test('restores the original order around edits made while shuffled', () => {
+    const original = [track('a'), track('b'), track('c'), track('d')];
+    const shuffled = [track('c'), track('x'), track('a'), track('d')];
+
+    // b was removed and x added while shuffled
+    expect(ids(restoreOrder(original, shuffled))).toEqual(['a', 'c', 'd', 'x']);
+  });
+
+  test('keeps both places of a track queued twice', () => {
+    const original = [track('a'), track('b'), track('a')];
+    const shuffled = [track('a'), track('a'), track('b'), track('b')];
+
+    expect(ids(restoreOrder(original, shuffled))).toEqual(['a', 'b', 'a', 'b']);
+  });
+});
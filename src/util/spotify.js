@@ -1,25 +1,324 @@
-import { retryWithBackoff, RETRY_CONFIGS, RetryableError } from "./retryUtils";
-import { withCache, cacheKeys, CACHE_CONFIG } from "./cacheUtils";
+import { RETRY_CONFIGS, RetryableError } from "./retryUtils";
+import { withCache, cacheKeys, cacheManager, CACHE_CONFIG } from "./cacheUtils";
+import {
+  createPkceSession,
+  consumePkceSession,
+  loadUserAuth,
+  saveUserAuth,
+  clearUserAuth,
+} from "./authUtils";
+import { createTokenProviderFromEnv } from "./tokenProvider";
+import {
+  writePlaylistTracks,
+  describeFailedBatches,
+  PlaylistWriteError,
+} from "./playlistWriter";
+import {
+  AUTO_MARKET,
+  isValidMarket,
+  loadMarketSetting,
+  resolveMarket,
+} from "./marketUtils";
+import {
+  createSpotifyClient,
+  ENDPOINT_FAMILIES,
+  AUTH_TYPES,
+} from "./spotifyClient";
 
 // Get credentials from environment variables
 const clientId = process.env.REACT_APP_CLIENT_ID || process.env.CLIENT_ID;
-const clientSecret =
-  process.env.REACT_APP_CLIENT_SECRET || process.env.CLIENT_SECRET;
 const redirectUri =
   process.env.REACT_APP_REDIRECT_URI || "http://localhost:3000";
 
+const TOKEN_URL = "https://accounts.spotify.com/api/token";
+const AUTHORIZE_URL = "https://accounts.spotify.com/authorize";
+const PLAYBACK_SCOPES = [
+  "streaming",
+  "user-read-playback-state",
+  "user-modify-playback-state",
+];
+const USER_SCOPES = [
+  "playlist-modify-public",
+  "playlist-modify-private",
+  "playlist-read-private",
+  "user-read-private",
+  "user-read-email",
+  // Full-track playback through the Web Playback SDK (Premium only)
+  ...PLAYBACK_SCOPES,
+];
+const TOKEN_REFRESH_MARGIN = 60000; // Refresh 1 minute early
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_OFFSET = 1000;
+const ARTIST_ALBUMS_MAX = 200; // Stop paging long discographies here
+
+// Searched (in order) for getPopularTracks; market-specific terms go first
+const POPULAR_SEARCH_TERMS = ["top hits", "pop", "hip hop", "dance", "rock"];
+const MARKET_SEARCH_TERMS = {
+  IN: ["bollywood hits", "arijit singh", "hindi songs"],
+  BR: ["sertanejo", "funk brasil"],
+  MX: ["regional mexicano", "reggaeton"],
+  KR: ["k-pop"],
+  JP: ["j-pop"],
+  NG: ["afrobeats"],
+};
+
 let userAccessToken; // For user-specific operations
+let userTokenExpiry = 0;
+let userRefreshToken; // Long-lived, persisted across reloads
+let userScope = ""; // Space-separated scopes the user granted
+let userRefreshTimer = null;
+let pendingUserTokenRequest = null; // Shared by concurrent exchange/refresh calls
 let clientAccessToken; // For public operations
 let clientTokenExpiry = 0;
+let clientTokenProvider = createTokenProviderFromEnv(); // Broker or direct (dev only)
+let marketSetting = loadMarketSetting(); // AUTO_MARKET or a market code
+let detectedMarket = null; // Country from the Spotify profile
+let currentMarket = resolveMarket(marketSetting, detectedMarket);
+const marketListeners = new Set();
+
+// Recompute the market; on change, drop results cached for the old one
+const applyMarket = () => {
+  const nextMarket = resolveMarket(marketSetting, detectedMarket);
+  if (nextMarket === currentMarket) return;
+
+  const previousMarket = currentMarket;
+  currentMarket = nextMarket;
+  cacheManager.invalidateMarket(previousMarket);
+  marketListeners.forEach((listener) => listener(nextMarket, previousMarket));
+};
+
+// Restore the user session saved by a previous login
+const storedUserAuth = loadUserAuth();
+if (storedUserAuth) {
+  userAccessToken = storedUserAuth.accessToken;
+  userTokenExpiry = storedUserAuth.expiresAt || 0;
+  userRefreshToken = storedUserAuth.refreshToken;
+  userScope = storedUserAuth.scope || "";
+}
+
+// Post a form to the accounts token endpoint and store the user tokens
+const requestUserToken = async (params) => {
+  const response = await fetch(TOKEN_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams({ client_id: clientId, ...params }).toString(),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(
+      `Failed to get user access token: ${
+        errorData.error_description || response.statusText
+      }`
+    );
+    error.response = response;
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  userAccessToken = data.access_token;
+  userTokenExpiry = Date.now() + data.expires_in * 1000 - TOKEN_REFRESH_MARGIN;
+  // Spotify may rotate the refresh token; keep the old one if it doesn't
+  userRefreshToken = data.refresh_token || userRefreshToken;
+  // Refreshes report the scopes of the original grant, so older sessions show what they lack
+  userScope = data.scope ?? userScope;
+
+  saveUserAuth({
+    accessToken: userAccessToken,
+    refreshToken: userRefreshToken,
+    expiresAt: userTokenExpiry,
+    scope: userScope,
+  });
+  scheduleUserTokenRefresh();
+
+  return userAccessToken;
+};
+
+// Refresh the user token in the background shortly before it expires
+const scheduleUserTokenRefresh = () => {
+  if (userRefreshTimer) {
+    clearTimeout(userRefreshTimer);
+    userRefreshTimer = null;
+  }
+
+  if (!userRefreshToken) return;
+
+  const delay = Math.max(0, userTokenExpiry - Date.now());
+  userRefreshTimer = setTimeout(() => {
+    userRefreshTimer = null;
+    Spotify.refreshUserAccessToken().catch((error) => {
+      console.warn("Silent Spotify token refresh failed:", error);
+    });
+  }, delay);
+};
+
+if (userRefreshToken) {
+  scheduleUserTokenRefresh();
+}
+
+// Map a Web API track object to the shape the app uses everywhere
+const normalizeTrack = (track) => ({
+  id: track.id,
+  name: track.name,
+  artist: track.artists[0]?.name || "Unknown Artist",
+  artists: track.artists.map((artist) => ({
+    id: artist.id,
+    name: artist.name,
+  })),
+  album: track.album.name,
+  uri: track.uri,
+  preview_url: track.preview_url,
+  duration_ms: track.duration_ms,
+  popularity: track.popularity,
+  explicit: track.explicit,
+  isrc: track.external_ids?.isrc || null,
+  external_urls: track.external_urls,
+  artwork: {
+    small: track.album.images[2]?.url || "",
+    medium: track.album.images[1]?.url || "",
+    large: track.album.images[0]?.url || "",
+  },
+  album_info: {
+    id: track.album.id,
+    name: track.album.name,
+    release_date: track.album.release_date,
+    total_tracks: track.album.total_tracks,
+  },
+});
+
+// Map a Web API image list (largest first) to small/medium/large URLs
+const normalizeArtwork = (images = []) => ({
+  small: images[2]?.url || images[images.length - 1]?.url || "",
+  medium: images[1]?.url || images[0]?.url || "",
+  large: images[0]?.url || "",
+});
+
+// Map a Web API artist object to the shape the app uses
+const normalizeArtist = (artist) => {
+  const artwork = normalizeArtwork(artist.images);
+  return {
+    id: artist.id,
+    name: artist.name,
+    uri: artist.uri,
+    image: artwork.medium,
+    artwork,
+    followers: artist.followers?.total ?? null,
+    genres: artist.genres || [],
+    popularity: artist.popularity,
+    external_urls: artist.external_urls,
+  };
+};
+
+// Map a Web API (simplified) album object to the shape the app uses
+const normalizeAlbum = (album) => {
+  const artwork = normalizeArtwork(album.images);
+  return {
+    id: album.id,
+    name: album.name,
+    uri: album.uri,
+    artist: album.artists?.[0]?.name || "Various Artists",
+    artists: (album.artists || []).map((artist) => ({
+      id: artist.id,
+      name: artist.name,
+    })),
+    album_type: album.album_type,
+    release_date: album.release_date,
+    release_year: album.release_date
+      ? parseInt(album.release_date.slice(0, 4), 10)
+      : null,
+    total_tracks: album.total_tracks,
+    image: artwork.medium,
+    artwork,
+    external_urls: album.external_urls,
+  };
+};
 
 const Spotify = {
-  // Clear all tokens
+  // Clear in-memory access tokens (the refresh token survives so the user stays logged in)
   clearAccessToken() {
     userAccessToken = null;
+    userTokenExpiry = 0;
     clientAccessToken = null;
     clientTokenExpiry = 0;
   },
 
+  // Forget the user session entirely
+  logout() {
+    Spotify.clearAccessToken();
+    userRefreshToken = null;
+    userScope = "";
+    if (userRefreshTimer) {
+      clearTimeout(userRefreshTimer);
+      userRefreshTimer = null;
+    }
+    clearUserAuth();
+    // The next account to log in must not see this one's profile or playlists
+    cacheManager.invalidateUser("current");
+
+    // The profile country no longer applies
+    detectedMarket = null;
+    applyMarket();
+  },
+
+  // Whether a user session exists (it may still need a silent refresh)
+  isUserLoggedIn() {
+    return !!userRefreshToken || (!!userAccessToken && Date.now() < userTokenExpiry);
+  },
+
+  // Whether the session may stream full tracks; logins from before the
+  // playback scopes were added need to consent again
+  hasPlaybackScopes() {
+    const granted = userScope.split(" ");
+    return PLAYBACK_SCOPES.every((scope) => granted.includes(scope));
+  },
+
+  // Swap the source of client-credentials tokens (see tokenProvider.js)
+  setTokenProvider(provider) {
+    clientTokenProvider = provider;
+    clientAccessToken = null;
+    clientTokenExpiry = 0;
+  },
+
+  // Market sent with catalog requests (see marketUtils.js)
+  getMarket() {
+    return currentMarket;
+  },
+
+  // The stored preference: AUTO_MARKET or a market code
+  getMarketSetting() {
+    return marketSetting;
+  },
+
+  // Change the market preference (persisting it is up to the settings UI)
+  setMarketSetting(setting) {
+    marketSetting = isValidMarket(setting) ? setting : AUTO_MARKET;
+    applyMarket();
+  },
+
+  // Use the logged-in user's country when the market is set to automatic.
+  // Runs on page load, so a dead session falls back to the default market.
+  async detectMarket() {
+    try {
+      const profile = await Spotify.getSessionProfile();
+      if (isValidMarket(profile?.country)) {
+        detectedMarket = profile.country;
+        applyMarket();
+      }
+    } catch (error) {
+      console.warn("Could not detect market from Spotify profile:", error);
+    }
+    return currentMarket;
+  },
+
+  // Subscribe to market changes; returns an unsubscribe function
+  onMarketChange(listener) {
+    marketListeners.add(listener);
+    return () => marketListeners.delete(listener);
+  },
+
   // Get Client Credentials token for public operations (search, track details, etc.)
   async getClientAccessToken() {
     // Return existing token if still valid
@@ -27,34 +326,10 @@ const Spotify = {
       return clientAccessToken;
     }
 
-    if (!clientId || !clientSecret) {
-      throw new Error(
-        "Spotify Client ID and Client Secret are required. Please check your environment variables."
-      );
-    }
-
     try {
-      const response = await fetch("https://accounts.spotify.com/api/token", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-          Authorization: `Basic ${btoa(`${clientId}:${clientSecret}`)}`,
-        },
-        body: "grant_type=client_credentials",
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          `Failed to get client access token: ${
-            errorData.error_description || response.statusText
-          }`
-        );
-      }
-
-      const data = await response.json();
-      clientAccessToken = data.access_token;
-      clientTokenExpiry = Date.now() + data.expires_in * 1000 - 60000; // Refresh 1 minute early
+      const { accessToken, expiresIn } = await clientTokenProvider.getToken();
+      clientAccessToken = accessToken;
+      clientTokenExpiry = Date.now() + expiresIn * 1000 - TOKEN_REFRESH_MARGIN;
 
       return clientAccessToken;
     } catch (error) {
@@ -69,126 +344,191 @@ const Spotify = {
   },
 
   // Get User Access Token for user-specific operations (playlists, user profile, etc.)
-  getUserAccessToken() {
-    if (userAccessToken) {
+  // Resolves to null while the browser is being sent to the Spotify consent page.
+  // With `interactive: false` it never leaves the page: null means no usable session.
+  async getUserAccessToken({ interactive = true } = {}) {
+    if (userAccessToken && Date.now() < userTokenExpiry) {
       return userAccessToken;
     }
 
-    // Check URL for access token (from OAuth redirect)
-    const accessTokenMatch = window.location.href.match(/access_token=([^&]*)/);
-    const expiresInMatch = window.location.href.match(/expires_in=([^&]*)/);
+    // Returning from the consent page with an authorization code
+    const callbackToken = await Spotify.handleAuthCallback();
+    if (callbackToken) {
+      return callbackToken;
+    }
 
-    if (accessTokenMatch && expiresInMatch) {
-      userAccessToken = accessTokenMatch[1];
-      const expiresIn = Number(expiresInMatch[1]);
-      window.setTimeout(() => (userAccessToken = null), expiresIn * 1000);
-      window.history.pushState("Access Token", null, "/"); // Clear URL parameters
-      return userAccessToken;
-    } else {
-      // Redirect to Spotify authorization
-      const scopes = [
-        "playlist-modify-public",
-        "playlist-modify-private",
-        "playlist-read-private",
-        "user-read-private",
-        "user-read-email",
-      ].join(" ");
-
-      const accessUrl = `https://accounts.spotify.com/authorize?client_id=${clientId}&response_type=token&scope=${encodeURIComponent(
-        scopes
-      )}&redirect_uri=${encodeURIComponent(redirectUri)}`;
-      window.location = accessUrl;
+    if (userRefreshToken) {
+      try {
+        return await Spotify.refreshUserAccessToken();
+      } catch (error) {
+        console.warn("Refreshing Spotify session failed, logging in again:", error);
+        Spotify.logout();
+      }
+    }
+
+    if (interactive) {
+      await Spotify.authorize();
     }
+    return null;
   },
 
-  // Search for tracks using Client Credentials (no user login required)
-  search: withCache(
-    async (term) => {
-      if (!term || term.trim() === "") {
-        return [];
-      }
+  // Redirect to Spotify authorization using Authorization Code with PKCE
+  async authorize() {
+    if (!clientId) {
+      throw new Error(
+        "Spotify Client ID is required. Please check your environment variables."
+      );
+    }
 
-      const searchOperation = async () => {
-        const accessToken = await Spotify.getClientAccessToken();
+    const { challenge, state } = await createPkceSession();
+    const params = new URLSearchParams({
+      client_id: clientId,
+      response_type: "code",
+      redirect_uri: redirectUri,
+      code_challenge_method: "S256",
+      code_challenge: challenge,
+      state,
+      scope: USER_SCOPES.join(" "),
+    });
+
+    window.location = `${AUTHORIZE_URL}?${params.toString()}`;
+  },
 
-        const response = await fetch(
-          `https://api.spotify.com/v1/search?type=track,artist,album&q=${encodeURIComponent(
-            term
-          )}&limit=20&market=IN`,
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-            },
-          }
-        );
+  // Exchange the `code` from the OAuth redirect for tokens.
+  // Resolves to the access token, or null when the URL carries no callback.
+  async handleAuthCallback() {
+    if (pendingUserTokenRequest) {
+      return pendingUserTokenRequest;
+    }
 
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          const error = new Error(
-            errorData.error?.message ||
-              `HTTP ${response.status}: ${response.statusText}`
-          );
-          error.response = response;
-          error.status = response.status;
-
-          if (response.status === 401) {
-            // Token expired, clear it and retry
-            Spotify.clearAccessToken();
-            throw new RetryableError("Access token expired", error, 1, true);
-          }
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get("code");
+    const authError = params.get("error");
 
-          throw error;
-        }
+    if (!code && !authError) {
+      return null;
+    }
 
-        const jsonResponse = await response.json();
+    const { verifier, state, returnPath } = consumePkceSession();
+    // Clear URL parameters so a reload doesn't replay the code
+    window.history.replaceState(null, "", returnPath);
 
-        if (!jsonResponse.tracks) {
-          return [];
-        }
+    if (authError) {
+      throw new RetryableError(
+        `Spotify authorization was denied: ${authError}`,
+        null,
+        0,
+        false
+      );
+    }
+
+    if (!verifier || params.get("state") !== state) {
+      throw new RetryableError(
+        "Spotify authorization response did not match the login request",
+        null,
+        0,
+        false
+      );
+    }
+
+    pendingUserTokenRequest = requestUserToken({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: verifier,
+    }).finally(() => {
+      pendingUserTokenRequest = null;
+    });
+
+    return pendingUserTokenRequest;
+  },
+
+  // Use the stored refresh token to get a fresh access token
+  async refreshUserAccessToken() {
+    if (pendingUserTokenRequest) {
+      return pendingUserTokenRequest;
+    }
+
+    if (!userRefreshToken) {
+      throw new RetryableError("User authentication required", null, 0, false);
+    }
+
+    pendingUserTokenRequest = requestUserToken({
+      grant_type: "refresh_token",
+      refresh_token: userRefreshToken,
+    }).finally(() => {
+      pendingUserTokenRequest = null;
+    });
+
+    return pendingUserTokenRequest;
+  },
+
+  // Search for tracks using Client Credentials (no user login required)
+  async search(term) {
+    const page = await Spotify.searchPage(term);
+    return page.tracks;
+  },
 
-        const tracks = jsonResponse.tracks.items.map((track) => ({
-          id: track.id,
-          name: track.name,
-          artist: track.artists[0]?.name || "Unknown Artist",
-          artists: track.artists.map((artist) => ({
-            id: artist.id,
-            name: artist.name,
-          })),
-          album: track.album.name,
-          uri: track.uri,
-          preview_url: track.preview_url,
-          duration_ms: track.duration_ms,
-          popularity: track.popularity,
-          explicit: track.explicit,
-          external_urls: track.external_urls,
-          artwork: {
-            small: track.album.images[2]?.url || "",
-            medium: track.album.images[1]?.url || "",
-            large: track.album.images[0]?.url || "",
-          },
-          album_info: {
-            id: track.album.id,
-            name: track.album.name,
-            release_date: track.album.release_date,
-            total_tracks: track.album.total_tracks,
-          },
-        }));
-
-        return tracks;
+  // Fetch one page of track results; `nextOffset` is the cursor for the following page
+  searchPage: withCache(
+    async (term, offset = 0, limit = SEARCH_PAGE_SIZE) => {
+      const emptyPage = {
+        tracks: [],
+        artists: [],
+        albums: [],
+        offset,
+        limit,
+        total: 0,
+        nextOffset: null,
+        hasMore: false,
       };
 
-      try {
-        return await retryWithBackoff(searchOperation, RETRY_CONFIGS.QUICK);
-      } catch (error) {
-        console.error("Search failed after retries:", error);
-        throw new RetryableError(
+      if (!term || term.trim() === "") {
+        return emptyPage;
+      }
+
+      const jsonResponse = await api.request("/search", {
+        query: {
+          type: "track,artist,album",
+          q: term,
+          limit,
+          offset,
+          market: currentMarket,
+        },
+        family: ENDPOINT_FAMILIES.SEARCH,
+        retryConfig: RETRY_CONFIGS.QUICK,
+        errorMessage:
           "Failed to search tracks. Please check your connection and try again.",
-          error,
-          RETRY_CONFIGS.QUICK.maxAttempts
-        );
+      });
+
+      if (!jsonResponse?.tracks) {
+        return emptyPage;
       }
+
+      // Paging follows the track results; artists and albums ride along at the same offset
+      const { items, total } = jsonResponse.tracks;
+      const nextOffset = offset + items.length;
+      // Spotify refuses offsets past SEARCH_MAX_OFFSET
+      const hasMore =
+        items.length > 0 && nextOffset < total && nextOffset <= SEARCH_MAX_OFFSET;
+
+      return {
+        tracks: items.map(normalizeTrack),
+        artists: (jsonResponse.artists?.items || [])
+          .filter(Boolean)
+          .map(normalizeArtist),
+        albums: (jsonResponse.albums?.items || [])
+          .filter(Boolean)
+          .map(normalizeAlbum),
+        offset,
+        limit,
+        total,
+        nextOffset: hasMore ? nextOffset : null,
+        hasMore,
+      };
     },
-    cacheKeys.search,
+    (term = "", offset = 0, limit = SEARCH_PAGE_SIZE) =>
+      cacheKeys.searchPage(term, offset, limit, currentMarket),
     CACHE_CONFIG.SEARCH_RESULTS
   ),
 
@@ -198,19 +538,9 @@ const Spotify = {
       try {
         // Try multiple search strategies to find tracks with previews
         const searchStrategies = [
-          // Popular international artists that often have previews
-          'taylor swift',
-          'ed sheeran', 
-          'billie eilish',
-          'dua lipa',
-          'the weeknd',
-          // Popular Bollywood/Indian artists
-          'arijit singh',
-          'shreya ghoshal',
-          'a r rahman',
-          // Popular genres
-          'bollywood hits',
-          'hindi songs'
+          ...(MARKET_SEARCH_TERMS[currentMarket] || []),
+          `year:${new Date().getFullYear()}`,
+          ...POPULAR_SEARCH_TERMS,
         ];
         
         for (const term of searchStrategies) {
@@ -230,397 +560,450 @@ const Spotify = {
         return [];
       }
     },
-    () => "popular-tracks",
+    () => cacheKeys.popularTracks(currentMarket),
     CACHE_CONFIG.SEARCH_RESULTS
   ),
 
-  // Save playlist (requires user authentication)
-  async savePlaylist(name, trackUris) {
-    if (!name || !trackUris.length) {
+  // Save a playlist to Spotify (requires user authentication).
+  // Creates a new playlist, or with `playlistId` replaces that one's tracks and
+  // whichever details are given (left-out description and visibility are kept).
+  // Tracks go in 100 at a time; `onProgress` follows the batches, and batches
+  // that fail are returned in `failed` instead of aborting the save.
+  async savePlaylist(
+    name,
+    trackUris,
+    { description, isPublic, playlistId = null, onProgress } = {}
+  ) {
+    if (!name || !Array.isArray(trackUris)) {
       throw new Error("Playlist name and tracks are required");
     }
 
-    const saveOperation = async () => {
-      const accessToken = Spotify.getUserAccessToken();
-      if (!accessToken) {
-        throw new RetryableError(
-          "User authentication required",
-          null,
-          0,
-          false
-        );
-      }
+    let playlist;
+    if (playlistId) {
+      await Spotify.updatePlaylistDetails(playlistId, {
+        name,
+        ...(description !== undefined && { description }),
+        ...(isPublic !== undefined && { isPublic }),
+      });
+      playlist = { id: playlistId };
+    } else {
+      playlist = await Spotify.createPlaylist(name, {
+        description:
+          description ||
+          `Created with Music Platform on ${new Date().toLocaleDateString()}`,
+        isPublic: Boolean(isPublic),
+      });
+    }
 
-      const headers = {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
-      };
+    const result = await writePlaylistTracks({
+      request: playlistTracksRequest(playlist.id),
+      uris: trackUris,
+      replace: Boolean(playlistId),
+      onProgress,
+    });
+    const saved = playlistId ? await Spotify.getPlaylist(playlistId) : playlist;
+
+    return {
+      id: saved.id,
+      name: saved.name || name,
+      external_urls: saved.external_urls,
+      snapshot_id: result.snapshotId || saved.snapshot_id,
+      tracks: { total: result.written },
+      failed: result.failed,
+      error: describeFailedBatches(result),
+    };
+  },
 
-      // Get user profile
-      const userResponse = await fetch("https://api.spotify.com/v1/me", {
-        headers,
+  // Get user's playlists (requires user authentication)
+  getUserPlaylists: withCache(
+    async () => {
+      const data = await api.request("/me/playlists", {
+        query: { limit: 50 },
+        auth: AUTH_TYPES.USER,
+        family: ENDPOINT_FAMILIES.PLAYLISTS,
+        errorMessage:
+          "Failed to load playlists. Please check your connection and try again.",
       });
-      if (!userResponse.ok) {
-        const error = new Error(
-          `Failed to get user profile: ${userResponse.status}`
-        );
-        error.response = userResponse;
-        throw error;
-      }
-      const userProfile = await userResponse.json();
-      const userId = userProfile.id;
-
-      // Create playlist
-      const createPlaylistResponse = await fetch(
-        `https://api.spotify.com/v1/users/${userId}/playlists`,
-        {
-          headers,
-          method: "POST",
-          body: JSON.stringify({
-            name: name,
-            description: `Created with Music Platform on ${new Date().toLocaleDateString()}`,
-            public: false,
-          }),
-        }
-      );
+      return data?.items || [];
+    },
+    () => cacheKeys.userPlaylists("current"),
+    CACHE_CONFIG.USER_PLAYLISTS
+  ),
 
-      if (!createPlaylistResponse.ok) {
-        const error = new Error(
-          `Failed to create playlist: ${createPlaylistResponse.status}`
-        );
-        error.response = createPlaylistResponse;
-        throw error;
-      }
+  // Create an empty playlist for the user (requires user authentication)
+  async createPlaylist(name, { description = "", isPublic = false } = {}) {
+    const userProfile = await Spotify.getUserProfile();
+    const playlist = await api.request(`/users/${userProfile.id}/playlists`, {
+      method: "POST",
+      body: { name, description, public: isPublic },
+      auth: AUTH_TYPES.USER,
+      family: ENDPOINT_FAMILIES.PLAYLISTS,
+      retryConfig: RETRY_CONFIGS.CRITICAL,
+      errorMessage: "Failed to create playlist on Spotify. Please try again.",
+    });
+    cacheManager.invalidateUser("current");
+    return playlist;
+  },
 
-      const playlist = await createPlaylistResponse.json();
-      const playlistId = playlist.id;
+  // Playlist details and snapshot_id; not cached, sync needs the live version
+  getPlaylist(playlistId) {
+    return api.request(`/playlists/${playlistId}`, {
+      query: {
+        fields: "id,name,description,public,snapshot_id,external_urls,owner(id)",
+      },
+      auth: AUTH_TYPES.USER,
+      family: ENDPOINT_FAMILIES.PLAYLISTS,
+      errorMessage: "Failed to load playlist. Please try again.",
+    });
+  },
 
-      // Add tracks to playlist
-      const addTracksResponse = await fetch(
-        `https://api.spotify.com/v1/playlists/${playlistId}/tracks`,
-        {
-          headers,
-          method: "POST",
-          body: JSON.stringify({ uris: trackUris }),
+  // Every track in a playlist, in order, in the shape search results have.
+  // Local files and podcast episodes are skipped, and so are tracks that
+  // can't be played in the user's market unless `includeUnavailable` is set.
+  // `onProgress` gets { loaded, total, skipped } after each page, and
+  // `onSkip` gets { uri, position, isLocal } for each skipped item with a URI.
+  async getPlaylistTracks(
+    playlistId,
+    { includeUnavailable = false, onProgress, onSkip } = {}
+  ) {
+    const tracks = [];
+    let skipped = 0;
+    let path = `/playlists/${playlistId}/tracks`;
+    let query = { market: currentMarket, limit: 100 };
+
+    // Follow `next` links; playlists come 100 tracks to a page
+    while (path) {
+      const data = await api.request(path, {
+        query,
+        // Public playlists can be read without signing in
+        auth: Spotify.isUserLoggedIn() ? AUTH_TYPES.USER : AUTH_TYPES.CLIENT,
+        family: ENDPOINT_FAMILIES.PLAYLISTS,
+        errorMessage: "Failed to load playlist tracks. Please try again.",
+      });
+      for (const item of data?.items || []) {
+        const track = item?.track;
+        const usable =
+          track?.id &&
+          !item.is_local &&
+          track.type === "track" &&
+          (includeUnavailable || track.is_playable !== false);
+        if (usable) {
+          tracks.push(normalizeTrack(track));
+        } else {
+          if (track?.uri) {
+            onSkip?.({
+              uri: track.uri,
+              position: tracks.length + skipped,
+              isLocal: Boolean(item.is_local),
+            });
+          }
+          skipped += 1;
         }
-      );
-
-      if (!addTracksResponse.ok) {
-        const error = new Error(
-          `Failed to add tracks to playlist: ${addTracksResponse.status}`
-        );
-        error.response = addTracksResponse;
-        throw error;
       }
+      onProgress?.({ loaded: tracks.length + skipped, total: data?.total ?? 0, skipped });
+      path = data?.next || null;
+      query = undefined; // `next` already carries the query string
+    }
 
-      return {
-        id: playlistId,
-        name: playlist.name,
-        external_urls: playlist.external_urls,
-        tracks: { total: trackUris.length },
-      };
-    };
+    return tracks;
+  },
 
-    try {
-      return await retryWithBackoff(saveOperation, RETRY_CONFIGS.CRITICAL);
-    } catch (error) {
-      console.error("Save playlist failed after retries:", error);
-      throw new RetryableError(
-        "Failed to save playlist. Please check your connection and try again.",
-        error,
-        RETRY_CONFIGS.CRITICAL.maxAttempts
-      );
+  // Change a playlist's name, description or visibility (requires user authentication)
+  async updatePlaylistDetails(playlistId, { name, description, isPublic }) {
+    await api.request(`/playlists/${playlistId}`, {
+      method: "PUT",
+      body: { name, description, public: isPublic },
+      auth: AUTH_TYPES.USER,
+      family: ENDPOINT_FAMILIES.PLAYLISTS,
+      retryConfig: RETRY_CONFIGS.CRITICAL,
+      errorMessage: "Failed to update playlist on Spotify. Please try again.",
+    });
+    cacheManager.invalidateUser("current");
+  },
+
+  // Replace a playlist's tracks with these, in order; returns the new snapshot_id.
+  // Throws a PlaylistWriteError unless every batch was written.
+  async replacePlaylistTracks(playlistId, trackUris, { onProgress } = {}) {
+    const result = await writePlaylistTracks({
+      request: playlistTracksRequest(playlistId),
+      uris: trackUris,
+      replace: true,
+      onProgress,
+    });
+    if (result.failed.length > 0) {
+      throw new PlaylistWriteError(describeFailedBatches(result), result);
     }
+    return result.snapshotId;
   },
 
-  // Get user's playlists (requires user authentication)
-  getUserPlaylists: withCache(
-    async () => {
-      const getPlaylistsOperation = async () => {
-        const accessToken = Spotify.getUserAccessToken();
-        if (!accessToken) {
-          throw new RetryableError(
-            "User authentication required",
-            null,
-            0,
-            false
-          );
-        }
+  // Get track details using Client Credentials, in the app's track shape
+  getTrack: withCache(
+    async (trackId) => {
+      const track = await api.request(`/tracks/${trackId}`, {
+        query: { market: currentMarket },
+        family: ENDPOINT_FAMILIES.CATALOG,
+        retryConfig: RETRY_CONFIGS.QUICK,
+        errorMessage: "Failed to load track details. Please try again.",
+      });
+      return track ? normalizeTrack(track) : null;
+    },
+    (trackId) => cacheKeys.trackDetails(trackId, currentMarket),
+    CACHE_CONFIG.TRACK_DETAILS
+  ),
 
-        const response = await fetch(
-          "https://api.spotify.com/v1/me/playlists?limit=50",
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-            },
-          }
-        );
+  // Get an artist's profile using Client Credentials
+  getArtist: withCache(
+    async (artistId) => {
+      const artist = await api.request(`/artists/${artistId}`, {
+        family: ENDPOINT_FAMILIES.CATALOG,
+        errorMessage: "Failed to load artist. Please try again.",
+      });
+      return normalizeArtist(artist);
+    },
+    cacheKeys.artist,
+    CACHE_CONFIG.TRACK_DETAILS
+  ),
 
-        if (!response.ok) {
-          const error = new Error(
-            `Failed to get playlists: ${response.status}`
-          );
-          error.response = response;
-          throw error;
-        }
+  // Get an artist's most popular tracks using Client Credentials
+  getArtistTopTracks: withCache(
+    async (artistId) => {
+      const data = await api.request(`/artists/${artistId}/top-tracks`, {
+        query: { market: currentMarket },
+        family: ENDPOINT_FAMILIES.CATALOG,
+        errorMessage: "Failed to load top tracks. Please try again.",
+      });
+      return (data?.tracks || []).map(normalizeTrack);
+    },
+    (artistId) => cacheKeys.artistTopTracks(artistId, currentMarket),
+    CACHE_CONFIG.TRACK_DETAILS
+  ),
 
-        const data = await response.json();
-        return data.items || [];
+  // Get an artist's albums, singles and compilations using Client Credentials
+  getArtistAlbums: withCache(
+    async (artistId) => {
+      const albums = [];
+      let path = `/artists/${artistId}/albums`;
+      let query = {
+        include_groups: "album,single,compilation",
+        market: currentMarket,
+        limit: 50,
       };
 
-      try {
-        return await retryWithBackoff(
-          getPlaylistsOperation,
-          RETRY_CONFIGS.STANDARD
-        );
-      } catch (error) {
-        console.error("Get playlists failed after retries:", error);
-        throw new RetryableError(
-          "Failed to load playlists. Please check your connection and try again.",
-          error,
-          RETRY_CONFIGS.STANDARD.maxAttempts
-        );
+      // Follow `next` links; prolific artists have more than one page
+      while (path && albums.length < ARTIST_ALBUMS_MAX) {
+        const data = await api.request(path, {
+          query,
+          family: ENDPOINT_FAMILIES.CATALOG,
+          errorMessage: "Failed to load discography. Please try again.",
+        });
+        albums.push(...(data?.items || []).filter(Boolean).map(normalizeAlbum));
+        path = data?.next || null;
+        query = undefined; // `next` already carries the query string
       }
+
+      return albums;
     },
-    () => cacheKeys.userPlaylists("current"),
-    CACHE_CONFIG.USER_PLAYLISTS
+    (artistId) => cacheKeys.artistAlbums(artistId, currentMarket),
+    CACHE_CONFIG.TRACK_DETAILS
   ),
 
-  // Get track details using Client Credentials
-  getTrack: withCache(
-    async (trackId) => {
-      const getTrackOperation = async () => {
-        const accessToken = await Spotify.getClientAccessToken();
-
-        const response = await fetch(
-          `https://api.spotify.com/v1/tracks/${trackId}`,
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-            },
-          }
-        );
-
-        if (!response.ok) {
-          const error = new Error(`Failed to get track: ${response.status}`);
-          error.response = response;
-          throw error;
-        }
+  // Get artists similar to this one using Client Credentials
+  getRelatedArtists: withCache(
+    async (artistId) => {
+      const data = await api.request(`/artists/${artistId}/related-artists`, {
+        family: ENDPOINT_FAMILIES.CATALOG,
+        retryConfig: RETRY_CONFIGS.QUICK,
+        errorMessage: "Failed to load related artists.",
+      });
+      return (data?.artists || []).map(normalizeArtist);
+    },
+    cacheKeys.relatedArtists,
+    CACHE_CONFIG.TRACK_DETAILS
+  ),
 
-        return await response.json();
-      };
+  // Get an album with its full track list using Client Credentials
+  getAlbum: withCache(
+    async (albumId) => {
+      const album = await api.request(`/albums/${albumId}`, {
+        query: { market: currentMarket },
+        family: ENDPOINT_FAMILIES.CATALOG,
+        errorMessage: "Failed to load album. Please try again.",
+      });
 
-      try {
-        return await retryWithBackoff(getTrackOperation, RETRY_CONFIGS.QUICK);
-      } catch (error) {
-        console.error("Get track failed after retries:", error);
-        throw new RetryableError(
-          "Failed to load track details. Please try again.",
-          error,
-          RETRY_CONFIGS.QUICK.maxAttempts
-        );
+      // The album response embeds the first page of tracks; fetch the rest
+      const items = [...(album.tracks?.items || [])];
+      let next = album.tracks?.next;
+      while (next) {
+        const page = await api.request(next, {
+          family: ENDPOINT_FAMILIES.CATALOG,
+          errorMessage: "Failed to load album tracks. Please try again.",
+        });
+        items.push(...(page?.items || []));
+        next = page?.next;
       }
+
+      // Album tracks are simplified objects; give them the album they belong to
+      const tracks = items.filter(Boolean).map((track) => ({
+        ...normalizeTrack({ ...track, album }),
+        disc_number: track.disc_number || 1,
+        track_number: track.track_number,
+      }));
+
+      return {
+        ...normalizeAlbum(album),
+        label: album.label,
+        copyrights: album.copyrights || [],
+        tracks,
+        duration_ms: tracks.reduce(
+          (sum, track) => sum + (track.duration_ms || 0),
+          0
+        ),
+      };
     },
-    cacheKeys.trackDetails,
+    (albumId) => cacheKeys.album(albumId, currentMarket),
     CACHE_CONFIG.TRACK_DETAILS
   ),
 
   // Get featured playlists using Client Credentials
   getFeaturedPlaylists: withCache(
     async (limit = 20) => {
-      const getFeaturedOperation = async () => {
-        const accessToken = await Spotify.getClientAccessToken();
-
-        // Try with market parameter first (US market)
-        let response = await fetch(
-          `https://api.spotify.com/v1/browse/featured-playlists?limit=${limit}&market=US`,
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-            },
-          }
-        );
+      const browseRequest = (path, query) =>
+        api.request(path, { query, family: ENDPOINT_FAMILIES.BROWSE });
 
-        // If that fails, try without market parameter
-        if (!response.ok && response.status === 404) {
-          response = await fetch(
-            `https://api.spotify.com/v1/browse/featured-playlists?limit=${limit}`,
-            {
-              headers: {
-                Authorization: `Bearer ${accessToken}`,
-              },
-            }
-          );
-        }
-
-        // If still failing, try the categories endpoint as fallback
-        if (!response.ok && response.status === 404) {
-          response = await fetch(
-            `https://api.spotify.com/v1/browse/categories?limit=${Math.min(
-              limit,
-              10
-            )}&market=US`,
-            {
-              headers: {
-                Authorization: `Bearer ${accessToken}`,
-              },
-            }
-          );
-
-          if (response.ok) {
-            const categoriesData = await response.json();
-            // Transform categories to look like playlists
-            return (
-              categoriesData.categories?.items?.map((category) => ({
-                id: category.id,
-                name: category.name,
-                description: `Explore ${category.name} music`,
-                images: category.icons || [],
-                tracks: { total: 0 },
-                external_urls: {
-                  spotify: `https://open.spotify.com/genre/${category.id}`,
-                },
-              })) || []
-            );
-          }
+      try {
+        // Try with the market first, then without it
+        let data;
+        try {
+          data = await browseRequest("/browse/featured-playlists", {
+            limit,
+            market: currentMarket,
+          });
+        } catch (error) {
+          if (error.status !== 404) throw error;
+          data = await browseRequest("/browse/featured-playlists", { limit });
         }
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          const error = new Error(
-            `Failed to get featured playlists: ${response.status} - ${
-              errorData.error?.message || response.statusText
-            }`
-          );
-          error.response = response;
-          throw error;
+        return data?.playlists?.items || [];
+      } catch (error) {
+        if (error.status !== 404) {
+          console.error("Get featured playlists failed after retries:", error);
+          // Return empty array instead of throwing error to allow fallback to mock data
+          return [];
         }
+      }
 
-        const data = await response.json();
-        return data.playlists?.items || [];
-      };
-
+      // Featured playlists unavailable; fall back to categories shaped like playlists
       try {
-        return await retryWithBackoff(
-          getFeaturedOperation,
-          RETRY_CONFIGS.STANDARD
+        const categoriesData = await browseRequest("/browse/categories", {
+          limit: Math.min(limit, 10),
+          market: currentMarket,
+        });
+        return (
+          categoriesData?.categories?.items?.map((category) => ({
+            id: category.id,
+            name: category.name,
+            description: `Explore ${category.name} music`,
+            images: category.icons || [],
+            tracks: { total: 0 },
+            external_urls: {
+              spotify: `https://open.spotify.com/genre/${category.id}`,
+            },
+          })) || []
         );
       } catch (error) {
         console.error("Get featured playlists failed after retries:", error);
-        // Return empty array instead of throwing error to allow fallback to mock data
         return [];
       }
     },
-    () => "featured-playlists",
+    () => cacheKeys.featuredPlaylists(currentMarket),
     CACHE_CONFIG.USER_PLAYLISTS
   ),
 
   // Get new releases using Client Credentials
   getNewReleases: withCache(
     async (limit = 20) => {
-      const getNewReleasesOperation = async () => {
-        const accessToken = await Spotify.getClientAccessToken();
-
-        // Try with market parameter first (US market)
-        let response = await fetch(
-          `https://api.spotify.com/v1/browse/new-releases?limit=${limit}&market=US`,
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-            },
-          }
-        );
-
-        // If that fails, try without market parameter
-        if (!response.ok && response.status === 404) {
-          response = await fetch(
-            `https://api.spotify.com/v1/browse/new-releases?limit=${limit}`,
-            {
-              headers: {
-                Authorization: `Bearer ${accessToken}`,
-              },
-            }
-          );
-        }
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          const error = new Error(
-            `Failed to get new releases: ${response.status} - ${
-              errorData.error?.message || response.statusText
-            }`
-          );
-          error.response = response;
-          throw error;
-        }
-
-        const data = await response.json();
-        return data.albums?.items || [];
-      };
+      const browseRequest = (query) =>
+        api.request("/browse/new-releases", {
+          query,
+          family: ENDPOINT_FAMILIES.BROWSE,
+        });
 
       try {
-        return await retryWithBackoff(
-          getNewReleasesOperation,
-          RETRY_CONFIGS.STANDARD
-        );
+        // Try with the market first, then without it
+        let data;
+        try {
+          data = await browseRequest({ limit, market: currentMarket });
+        } catch (error) {
+          if (error.status !== 404) throw error;
+          data = await browseRequest({ limit });
+        }
+        return data?.albums?.items || [];
       } catch (error) {
         console.error("Get new releases failed after retries:", error);
         // Return empty array instead of throwing error to allow fallback to mock data
         return [];
       }
     },
-    () => "new-releases",
+    () => cacheKeys.newReleases(currentMarket),
     CACHE_CONFIG.USER_PLAYLISTS
   ),
 
-  // Get user profile (requires user authentication)
-  getUserProfile: withCache(
-    async () => {
-      const getUserProfileOperation = async () => {
-        const accessToken = Spotify.getUserAccessToken();
-        if (!accessToken) {
-          throw new RetryableError(
-            "User authentication required",
-            null,
-            0,
-            false
-          );
-        }
-
-        const response = await fetch("https://api.spotify.com/v1/me", {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-          },
-        });
-
-        if (!response.ok) {
-          const error = new Error(
-            `Failed to get user profile: ${response.status}`
-          );
-          error.response = response;
-          throw error;
-        }
+  // Start tracks on a Web Playback SDK device (requires Premium)
+  async startPlayback(deviceId, { uris, positionMs = 0 }) {
+    await api.request("/me/player/play", {
+      method: "PUT",
+      query: { device_id: deviceId },
+      body: { uris, position_ms: positionMs },
+      auth: AUTH_TYPES.USER,
+      family: ENDPOINT_FAMILIES.PLAYER,
+      errorMessage: "Spotify could not start playback. Please try again.",
+    });
+  },
 
-        return await response.json();
-      };
+  // The user's profile for background checks: null when there's no usable
+  // session, and never a redirect to the consent page
+  async getSessionProfile() {
+    if (!Spotify.isUserLoggedIn()) return null;
+    const token = await Spotify.getUserAccessToken({ interactive: false });
+    return token ? Spotify.getUserProfile() : null;
+  },
 
-      try {
-        return await retryWithBackoff(
-          getUserProfileOperation,
-          RETRY_CONFIGS.STANDARD
-        );
-      } catch (error) {
-        console.error("Get user profile failed after retries:", error);
-        throw new RetryableError(
-          "Failed to load user profile. Please try again.",
-          error,
-          RETRY_CONFIGS.STANDARD.maxAttempts
-        );
-      }
-    },
-    () => "user-profile",
+  // Get user profile (requires user authentication)
+  getUserProfile: withCache(
+    () =>
+      api.request("/me", {
+        auth: AUTH_TYPES.USER,
+        family: ENDPOINT_FAMILIES.USER,
+        errorMessage: "Failed to load user profile. Please try again.",
+      }),
+    () => cacheKeys.userProfile("current"),
     CACHE_CONFIG.USER_PLAYLISTS
   ),
 };
 
+// Write one batch of playlist tracks: PUT replaces, POST appends
+const playlistTracksRequest = (playlistId) => (method, uris) =>
+  api.request(`/playlists/${playlistId}/tracks`, {
+    method,
+    body: { uris },
+    auth: AUTH_TYPES.USER,
+    family: ENDPOINT_FAMILIES.PLAYLISTS,
+    retryConfig: RETRY_CONFIGS.CRITICAL,
+    errorMessage: "Failed to update playlist tracks. Please try again.",
+  });
+
+// All Web API calls share one client so retries, token renewal and circuit
+// breakers behave the same everywhere
+const api = createSpotifyClient({
+  getClientToken: () => Spotify.getClientAccessToken(),
+  getUserToken: () => Spotify.getUserAccessToken(),
+  onUnauthorized: async (authType) => {
+    if (authType === AUTH_TYPES.USER) {
+      await Spotify.refreshUserAccessToken();
+    } else {
+      clientAccessToken = null;
+      clientTokenExpiry = 0;
+    }
+  },
+});
+
 export default Spotify;
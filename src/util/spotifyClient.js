@@ -0,0 +1,216 @@
+/**
+ * Shared request layer for the Spotify Web API
+ *
+ * Every call goes through `request`, which attaches the right token, retries
+ * transient failures (honoring Retry-After on 429), refreshes tokens once on
+ * 401 and trips a circuit breaker per endpoint family.
+ */
+import { retryWithBackoff, RETRY_CONFIGS, RetryableError, CircuitBreaker } from './retryUtils';
+
+export const API_BASE_URL = 'https://api.spotify.com/v1';
+
+// Endpoint families share a circuit breaker, so an outage in one doesn't block the others
+export const ENDPOINT_FAMILIES = {
+  SEARCH: 'search',
+  CATALOG: 'catalog', // tracks, albums, artists
+  BROWSE: 'browse', // featured playlists, new releases, categories
+  USER: 'user', // /me
+  PLAYLISTS: 'playlists',
+  PLAYER: 'player' // /me/player, for the Web Playback SDK device
+};
+
+// Token types a request can be made with
+export const AUTH_TYPES = {
+  CLIENT: 'client',
+  USER: 'user'
+};
+
+/**
+ * Is this a failure worth retrying (network, 5xx, 429)?
+ * @param {Error} error - Error thrown by a request attempt
+ * @returns {boolean} Whether the error is transient
+ */
+export const isTransientError = (error) => {
+  if (error.isRetryable === false) return false;
+  if (!error.status) return true; // Network error
+  return error.status >= 500 || error.status === 429;
+};
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|null} header - Header value
+ * @returns {number} Delay in milliseconds (0 when absent or invalid)
+ */
+export const parseRetryAfter = (header) => {
+  if (!header) return 0;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+};
+
+/**
+ * Build an Error from a failed response, carrying status and Retry-After
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Error>} Error describing the failure
+ */
+const createHttpError = async (response) => {
+  const errorData = await response.json().catch(() => ({}));
+  const error = new Error(
+    errorData.error?.message ||
+      errorData.error_description ||
+      `HTTP ${response.status}: ${response.statusText}`
+  );
+  error.response = response;
+  error.status = response.status;
+  error.retryAfter = parseRetryAfter(response.headers?.get?.('Retry-After'));
+  return error;
+};
+
+/**
+ * Create a Spotify API client
+ * @param {Object} config - Client configuration
+ * @param {Function} config.getClientToken - Resolves to an app (client credentials) token
+ * @param {Function} config.getUserToken - Resolves to a user token (or null while logging in)
+ * @param {Function} config.onUnauthorized - Called with the auth type after a 401 so the token can be renewed
+ * @param {string} config.baseUrl - API base URL
+ * @returns {Object} Client with `request` and `getBreakerStates`
+ */
+export const createSpotifyClient = ({
+  getClientToken,
+  getUserToken,
+  onUnauthorized,
+  baseUrl = API_BASE_URL
+}) => {
+  const breakers = new Map();
+
+  const getBreaker = (family) => {
+    if (!breakers.has(family)) {
+      breakers.set(family, new CircuitBreaker({
+        failureThreshold: 5,
+        resetTimeout: 30000,
+        // 4xx responses are answers, not outages
+        failureCondition: isTransientError
+      }));
+    }
+    return breakers.get(family);
+  };
+
+  const buildUrl = (path, query) => {
+    const url = new URL(path.startsWith('http') ? path : `${baseUrl}${path}`);
+    if (query) {
+      Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          url.searchParams.set(key, value);
+        }
+      });
+    }
+    return url.toString();
+  };
+
+  /**
+   * Make a request to the Web API
+   * @param {string} path - Path below the base URL (or an absolute `next` URL)
+   * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method
+   * @param {Object} options.query - Query parameters (empty values are skipped)
+   * @param {Object} options.body - JSON body
+   * @param {string} options.auth - AUTH_TYPES.CLIENT or AUTH_TYPES.USER
+   * @param {string} options.family - Endpoint family for the circuit breaker
+   * @param {Object} options.retryConfig - Retry configuration from RETRY_CONFIGS
+   * @param {string} options.errorMessage - User-facing message for the final error
+   * @returns {Promise<Object|null>} Parsed JSON (null for empty responses)
+   */
+  const request = async (path, {
+    method = 'GET',
+    query,
+    body,
+    auth = AUTH_TYPES.CLIENT,
+    family = ENDPOINT_FAMILIES.CATALOG,
+    retryConfig = RETRY_CONFIGS.STANDARD,
+    errorMessage
+  } = {}) => {
+    const url = buildUrl(path, query);
+    const breaker = getBreaker(family);
+    let attempts = 0;
+
+    const send = async (hasRefreshed = false) => {
+      const accessToken = auth === AUTH_TYPES.USER
+        ? await getUserToken()
+        : await getClientToken();
+
+      if (!accessToken) {
+        throw new RetryableError('User authentication required', null, 0, false);
+      }
+
+      const headers = { Authorization: `Bearer ${accessToken}` };
+      if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+      }
+
+      const response = await fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+
+      // Expired or revoked token: renew it once and replay the request
+      if (response.status === 401 && !hasRefreshed) {
+        await onUnauthorized(auth);
+        return send(true);
+      }
+
+      if (!response.ok) {
+        const error = await createHttpError(response);
+        if (response.status === 401) {
+          error.isRetryable = false;
+        }
+        throw error;
+      }
+
+      if (response.status === 204) {
+        return null;
+      }
+
+      const text = await response.text();
+      return text ? JSON.parse(text) : null;
+    };
+
+    try {
+      return await retryWithBackoff(() => {
+        attempts++;
+        return breaker.execute(() => send());
+      }, { ...retryConfig, retryCondition: isTransientError });
+    } catch (error) {
+      throw new RetryableError(
+        errorMessage || error.message,
+        error,
+        attempts,
+        isTransientError(error)
+      );
+    }
+  };
+
+  const getBreakerStates = () => {
+    return Object.fromEntries(
+      Array.from(breakers.entries()).map(([family, breaker]) => [family, breaker.getState()])
+    );
+  };
+
+  return { request, getBreakerStates };
+};
+
+const spotifyClientDefault = {
+  API_BASE_URL,
+  ENDPOINT_FAMILIES,
+  AUTH_TYPES,
+  isTransientError,
+  parseRetryAfter,
+  createSpotifyClient
+};
+
+export default spotifyClientDefault;
@@ -0,0 +1,97 @@
+import { createSpotifyClient, parseRetryAfter, AUTH_TYPES, ENDPOINT_FAMILIES } from './spotifyClient';
+import { RetryableError } from './retryUtils';
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: `Status ${status}`,
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body,
+  text: async () => (body === undefined ? '' : JSON.stringify(body))
+});
+
+const FAST_RETRY = { maxAttempts: 3, baseDelay: 1, maxDelay: 5, backoffFactor: 1 };
+
+describe('Spotify client', () => {
+  let tokens;
+  let onUnauthorized;
+  let client;
+
+  beforeEach(() => {
+    tokens = { client: 'client-1', user: 'user-1' };
+    onUnauthorized = jest.fn(async (authType) => {
+      tokens[authType] = `${authType}-2`;
+    });
+    client = createSpotifyClient({
+      getClientToken: async () => tokens.client,
+      getUserToken: async () => tokens.user,
+      onUnauthorized
+    });
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    console.warn.mockRestore();
+  });
+
+  test('renews the user token once on 401 and replays the request', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(401, { error: { message: 'expired' } }))
+      .mockResolvedValueOnce(jsonResponse(200, { id: 'me' }));
+
+    const result = await client.request('/me', { auth: AUTH_TYPES.USER, retryConfig: FAST_RETRY });
+
+    expect(result).toEqual({ id: 'me' });
+    expect(onUnauthorized).toHaveBeenCalledWith(AUTH_TYPES.USER);
+    expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer user-2');
+  });
+
+  test('waits for Retry-After before retrying a 429', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(429, {}, { 'Retry-After': '1' }))
+      .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+    const startedAt = Date.now();
+    await client.request('/search', { retryConfig: FAST_RETRY });
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(1000);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry client errors and wraps them in RetryableError', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(404, { error: { message: 'Not found' } }));
+
+    const error = await client.request('/tracks/missing', {
+      retryConfig: FAST_RETRY,
+      errorMessage: 'Failed to load track details.'
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(RetryableError);
+    expect(error.message).toBe('Failed to load track details.');
+    expect(error.status).toBe(404);
+    expect(error.isRetryable).toBe(false);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('opens the circuit for a family after repeated server errors', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(503, {}));
+    const once = { ...FAST_RETRY, maxAttempts: 1 };
+
+    for (let i = 0; i < 5; i++) {
+      await client.request('/browse/new-releases', { family: ENDPOINT_FAMILIES.BROWSE, retryConfig: once }).catch(() => {});
+    }
+    const error = await client.request('/browse/new-releases', { family: ENDPOINT_FAMILIES.BROWSE, retryConfig: once }).catch(e => e);
+
+    expect(error.message).toMatch(/Circuit breaker is OPEN/);
+    expect(global.fetch).toHaveBeenCalledTimes(5);
+    expect(client.getBreakerStates()[ENDPOINT_FAMILIES.BROWSE].state).toBe('OPEN');
+  });
+
+  test('parses Retry-After seconds and dates', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter(null)).toBe(0);
+    expect(parseRetryAfter(new Date(Date.now() + 60000).toUTCString())).toBeGreaterThan(50000);
+  });
+});
@@ -1,175 +1,504 @@
 /**
- * Spotify Web Playback SDK Integration
- * Allows full song playback for Spotify Premium users
+ * Spotify Web Playback SDK engine
+ * Streams full tracks for Spotify Premium users.
+ *
+ * Speaks the same interface as AudioManager (loadTrack/play/pause/seek/volume
+ * and the same events), so playbackEngine.js can swap one for the other. The
+ * SDK has no `timeupdate`, so one is emitted on a timer while playing, from
+ * the last reported position. Errors are emitted as 'error' events with a
+ * code from WEB_PLAYBACK_ERRORS; nothing here talks to the user directly.
  */
 
+const SDK_URL = 'https://sdk.scdn.co/spotify-player.js';
+const READY_TIMEOUT = 10000; // ms to wait for the SDK device to come up
+const TICK_INTERVAL = 250; // ms between timeupdate events while playing
+const FADE_STEP = 100; // ms between volume steps of an output fade
+
+const SPOTIFY_ID = /^[0-9A-Za-z]{22}$/;
+
+export const WEB_PLAYBACK_ERRORS = {
+  INITIALIZATION: 'initialization_error',
+  AUTHENTICATION: 'authentication_error',
+  ACCOUNT: 'account_error',
+  PLAYBACK: 'playback_error',
+  CONNECTION: 'connection_error'
+};
+
+const ERROR_MESSAGES = {
+  [WEB_PLAYBACK_ERRORS.INITIALIZATION]: 'Full-track playback is not supported in this browser',
+  [WEB_PLAYBACK_ERRORS.AUTHENTICATION]: 'Your Spotify session expired. Log in again to play full tracks',
+  [WEB_PLAYBACK_ERRORS.ACCOUNT]: 'Spotify Premium is required for full-track playback',
+  [WEB_PLAYBACK_ERRORS.PLAYBACK]: 'Spotify could not play this track',
+  [WEB_PLAYBACK_ERRORS.CONNECTION]: 'Could not connect to Spotify for full-track playback'
+};
+
+/**
+ * Whether an error means the SDK can't be used at all (as opposed to one track failing)
+ * @param {string} code - Code from WEB_PLAYBACK_ERRORS
+ * @returns {boolean} True if playback should fall back to previews
+ */
+export const isFatalPlaybackError = (code) => code !== WEB_PLAYBACK_ERRORS.PLAYBACK;
+
+/**
+ * Spotify URI for a track, if it is a Spotify track
+ * @param {Object|null} track - Track to play
+ * @returns {string|null} e.g. "spotify:track:4iV5W9uYEdYUVa79Axb7Rh"
+ */
+export const getTrackUri = (track) => {
+  if (!track) return null;
+  if (typeof track.uri === 'string' && track.uri.startsWith('spotify:track:')) return track.uri;
+  return SPOTIFY_ID.test(track.id) ? `spotify:track:${track.id}` : null;
+};
+
+let sdkPromise = null;
+
+/**
+ * Load the SDK script once
+ * @returns {Promise<Object>} window.Spotify
+ */
+const loadSdk = () => {
+  if (window.Spotify?.Player) return Promise.resolve(window.Spotify);
+
+  if (!sdkPromise) {
+    sdkPromise = new Promise((resolve, reject) => {
+      window.onSpotifyWebPlaybackSDKReady = () => resolve(window.Spotify);
+
+      const script = document.createElement('script');
+      script.src = SDK_URL;
+      script.async = true;
+      script.onerror = () => {
+        sdkPromise = null;
+        script.remove();
+        reject(new Error('Failed to load the Spotify Web Playback SDK'));
+      };
+      document.body.appendChild(script);
+    });
+  }
+  return sdkPromise;
+};
+
+const ignore = () => {};
+
 class SpotifyWebPlayback {
-  constructor() {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Function} options.getAccessToken - Resolves to a user token with the `streaming` scope
+   * @param {Function} options.startPlayback - (deviceId, { uris, positionMs }) => Promise, starts a track on the device
+   * @param {string} [options.name] - Device name shown in Spotify Connect
+   */
+  constructor({ getAccessToken, startPlayback, name = 'MayreneO Music Player' } = {}) {
+    this.getAccessToken = getAccessToken;
+    this.startPlayback = startPlayback;
+    this.name = name;
     this.player = null;
     this.deviceId = null;
     this.isReady = false;
-    this.accessToken = null;
+    this.listeners = new Map();
+    this.currentTrack = null;
+    this.uri = null;
+    this.needsStart = false; // Loaded, but not yet started on the device
+    this.paused = true;
+    this.position = 0; // Seconds, as of positionAt
+    this.positionAt = 0;
+    this.duration = 0;
+    this.lastState = null;
+    this.volume = 1;
+    this.outputLevel = 1; // Whole-output fades, on top of the user volume
+    this.tickTimer = null;
+    this.fadeTimer = null;
   }
 
   /**
-   * Initialize Spotify Web Playback SDK
-   * Requires user to be logged in with Spotify Premium
+   * Load the SDK and connect a device
+   * @returns {Promise<void>} Rejects with an Error carrying a WEB_PLAYBACK_ERRORS code
    */
-  async initialize(accessToken) {
-    this.accessToken = accessToken;
-
-    return new Promise((resolve, reject) => {
-      // Load Spotify Web Playback SDK
-      if (!window.Spotify) {
-        const script = document.createElement('script');
-        script.src = 'https://sdk.scdn.co/spotify-player.js';
-        script.async = true;
-        document.body.appendChild(script);
-
-        window.onSpotifyWebPlaybackSDKReady = () => {
-          this.createPlayer().then(resolve).catch(reject);
-        };
-      } else {
-        this.createPlayer().then(resolve).catch(reject);
-      }
-    });
+  async initialize() {
+    let Sdk;
+    try {
+      Sdk = await loadSdk();
+    } catch (error) {
+      throw this.createError(WEB_PLAYBACK_ERRORS.INITIALIZATION, error.message);
+    }
+    await this.createPlayer(Sdk);
   }
 
   /**
-   * Create Spotify Web Player
+   * Create the SDK player and wait until its device is ready
+   * @param {Object} Sdk - window.Spotify
    */
-  async createPlayer() {
-    const player = new window.Spotify.Player({
-      name: 'MayreneO Music Player',
-      getOAuthToken: cb => { cb(this.accessToken); },
-      volume: 0.5
+  async createPlayer(Sdk) {
+    const player = new Sdk.Player({
+      name: this.name,
+      getOAuthToken: (callback) => {
+        Promise.resolve(this.getAccessToken())
+          .then(callback)
+          .catch(error => this.reportError(WEB_PLAYBACK_ERRORS.AUTHENTICATION, error.message));
+      },
+      volume: this.volume * this.outputLevel
     });
 
-    // Error handling
-    player.addListener('initialization_error', ({ message }) => {
-      console.error('Spotify Player initialization error:', message);
+    let settle = null;
+    const ready = new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        reject(this.createError(WEB_PLAYBACK_ERRORS.CONNECTION, 'Timed out waiting for the device'));
+      }, READY_TIMEOUT);
+      settle = (error) => {
+        clearTimeout(timeout);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
     });
+    // Nothing awaits it if connect() fails first
+    ready.catch(ignore);
 
-    player.addListener('authentication_error', ({ message }) => {
-      console.error('Spotify Player authentication error:', message);
+    player.addListener('ready', ({ device_id }) => {
+      this.deviceId = device_id;
+      this.isReady = true;
+      settle();
     });
 
-    player.addListener('account_error', ({ message }) => {
-      console.error('Spotify Player account error:', message);
-      alert('Spotify Premium is required for full song playback');
+    player.addListener('not_ready', () => {
+      this.isReady = false;
+      this.stopTicking();
     });
 
-    player.addListener('playback_error', ({ message }) => {
-      console.error('Spotify Player playback error:', message);
+    [
+      WEB_PLAYBACK_ERRORS.INITIALIZATION,
+      WEB_PLAYBACK_ERRORS.AUTHENTICATION,
+      WEB_PLAYBACK_ERRORS.ACCOUNT,
+      WEB_PLAYBACK_ERRORS.PLAYBACK
+    ].forEach(code => {
+      player.addListener(code, ({ message }) => {
+        if (this.isReady) {
+          this.reportError(code, message);
+        } else {
+          settle(this.createError(code, message));
+        }
+      });
     });
 
-    // Playback status updates
-    player.addListener('player_state_changed', (state) => {
-      if (!state) return;
-      
-      console.log('Player state changed:', state);
-      // You can emit events here to update your UI
-    });
+    player.addListener('player_state_changed', (state) => this.handleStateChange(state));
 
-    // Ready
-    player.addListener('ready', ({ device_id }) => {
-      console.log('Spotify Player ready with Device ID:', device_id);
-      this.deviceId = device_id;
-      this.isReady = true;
-    });
+    const connected = await player.connect();
+    if (!connected) {
+      throw this.createError(WEB_PLAYBACK_ERRORS.CONNECTION);
+    }
 
-    // Not Ready
-    player.addListener('not_ready', ({ device_id }) => {
-      console.log('Spotify Player not ready with Device ID:', device_id);
-      this.isReady = false;
+    this.player = player;
+    try {
+      await ready;
+    } catch (error) {
+      this.disconnect();
+      throw error;
+    }
+  }
+
+  /**
+   * Error for a failure, with a user-facing message
+   * @param {string} code - Code from WEB_PLAYBACK_ERRORS
+   * @param {string} [detail] - What the SDK said, for the console
+   * @returns {Error} Error with `code` and `detail`
+   */
+  createError(code, detail) {
+    const error = new Error(ERROR_MESSAGES[code] || ERROR_MESSAGES[WEB_PLAYBACK_ERRORS.PLAYBACK]);
+    error.code = code;
+    error.detail = detail;
+    return error;
+  }
+
+  reportError(code, detail) {
+    console.error(`Spotify Player ${code}:`, detail);
+    const error = this.createError(code, detail);
+    this.emit('error', { message: error.message, code, track: this.currentTrack });
+  }
+
+  /**
+   * Follow the SDK's state reports
+   * @param {Object|null} state - WebPlaybackState, null when playback moved to another device
+   */
+  handleStateChange(state) {
+    const previous = this.lastState;
+    this.lastState = state;
+
+    if (!state) {
+      this.position = this.getCurrentTime();
+      this.paused = true;
+      this.stopTicking();
+      return;
+    }
+
+    // Reports about the previous track arrive until the new one has started
+    if (this.needsStart) return;
+
+    this.position = state.position / 1000;
+    this.positionAt = Date.now();
+    if (state.duration) {
+      this.duration = state.duration / 1000;
+    }
+
+    // Finished: the SDK rewinds to the start and pauses
+    const finished = state.paused && state.position === 0 &&
+      previous && !previous.paused && previous.position > 0;
+
+    if (state.paused) {
+      this.paused = true;
+      this.stopTicking();
+    } else if (this.paused) {
+      // Resumed from another Spotify Connect remote
+      this.paused = false;
+      this.startTicking();
+    }
+
+    if (finished) {
+      this.emit('ended', { track: this.currentTrack });
+    }
+  }
+
+  startTicking() {
+    this.stopTicking();
+    this.tickTimer = setInterval(() => this.emitTimeUpdate(), TICK_INTERVAL);
+  }
+
+  stopTicking() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+
+  emitTimeUpdate() {
+    this.emit('timeupdate', {
+      track: this.currentTrack,
+      currentTime: this.getCurrentTime(),
+      duration: this.duration,
+      buffered: []
     });
+  }
 
-    // Connect to the player
-    const success = await player.connect();
-    
-    if (success) {
-      this.player = player;
-      console.log('Successfully connected to Spotify Player');
+  /**
+   * Nothing to set up before the SDK connects; kept for the engine interface
+   */
+  init() {}
+
+  /**
+   * Make a track current; it starts on the device at the next play()
+   * @param {Object} track - Track to load
+   * @returns {Promise<boolean>} Whether it can be played
+   */
+  async loadTrack(track) {
+    if (!track) return false;
+
+    const uri = getTrackUri(track);
+    if (!uri) {
+      this.emit('error', { message: 'This track cannot be streamed from Spotify', track });
+      return false;
+    }
+
+    if (this.currentTrack && this.currentTrack.id === track.id) {
       return true;
-    } else {
-      throw new Error('Failed to connect to Spotify Player');
     }
+
+    if (!this.paused) {
+      this.paused = true;
+      this.stopTicking();
+      this.player?.pause().catch(ignore);
+    }
+
+    this.currentTrack = track;
+    this.uri = uri;
+    this.needsStart = true;
+    this.position = 0;
+    this.positionAt = Date.now();
+    this.duration = (track.duration_ms || 0) / 1000;
+
+    this.emit('loadstart', { track });
+    this.emit('loadeddata', { track, duration: this.duration });
+    this.emit('canplay', { track });
+    return true;
   }
 
   /**
-   * Play a track using Spotify Web Playback
-   * @param {string} trackUri - Spotify track URI (e.g., "spotify:track:4iV5W9uYEdYUVa79Axb7Rh")
+   * Play the current track
+   * @returns {Promise<boolean>} Whether playback started
    */
-  async playTrack(trackUri) {
-    if (!this.isReady || !this.deviceId) {
-      throw new Error('Spotify Player not ready');
-    }
+  async play() {
+    if (!this.player || !this.currentTrack) return false;
+    if (!this.paused) return true;
 
     try {
-      // Transfer playback to our device and start playing
-      const response = await fetch(`https://api.spotify.com/v1/me/player/play?device_id=${this.deviceId}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.accessToken}`
-        },
-        body: JSON.stringify({
-          uris: [trackUri]
-        })
-      });
+      // Browsers only allow audio after a user gesture; this counts it
+      this.player.activateElement?.();
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error?.message || 'Failed to play track');
+      if (this.needsStart) {
+        await this.startPlayback(this.deviceId, {
+          uris: [this.uri],
+          positionMs: Math.round(this.position * 1000)
+        });
+        this.needsStart = false;
+      } else {
+        await this.player.resume();
       }
 
-      console.log('Track started playing:', trackUri);
+      this.paused = false;
+      this.positionAt = Date.now();
+      this.startTicking();
+      this.emit('play', { track: this.currentTrack });
       return true;
     } catch (error) {
-      console.error('Error playing track:', error);
-      throw error;
+      this.reportError(WEB_PLAYBACK_ERRORS.PLAYBACK, error.message);
+      return false;
     }
   }
 
   /**
-   * Pause playback
+   * Pause the current track
    */
-  async pause() {
-    if (this.player) {
-      await this.player.pause();
-    }
+  pause() {
+    if (!this.player || this.paused) return;
+
+    this.position = this.getCurrentTime();
+    this.positionAt = Date.now();
+    this.paused = true;
+    this.stopTicking();
+    this.player.pause().catch(ignore);
+    this.emit('pause', { track: this.currentTrack });
   }
 
   /**
-   * Resume playback
+   * Set the position; before the track has started it becomes the start position
+   * @param {number} time - Seconds into the track
    */
-  async resume() {
-    if (this.player) {
-      await this.player.resume();
+  setCurrentTime(time) {
+    if (!this.currentTrack) return;
+
+    const limit = this.duration || Infinity;
+    this.position = Math.max(0, Math.min(time, limit));
+    this.positionAt = Date.now();
+
+    if (!this.needsStart && this.player) {
+      this.player.seek(Math.round(this.position * 1000)).catch(ignore);
     }
+    this.emitTimeUpdate();
+  }
+
+  getCurrentTime() {
+    if (this.paused || this.needsStart) return this.position;
+
+    const elapsed = (Date.now() - this.positionAt) / 1000;
+    return Math.min(this.position + elapsed, this.duration || Infinity);
+  }
+
+  getDuration() {
+    return this.duration;
+  }
+
+  isPlaying() {
+    return !this.paused;
   }
 
   /**
-   * Get current playback state
+   * Set volume (0-1)
    */
-  async getCurrentState() {
-    if (this.player) {
-      return await this.player.getCurrentState();
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, volume));
+    this.applyVolume();
+    this.emit('volumechange', { volume: this.volume });
+  }
+
+  getVolume() {
+    return this.volume;
+  }
+
+  applyVolume() {
+    this.player?.setVolume(this.volume * this.outputLevel).catch(ignore);
+  }
+
+  /**
+   * Fade the whole output to silence, e.g. for the sleep timer
+   * @param {number} duration - Fade length in ms
+   */
+  fadeOutput(duration) {
+    this.cancelOutputFade();
+
+    const steps = Math.max(1, Math.round(duration / FADE_STEP));
+    const startLevel = this.outputLevel;
+    let step = 0;
+    this.fadeTimer = setInterval(() => {
+      step++;
+      this.outputLevel = step >= steps ? 0 : startLevel * (1 - step / steps);
+      this.applyVolume();
+      if (step >= steps) this.cancelOutputFade();
+    }, FADE_STEP);
+  }
+
+  /**
+   * Undo fadeOutput
+   */
+  restoreOutput() {
+    this.cancelOutputFade();
+    this.outputLevel = 1;
+    this.applyVolume();
+  }
+
+  cancelOutputFade() {
+    if (this.fadeTimer) {
+      clearInterval(this.fadeTimer);
+      this.fadeTimer = null;
+    }
+  }
+
+  // The SDK plays one track at a time and its audio never reaches the Web
+  // Audio graph, so preloading, crossfade, EQ and normalization are preview-only
+  preload() {
+    return false;
+  }
+
+  configure() {}
+
+  setEqualizer() {}
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+  }
+
+  off(event, callback) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).delete(callback);
+    }
+  }
+
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      });
     }
-    return null;
   }
 
   /**
-   * Disconnect player
+   * Disconnect the device and stop all timers
    */
   disconnect() {
+    this.stopTicking();
+    this.cancelOutputFade();
     if (this.player) {
       this.player.disconnect();
       this.player = null;
-      this.isReady = false;
-      this.deviceId = null;
     }
+    this.isReady = false;
+    this.deviceId = null;
+    this.paused = true;
   }
 }
 
-export default SpotifyWebPlayback;
\ No newline at end of file
+export default SpotifyWebPlayback;
@@ -0,0 +1,161 @@
+import SpotifyWebPlayback, { WEB_PLAYBACK_ERRORS, getTrackUri } from './spotifyWebPlayback';
+
+// Stand-in for the SDK's Spotify.Player; `connectWith` decides what connect() reports
+class MockPlayer {
+  static instances = [];
+  static connectWith = (player) => player.emit('ready', { device_id: 'device-1' });
+
+  constructor(options) {
+    this.options = options;
+    this.listeners = {};
+    this.pause = jest.fn(async () => {});
+    this.resume = jest.fn(async () => {});
+    this.seek = jest.fn(async () => {});
+    this.setVolume = jest.fn(async () => {});
+    this.disconnect = jest.fn();
+    MockPlayer.instances.push(this);
+  }
+
+  addListener(event, callback) {
+    this.listeners[event] = callback;
+    return true;
+  }
+
+  emit(event, data) {
+    this.listeners[event]?.(data);
+  }
+
+  async connect() {
+    MockPlayer.connectWith(this);
+    return true;
+  }
+}
+
+const track = {
+  id: '4iV5W9uYEdYUVa79Axb7Rh',
+  name: 'Full track',
+  uri: 'spotify:track:4iV5W9uYEdYUVa79Axb7Rh',
+  duration_ms: 200000
+};
+
+const state = (overrides = {}) => ({
+  paused: false,
+  position: 0,
+  duration: 200000,
+  track_window: { current_track: { uri: track.uri }, previous_tracks: [] },
+  ...overrides
+});
+
+describe('SpotifyWebPlayback', () => {
+  let startPlayback;
+  let engine;
+
+  beforeEach(() => {
+    MockPlayer.instances = [];
+    MockPlayer.connectWith = (player) => player.emit('ready', { device_id: 'device-1' });
+    window.Spotify = { Player: MockPlayer };
+    startPlayback = jest.fn(async () => {});
+    engine = new SpotifyWebPlayback({ getAccessToken: async () => 'user-token', startPlayback });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    engine.disconnect();
+    delete window.Spotify;
+    console.error.mockRestore();
+  });
+
+  test('connects a device and hands the SDK a user token', async () => {
+    await engine.initialize();
+
+    expect(engine.isReady).toBe(true);
+    expect(engine.deviceId).toBe('device-1');
+
+    const token = await new Promise(resolve => MockPlayer.instances[0].options.getOAuthToken(resolve));
+    expect(token).toBe('user-token');
+  });
+
+  test('starts a loaded track on its device, then resumes it', async () => {
+    await engine.initialize();
+    const onPlay = jest.fn();
+    engine.on('play', onPlay);
+
+    await engine.loadTrack(track);
+    // A seek before the first play becomes the start position
+    engine.setCurrentTime(42);
+    await engine.play();
+
+    expect(startPlayback).toHaveBeenCalledWith('device-1', { uris: [track.uri], positionMs: 42000 });
+    expect(onPlay).toHaveBeenCalledWith({ track });
+
+    engine.pause();
+    await engine.play();
+    expect(startPlayback).toHaveBeenCalledTimes(1);
+    expect(MockPlayer.instances[0].resume).toHaveBeenCalled();
+
+    engine.setCurrentTime(10);
+    expect(MockPlayer.instances[0].seek).toHaveBeenCalledWith(10000);
+  });
+
+  test('reports Premium being required as an error instead of an alert', async () => {
+    window.alert = jest.fn();
+    MockPlayer.connectWith = (player) => player.emit('account_error', { message: 'Premium required' });
+
+    await expect(engine.initialize()).rejects.toMatchObject({
+      code: WEB_PLAYBACK_ERRORS.ACCOUNT,
+      message: 'Spotify Premium is required for full-track playback'
+    });
+    expect(window.alert).not.toHaveBeenCalled();
+    expect(MockPlayer.instances[0].disconnect).toHaveBeenCalled();
+  });
+
+  test('emits an error when a track fails to start', async () => {
+    await engine.initialize();
+    startPlayback.mockRejectedValueOnce(new Error('Device not found'));
+    const onError = jest.fn();
+    engine.on('error', onError);
+
+    await engine.loadTrack(track);
+    expect(await engine.play()).toBe(false);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: WEB_PLAYBACK_ERRORS.PLAYBACK, track }));
+  });
+
+  test('emits ended when the SDK rewinds and pauses a finished track', async () => {
+    await engine.initialize();
+    const onEnded = jest.fn();
+    engine.on('ended', onEnded);
+
+    await engine.loadTrack(track);
+    await engine.play();
+    const player = MockPlayer.instances[0];
+    player.emit('player_state_changed', state({ position: 199000 }));
+    expect(onEnded).not.toHaveBeenCalled();
+
+    player.emit('player_state_changed', state({ paused: true, position: 0 }));
+    expect(onEnded).toHaveBeenCalledWith({ track });
+    expect(engine.isPlaying()).toBe(false);
+  });
+
+  test('scales the device volume for output fades', async () => {
+    await engine.initialize();
+    const player = MockPlayer.instances[0];
+
+    engine.setVolume(0.5);
+    expect(player.setVolume).toHaveBeenLastCalledWith(0.5);
+
+    jest.useFakeTimers();
+    engine.fadeOutput(1000);
+    jest.advanceTimersByTime(1000);
+    expect(player.setVolume).toHaveBeenLastCalledWith(0);
+
+    engine.restoreOutput();
+    expect(player.setVolume).toHaveBeenLastCalledWith(0.5);
+    jest.useRealTimers();
+  });
+
+  test('only streams Spotify tracks', () => {
+    expect(getTrackUri(track)).toBe(track.uri);
+    expect(getTrackUri({ id: '4iV5W9uYEdYUVa79Axb7Rh' })).toBe(track.uri);
+    expect(getTrackUri({ id: 'itunes-123' })).toBeNull();
+  });
+});
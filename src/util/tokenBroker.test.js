@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { createTokenBroker, DEFAULT_ROUTE } from '../../server/tokenBroker';
+
+const listen = (server) => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+const getJson = (url) => new Promise((resolve, reject) => {
+  http.get(url, (response) => {
+    let raw = '';
+    response.setEncoding('utf8');
+    response.on('data', chunk => { raw += chunk; });
+    response.on('end', () => {
+      resolve({ status: response.statusCode, headers: response.headers, body: JSON.parse(raw) });
+    });
+  }).on('error', reject);
+});
+
+describe('token broker', () => {
+  let upstream;
+  let upstreamCalls;
+  let upstreamStatus;
+  let broker;
+  let brokerUrl;
+
+  beforeEach(async () => {
+    upstreamCalls = [];
+    upstreamStatus = 200;
+
+    // Local stand-in for the Spotify accounts service
+    upstream = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        upstreamCalls.push({ authorization: request.headers.authorization, body });
+        response.writeHead(upstreamStatus, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(
+          upstreamStatus === 200
+            ? { access_token: 'app-token', token_type: 'Bearer', expires_in: 3600 }
+            : { error: 'invalid_client', error_description: 'Invalid client' }
+        ));
+      });
+    });
+    const upstreamPort = await listen(upstream);
+
+    broker = createTokenBroker({
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      tokenUrl: `http://127.0.0.1:${upstreamPort}/api/token`,
+      allowedOrigin: 'http://localhost:3000'
+    });
+    const brokerPort = await listen(broker);
+    brokerUrl = `http://127.0.0.1:${brokerPort}`;
+  });
+
+  afterEach(async () => {
+    await close(broker);
+    await close(upstream);
+  });
+
+  test('exchanges client credentials and never returns the secret', async () => {
+    const { status, headers, body } = await getJson(`${brokerUrl}${DEFAULT_ROUTE}`);
+
+    expect(status).toBe(200);
+    expect(headers['access-control-allow-origin']).toBe('http://localhost:3000');
+    expect(body.access_token).toBe('app-token');
+    expect(body.expires_in).toBeGreaterThan(3500);
+    expect(JSON.stringify(body)).not.toContain('client-secret');
+
+    expect(upstreamCalls).toHaveLength(1);
+    expect(upstreamCalls[0].body).toBe('grant_type=client_credentials');
+    expect(upstreamCalls[0].authorization).toBe(
+      `Basic ${Buffer.from('client-id:client-secret').toString('base64')}`
+    );
+  });
+
+  test('reuses the cached token until it nears expiry', async () => {
+    await getJson(`${brokerUrl}${DEFAULT_ROUTE}`);
+    await getJson(`${brokerUrl}${DEFAULT_ROUTE}`);
+
+    expect(upstreamCalls).toHaveLength(1);
+  });
+
+  test('reports upstream failures as 502 without leaking details', async () => {
+    upstreamStatus = 401;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { status, body } = await getJson(`${brokerUrl}${DEFAULT_ROUTE}`);
+
+    expect(status).toBe(502);
+    expect(body.error).toBe('token_unavailable');
+    console.error.mockRestore();
+  });
+
+  test('returns 404 for unknown routes', async () => {
+    const { status } = await getJson(`${brokerUrl}/elsewhere`);
+    expect(status).toBe(404);
+  });
+});
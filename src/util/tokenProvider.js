@@ -0,0 +1,125 @@
+/**
+ * Client-credentials token providers
+ *
+ * The Spotify module asks a provider for app-level access tokens instead of
+ * talking to the accounts service itself, so the client secret can stay on a
+ * server (broker mode). Direct mode exists only for local development.
+ */
+
+export const TOKEN_PROVIDER_MODES = {
+  BROKER: 'broker', // Fetch tokens from a backend route that holds the secret
+  DIRECT: 'direct' // Basic auth from the browser (development only)
+};
+
+/**
+ * Provider that fetches tokens from a token broker endpoint
+ * @param {string} brokerUrl - URL returning { access_token, expires_in }
+ * @returns {Object} Token provider
+ */
+export const createBrokerTokenProvider = (brokerUrl) => ({
+  mode: TOKEN_PROVIDER_MODES.BROKER,
+
+  async getToken() {
+    const response = await fetch(brokerUrl, {
+      headers: { Accept: 'application/json' },
+      credentials: 'same-origin'
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(
+        `Failed to get client access token from broker: ${
+          errorData.error_description || response.statusText
+        }`
+      );
+      error.response = response;
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    return { accessToken: data.access_token, expiresIn: data.expires_in };
+  }
+});
+
+/**
+ * Provider that requests tokens straight from Spotify with the client secret.
+ * Never use this in a production build: the secret ends up in the bundle.
+ * @param {Object} credentials - { clientId, clientSecret }
+ * @returns {Object} Token provider
+ */
+export const createDirectTokenProvider = ({ clientId, clientSecret }) => ({
+  mode: TOKEN_PROVIDER_MODES.DIRECT,
+
+  async getToken() {
+    if (!clientId || !clientSecret) {
+      throw new Error(
+        'Spotify Client ID and Client Secret are required for direct token mode. Please check your environment variables.'
+      );
+    }
+
+    const response = await fetch('https://accounts.spotify.com/api/token', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${btoa(`${clientId}:${clientSecret}`)}`
+      },
+      body: 'grant_type=client_credentials'
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(
+        `Failed to get client access token: ${
+          errorData.error_description || response.statusText
+        }`
+      );
+      error.response = response;
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    return { accessToken: data.access_token, expiresIn: data.expires_in };
+  }
+});
+
+/**
+ * Pick a provider from the environment: broker when REACT_APP_TOKEN_BROKER_URL
+ * is set, direct mode in development, otherwise a provider that explains the
+ * missing configuration.
+ * @returns {Object} Token provider
+ */
+export const createTokenProviderFromEnv = () => {
+  const brokerUrl = process.env.REACT_APP_TOKEN_BROKER_URL;
+  if (brokerUrl) {
+    return createBrokerTokenProvider(brokerUrl);
+  }
+
+  // The NODE_ENV check is resolved at build time, so the secret is stripped
+  // from production bundles along with this branch.
+  if (process.env.NODE_ENV !== 'production') {
+    return createDirectTokenProvider({
+      clientId: process.env.REACT_APP_CLIENT_ID || process.env.CLIENT_ID,
+      clientSecret: process.env.REACT_APP_CLIENT_SECRET || process.env.CLIENT_SECRET
+    });
+  }
+
+  return {
+    mode: TOKEN_PROVIDER_MODES.BROKER,
+    async getToken() {
+      throw new Error(
+        'No Spotify token broker configured. Set REACT_APP_TOKEN_BROKER_URL for production builds.'
+      );
+    }
+  };
+};
+
+const tokenProviderDefault = {
+  TOKEN_PROVIDER_MODES,
+  createBrokerTokenProvider,
+  createDirectTokenProvider,
+  createTokenProviderFromEnv
+};
+
+export default tokenProviderDefault;
@@ -0,0 +1,243 @@
+/**
+ * Fuzzy track matching
+ *
+ * Scores Spotify search results against a parsed tracklist row (see
+ * tracklistParser). Title, artist and duration are each compared on a 0-1
+ * scale and weighted; a row without a duration is scored on title and
+ * artist alone. A matching URI or ISRC is taken as certain.
+ */
+
+export const MATCH_WEIGHTS = {
+  title: 0.5,
+  artist: 0.35,
+  duration: 0.15
+};
+
+export const CONFIDENCE = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+  NONE: 'none'
+};
+
+// Lowest score for each confidence level
+const CONFIDENCE_THRESHOLDS = [
+  [CONFIDENCE.HIGH, 0.85],
+  [CONFIDENCE.MEDIUM, 0.6],
+  [CONFIDENCE.LOW, 0.35]
+];
+
+// Durations within this are a full match; the score reaches 0 at DURATION_LIMIT_MS
+const DURATION_TOLERANCE_MS = 3000;
+const DURATION_LIMIT_MS = 30000;
+
+const TITLE_ONLY_MAX_SCORE = 0.8;
+
+// Version notes that don't change which recording is meant
+const TITLE_NOISE = /\s*[([](?:feat\.?|ft\.?|featuring|with|prod\.?|remaster(?:ed)?|\d{4} remaster(?:ed)?|radio edit|single version|album version|explicit|clean)[^)\]]*[)\]]/gi;
+const DASH_SUFFIX = /\s+-\s+(?:\d{4}\s+)?(?:remaster(?:ed)?|radio edit|single version|album version|mono|stereo)(?:\s+\d{4})?.*$/i;
+const FEATURED = /\s+(?:feat\.?|ft\.?|featuring)\s+.*$/i;
+
+/**
+ * Lowercase text with accents, punctuation and extra spaces removed
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export const normalizeText = (text) => (text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Title without featuring credits or remaster/edit notes, normalized
+ * @param {string} title - Track title
+ * @returns {string} Normalized title
+ */
+export const normalizeTitle = (title) => normalizeText(
+  (title || '').replace(TITLE_NOISE, '').replace(DASH_SUFFIX, '').replace(FEATURED, '')
+);
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two already-normalized strings, 0-1. The better of
+ * edit distance and word overlap, so both typos and reordered or extra
+ * words score well.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity
+ */
+export const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const edit = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+  const wordsA = new Set(a.split(' '));
+  const wordsB = new Set(b.split(' '));
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  const overlap = (2 * shared) / (wordsA.size + wordsB.size);
+
+  return Math.max(edit, overlap);
+};
+
+const getArtistNames = (track) => (
+  track.artists?.length ? track.artists.map(artist => artist.name) : [track.artist].filter(Boolean)
+);
+
+// Rows often list several artists in one field ("A, B & C", "A feat. B")
+const splitArtists = (artist) => (artist || '')
+  .split(/\s*(?:,|;|&|\bx\b|\band\b|\bfeat\.?|\bft\.?|\bfeaturing\b|\bwith\b)\s*/i)
+  .map(normalizeText)
+  .filter(Boolean);
+
+const scoreArtist = (rowArtist, track) => {
+  const wanted = splitArtists(rowArtist);
+  const names = getArtistNames(track).map(normalizeText);
+  if (wanted.length === 0 || names.length === 0) return 0;
+
+  // The best match for the first listed artist counts most
+  const best = (name) => Math.max(...names.map(candidate => similarity(name, candidate)));
+  const whole = similarity(normalizeText(rowArtist), names.join(' '));
+  const lead = best(wanted[0]);
+  const rest = wanted.slice(1).map(best);
+  const perArtist = rest.length
+    ? lead * 0.7 + (rest.reduce((sum, value) => sum + value, 0) / rest.length) * 0.3
+    : lead;
+
+  return Math.max(whole, perArtist);
+};
+
+const scoreDuration = (durationMs, track) => {
+  if (!durationMs || !track.duration_ms) return null;
+  const difference = Math.abs(durationMs - track.duration_ms);
+  if (difference <= DURATION_TOLERANCE_MS) return 1;
+  return Math.max(0, 1 - (difference - DURATION_TOLERANCE_MS) / (DURATION_LIMIT_MS - DURATION_TOLERANCE_MS));
+};
+
+/**
+ * How well a Spotify track matches a tracklist row
+ * @param {Object} row - Parsed row ({ title, artist, durationMs, uri, isrc })
+ * @param {Object} track - Normalized Spotify track
+ * @returns {number} Score, 0-1
+ */
+export const scoreCandidate = (row, track) => {
+  if ((row.uri && row.uri === track.uri) || (row.isrc && row.isrc === track.isrc)) {
+    return 1;
+  }
+
+  const parts = [
+    [MATCH_WEIGHTS.title, similarity(normalizeTitle(row.title), normalizeTitle(track.name))]
+  ];
+  if (row.artist) {
+    parts.push([MATCH_WEIGHTS.artist, scoreArtist(row.artist, track)]);
+  }
+  const duration = scoreDuration(row.durationMs, track);
+  if (duration !== null) {
+    parts.push([MATCH_WEIGHTS.duration, duration]);
+  }
+
+  // Spread the weight of anything the row doesn't say over what it does
+  const totalWeight = parts.reduce((sum, [weight]) => sum + weight, 0);
+  let score = parts.reduce((sum, [weight, value]) => sum + weight * value, 0) / totalWeight;
+  // Many songs share a title, so a title alone is never a confident match
+  if (!row.artist) {
+    score = Math.min(score, TITLE_ONLY_MAX_SCORE);
+  }
+  return Math.round(score * 1000) / 1000;
+};
+
+/**
+ * Confidence level for a score
+ * @param {number|null} score - Match score
+ * @returns {string} A CONFIDENCE value
+ */
+export const getConfidence = (score) => {
+  if (score === null || score === undefined) return CONFIDENCE.NONE;
+  const level = CONFIDENCE_THRESHOLDS.find(([, minimum]) => score >= minimum);
+  return level ? level[0] : CONFIDENCE.NONE;
+};
+
+/**
+ * Candidates scored and sorted best first, without duplicates
+ * @param {Object} row - Parsed row
+ * @param {Object[]} tracks - Normalized Spotify tracks
+ * @returns {Object[]} { track, score, confidence }
+ */
+export const rankCandidates = (row, tracks) => {
+  const seen = new Set();
+  return tracks
+    .filter(track => {
+      if (!track?.id || seen.has(track.id)) return false;
+      seen.add(track.id);
+      return true;
+    })
+    .map(track => {
+      const score = scoreCandidate(row, track);
+      return { track, score, confidence: getConfidence(score) };
+    })
+    // Ties go to the more popular track, which is usually the original release
+    .sort((a, b) => b.score - a.score || (b.track.popularity || 0) - (a.track.popularity || 0));
+};
+
+const quote = (text) => `"${text.replace(/"/g, '')}"`;
+
+/**
+ * Search queries to try for a row, most specific first
+ * @param {Object} row - Parsed row
+ * @returns {string[]} Queries for Spotify.search
+ */
+export const buildSearchQueries = (row) => {
+  const queries = [];
+  const title = row.title ? (row.title.replace(TITLE_NOISE, '').replace(FEATURED, '').trim() || row.title) : '';
+  // The lead artist alone; Spotify's artist: filter doesn't take a list
+  const artist = (row.artist || '').split(/\s*(?:,|;|&|\bfeat\.?|\bft\.?)\s*/i)[0].trim();
+
+  if (row.isrc) {
+    queries.push(`isrc:${row.isrc}`);
+  }
+  if (title && artist) {
+    queries.push(`track:${quote(title)} artist:${quote(artist)}`);
+  }
+  if (title) {
+    queries.push([artist, title].filter(Boolean).join(' '));
+  }
+
+  return queries;
+};
+
+const trackMatcher = {
+  MATCH_WEIGHTS,
+  CONFIDENCE,
+  normalizeText,
+  normalizeTitle,
+  similarity,
+  scoreCandidate,
+  getConfidence,
+  rankCandidates,
+  buildSearchQueries
+};
+
+export default trackMatcher;
@@ -0,0 +1,63 @@
+import {
+  scoreCandidate,
+  rankCandidates,
+  getConfidence,
+  buildSearchQueries,
+  normalizeTitle,
+  CONFIDENCE
+} from './trackMatcher';
+
+const makeTrack = (id, name, artists, duration_ms, extra = {}) => ({
+  id,
+  name,
+  artist: artists[0],
+  artists: artists.map(artistName => ({ id: artistName, name: artistName })),
+  uri: `spotify:track:${id}`,
+  duration_ms,
+  popularity: 50,
+  ...extra
+});
+
+const original = makeTrack('a', 'Dreams - 2004 Remaster', ['Fleetwood Mac'], 257800);
+const cover = makeTrack('b', 'Dreams', ['The Cranberries'], 271000);
+const live = makeTrack('c', 'Dreams (Live)', ['Fleetwood Mac'], 312000);
+
+describe('trackMatcher', () => {
+  test('ignores remaster notes, featuring credits, case and accents in titles', () => {
+    expect(normalizeTitle('Dreams - 2004 Remaster')).toBe('dreams');
+    expect(normalizeTitle('Señorita (feat. Someone)')).toBe('senorita');
+  });
+
+  test('ranks the right recording first using title, artist and duration', () => {
+    const row = { title: 'Dreams', artist: 'Fleetwood Mac', durationMs: 257000 };
+    const ranked = rankCandidates(row, [cover, live, original, original]);
+
+    expect(ranked.map(candidate => candidate.track.id)).toEqual(['a', 'c', 'b']);
+    expect(ranked[0].score).toBe(1);
+    expect(ranked[0].confidence).toBe(CONFIDENCE.HIGH);
+    expect(ranked[2].confidence).not.toBe(CONFIDENCE.HIGH);
+  });
+
+  test('tolerates typos and several listed artists', () => {
+    const track = makeTrack('d', 'One More Time', ['Daft Punk'], 320000);
+
+    expect(getConfidence(scoreCandidate({ title: 'One Mor Time', artist: 'Daft Punk' }, track))).toBe(CONFIDENCE.HIGH);
+    expect(getConfidence(scoreCandidate({ title: 'One More Time', artist: 'Daft Punk & Romanthony' }, track)))
+      .not.toBe(CONFIDENCE.NONE);
+  });
+
+  test('treats a matching URI or ISRC as certain, and a title alone as uncertain', () => {
+    expect(scoreCandidate({ title: 'Something else', uri: 'spotify:track:a' }, original)).toBe(1);
+    expect(scoreCandidate({ title: null, isrc: 'GBX1' }, { ...cover, isrc: 'GBX1' })).toBe(1);
+    expect(getConfidence(scoreCandidate({ title: 'Dreams', artist: null }, cover))).toBe(CONFIDENCE.MEDIUM);
+  });
+
+  test('builds queries from most to least specific', () => {
+    expect(buildSearchQueries({ title: 'Dreams (feat. X)', artist: 'Fleetwood Mac, Y', isrc: 'USWB10400049' })).toEqual([
+      'isrc:USWB10400049',
+      'track:"Dreams" artist:"Fleetwood Mac"',
+      'Fleetwood Mac Dreams'
+    ]);
+    expect(buildSearchQueries({ title: 'Intro', artist: null })).toEqual(['Intro']);
+  });
+});
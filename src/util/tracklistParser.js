@@ -0,0 +1,317 @@
+/**
+ * Tracklist parsing
+ *
+ * Turns a pasted or uploaded tracklist into rows to look up on Spotify.
+ * Three shapes are understood: M3U/M3U8 (EXTINF lines), CSV with a header
+ * row (including this app's own CSV export), and plain text with one
+ * "Artist - Title" per line. Each row is
+ * { line, title, artist, album, durationMs, uri, isrc, raw }, with
+ * whatever the source had and null for the rest.
+ */
+
+export const TRACKLIST_FORMATS = {
+  M3U: 'm3u',
+  CSV: 'csv',
+  TEXT: 'text'
+};
+
+const SPOTIFY_TRACK_PATTERN = /(?:spotify:track:|open\.spotify\.com\/(?:intl-[a-z]+\/)?track\/)([A-Za-z0-9]{22})/;
+
+/**
+ * Spotify track URI from a URI or open.spotify.com link
+ * @param {string} text - Anything that may hold a track reference
+ * @returns {string|null} spotify:track:... or null
+ */
+export const extractSpotifyUri = (text) => {
+  const match = SPOTIFY_TRACK_PATTERN.exec(text || '');
+  return match ? `spotify:track:${match[1]}` : null;
+};
+
+/**
+ * Duration in ms from "3:45", "1:02:03", "225000" (ms) or "225" (seconds)
+ * @param {string} text - Duration as written
+ * @returns {number|null} Milliseconds
+ */
+export const parseDuration = (text) => {
+  const value = String(text ?? '').trim();
+  if (!value) return null;
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(value)) {
+    return value.split(':').reduce((total, part) => total * 60 + Number(part), 0) * 1000;
+  }
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    const number = Number(value);
+    // No track is 10000 seconds long, so bigger numbers are milliseconds
+    return Math.round(number >= 10000 ? number : number * 1000);
+  }
+  return null;
+};
+
+const createRow = (line, raw, fields) => ({
+  line,
+  title: fields.title?.trim() || null,
+  artist: fields.artist?.trim() || null,
+  album: fields.album?.trim() || null,
+  // A 0 duration (an empty CSV cell, say) means the length isn't known
+  durationMs: fields.durationMs || null,
+  uri: fields.uri || null,
+  isrc: fields.isrc?.trim().toUpperCase() || null,
+  raw
+});
+
+// "Artist - Title", also with an en/em dash, numbering and a trailing "(3:45)"
+const DURATION_SUFFIX = /\s*[([]?(\d{1,2}:\d{2}(?::\d{2})?)[)\]]?\s*$/;
+const LIST_NUMBER = /^\s*(?:\d+[.)]|\d+\s+-|[-*•])\s+/;
+const DASH = /\s+[-–—]\s+/;
+
+/**
+ * Split one "Artist - Title" style line
+ * @param {string} text - The line
+ * @returns {Object} { title, artist, durationMs }
+ */
+export const parseTrackLine = (text) => {
+  let rest = text.replace(LIST_NUMBER, '').trim();
+  let durationMs = null;
+
+  const duration = DURATION_SUFFIX.exec(rest);
+  if (duration && duration.index > 0) {
+    durationMs = parseDuration(duration[1]);
+    rest = rest.slice(0, duration.index).trim();
+  }
+
+  const dash = DASH.exec(rest);
+  if (dash) {
+    return {
+      artist: rest.slice(0, dash.index),
+      title: rest.slice(dash.index + dash[0].length),
+      durationMs
+    };
+  }
+
+  return { title: rest, artist: null, durationMs };
+};
+
+// "Artist - Title" from a path or URL, which may or may not be percent-encoded
+const getFileTitle = (location) => {
+  const name = location.split(/[\\/]/).pop() || '';
+  let decoded = name;
+  try {
+    decoded = decodeURIComponent(name);
+  } catch (error) {
+    // A literal "%" (as in "100% Pure Love.mp3") isn't an escape; keep the name as written
+  }
+  return decoded.replace(/\.[a-z0-9]{2,4}$/i, '');
+};
+
+const parseM3U = (lines) => {
+  const rows = [];
+  let pending = null;
+
+  lines.forEach((text, index) => {
+    const line = text.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      const [lengthPart, ...titleParts] = line.slice('#EXTINF:'.length).split(',');
+      const seconds = parseFloat(lengthPart);
+      pending = {
+        line: index + 1,
+        raw: line,
+        ...parseTrackLine(titleParts.join(',')),
+        durationMs: seconds > 0 ? Math.round(seconds * 1000) : null
+      };
+      return;
+    }
+    if (line.startsWith('#')) return;
+
+    // A location line closes the entry; without EXTINF, use the file name
+    const fields = pending || {
+      line: index + 1,
+      raw: line,
+      ...parseTrackLine(getFileTitle(line))
+    };
+    const uri = extractSpotifyUri(line);
+    rows.push(createRow(fields.line, `${fields.raw === line ? '' : `${fields.raw}\n`}${line}`, {
+      ...fields,
+      // A Spotify link says all there is to say; the file name of one doesn't
+      title: uri && !pending ? null : fields.title,
+      artist: uri && !pending ? null : fields.artist,
+      uri
+    }));
+    pending = null;
+  });
+
+  return rows;
+};
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields may hold commas,
+ * quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Object[]} { line, fields } per record
+ */
+export const parseCsvRecords = (text) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || fields.length) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+
+  return records.filter(record => record.fields.some(value => value.trim()));
+};
+
+// Header names other tools use, mapped to row fields (matched lowercase)
+const CSV_HEADERS = {
+  title: ['title', 'name', 'track', 'track name', 'song', 'song name'],
+  artist: ['artist', 'artists', 'artist name', 'artist name(s)', 'performer'],
+  album: ['album', 'album name', 'release'],
+  duration: ['duration (ms)', 'duration_ms', 'track duration (ms)', 'duration', 'length', 'time'],
+  uri: ['uri', 'spotify uri', 'track uri', 'spotify id', 'spotify track id', 'url', 'link'],
+  isrc: ['isrc']
+};
+
+// Column indexes per field, in alias order; the first non-empty value is used
+const findColumns = (header) => {
+  const names = header.map(name => name.trim().toLowerCase());
+  const columns = {};
+
+  Object.entries(CSV_HEADERS).forEach(([field, aliases]) => {
+    const indexes = aliases
+      .map(alias => names.indexOf(alias))
+      .filter(index => index >= 0);
+    if (indexes.length > 0) {
+      columns[field] = indexes;
+    }
+  });
+
+  return columns;
+};
+
+const isCsvHeader = (fields) => {
+  const columns = findColumns(fields);
+  return columns.title !== undefined || columns.uri !== undefined;
+};
+
+const parseCSV = (text) => {
+  const [header, ...records] = parseCsvRecords(text);
+  if (!header) return [];
+  const columns = findColumns(header.fields);
+  const first = (fields, indexes) => (indexes || [])
+    .map(index => fields[index])
+    .find(value => value && value.trim());
+
+  return records.map(({ line, fields }) => {
+    const uriField = first(fields, columns.uri);
+    const idOnly = /^[A-Za-z0-9]{22}$/.test(uriField?.trim() || '');
+    return createRow(line, fields.join(','), {
+      title: first(fields, columns.title),
+      // The app's own export separates artists with semicolons
+      artist: first(fields, columns.artist)?.split(';').map(name => name.trim()).join(', '),
+      album: first(fields, columns.album),
+      durationMs: parseDuration(first(fields, columns.duration)),
+      uri: idOnly ? `spotify:track:${uriField.trim()}` : extractSpotifyUri(uriField),
+      isrc: first(fields, columns.isrc)
+    });
+  });
+};
+
+const parseText = (lines) => lines
+  .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+  .filter(({ text }) => text && !text.startsWith('#') && !text.startsWith('//'))
+  .map(({ text, line }) => {
+    const uri = extractSpotifyUri(text);
+    return createRow(line, text, uri ? { uri } : parseTrackLine(text));
+  });
+
+/**
+ * Work out which shape a tracklist is in
+ * @param {string} text - Tracklist
+ * @param {string} [fileName] - Name of the uploaded file, if any
+ * @returns {string} A TRACKLIST_FORMATS value
+ */
+export const detectFormat = (text, fileName = '') => {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (['m3u', 'm3u8'].includes(extension) || /^\s*#EXT(M3U|INF)/.test(text)) {
+    return TRACKLIST_FORMATS.M3U;
+  }
+
+  const [firstRecord] = parseCsvRecords(text.split(/\r?\n/).find(line => line.trim()) || '');
+  if (extension === 'csv' || (firstRecord?.fields.length > 1 && isCsvHeader(firstRecord.fields))) {
+    return TRACKLIST_FORMATS.CSV;
+  }
+
+  return TRACKLIST_FORMATS.TEXT;
+};
+
+/**
+ * Parse a tracklist into rows to look up
+ * @param {string} text - Tracklist text
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.fileName] - Uploaded file name, to help detect the format
+ * @returns {Object} { format, rows } - rows with neither a title nor a URI are dropped
+ */
+export const parseTracklist = (text, { fileName } = {}) => {
+  const content = (text || '').replace(/^﻿/, '');
+  const format = detectFormat(content, fileName);
+  const lines = content.split(/\r?\n/);
+
+  let rows;
+  if (format === TRACKLIST_FORMATS.M3U) {
+    rows = parseM3U(lines);
+  } else if (format === TRACKLIST_FORMATS.CSV) {
+    rows = parseCSV(content);
+  } else {
+    rows = parseText(lines);
+  }
+
+  return { format, rows: rows.filter(row => row.title || row.uri) };
+};
+
+const tracklistParser = {
+  TRACKLIST_FORMATS,
+  extractSpotifyUri,
+  parseDuration,
+  parseTrackLine,
+  parseCsvRecords,
+  detectFormat,
+  parseTracklist
+};
+
+export default tracklistParser;
@@ -0,0 +1,94 @@
+import { parseTracklist, parseDuration, TRACKLIST_FORMATS } from './tracklistParser';
+import { toCSV } from './playlistExport';
+
+describe('tracklistParser', () => {
+  test('reads "Artist - Title" lines with numbering, dashes and durations', () => {
+    const { format, rows } = parseTracklist([
+      '1. Daft Punk - One More Time',
+      'Fleetwood Mac – Dreams (4:14)',
+      '',
+      '# a comment',
+      'Intro',
+      'https://open.spotify.com/track/4iV5W9uYEdYUVa79Axb7Rh?si=abc'
+    ].join('\n'));
+
+    expect(format).toBe(TRACKLIST_FORMATS.TEXT);
+    expect(rows.map(({ line, artist, title, durationMs, uri }) => ({ line, artist, title, durationMs, uri }))).toEqual([
+      { line: 1, artist: 'Daft Punk', title: 'One More Time', durationMs: null, uri: null },
+      { line: 2, artist: 'Fleetwood Mac', title: 'Dreams', durationMs: 254000, uri: null },
+      { line: 5, artist: null, title: 'Intro', durationMs: null, uri: null },
+      { line: 6, artist: null, title: null, durationMs: null, uri: 'spotify:track:4iV5W9uYEdYUVa79Axb7Rh' }
+    ]);
+  });
+
+  test('reads M3U entries with and without EXTINF', () => {
+    const { format, rows } = parseTracklist([
+      '#EXTM3U',
+      '#EXTINF:185,Ada & Co, Bo - Say "Hello", World',
+      'spotify:track:4iV5W9uYEdYUVa79Axb7Rh',
+      'C:\\Music\\Someone - Old%20One.mp3'
+    ].join('\r\n'));
+
+    expect(format).toBe(TRACKLIST_FORMATS.M3U);
+    expect(rows[0]).toMatchObject({
+      artist: 'Ada & Co, Bo',
+      title: 'Say "Hello", World',
+      durationMs: 185000,
+      uri: 'spotify:track:4iV5W9uYEdYUVa79Axb7Rh'
+    });
+    expect(rows[1]).toMatchObject({ artist: 'Someone', title: 'Old One', durationMs: null, uri: null });
+  });
+
+  test('keeps file names with a literal percent sign as written', () => {
+    const { rows } = parseTracklist('#EXTM3U\n/music/Ada - 100% Pure Love.mp3\n');
+
+    expect(rows).toEqual([expect.objectContaining({ artist: 'Ada', title: '100% Pure Love' })]);
+  });
+
+  test('reads CSV with quoted fields, including the app\'s own export', () => {
+    const csv = toCSV({
+      name: 'Mix',
+      tracks: [{
+        name: 'Say "Hello", World',
+        artists: [{ name: 'Ada' }, { name: 'Bo' }],
+        album: 'First',
+        duration_ms: 185400,
+        isrc: 'usrc17607839',
+        uri: 'spotify:track:4iV5W9uYEdYUVa79Axb7Rh'
+      }]
+    });
+
+    const { format, rows } = parseTracklist(csv);
+
+    expect(format).toBe(TRACKLIST_FORMATS.CSV);
+    expect(rows).toEqual([expect.objectContaining({
+      line: 2,
+      title: 'Say "Hello", World',
+      artist: 'Ada, Bo',
+      album: 'First',
+      durationMs: 185400,
+      isrc: 'USRC17607839',
+      uri: 'spotify:track:4iV5W9uYEdYUVa79Axb7Rh'
+    })]);
+  });
+
+  test('maps other tools\' CSV headers', () => {
+    const { rows } = parseTracklist('Track Name,Artist Name(s),Length\nDreams,Fleetwood Mac,4:14\n', { fileName: 'x.csv' });
+
+    expect(rows).toEqual([expect.objectContaining({ title: 'Dreams', artist: 'Fleetwood Mac', durationMs: 254000 })]);
+  });
+
+  test('treats a zero duration as unknown', () => {
+    const { rows } = parseTracklist('Title,Artist,Duration\nDreams,Fleetwood Mac,0\n');
+
+    expect(rows[0].durationMs).toBeNull();
+  });
+
+  test('parses durations as m:ss, seconds or milliseconds', () => {
+    expect(parseDuration('3:05')).toBe(185000);
+    expect(parseDuration('1:02:03')).toBe(3723000);
+    expect(parseDuration('185')).toBe(185000);
+    expect(parseDuration('185400')).toBe(185400);
+    expect(parseDuration('soon')).toBeNull();
+  });
+});